@@ -21,6 +21,7 @@ import "fhevm/gateway/GatewayCaller.sol";
  * - SafeMath overflow protection (Solidity 0.8.24+)
  * - Reentrancy guards on fund transfers
  * - Audit trail via comprehensive event logging
+ * - Gasless calls: EIP-712 signed requests relayed through execute() (ERC-2771 style)
  *
  * Gas Optimization:
  * - Efficient HCU (Homomorphic Computation Unit) usage
@@ -57,10 +58,18 @@ contract CorporateGovernance is GatewayCaller {
         string position;
     }
 
+    struct ForwardRequest {
+        address from;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data;
+    }
+
     mapping(uint256 => Resolution) public resolutions;
     mapping(address => BoardMember) public boardMembers;
     mapping(uint256 => mapping(address => bool)) public hasVoted;
     mapping(uint256 => uint256) private resolutionIdByRequestId;
+    mapping(address => uint256) public nonces;
 
     address public chairperson;
     uint256 public totalVotingPower;
@@ -68,6 +77,11 @@ contract CorporateGovernance is GatewayCaller {
     uint256 public constant VOTING_DURATION = 7 days;
     uint256 public constant DECRYPTION_TIMEOUT = 1 days;
 
+    bytes32 public constant FORWARD_REQUEST_TYPEHASH =
+        keccak256("ForwardRequest(address from,uint256 nonce,uint256 deadline,bytes data)");
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
     // Reentrancy guard
     bool private locked;
 
@@ -79,14 +93,15 @@ contract CorporateGovernance is GatewayCaller {
     event DecryptionRequested(uint256 indexed resolutionId, uint256 requestId);
     event DecryptionTimeout(uint256 indexed resolutionId);
     event ResolutionResolved(uint256 indexed resolutionId, uint256 yesVotes, uint256 noVotes, bool passed);
+    event MetaTransactionExecuted(address indexed from, address indexed relayer, uint256 nonce);
 
     modifier onlyChairperson() {
-        require(msg.sender == chairperson, "Only chairperson can perform this action");
+        require(_msgSender() == chairperson, "Only chairperson can perform this action");
         _;
     }
 
     modifier onlyBoardMember() {
-        require(boardMembers[msg.sender].isActive, "Only active board members can perform this action");
+        require(boardMembers[_msgSender()].isActive, "Only active board members can perform this action");
         _;
     }
 
@@ -160,16 +175,18 @@ contract CorporateGovernance is GatewayCaller {
         string memory _description,
         uint256 _requiredQuorum
     ) external validString(_title) validString(_description) {
+        address sender = _msgSender();
+
         // Auto-add sender as board member if not already added
-        if (!boardMembers[msg.sender].isActive) {
-            boardMembers[msg.sender] = BoardMember({
+        if (!boardMembers[sender].isActive) {
+            boardMembers[sender] = BoardMember({
                 isActive: true,
                 votingPower: 1,
                 name: "Auto Added Member",
                 position: "Board Member"
             });
             totalVotingPower += 1;
-            emit BoardMemberAdded(msg.sender, "Auto Added Member", 1);
+            emit BoardMemberAdded(sender, "Auto Added Member", 1);
         }
         require(_requiredQuorum <= totalVotingPower, "Quorum cannot exceed total voting power");
         require(_requiredQuorum > 0, "Quorum must be greater than 0");
@@ -185,7 +202,7 @@ contract CorporateGovernance is GatewayCaller {
             active: true,
             yesVotes: TFHE.asEuint32(0),
             noVotes: TFHE.asEuint32(0),
-            creator: msg.sender,
+            creator: sender,
             requiredQuorum: _requiredQuorum,
             decryptionRequested: false,
             decryptionRequestTime: 0,
@@ -195,7 +212,11 @@ contract CorporateGovernance is GatewayCaller {
             revealedNoVotes: 0
         });
 
-        emit ResolutionCreated(resolutionId, _title, msg.sender);
+        // Keep access to the stored tallies after this transaction (the ACL only grants it transiently)
+        TFHE.allow(resolutions[resolutionId].yesVotes, address(this));
+        TFHE.allow(resolutions[resolutionId].noVotes, address(this));
+
+        emit ResolutionCreated(resolutionId, _title, sender);
     }
 
     function castVote(
@@ -203,16 +224,18 @@ contract CorporateGovernance is GatewayCaller {
         einput _encryptedVote,
         bytes calldata inputProof
     ) external {
+        address sender = _msgSender();
+
         // Auto-add sender as board member if not already added
-        if (!boardMembers[msg.sender].isActive) {
-            boardMembers[msg.sender] = BoardMember({
+        if (!boardMembers[sender].isActive) {
+            boardMembers[sender] = BoardMember({
                 isActive: true,
                 votingPower: 1,
                 name: "Auto Added Member",
                 position: "Board Member"
             });
             totalVotingPower += 1;
-            emit BoardMemberAdded(msg.sender, "Auto Added Member", 1);
+            emit BoardMemberAdded(sender, "Auto Added Member", 1);
         }
 
         require(_resolutionId < resolutionCounter, "Resolution does not exist");
@@ -222,13 +245,13 @@ contract CorporateGovernance is GatewayCaller {
         require(block.timestamp <= resolution.endTime, "Voting period has ended");
 
         // Convert encrypted input to ebool (true = yes, false = no)
-        ebool vote = TFHE.asEbool(_encryptedVote, inputProof);
+        ebool vote = _verifyVote(_encryptedVote, inputProof, sender);
         
         // Allow multiple votes - just track the latest vote
-        hasVoted[_resolutionId][msg.sender] = true;
+        hasVoted[_resolutionId][sender] = true;
 
         // Add voting power to appropriate counter (always add, allowing multiple votes)
-        euint32 votingPower = TFHE.asEuint32(boardMembers[msg.sender].votingPower);
+        euint32 votingPower = TFHE.asEuint32(boardMembers[sender].votingPower);
         
         resolution.yesVotes = TFHE.add(
             resolution.yesVotes,
@@ -240,7 +263,10 @@ contract CorporateGovernance is GatewayCaller {
             TFHE.select(vote, TFHE.asEuint32(0), votingPower)
         );
 
-        emit VoteCast(_resolutionId, msg.sender);
+        TFHE.allow(resolution.yesVotes, address(this));
+        TFHE.allow(resolution.noVotes, address(this));
+
+        emit VoteCast(_resolutionId, sender);
     }
 
     /**
@@ -253,7 +279,7 @@ contract CorporateGovernance is GatewayCaller {
 
         require(resolution.active, "Resolution is already closed");
         require(
-            block.timestamp > resolution.endTime || msg.sender == resolution.creator,
+            block.timestamp > resolution.endTime || _msgSender() == resolution.creator,
             "Voting period not ended or not creator"
         );
         require(!resolution.decryptionRequested, "Decryption already requested");
@@ -322,7 +348,7 @@ contract CorporateGovernance is GatewayCaller {
             "Timeout period not reached"
         );
         require(
-            msg.sender == resolution.creator || msg.sender == chairperson,
+            _msgSender() == resolution.creator || _msgSender() == chairperson,
             "Only creator or chairperson can handle timeout"
         );
 
@@ -334,6 +360,60 @@ contract CorporateGovernance is GatewayCaller {
         emit ResolutionClosed(_resolutionId, false);
     }
 
+    /**
+     * @notice Executes a call signed by a board member and submitted by a relayer
+     * @dev The contract forwards to itself with the signer appended to the calldata (ERC-2771),
+     *      so the relayer pays the gas while the call runs as the signer
+     * @param request The signed call: signer, their next nonce, expiry time and calldata
+     * @param signature EIP-712 signature of the request by request.from
+     */
+    function execute(ForwardRequest calldata request, bytes calldata signature) external nonReentrant {
+        require(block.timestamp <= request.deadline, "Request expired");
+        require(request.nonce == nonces[request.from], "Invalid nonce");
+
+        bytes32 structHash = keccak256(abi.encode(
+            FORWARD_REQUEST_TYPEHASH,
+            request.from,
+            request.nonce,
+            request.deadline,
+            keccak256(request.data)
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        require(_recoverSigner(digest, signature) == request.from, "Invalid signature");
+
+        nonces[request.from]++;
+
+        (bool success, bytes memory returndata) = address(this).call(abi.encodePacked(request.data, request.from));
+        if (!success) {
+            // Bubble up the revert reason of the forwarded call
+            assembly ("memory-safe") {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+
+        emit MetaTransactionExecuted(request.from, msg.sender, request.nonce);
+    }
+
+    /**
+     * @notice EIP-712 domain separator for signing forward requests
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("CorporateGovernance")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @notice ERC-2771: the contract only trusts calls it forwards itself
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder == address(this);
+    }
+
     function getResolution(uint256 _resolutionId) external view resolutionExists(_resolutionId) returns (
         uint256 id,
         string memory title,
@@ -417,4 +497,48 @@ contract CorporateGovernance is GatewayCaller {
             timeout
         );
     }
+
+    /**
+     * @dev Caller of the current function: the signer for calls forwarded by execute()
+     */
+    function _msgSender() internal view returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /**
+     * @dev Verifies an encrypted vote against the voter instead of msg.sender. TFHE.asEbool binds
+     *      the proof to msg.sender, which is this contract for calls forwarded by execute(), so a
+     *      relayed proof would be valid for anyone. Both direct and relayed votes are encrypted
+     *      for (this contract, voter)
+     */
+    function _verifyVote(einput _encryptedVote, bytes calldata inputProof, address voter) private returns (ebool) {
+        return ebool.wrap(IFHEVMCoprocessor(fhevmCoprocessorAdd).verifyCiphertext(
+            einput.unwrap(_encryptedVote),
+            voter,
+            inputProof,
+            bytes1(Common.ebool_t)
+        ));
+    }
+
+    function _recoverSigner(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        require(signature.length == 65, "Invalid signature length");
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+
+        // Reject malleable signatures (upper half s values)
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature"
+        );
+        require(v == 27 || v == 28, "Invalid signature");
+
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
 }
\ No newline at end of file
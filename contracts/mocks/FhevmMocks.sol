@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// fhevm system contracts for a local Hardhat node. Nothing here is deployed to a
+// public network: scripts/lib/fhevm.js installs them at the addresses TFHE.sol and
+// GatewayCaller.sol are compiled against. MockedPrecompile stands in for the FHE
+// library precompile and computes deterministic handles instead of ciphertexts.
+import "fhevm/lib/ACL.sol";
+import "fhevm/lib/TFHEExecutor.sol";
+import "fhevm/lib/KMSVerifier.sol";
+import "fhevm/lib/MockedPrecompile.sol";
+import "fhevm/gateway/GatewayContract.sol";
@@ -45,6 +45,20 @@ const server = http.createServer((req, res) => {
         pathname = '/index.html';
     }
 
+    // Deployment addresses are read from the registry in the repository root
+    if (pathname === '/deployments/addresses.json') {
+        fs.readFile(path.join(__dirname, '..', '..', '..', '..', 'deployments', 'addresses.json'), (err, data) => {
+            if (err) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'No deployments recorded' }));
+            } else {
+                res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+                res.end(data);
+            }
+        });
+        return;
+    }
+
     const filePath = path.join(__dirname, pathname);
     const ext = path.parse(filePath).ext;
     const mimeType = mimeTypes[ext] || 'text/plain';
@@ -2,8 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import './App.css';
 
-// Contract configuration
-const CONTRACT_ADDRESS = "0x7eA6E43F5131c69536fd97e9Ea267eA14B20061b"; // Privacy Asset Trading Contract
+// Contract configuration - the address comes from the deployment registry's address book
+const DEPLOYMENT_NETWORK = 'sepolia';
+const CONTRACT_NAME = 'PrivacyAssetTrading';
 const CONTRACT_ABI = [
   "function placeOrder(string memory pair, bool isLong, uint32 amount, uint32 price) external returns (uint256)",
   "function quickBuy(string memory pair, uint32 amount) external returns (uint256)",
@@ -19,10 +20,26 @@ const CONTRACT_ABI = [
   "event QuickTradeExecuted(address indexed trader, string pair, bool isLong)"
 ];
 
+// Look up the current contract address in deployments/addresses.json
+const loadContractAddress = async () => {
+  const response = await fetch('/deployments/addresses.json', { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error('Address book not found - deploy the contract or run: node scripts/registry.js address-book');
+  }
+
+  const book = await response.json();
+  const entry = book[DEPLOYMENT_NETWORK]?.contracts?.[CONTRACT_NAME];
+  if (!entry) {
+    throw new Error(`No ${CONTRACT_NAME} deployment recorded for ${DEPLOYMENT_NETWORK}`);
+  }
+  return entry.address;
+};
+
 function App() {
   // State variables
   const [account, setAccount] = useState('');
   const [contract, setContract] = useState(null);
+  const [contractAddress, setContractAddress] = useState('');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('Connect wallet to start private trading on Sepolia!');
   const [selectedPair, setSelectedPair] = useState('BTC/ETH');
@@ -79,9 +96,11 @@ function App() {
 
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
-      const contractInstance = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
+      const address = await loadContractAddress();
+      const contractInstance = new ethers.Contract(address, CONTRACT_ABI, signer);
 
       setAccount(accounts[0]);
+      setContractAddress(address);
       setContract(contractInstance);
       setMessage('Connected to Sepolia! Ready for private trading ✅');
       
@@ -294,6 +313,13 @@ function App() {
     }
   };
 
+  // Resolve the contract address up front so the Etherscan link works before connecting
+  useEffect(() => {
+    loadContractAddress()
+      .then(setContractAddress)
+      .catch((error) => console.error('Contract address lookup failed:', error));
+  }, []);
+
   // Auto-refresh data
   useEffect(() => {
     if (contract && account) {
@@ -327,7 +353,7 @@ function App() {
                 borderRadius: '8px' 
               }}>
                 <p><strong>✅ CONNECTED TO SEPOLIA</strong></p>
-                <p>Contract: <span style={{color: '#00ff00'}}>{CONTRACT_ADDRESS}</span></p>
+                <p>Contract: <span style={{color: '#00ff00'}}>{contractAddress}</span></p>
                 <p>Wallet: <span style={{color: '#00ff00'}}>{account?.slice(0,6)}...{account?.slice(-4)}</span></p>
               </div>
             )}
@@ -492,7 +518,7 @@ function App() {
             )}
             
             <div className="action-buttons">
-              <button className="btn-primary glow-effect" onClick={() => window.open(`https://sepolia.etherscan.io/address/${CONTRACT_ADDRESS}`, '_blank')}>
+              <button className="btn-primary glow-effect" onClick={() => window.open(`https://sepolia.etherscan.io/address/${contractAddress}`, '_blank')}>
                 View Contract on Etherscan
               </button>
               {!account ? (
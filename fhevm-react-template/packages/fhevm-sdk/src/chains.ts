@@ -0,0 +1,88 @@
+/**
+ * Chain presets - known FHEVM network settings by chain ID
+ */
+
+import type { FhevmChainPreset, FhevmConfig } from './types';
+
+/**
+ * Zama FHEVM on Sepolia
+ *
+ * Sepolia runs FHE on a coprocessor, not a precompile, so the public key comes
+ * from the gateway instead of an eth_call through the RPC URL.
+ */
+export const SEPOLIA_PRESET: FhevmChainPreset = {
+  name: 'sepolia',
+  chainId: 11155111,
+  rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+  aclAddress: '0x9479B455904dCccCf8Bc4f7dF8e9A1105cBa2A8e',
+  kmsVerifierAddress: '0x904Af2B61068f686838bD6257E385C2cbC7c4b79',
+  gatewayAddress: '0x7455c89669cdE1f7Cb6D026DFB87263422D821ca',
+  gatewayUrl: 'https://gateway.sepolia.zama.ai/',
+  publicKeySource: { type: 'gateway', url: 'https://gateway.sepolia.zama.ai/' },
+};
+
+/**
+ * Local Hardhat node - no KMS or gateway, so the mock backend is used
+ */
+export const HARDHAT_PRESET: FhevmChainPreset = {
+  name: 'hardhat',
+  chainId: 31337,
+  rpcUrl: 'http://127.0.0.1:8545',
+  backend: 'mock',
+};
+
+const presets = new Map<number, FhevmChainPreset>([
+  [SEPOLIA_PRESET.chainId, SEPOLIA_PRESET],
+  [HARDHAT_PRESET.chainId, HARDHAT_PRESET],
+]);
+
+/**
+ * Add or replace a preset (for custom networks)
+ */
+export function registerChainPreset(preset: FhevmChainPreset): void {
+  presets.set(preset.chainId, preset);
+}
+
+/**
+ * Look up a preset by chain ID or name
+ */
+export function getChainPreset(chain: number | string): FhevmChainPreset | undefined {
+  if (typeof chain === 'number') {
+    return presets.get(chain);
+  }
+  return Array.from(presets.values()).find((preset) => preset.name === chain);
+}
+
+/**
+ * List all registered presets
+ */
+export function getChainPresets(): FhevmChainPreset[] {
+  return Array.from(presets.values());
+}
+
+/**
+ * Fill in settings the config leaves out from the preset for its chain ID
+ */
+export function resolveChainConfig(config: FhevmConfig): FhevmConfig {
+  const preset = presets.get(config.chainId);
+
+  if (!preset) {
+    if (!config.rpcUrl && config.backend !== 'mock') {
+      throw new Error(
+        `No chain preset for chain ${config.chainId}. Pass rpcUrl or register one with registerChainPreset().`
+      );
+    }
+    return config;
+  }
+
+  return {
+    ...config,
+    rpcUrl: config.rpcUrl ?? preset.rpcUrl,
+    aclAddress: config.aclAddress ?? preset.aclAddress,
+    kmsVerifierAddress: config.kmsVerifierAddress ?? preset.kmsVerifierAddress,
+    gatewayAddress: config.gatewayAddress ?? preset.gatewayAddress,
+    gatewayUrl: config.gatewayUrl ?? preset.gatewayUrl,
+    publicKeySource: config.publicKeySource ?? preset.publicKeySource,
+    backend: config.backend ?? preset.backend,
+  };
+}
@@ -2,8 +2,50 @@
  * FHEVM Client - Core client for FHE operations
  */
 
-import { initFhevm, createInstance } from 'fhevmjs';
-import type { FhevmConfig, FhevmInstance } from './types';
+import { toBigInt } from 'ethers';
+import type { Signer } from 'ethers';
+import { resolveChainConfig } from './chains';
+import { loadPublicKey } from './keys';
+import { loadFhevmjs } from './loader';
+import { createMockBackend } from './mock';
+import { PermitCache, getDecryptionPermit, isPermitRejected } from './permit';
+import type { FhevmBackend, FhevmConfig, FhevmInstance } from './types';
+
+/**
+ * Default backend backed by fhevmjs (requires a live gateway and KMS)
+ */
+export const fhevmjsBackend: FhevmBackend = {
+  name: 'fhevmjs',
+  createInstance: async (config: FhevmConfig) => {
+    // Load fhevmjs and its WASM on first use
+    const { createInstance } = await loadFhevmjs();
+
+    // Cached, or fetched once from the configured source
+    const publicKey = await loadPublicKey(config);
+
+    // Create instance with network configuration
+    return await createInstance({
+      chainId: config.chainId,
+      networkUrl: config.rpcUrl,
+      publicKey,
+      gatewayUrl: config.gatewayUrl,
+      aclAddress: config.aclAddress,
+    });
+  },
+};
+
+/**
+ * Resolve the configured backend
+ */
+function resolveBackend(backend: FhevmConfig['backend']): FhevmBackend {
+  if (!backend || backend === 'fhevmjs') {
+    return fhevmjsBackend;
+  }
+  if (backend === 'mock') {
+    return createMockBackend();
+  }
+  return backend;
+}
 
 /**
  * FHEVM Client class
@@ -11,10 +53,14 @@ import type { FhevmConfig, FhevmInstance } from './types';
 export class FhevmClient {
   private instance: any = null;
   private config: FhevmConfig;
+  private backend: FhevmBackend;
+  private permits: PermitCache = new PermitCache();
   private initialized: boolean = false;
 
   constructor(config: FhevmConfig) {
-    this.config = config;
+    // Settings left out come from the chain preset
+    this.config = resolveChainConfig(config);
+    this.backend = resolveBackend(this.config.backend);
   }
 
   /**
@@ -25,17 +71,7 @@ export class FhevmClient {
       return;
     }
 
-    // Initialize fhevmjs library
-    await initFhevm();
-
-    // Create instance with network configuration
-    this.instance = await createInstance({
-      chainId: this.config.chainId,
-      publicKey: this.config.publicKey,
-      gatewayUrl: this.config.gatewayAddress,
-      aclAddress: this.config.aclAddress,
-      kmsVerifierAddress: this.config.kmsVerifierAddress,
-    });
+    this.instance = await this.backend.createInstance(this.config);
 
     this.initialized = true;
   }
@@ -47,13 +83,36 @@ export class FhevmClient {
     if (!this.initialized || !this.instance) {
       throw new Error('FHEVM client not initialized. Call init() first.');
     }
-    return {
+    const instance: FhevmInstance = {
       getInstance: () => this.instance,
       createEncryptedInput: (contractAddress: string, userAddress: string) => {
         return this.instance.createEncryptedInput(contractAddress, userAddress);
       },
-      userDecrypt: async (handle: string, contractAddress: string) => {
-        return await this.instance.decrypt(contractAddress, handle);
+      userDecrypt: async (handle: string | bigint, contractAddress: string, signer: Signer) => {
+        const permit = await getDecryptionPermit(
+          instance,
+          signer,
+          contractAddress,
+          this.permits,
+          this.config.permitTtl
+        );
+
+        try {
+          return await instance.reencrypt(
+            toBigInt(handle),
+            permit.privateKey,
+            permit.publicKey,
+            permit.signature,
+            contractAddress,
+            permit.userAddress
+          );
+        } catch (error) {
+          // A rejected permit must not be reused; after a network error it is still good
+          if (isPermitRejected(error)) {
+            this.permits.delete(permit.userAddress, contractAddress);
+          }
+          throw error;
+        }
       },
       publicDecrypt: async (handle: string) => {
         return await this.instance.publicDecrypt(handle);
@@ -75,7 +134,22 @@ export class FhevmClient {
           userAddress
         );
       },
+      generateKeypair: () => {
+        return this.instance.generateKeypair();
+      },
+      createEIP712: (publicKey: string, contractAddress: string, delegatedAccount?: string) => {
+        return this.instance.createEIP712(publicKey, contractAddress, delegatedAccount);
+      },
     };
+
+    return instance;
+  }
+
+  /**
+   * Forget all cached decryption permits (e.g. on account change)
+   */
+  clearPermits(): void {
+    this.permits.clear();
   }
 
   /**
@@ -85,6 +159,13 @@ export class FhevmClient {
     return this.initialized;
   }
 
+  /**
+   * Get the name of the active backend
+   */
+  getBackendName(): string {
+    return this.backend.name;
+  }
+
   /**
    * Get configuration
    */
@@ -101,3 +182,61 @@ export async function createFhevmClient(config: FhevmConfig): Promise<FhevmClien
   await client.init();
   return client;
 }
+
+const clients = new Map<string, Promise<FhevmClient>>();
+const backendIds = new WeakMap<FhevmBackend, number>();
+let nextBackendId = 1;
+
+/**
+ * Cache key for a config: the chain and FHE settings, not object identity
+ */
+export function getConfigKey(config: FhevmConfig): string {
+  const { backend = 'fhevmjs' } = config;
+
+  // Custom backends may carry their own state (e.g. a mock key store)
+  if (typeof backend !== 'string' && !backendIds.has(backend)) {
+    backendIds.set(backend, nextBackendId++);
+  }
+
+  return JSON.stringify([
+    config.chainId,
+    config.rpcUrl ?? null,
+    config.aclAddress ?? null,
+    config.kmsVerifierAddress ?? null,
+    config.gatewayAddress ?? null,
+    config.gatewayUrl ?? null,
+    config.publicKey ?? null,
+    config.publicKeySource ?? null,
+    config.publicKeyHash ?? null,
+    config.permitTtl ?? null,
+    typeof backend === 'string' ? backend : backendIds.get(backend),
+  ]);
+}
+
+/**
+ * Get a shared, initialized client for a chain config
+ *
+ * Configs with the same settings share one client, so re-renders and
+ * multiple providers do not re-initialize FHEVM or re-download WASM.
+ */
+export function getFhevmClient(config: FhevmConfig): Promise<FhevmClient> {
+  const key = getConfigKey(config);
+  let client = clients.get(key);
+
+  if (!client) {
+    client = createFhevmClient(config).catch((error) => {
+      clients.delete(key);
+      throw error;
+    });
+    clients.set(key, client);
+  }
+
+  return client;
+}
+
+/**
+ * Drop all shared clients (e.g. in tests or after a network reset)
+ */
+export function clearFhevmClientCache(): void {
+  clients.clear();
+}
@@ -0,0 +1,179 @@
+import { Contract, Wallet, concat, hexlify, keccak256 } from 'ethers';
+import { createFhevmContract } from './contract';
+import { MockKeyStore, createMockInstance } from './mock';
+import type { FhevmInstance } from './types';
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+
+const ABI = [
+  'function castVote(uint256 _resolutionId, einput _encryptedVote, bytes inputProof) external',
+  'function placeBid(einput amount, bytes proof, string memo, einput limit) external',
+  'function setName(string name) external',
+  {
+    type: 'function',
+    name: 'transfer',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'to', type: 'address', internalType: 'address' },
+      { name: 'encryptedAmount', type: 'bytes32', internalType: 'einput' },
+      { name: 'inputProof', type: 'bytes', internalType: 'bytes' },
+    ],
+    outputs: [],
+  },
+];
+
+/**
+ * Contract wrapper whose calls are captured instead of sent
+ */
+function setup(abi: any[] = ABI) {
+  const keyStore = new MockKeyStore();
+  const instance = createMockInstance({ chainId: 31337 }, keyStore) as unknown as FhevmInstance;
+  const signer = Wallet.createRandom();
+  const calls: Array<{ signature: string; args: any[] }> = [];
+
+  jest.spyOn(Contract.prototype, 'getFunction').mockImplementation(function (signature: any) {
+    return (async (...args: any[]) => {
+      calls.push({ signature, args });
+      return { hash: '0x' };
+    }) as any;
+  });
+
+  const contract = createFhevmContract(abi, ADDRESS, signer, instance);
+  return { contract, keyStore, calls };
+}
+
+const encrypted = (type: any, value: any) => ({ encrypted: true as const, type, value });
+
+describe('createFhevmContract', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('places the handle and the proof where castVote declares them', async () => {
+    const { contract, keyStore, calls } = setup();
+
+    await contract.castVote(7, encrypted('bool', true));
+
+    expect(calls).toHaveLength(1);
+    const [{ signature, args }] = calls;
+    expect(signature).toBe('castVote(uint256,bytes32,bytes)');
+    expect(args[0]).toBe(7);
+    expect(args[1]).toBeInstanceOf(Uint8Array);
+    expect(keyStore.get(args[1])).toEqual({ value: 1n, type: 'bool' });
+    // Mock proofs start with the handle count and type, and the handle is derived from the proof
+    expect(args[2].slice(0, 6)).toBe('0x0100');
+    expect(hexlify(args[1].slice(0, 29))).toBe(keccak256(concat([keccak256(args[2]), '0x00'])).slice(0, 60));
+  });
+
+  it('handles a proof between handles and plain arguments after it', async () => {
+    const { contract, keyStore, calls } = setup();
+
+    await contract.placeBid(encrypted('uint64', 500n), 'memo', encrypted('uint32', 9));
+
+    const [{ args }] = calls;
+    expect(args).toHaveLength(4);
+    expect(keyStore.get(args[0])).toEqual({ value: 500n, type: 'uint64' });
+    expect(typeof args[1]).toBe('string');
+    expect(args[1].slice(0, 4)).toBe('0x02');
+    expect(args[2]).toBe('memo');
+    expect(keyStore.get(args[3])).toEqual({ value: 9n, type: 'uint32' });
+    // Both handles come from one input, so they share the proof
+    expect(args[0][29]).toBe(0);
+    expect(args[3][29]).toBe(1);
+  });
+
+  it('reads einput positions from JSON ABI internal types', async () => {
+    const { contract, keyStore, calls } = setup();
+    const to = Wallet.createRandom().address;
+
+    await contract.transfer(to, encrypted('uint64', 42));
+
+    const [{ signature, args }] = calls;
+    expect(signature).toBe('transfer(address,bytes32,bytes)');
+    expect(args[0]).toBe(to);
+    expect(keyStore.get(args[1])).toEqual({ value: 42n, type: 'uint64' });
+  });
+
+  it('passes a trailing overrides object through', async () => {
+    const { contract, calls } = setup();
+
+    await contract.castVote(1, encrypted('bool', false), { gasLimit: 500000 });
+
+    expect(calls[0].args).toHaveLength(4);
+    expect(calls[0].args[3]).toEqual({ gasLimit: 500000 });
+  });
+
+  it('rejects plaintext in an einput slot and encrypted values elsewhere', async () => {
+    const { contract, calls } = setup();
+
+    await expect(contract.castVote(1, true)).rejects.toThrow('Argument _encryptedVote of castVote must be an encrypted value');
+    await expect(contract.castVote(encrypted('uint32', 1), encrypted('bool', true))).rejects.toThrow(
+      'Argument _resolutionId of castVote cannot be encrypted'
+    );
+    expect(calls).toHaveLength(0);
+  });
+
+  it('rejects calls with the wrong number of arguments', async () => {
+    const { contract } = setup();
+
+    await expect(contract.castVote(1)).rejects.toThrow('No overload of castVote accepts 1 arguments');
+  });
+
+  describe('overloads', () => {
+    const OVERLOADED_ABI = [
+      'function bid(einput amount, bytes proof) external',
+      'function bid(einput amount, bytes proof, uint256 round) external',
+      'function vote(uint256 id, einput choice, bytes proof) external',
+      'function vote(einput choice, uint256 id, bytes proof) external',
+    ];
+
+    it('tells a trailing overrides object from a plain argument', async () => {
+      const { contract, calls } = setup(OVERLOADED_ABI);
+
+      await contract.bid(encrypted('uint64', 1), 3);
+      await contract.bid(encrypted('uint64', 1));
+
+      expect(calls.map(({ signature }) => signature)).toEqual(['bid(bytes32,bytes,uint256)', 'bid(bytes32,bytes)']);
+      expect(calls[0].args[2]).toBe(3);
+    });
+
+    it('picks the overload whose einput slots hold the encrypted values', async () => {
+      const { contract, calls } = setup(OVERLOADED_ABI);
+
+      await contract.vote(encrypted('bool', true), 2);
+      await contract.vote(2, encrypted('bool', true), { gasLimit: 100000 });
+
+      expect(calls.map(({ signature }) => signature)).toEqual([
+        'vote(bytes32,uint256,bytes)',
+        'vote(uint256,bytes32,bytes)',
+      ]);
+      expect(calls[1].args[3]).toEqual({ gasLimit: 100000 });
+    });
+
+    it('refuses a call that fits several overloads, unless called by signature', async () => {
+      const { contract, calls } = setup(OVERLOADED_ABI);
+
+      await expect(contract.bid(encrypted('uint64', 1), { gasLimit: 100000 })).rejects.toThrow(
+        'Call to bid with 2 arguments is ambiguous: bid(bytes32,bytes), bid(bytes32,bytes,uint256)'
+      );
+      expect(calls).toHaveLength(0);
+
+      await contract['bid(bytes32,bytes)'](encrypted('uint64', 1), { gasLimit: 100000 });
+      expect(calls[0].signature).toBe('bid(bytes32,bytes)');
+      expect(calls[0].args[2]).toEqual({ gasLimit: 100000 });
+    });
+  });
+
+  it('refuses an ABI whose einput method has no proof parameter', () => {
+    expect(() => setup(['function broken(einput value) external'])).toThrow(
+      'Method broken has einput parameters but no bytes inputProof parameter'
+    );
+  });
+
+  it('leaves methods without einput parameters to ethers', () => {
+    const { contract } = setup();
+
+    expect(contract.setName).toBeDefined();
+    expect(contract.interface.getFunction('castVote')!.inputs[1].type).toBe('bytes32');
+  });
+});
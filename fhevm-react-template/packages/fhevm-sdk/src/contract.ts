@@ -2,10 +2,28 @@
  * Contract interaction utilities
  */
 
-import { Contract, ContractFactory } from 'ethers';
-import type { ContractConfig, DeploymentResult } from './types';
+import { Contract, ContractFactory, Fragment, FunctionFragment } from 'ethers';
+import { addEncryptedValue } from './encryption';
+import type {
+  ContractConfig,
+  DeploymentResult,
+  EncryptedArg,
+  FhevmContract,
+  FhevmInstance,
+} from './types';
 import type { Signer } from 'ethers';
 
+/**
+ * Function with encrypted (einput) parameters
+ */
+interface EncryptedMethod {
+  fragment: FunctionFragment;
+  /** Positions of einput parameters */
+  handleIndexes: number[];
+  /** Position of the bytes inputProof parameter */
+  proofIndex: number;
+}
+
 /**
  * Create a contract instance
  */
@@ -50,6 +68,7 @@ export async function deployContract(
 
 /**
  * Call a contract method with encrypted inputs
+ * Handles and proof are appended after args; use createFhevmContract when they sit elsewhere.
  */
 export async function callContractMethod(
   contract: Contract,
@@ -78,3 +97,221 @@ export async function getContractEvents(
   const filter = contract.filters[eventName]();
   return await contract.queryFilter(filter, fromBlock, toBlock);
 }
+
+/**
+ * Split the top-level parameter list of a human-readable signature
+ */
+function splitParams(signature: string): string[] {
+  const params: string[] = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = signature.indexOf('(') + 1; i < signature.length; i++) {
+    const ch = signature[i];
+    if (ch === ')' && depth === 0) {
+      break;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      params.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+
+  if (current.trim()) {
+    params.push(current.trim());
+  }
+  return params;
+}
+
+/**
+ * Normalize one ABI entry, returning the ethers fragment and its einput positions
+ */
+function parseAbiEntry(entry: any): { fragment: Fragment; einputs: boolean[] } {
+  if (typeof entry === 'string') {
+    const einputs = entry.trim().startsWith('function')
+      ? splitParams(entry).map((param) => param.split(/\s+/)[0] === 'einput')
+      : [];
+    return { fragment: Fragment.from(entry.replace(/\beinput\b/g, 'bytes32')), einputs };
+  }
+
+  const inputs: any[] = entry.inputs || [];
+  const einputs = inputs.map((input) => input.internalType === 'einput' || input.type === 'einput');
+  const normalized = {
+    ...entry,
+    inputs: inputs.map((input) => (input.type === 'einput' ? { ...input, type: 'bytes32' } : input)),
+  };
+  return { fragment: Fragment.from(normalized), einputs };
+}
+
+/**
+ * Find the bytes parameter carrying the input proof
+ */
+function findProofIndex(fragment: FunctionFragment, handleIndexes: number[]): number {
+  const named = fragment.inputs.findIndex((input) => input.type === 'bytes' && /proof/i.test(input.name));
+  if (named !== -1) {
+    return named;
+  }
+
+  const lastHandle = Math.max(...handleIndexes);
+  return fragment.inputs.findIndex((input, index) => input.type === 'bytes' && index > lastHandle);
+}
+
+function isEncryptedArg(value: any): value is EncryptedArg {
+  return typeof value === 'object' && value !== null && value.encrypted === true;
+}
+
+/**
+ * Whether a trailing argument is a transaction overrides object ({ gasLimit, value, ... })
+ */
+function isOverrides(value: any): boolean {
+  if (typeof value !== 'object' || value === null || isEncryptedArg(value)) {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Whether the encrypted arguments of a call sit exactly in the einput slots of a method
+ */
+function matchesEncryptedSlots({ fragment, handleIndexes, proofIndex }: EncryptedMethod, args: any[]): boolean {
+  let argIndex = 0;
+  return fragment.inputs.every((_, index) => {
+    if (index === proofIndex) {
+      return true;
+    }
+    return handleIndexes.includes(index) === isEncryptedArg(args[argIndex++]);
+  });
+}
+
+/**
+ * Pick the overload a call is meant for
+ *
+ * Callers omit the proof argument, and may append a plain overrides object.
+ * Overloads with a matching argument count are narrowed down by where the
+ * encrypted values are; a call that still fits several of them is refused
+ * rather than sent to an arbitrary one.
+ */
+function selectOverload(name: string, overloads: EncryptedMethod[], args: any[]) {
+  const candidates = overloads.flatMap((method) => {
+    const expected = method.fragment.inputs.length - 1;
+    if (args.length === expected) {
+      return [{ method, callArgs: args, overrides: [] as any[] }];
+    }
+    if (args.length === expected + 1 && isOverrides(args[expected])) {
+      return [{ method, callArgs: args.slice(0, expected), overrides: [args[expected]] }];
+    }
+    return [];
+  });
+
+  if (candidates.length === 0) {
+    throw new Error(`No overload of ${name} accepts ${args.length} arguments`);
+  }
+  // A single candidate is kept even if its slots differ, so the argument at fault is reported
+  if (candidates.length === 1) {
+    return candidates[0];
+  }
+
+  const matching = candidates.filter(({ method, callArgs }) => matchesEncryptedSlots(method, callArgs));
+  if (matching.length !== 1) {
+    const signatures = (matching.length ? matching : candidates).map(({ method }) => method.fragment.format());
+    throw new Error(
+      `Call to ${name} with ${args.length} arguments ${matching.length ? 'is ambiguous' : 'matches no overload'}: ` +
+      `${signatures.join(', ')}. Use the full signature, e.g. contract['${signatures[0]}'](...), to choose one.`
+    );
+  }
+  return matching[0];
+}
+
+/**
+ * Create a contract whose einput methods take plaintext EncryptedArg values
+ *
+ * All encrypted arguments of a call are encrypted together, and the handles
+ * and the shared input proof are placed at the positions the ABI declares:
+ *
+ *   await contract.castVote(id, { encrypted: true, type: 'bool', value: true });
+ */
+export function createFhevmContract(
+  abi: any[],
+  address: string,
+  signer: Signer,
+  instance: FhevmInstance
+): FhevmContract {
+  const fragments: Fragment[] = [];
+  const methods = new Map<string, EncryptedMethod[]>();
+
+  for (const entry of abi) {
+    const { fragment, einputs } = parseAbiEntry(entry);
+    fragments.push(fragment);
+
+    if (!FunctionFragment.isFragment(fragment) || !einputs.includes(true)) {
+      continue;
+    }
+
+    const handleIndexes = einputs.flatMap((isHandle, index) => (isHandle ? [index] : []));
+    const proofIndex = findProofIndex(fragment, handleIndexes);
+
+    if (proofIndex === -1) {
+      throw new Error(`Method ${fragment.name} has einput parameters but no bytes inputProof parameter`);
+    }
+
+    // Reachable by name, and by full signature to pick one overload
+    const method = { fragment, handleIndexes, proofIndex };
+    methods.set(fragment.name, [...(methods.get(fragment.name) || []), method]);
+    methods.set(fragment.format(), [method]);
+  }
+
+  const contract = new Contract(address, fragments, signer);
+
+  const callEncrypted = async (name: string, args: any[]) => {
+    const { method, callArgs, overrides } = selectOverload(name, methods.get(name)!, args);
+    const { fragment, handleIndexes, proofIndex } = method;
+    const input = instance.createEncryptedInput(address, await signer.getAddress());
+    const finalArgs: any[] = new Array(fragment.inputs.length);
+
+    let argIndex = 0;
+    fragment.inputs.forEach((param, index) => {
+      if (index === proofIndex) {
+        return;
+      }
+
+      const arg = callArgs[argIndex++];
+      const isHandle = handleIndexes.includes(index);
+
+      if (isHandle !== isEncryptedArg(arg)) {
+        throw new Error(
+          isHandle
+            ? `Argument ${param.name || index} of ${name} must be an encrypted value`
+            : `Argument ${param.name || index} of ${name} cannot be encrypted`
+        );
+      }
+
+      if (isHandle) {
+        addEncryptedValue(input, arg.value, arg.type);
+      } else {
+        finalArgs[index] = arg;
+      }
+    });
+
+    const { handles, inputProof } = input.encrypt();
+    handleIndexes.forEach((position, k) => {
+      finalArgs[position] = handles[k];
+    });
+    finalArgs[proofIndex] = inputProof;
+
+    return await contract.getFunction(fragment.format())(...finalArgs, ...overrides);
+  };
+
+  return new Proxy(contract, {
+    get(target, prop) {
+      if (typeof prop === 'string' && methods.has(prop)) {
+        return (...args: any[]) => callEncrypted(prop, args);
+      }
+      return Reflect.get(target, prop);
+    },
+  }) as FhevmContract;
+}
@@ -0,0 +1,94 @@
+/**
+ * Framework-independent part of the SDK, shared by all entry points
+ */
+
+export {
+  FhevmClient,
+  createFhevmClient,
+  getFhevmClient,
+  clearFhevmClientCache,
+  getConfigKey,
+  fhevmjsBackend,
+} from './client';
+export { loadFhevmjs, setFhevmjsLoader } from './loader';
+export {
+  SEPOLIA_PRESET,
+  HARDHAT_PRESET,
+  registerChainPreset,
+  getChainPreset,
+  getChainPresets,
+  resolveChainConfig,
+} from './chains';
+export {
+  loadPublicKey,
+  fetchPublicKey,
+  hashPublicKey,
+  createMemoryKeyCache,
+  createIndexedDbKeyCache,
+  setDefaultKeyCache,
+} from './keys';
+export { MockKeyStore, createMockBackend, createMockInstance, normalizeHandle } from './mock';
+export {
+  CORPORATE_GOVERNANCE_ABI,
+  trackDecryption,
+  loadResolution,
+  loadResolutions,
+  deriveResolution,
+} from './governance';
+export { PermitCache, createDecryptionPermit, getDecryptionPermit, isPermitRejected, DEFAULT_PERMIT_TTL } from './permit';
+export {
+  encryptInput,
+  encryptMultiple,
+  encryptBatch,
+  decryptValue,
+  createEncryptedInput,
+  addEncryptedValue,
+  validateEncryptedValue,
+} from './encryption';
+export { createContractInstance, deployContract, callContractMethod, createFhevmContract } from './contract';
+export { WalletManager, SEPOLIA_CHAIN, HARDHAT_CHAIN } from './wallet';
+export {
+  sendTransaction,
+  normalizeTransactionError,
+  decodeRevertReason,
+  TransactionError,
+  REVERT_REASONS,
+  TRANSACTION_ERROR_MESSAGES,
+} from './transaction';
+export type { MockCiphertext } from './mock';
+export type { FhevmjsModule } from './loader';
+export type {
+  FhevmConfig,
+  FhevmBackend,
+  EncryptedType,
+  FhevmInstance,
+  EncryptedInput,
+  EncryptionSchema,
+  EncryptionValues,
+  BatchEncryptedInput,
+  DecryptOptions,
+  DecryptionPermit,
+  EIP712,
+  ContractConfig,
+  DeploymentResult,
+  EncryptedArg,
+  FhevmContract,
+  DecryptionState,
+  DecryptionTracker,
+  TrackDecryptionOptions,
+  Resolution,
+  ResolutionData,
+  UseResolutionsOptions,
+  ChainConfig,
+  Eip1193Provider,
+  WalletManagerOptions,
+  WalletState,
+  UseWalletOptions,
+  TransactionErrorCode,
+  TransactionStatus,
+  SendTransactionOptions,
+  PublicKeySource,
+  FhevmChainPreset,
+  CachedPublicKey,
+  PublicKeyCache,
+} from './types';
@@ -0,0 +1,119 @@
+import { Wallet } from 'ethers';
+import { encryptBatch, encryptMultiple, validateEncryptedValue } from './encryption';
+import { MockKeyStore, createMockInstance } from './mock';
+import type { FhevmInstance } from './types';
+
+const CONTRACT = '0x1111111111111111111111111111111111111111';
+const USER = '0x2222222222222222222222222222222222222222';
+
+function createInstance() {
+  const instance = createMockInstance({ chainId: 31337 }) as unknown as FhevmInstance;
+  const createEncryptedInput = jest.spyOn(instance, 'createEncryptedInput');
+  return { instance, createEncryptedInput };
+}
+
+describe('validateEncryptedValue', () => {
+  it('accepts the bounds of each integer type', () => {
+    expect(validateEncryptedValue(0, 'uint8')).toBe(0n);
+    expect(validateEncryptedValue(255, 'uint8')).toBe(255n);
+    expect(validateEncryptedValue('65535', 'uint16')).toBe(65535n);
+    expect(validateEncryptedValue(2n ** 32n - 1n, 'uint32')).toBe(2n ** 32n - 1n);
+    expect(validateEncryptedValue(2n ** 128n - 1n, 'uint128')).toBe(2n ** 128n - 1n);
+  });
+
+  it('rejects values outside the range of the type', () => {
+    expect(() => validateEncryptedValue(256, 'uint8')).toThrow('256 is out of range for uint8 (0 to 255)');
+    expect(() => validateEncryptedValue(-1, 'uint32')).toThrow('-1 is out of range for uint32');
+    expect(() => validateEncryptedValue(2n ** 64n, 'uint64')).toThrow('out of range for uint64');
+  });
+
+  it('rejects values that are not integers', () => {
+    expect(() => validateEncryptedValue(1.5, 'uint32')).toThrow('expected an integer for uint32, got 1.5');
+    expect(() => validateEncryptedValue('ten', 'uint32')).toThrow('expected an integer for uint32');
+    expect(() => validateEncryptedValue(true, 'uint8')).toThrow('expected an integer for uint8');
+  });
+
+  it('normalizes booleans and addresses', () => {
+    expect(validateEncryptedValue(1, 'bool')).toBe(true);
+    expect(validateEncryptedValue('false', 'bool')).toBe(false);
+    expect(() => validateEncryptedValue(2, 'bool')).toThrow('expected a boolean for bool');
+    expect(validateEncryptedValue(USER.toLowerCase(), 'address')).toBe(USER);
+    expect(() => validateEncryptedValue('0x1234', 'address')).toThrow('expected an address');
+  });
+
+  it('names the offending value in the message', () => {
+    expect(() => validateEncryptedValue(300, 'uint8', '"weight"')).toThrow('Invalid "weight": 300');
+  });
+});
+
+describe('encryptMultiple', () => {
+  it('checks every value before encrypting any', async () => {
+    const { instance, createEncryptedInput } = createInstance();
+
+    await expect(
+      encryptMultiple(instance, CONTRACT, USER, [
+        { value: 1, type: 'uint8' },
+        { value: 1000, type: 'uint8' },
+      ])
+    ).rejects.toThrow('Invalid values[1]: 1000 is out of range for uint8');
+    expect(createEncryptedInput).not.toHaveBeenCalled();
+  });
+});
+
+describe('encryptBatch', () => {
+  const schema = { yes: 'bool', weight: 'uint32', delegate: 'address' } as const;
+
+  it('returns the handles by name with one shared proof', async () => {
+    const { instance } = createInstance();
+    const delegate = Wallet.createRandom().address;
+
+    const { handles, inputProof } = await encryptBatch(instance, CONTRACT, USER, schema, {
+      yes: true,
+      weight: 3,
+      delegate,
+    });
+
+    expect(Object.keys(handles)).toEqual(['yes', 'weight', 'delegate']);
+    expect([handles.yes[29], handles.weight[29], handles.delegate[29]]).toEqual([0, 1, 2]);
+    expect(inputProof.slice(0, 4)).toBe('0x03');
+  });
+
+  it('encrypts each value under its own handle with the declared type', async () => {
+    const keyStore = new MockKeyStore();
+    const instance = createMockInstance({ chainId: 31337 }, keyStore) as unknown as FhevmInstance;
+    const delegate = Wallet.createRandom().address;
+
+    const { handles } = await encryptBatch(
+      instance,
+      CONTRACT,
+      USER,
+      { weight: 'uint64', yes: 'bool', delegate: 'address' },
+      { weight: 2n ** 64n - 1n, yes: false, delegate }
+    );
+
+    expect(keyStore.get(handles.weight)).toEqual({ value: 2n ** 64n - 1n, type: 'uint64' });
+    expect(keyStore.get(handles.yes)).toEqual({ value: 0n, type: 'bool' });
+    expect(keyStore.get(handles.delegate)).toEqual({ value: BigInt(delegate), type: 'address' });
+  });
+
+  it('rejects out-of-range values before encrypting', async () => {
+    const { instance, createEncryptedInput } = createInstance();
+
+    await expect(
+      encryptBatch(instance, CONTRACT, USER, schema, { yes: true, weight: 2 ** 32, delegate: USER })
+    ).rejects.toThrow('Invalid "weight": 4294967296 is out of range for uint32');
+    expect(createEncryptedInput).not.toHaveBeenCalled();
+  });
+
+  it('rejects missing, undeclared and empty inputs', async () => {
+    const { instance } = createInstance();
+
+    await expect(
+      encryptBatch(instance, CONTRACT, USER, schema, { yes: true, weight: 1 } as any)
+    ).rejects.toThrow('Missing value for "delegate" (address)');
+    await expect(
+      encryptBatch(instance, CONTRACT, USER, { yes: 'bool' }, { yes: true, extra: 1 } as any)
+    ).rejects.toThrow('Value "extra" is not declared in the encryption schema');
+    await expect(encryptBatch(instance, CONTRACT, USER, {}, {})).rejects.toThrow('Encryption schema is empty');
+  });
+});
@@ -2,7 +2,17 @@
  * Encryption utilities for FHEVM
  */
 
-import type { FhevmInstance, EncryptedInput, EncryptedInputBuilder, DecryptOptions } from './types';
+import { getAddress, isAddress } from 'ethers';
+import type {
+  BatchEncryptedInput,
+  EncryptionSchema,
+  EncryptionValues,
+  FhevmInstance,
+  EncryptedInput,
+  EncryptedInputBuilder,
+  EncryptedType,
+  DecryptOptions,
+} from './types';
 
 /**
  * Create an encrypted input builder
@@ -16,42 +26,111 @@ export function createEncryptedInput(
 }
 
 /**
- * Encrypt a single value
+ * Bit width of each encryptable integer type
  */
-export async function encryptInput(
-  instance: FhevmInstance,
-  contractAddress: string,
-  userAddress: string,
+const UINT_BITS: Partial<Record<EncryptedType, number>> = {
+  uint8: 8,
+  uint16: 16,
+  uint32: 32,
+  uint64: 64,
+  uint128: 128,
+};
+
+/**
+ * Validate a plaintext against its type and return the normalized value
+ */
+export function validateEncryptedValue(
   value: number | bigint | boolean | string,
-  type: 'uint8' | 'uint16' | 'uint32' | 'uint64' | 'uint128' | 'bool' | 'address' = 'uint32'
-): Promise<EncryptedInput> {
-  const input = instance.createEncryptedInput(contractAddress, userAddress);
+  type: EncryptedType,
+  label: string = 'value'
+): bigint | boolean | string {
+  if (type === 'bool') {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    if (value === 0 || value === 1 || value === 0n || value === 1n) {
+      return value === 1 || value === 1n;
+    }
+    if (value === 'true' || value === 'false') {
+      return value === 'true';
+    }
+    throw new Error(`Invalid ${label}: expected a boolean for bool, got ${String(value)}`);
+  }
+
+  if (type === 'address') {
+    if (typeof value !== 'string' || !isAddress(value)) {
+      throw new Error(`Invalid ${label}: expected an address, got ${String(value)}`);
+    }
+    return getAddress(value);
+  }
+
+  const bits = UINT_BITS[type];
+  if (bits === undefined) {
+    throw new Error(`Unsupported encryption type for ${label}: ${type}`);
+  }
+
+  let plaintext: bigint;
+  try {
+    if (typeof value === 'boolean' || (typeof value === 'number' && !Number.isInteger(value))) {
+      throw new Error();
+    }
+    plaintext = BigInt(value);
+  } catch {
+    throw new Error(`Invalid ${label}: expected an integer for ${type}, got ${String(value)}`);
+  }
+
+  const max = (1n << BigInt(bits)) - 1n;
+  if (plaintext < 0n || plaintext > max) {
+    throw new Error(`Invalid ${label}: ${plaintext} is out of range for ${type} (0 to ${max})`);
+  }
+
+  return plaintext;
+}
+
+/**
+ * Add a typed plaintext to an encrypted input builder
+ */
+export function addEncryptedValue(
+  input: EncryptedInputBuilder,
+  value: number | bigint | boolean | string,
+  type: EncryptedType,
+  label?: string
+): EncryptedInputBuilder {
+  const plaintext = validateEncryptedValue(value, type, label);
 
   switch (type) {
     case 'uint8':
-      input.add8(Number(value));
-      break;
+      return input.add8(Number(plaintext));
     case 'uint16':
-      input.add16(Number(value));
-      break;
+      return input.add16(Number(plaintext));
     case 'uint32':
-      input.add32(Number(value));
-      break;
+      return input.add32(Number(plaintext));
     case 'uint64':
-      input.add64(BigInt(value));
-      break;
+      return input.add64(plaintext as bigint);
     case 'uint128':
-      input.add128(BigInt(value));
-      break;
+      return input.add128(plaintext as bigint);
     case 'bool':
-      input.addBool(Boolean(value));
-      break;
+      return input.addBool(plaintext as boolean);
     case 'address':
-      input.addAddress(String(value));
-      break;
+      return input.addAddress(plaintext as string);
     default:
       throw new Error(`Unsupported encryption type: ${type}`);
   }
+}
+
+/**
+ * Encrypt a single value
+ */
+export async function encryptInput(
+  instance: FhevmInstance,
+  contractAddress: string,
+  userAddress: string,
+  value: number | bigint | boolean | string,
+  type: EncryptedType = 'uint32'
+): Promise<EncryptedInput> {
+  const input = instance.createEncryptedInput(contractAddress, userAddress);
+
+  addEncryptedValue(input, value, type);
 
   return input.encrypt();
 }
@@ -64,7 +143,7 @@ export async function decryptValue(
   handle: string,
   options: DecryptOptions
 ): Promise<bigint> {
-  const { contractAddress, isPublic = false, signer } = options;
+  const { contractAddress, userAddress, isPublic = false, signer } = options;
 
   if (isPublic) {
     // Public decryption (no signature required)
@@ -75,8 +154,12 @@ export async function decryptValue(
     throw new Error('Signer is required for user decryption');
   }
 
-  // User decryption with EIP-712 signature
-  return await instance.userDecrypt(handle, contractAddress);
+  if (userAddress && userAddress.toLowerCase() !== (await signer.getAddress()).toLowerCase()) {
+    throw new Error('Signer address does not match userAddress');
+  }
+
+  // User decryption: keypair + EIP-712 permit (cached per user and contract), then reencrypt
+  return await instance.userDecrypt(handle, contractAddress, signer);
 }
 
 /**
@@ -88,36 +171,62 @@ export async function encryptMultiple(
   userAddress: string,
   values: Array<{
     value: number | bigint | boolean | string;
-    type: 'uint8' | 'uint16' | 'uint32' | 'uint64' | 'uint128' | 'bool' | 'address';
+    type: EncryptedType;
   }>
 ): Promise<EncryptedInput> {
+  // Validate everything before handing anything to fhevmjs
+  values.forEach(({ value, type }, index) => validateEncryptedValue(value, type, `values[${index}]`));
+
   const input = instance.createEncryptedInput(contractAddress, userAddress);
 
-  for (const { value, type } of values) {
-    switch (type) {
-      case 'uint8':
-        input.add8(Number(value));
-        break;
-      case 'uint16':
-        input.add16(Number(value));
-        break;
-      case 'uint32':
-        input.add32(Number(value));
-        break;
-      case 'uint64':
-        input.add64(BigInt(value));
-        break;
-      case 'uint128':
-        input.add128(BigInt(value));
-        break;
-      case 'bool':
-        input.addBool(Boolean(value));
-        break;
-      case 'address':
-        input.addAddress(String(value));
-        break;
+  values.forEach(({ value, type }, index) => addEncryptedValue(input, value, type, `values[${index}]`));
+
+  return input.encrypt();
+}
+
+/**
+ * Encrypt named values described by a schema into one input with a shared proof
+ *
+ *   const { handles, inputProof } = await encryptBatch(instance, contract, user,
+ *     { yes: 'bool', weight: 'uint32', delegate: 'address' },
+ *     { yes: true, weight: 3, delegate: '0x...' });
+ */
+export async function encryptBatch<S extends EncryptionSchema>(
+  instance: FhevmInstance,
+  contractAddress: string,
+  userAddress: string,
+  schema: S,
+  values: EncryptionValues<S>
+): Promise<BatchEncryptedInput<S>> {
+  const names = Object.keys(schema) as Array<keyof S & string>;
+
+  if (names.length === 0) {
+    throw new Error('Encryption schema is empty');
+  }
+
+  for (const name of Object.keys(values)) {
+    if (!(name in schema)) {
+      throw new Error(`Value "${name}" is not declared in the encryption schema`);
     }
   }
 
-  return input.encrypt();
+  for (const name of names) {
+    if (values[name] === undefined || values[name] === null) {
+      throw new Error(`Missing value for "${name}" (${schema[name]})`);
+    }
+    validateEncryptedValue(values[name], schema[name], `"${name}"`);
+  }
+
+  const input = instance.createEncryptedInput(contractAddress, userAddress);
+  for (const name of names) {
+    addEncryptedValue(input, values[name], schema[name], `"${name}"`);
+  }
+
+  const encrypted = input.encrypt();
+  const handles = {} as Record<keyof S, Uint8Array>;
+  names.forEach((name, index) => {
+    handles[name] = encrypted.handles[index];
+  });
+
+  return { handles, inputProof: encrypted.inputProof };
 }
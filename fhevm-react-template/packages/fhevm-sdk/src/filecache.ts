@@ -0,0 +1,39 @@
+/**
+ * Node.js public key cache backed by a directory of JSON files
+ */
+
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { homedir } from 'os';
+import { join } from 'path';
+import type { CachedPublicKey, PublicKeyCache } from './types';
+
+/**
+ * Default cache directory: $FHEVM_CACHE_DIR, else ~/.cache/fhevm-sdk
+ */
+export function getDefaultCacheDir(): string {
+  return process.env.FHEVM_CACHE_DIR || join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'fhevm-sdk');
+}
+
+/**
+ * Cache public keys as <dir>/public-key-<chain>-<acl>.json
+ */
+export function createFileKeyCache(dir: string = getDefaultCacheDir()): PublicKeyCache {
+  const file = (key: string) => join(dir, `public-key-${key.replace(/[^a-zA-Z0-9]+/g, '-')}.json`);
+
+  return {
+    get: async (key) => {
+      try {
+        return JSON.parse(await readFile(file(key), 'utf8')) as CachedPublicKey;
+      } catch {
+        return null;
+      }
+    },
+    set: async (key, entry) => {
+      await mkdir(dir, { recursive: true });
+      await writeFile(file(key), JSON.stringify(entry));
+    },
+    delete: async (key) => {
+      await rm(file(key), { force: true });
+    },
+  };
+}
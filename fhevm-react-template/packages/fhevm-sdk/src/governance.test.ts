@@ -0,0 +1,202 @@
+import type { Contract } from 'ethers';
+import { trackDecryption } from './governance';
+import type { DecryptionState } from './types';
+
+type Listener = (...args: any[]) => void;
+
+/**
+ * Stand-in for the CorporateGovernance contract: events are emitted by hand,
+ * past logs and getResolutionStatus answers are set per test
+ */
+function createGovernance(options: { logs?: Record<string, any[]>; timeUntilTimeout?: bigint; resolved?: boolean } = {}) {
+  const listeners = new Map<string, Listener>();
+  const status = { timeUntilTimeout: options.timeUntilTimeout ?? 600n, resolved: options.resolved ?? false };
+  const logs = options.logs ?? {};
+
+  const contract = {
+    filters: {
+      DecryptionRequested: () => 'DecryptionRequested',
+      ResolutionResolved: (id: bigint) => `ResolutionResolved:${id}`,
+      DecryptionTimeout: (id: bigint) => `DecryptionTimeout:${id}`,
+    },
+    on: jest.fn(async (filter: string, listener: Listener) => {
+      listeners.set(filter, listener);
+    }),
+    off: jest.fn((filter: string) => {
+      listeners.delete(filter);
+    }),
+    queryFilter: jest.fn(async (filter: string) => logs[filter] ?? []),
+    getResolutionStatus: jest.fn(async () => [true, 0n, status.resolved, status.timeUntilTimeout]),
+  };
+
+  const emit = (filter: string, ...args: any[]) => listeners.get(filter)?.(...args);
+
+  return { contract: contract as unknown as Contract, mock: contract, listeners, status, logs, emit };
+}
+
+// Let the tracker's start-up calls (log lookups, subscriptions, first poll) run
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('trackDecryption', () => {
+  it('goes from pending to fulfilled when the resolution is resolved', async () => {
+    const { contract, listeners, emit } = createGovernance();
+    const tracker = trackDecryption(contract, 5n, { resolutionId: 2n });
+    const states: DecryptionState[] = [];
+    tracker.subscribe((state) => states.push(state));
+
+    await settle();
+    expect(tracker.getState()).toEqual({ status: 'pending', requestId: 5n, resolutionId: 2n, timeUntilTimeout: 600 });
+
+    emit('ResolutionResolved:2', 2n, 3n, 1n, true, { log: { transactionHash: '0xabc' } });
+
+    await expect(tracker).resolves.toEqual({
+      status: 'fulfilled',
+      requestId: 5n,
+      resolutionId: 2n,
+      yesVotes: 3n,
+      noVotes: 1n,
+      passed: true,
+      transactionHash: '0xabc',
+    });
+    expect(states.map((state) => state.status)).toEqual(['pending', 'pending', 'fulfilled']);
+    expect(listeners.size).toBe(0);
+  });
+
+  it('looks the resolution up from the DecryptionRequested log', async () => {
+    const { contract, emit } = createGovernance({
+      logs: { DecryptionRequested: [{ args: { requestId: 4n, resolutionId: 1n } }, { args: { requestId: 5n, resolutionId: 3n } }] },
+    });
+    const tracker = trackDecryption(contract, '5');
+
+    await settle();
+    expect(tracker.getState().resolutionId).toBe(3n);
+
+    emit('DecryptionTimeout:3', 3n, { transactionHash: '0xdef' });
+
+    await expect(tracker.result).resolves.toEqual({
+      status: 'timed-out',
+      requestId: 5n,
+      resolutionId: 3n,
+      handled: true,
+      transactionHash: '0xdef',
+    });
+  });
+
+  it('settles from past logs when the callback landed before tracking started', async () => {
+    const { contract, mock } = createGovernance({
+      logs: {
+        'ResolutionResolved:2': [
+          { args: { resolutionId: 2n, yesVotes: 0n, noVotes: 4n, passed: false }, transactionHash: '0x123' },
+        ],
+      },
+    });
+
+    const outcome = await trackDecryption(contract, 5n, { resolutionId: 2 });
+
+    expect(outcome).toMatchObject({ status: 'fulfilled', passed: false, noVotes: 4n, transactionHash: '0x123' });
+    expect(mock.off).toHaveBeenCalledTimes(2);
+  });
+
+  it('times out unhandled once the timeout window has passed', async () => {
+    const { contract } = createGovernance({ timeUntilTimeout: 0n });
+
+    await expect(trackDecryption(contract, 5n, { resolutionId: 2n })).resolves.toEqual({
+      status: 'timed-out',
+      requestId: 5n,
+      resolutionId: 2n,
+      handled: false,
+      transactionHash: null,
+    });
+  });
+
+  it('keeps polling until the timeout window closes', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    try {
+      const { contract, status } = createGovernance({ timeUntilTimeout: 30n });
+      const tracker = trackDecryption(contract, 5n, { resolutionId: 2n, pollInterval: 1000 });
+
+      await settle();
+      expect(tracker.getState()).toMatchObject({ status: 'pending', timeUntilTimeout: 30 });
+
+      status.timeUntilTimeout = 0n;
+      jest.advanceTimersByTime(1000);
+
+      await expect(tracker.result).resolves.toMatchObject({ status: 'timed-out', handled: false });
+      expect(jest.getTimerCount()).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('reports a handled timeout from the DecryptionTimeout event', async () => {
+    const { contract, emit } = createGovernance();
+    const tracker = trackDecryption(contract, 5n, { resolutionId: 2n });
+
+    await settle();
+    emit('DecryptionTimeout:2', 2n, { log: { transactionHash: '0xdef' } });
+
+    await expect(tracker).resolves.toEqual({
+      status: 'timed-out',
+      requestId: 5n,
+      resolutionId: 2n,
+      handled: true,
+      transactionHash: '0xdef',
+    });
+  });
+
+  it('retries a failed status poll on the next tick', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    try {
+      const { contract, mock, status } = createGovernance({ timeUntilTimeout: 30n });
+      const tracker = trackDecryption(contract, 5n, { resolutionId: 2n, pollInterval: 1000 });
+      await settle();
+
+      mock.getResolutionStatus.mockRejectedValueOnce(new Error('network down'));
+      jest.advanceTimersByTime(1000);
+      await settle();
+      expect(tracker.getState().status).toBe('pending');
+
+      status.timeUntilTimeout = 0n;
+      jest.advanceTimersByTime(1000);
+
+      await expect(tracker.result).resolves.toMatchObject({ status: 'timed-out', handled: false });
+      expect(mock.getResolutionStatus).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('rejects with an AbortError when stopped and ignores later events', async () => {
+    const { contract, listeners, emit } = createGovernance();
+    const tracker = trackDecryption(contract, 5n, { resolutionId: 2n });
+    const listener = jest.fn();
+    tracker.subscribe(listener);
+
+    await settle();
+    tracker.stop();
+    emit('ResolutionResolved:2', 2n, 1n, 0n, true, {});
+
+    await expect(tracker.result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(tracker.getState().status).toBe('pending');
+    expect(listeners.size).toBe(0);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects when the request cannot be found, without an unhandled rejection', async () => {
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+    try {
+      const { contract } = createGovernance();
+      const tracker = trackDecryption(contract, 9n);
+      tracker.subscribe(() => undefined);
+
+      await settle();
+      await settle();
+
+      expect(unhandled).not.toHaveBeenCalled();
+      await expect(tracker.result).rejects.toThrow('No DecryptionRequested event found for request 9');
+    } finally {
+      process.off('unhandledRejection', unhandled);
+    }
+  });
+});
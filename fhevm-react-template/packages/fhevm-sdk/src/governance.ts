@@ -0,0 +1,281 @@
+/**
+ * Helpers for the CorporateGovernance contract
+ */
+
+import type { Contract } from 'ethers';
+import type {
+  DecryptionState,
+  DecryptionTracker,
+  Resolution,
+  ResolutionData,
+  TrackDecryptionOptions,
+} from './types';
+
+/**
+ * Human-readable ABI of CorporateGovernance
+ */
+export const CORPORATE_GOVERNANCE_ABI = [
+  'function addBoardMember(address _member, string _name, string _position, uint256 _votingPower) external',
+  'function removeBoardMember(address _member) external',
+  'function createResolution(string _title, string _description, uint256 _requiredQuorum) external',
+  'function castVote(uint256 _resolutionId, einput _encryptedVote, bytes inputProof) external',
+  'function closeResolution(uint256 _resolutionId) external',
+  'function handleDecryptionTimeout(uint256 _resolutionId) external',
+  'function getResolution(uint256 _resolutionId) external view returns (uint256 id, string title, string description, uint256 startTime, uint256 endTime, bool active, address creator, uint256 requiredQuorum, bool resolved, uint256 revealedYesVotes, uint256 revealedNoVotes)',
+  'function getResolutionStatus(uint256 _resolutionId) external view returns (bool decryptionRequested, uint256 decryptionRequestTime, bool resolved, uint256 timeUntilTimeout)',
+  'function getBoardMember(address _member) external view returns (bool isActive, uint256 votingPower, string name, string position)',
+  'function getTotalVotingPower() external view returns (uint256)',
+  'function getResolutionCount() external view returns (uint256)',
+  'function hasVoted(uint256, address) external view returns (bool)',
+  'function chairperson() external view returns (address)',
+  'function VOTING_DURATION() external view returns (uint256)',
+  'function DECRYPTION_TIMEOUT() external view returns (uint256)',
+  'event ResolutionCreated(uint256 indexed resolutionId, string title, address creator)',
+  'event VoteCast(uint256 indexed resolutionId, address voter)',
+  'event ResolutionClosed(uint256 indexed resolutionId, bool passed)',
+  'event BoardMemberAdded(address member, string name, uint256 votingPower)',
+  'event BoardMemberRemoved(address member)',
+  'event DecryptionRequested(uint256 indexed resolutionId, uint256 requestId)',
+  'event DecryptionTimeout(uint256 indexed resolutionId)',
+  'event ResolutionResolved(uint256 indexed resolutionId, uint256 yesVotes, uint256 noVotes, bool passed)',
+];
+
+/**
+ * Read one resolution from the contract
+ */
+export async function loadResolution(contract: Contract, resolutionId: bigint | number): Promise<ResolutionData> {
+  const [
+    id,
+    title,
+    description,
+    startTime,
+    endTime,
+    active,
+    creator,
+    requiredQuorum,
+    resolved,
+    revealedYesVotes,
+    revealedNoVotes,
+  ] = await contract.getResolution(resolutionId);
+
+  return {
+    id,
+    title,
+    description,
+    startTime: Number(startTime),
+    endTime: Number(endTime),
+    active,
+    creator,
+    requiredQuorum,
+    resolved,
+    revealedYesVotes,
+    revealedNoVotes,
+  };
+}
+
+/**
+ * Read every resolution from the contract
+ */
+export async function loadResolutions(contract: Contract): Promise<ResolutionData[]> {
+  const count = Number(await contract.getResolutionCount());
+  return await Promise.all(Array.from({ length: count }, (_, i) => loadResolution(contract, i)));
+}
+
+/**
+ * Add remaining time, status and outcome to a resolution
+ */
+export function deriveResolution(data: ResolutionData, now: number = Math.floor(Date.now() / 1000)): Resolution {
+  const remainingTime = Math.max(0, data.endTime - now);
+
+  // Mirrors the pass rule in CorporateGovernance.resolveResolution
+  const yes = data.revealedYesVotes;
+  const no = data.revealedNoVotes;
+  const passed = data.resolved ? yes > no && yes + no >= data.requiredQuorum : null;
+
+  let status: Resolution['status'];
+  if (data.resolved) {
+    status = passed ? 'passed' : 'failed';
+  } else if (!data.active) {
+    status = 'decrypting';
+  } else if (now <= data.endTime) {
+    status = 'voting';
+  } else {
+    status = 'ended';
+  }
+
+  return { ...data, remainingTime, passed, status };
+}
+
+/**
+ * Find the resolution a Gateway decryption request belongs to
+ */
+async function findResolutionId(contract: Contract, requestId: bigint, fromBlock: number): Promise<bigint> {
+  const events: any[] = await contract.queryFilter(contract.filters.DecryptionRequested(), fromBlock);
+  const match = events.find((event) => event.args.requestId === requestId);
+
+  if (!match) {
+    throw new Error(`No DecryptionRequested event found for request ${requestId}`);
+  }
+
+  return match.args.resolutionId;
+}
+
+/**
+ * Follow a Gateway decryption request from closeResolution to its outcome
+ *
+ * The tracker starts pending, then settles as fulfilled (ResolutionResolved)
+ * or timed-out (DecryptionTimeout, or the timeout window elapsing with no
+ * callback). Await it directly or subscribe for every state change. Calling
+ * stop() before it settles rejects `result` with an AbortError.
+ */
+export function trackDecryption(
+  contract: Contract,
+  requestId: bigint | number | string,
+  options: TrackDecryptionOptions = {}
+): DecryptionTracker {
+  const { pollInterval = 15000, fromBlock = 0 } = options;
+  const id = BigInt(requestId);
+  const listeners = new Set<(state: DecryptionState) => void>();
+  const cleanups: Array<() => void> = [];
+
+  let state: DecryptionState = {
+    status: 'pending',
+    requestId: id,
+    resolutionId: options.resolutionId !== undefined ? BigInt(options.resolutionId) : null,
+    timeUntilTimeout: null,
+  };
+  let stopped = false;
+  let settle: (state: DecryptionState) => void;
+  let fail: (error: Error) => void;
+
+  const result = new Promise<DecryptionState>((resolve, reject) => {
+    settle = resolve;
+    fail = reject;
+  });
+  // Subscribe-only callers never attach a handler; keep their failures from going unhandled
+  result.catch(() => {});
+
+  const teardown = () => {
+    if (stopped) return;
+    stopped = true;
+    cleanups.forEach((cleanup) => cleanup());
+  };
+
+  const stop = () => {
+    if (stopped) return;
+    teardown();
+    const error = new Error(`Stopped tracking decryption request ${id}`);
+    error.name = 'AbortError';
+    fail(error);
+  };
+
+  const update = (next: DecryptionState) => {
+    if (stopped) return;
+    state = next;
+    listeners.forEach((listener) => listener(state));
+    if (state.status !== 'pending') {
+      teardown();
+      settle(state);
+    }
+  };
+
+  const onResolved = (resolutionId: bigint, yesVotes: bigint, noVotes: bigint, passed: boolean, event: any) => {
+    update({
+      status: 'fulfilled',
+      requestId: id,
+      resolutionId,
+      yesVotes,
+      noVotes,
+      passed,
+      transactionHash: event?.log?.transactionHash ?? event?.transactionHash ?? null,
+    });
+  };
+
+  const onTimeout = (resolutionId: bigint, event: any) => {
+    update({
+      status: 'timed-out',
+      requestId: id,
+      resolutionId,
+      handled: true,
+      transactionHash: event?.log?.transactionHash ?? event?.transactionHash ?? null,
+    });
+  };
+
+  const poll = async (resolutionId: bigint) => {
+    const [, , resolved, timeUntilTimeout] = await contract.getResolutionStatus(resolutionId);
+
+    if (resolved) {
+      // The callback landed while we were not listening; read the outcome from logs
+      await checkPastEvents(resolutionId);
+      return;
+    }
+
+    if (timeUntilTimeout === 0n) {
+      update({ status: 'timed-out', requestId: id, resolutionId, handled: false, transactionHash: null });
+    } else if (state.status === 'pending' && state.timeUntilTimeout !== Number(timeUntilTimeout)) {
+      update({ status: 'pending', requestId: id, resolutionId, timeUntilTimeout: Number(timeUntilTimeout) });
+    }
+  };
+
+  const checkPastEvents = async (resolutionId: bigint) => {
+    const [resolvedEvents, timeoutEvents]: any[][] = await Promise.all([
+      contract.queryFilter(contract.filters.ResolutionResolved(resolutionId), fromBlock),
+      contract.queryFilter(contract.filters.DecryptionTimeout(resolutionId), fromBlock),
+    ]);
+
+    if (resolvedEvents.length > 0) {
+      const { args, transactionHash } = resolvedEvents[resolvedEvents.length - 1];
+      onResolved(args.resolutionId, args.yesVotes, args.noVotes, args.passed, { transactionHash });
+    } else if (timeoutEvents.length > 0) {
+      const { args, transactionHash } = timeoutEvents[timeoutEvents.length - 1];
+      onTimeout(args.resolutionId, { transactionHash });
+    }
+  };
+
+  const start = async () => {
+    const resolutionId = state.resolutionId ?? (await findResolutionId(contract, id, fromBlock));
+    if (stopped) return;
+
+    const resolvedFilter = contract.filters.ResolutionResolved(resolutionId);
+    const timeoutFilter = contract.filters.DecryptionTimeout(resolutionId);
+    await contract.on(resolvedFilter, onResolved);
+    await contract.on(timeoutFilter, onTimeout);
+    cleanups.push(() => {
+      contract.off(resolvedFilter, onResolved);
+      contract.off(timeoutFilter, onTimeout);
+    });
+
+    await checkPastEvents(resolutionId);
+    if (stopped) return;
+
+    await poll(resolutionId);
+    if (stopped) return;
+
+    const timer = setInterval(() => {
+      poll(resolutionId).catch(() => {
+        // Transient RPC failures are retried on the next tick
+      });
+    }, pollInterval);
+    cleanups.push(() => clearInterval(timer));
+  };
+
+  start().catch((error) => {
+    if (stopped) return;
+    teardown();
+    fail(error instanceof Error ? error : new Error('Failed to track decryption'));
+  });
+
+  return {
+    result,
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      listener(state);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    stop,
+    then: (onFulfilled, onRejected) => result.then(onFulfilled, onRejected),
+  };
+}
@@ -3,15 +3,13 @@
  * Framework-agnostic SDK for building confidential dApps with FHE
  */
 
-export { FhevmClient, createFhevmClient } from './client';
-export { FhevmProvider, useFhevm, useFhevmContract } from './react';
-export { encryptInput, decryptValue, createEncryptedInput } from './encryption';
-export { createContractInstance, deployContract } from './contract';
-export type {
-  FhevmConfig,
-  FhevmInstance,
-  EncryptedInput,
-  DecryptOptions,
-  ContractConfig,
-  DeploymentResult,
-} from './types';
+export * from './core';
+export {
+  FhevmProvider,
+  useFhevm,
+  useFhevmContract,
+  useEncryptedInput,
+  useDecryptionTracker,
+  useResolutions,
+  useWallet,
+} from './react';
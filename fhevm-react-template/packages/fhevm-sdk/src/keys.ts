@@ -0,0 +1,203 @@
+/**
+ * FHE public key discovery and persistence
+ *
+ * The public key is tens of kilobytes and rarely changes, so it is fetched
+ * once per process and kept in a persistent cache (IndexedDB in browsers, a
+ * cache directory in Node). Cached keys are re-hashed when read back and
+ * refetched if they do not match.
+ */
+
+import { hexlify, keccak256 } from 'ethers';
+import { loadFhevmjs } from './loader';
+import type { CachedPublicKey, FhevmConfig, PublicKeyCache, PublicKeySource } from './types';
+
+/**
+ * Hash used to validate a public key
+ */
+export function hashPublicKey(publicKey: string): string {
+  return keccak256(publicKey.startsWith('0x') ? publicKey : `0x${publicKey}`);
+}
+
+/**
+ * In-memory cache (lost on reload)
+ */
+export function createMemoryKeyCache(): PublicKeyCache {
+  const entries = new Map<string, CachedPublicKey>();
+  return {
+    get: async (key) => entries.get(key) ?? null,
+    set: async (key, entry) => {
+      entries.set(key, entry);
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Promisify an IndexedDB request
+ */
+function request<T>(req: any): Promise<T> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Browser cache backed by IndexedDB
+ */
+export function createIndexedDbKeyCache(dbName: string = 'fhevm-sdk', storeName: string = 'public-keys'): PublicKeyCache {
+  let db: Promise<any> | null = null;
+
+  const open = () => {
+    if (!db) {
+      const req = (globalThis as any).indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+      db = request(req);
+    }
+    return db;
+  };
+
+  const store = async (mode: 'readonly' | 'readwrite') =>
+    (await open()).transaction(storeName, mode).objectStore(storeName);
+
+  return {
+    get: async (key) => (await request<CachedPublicKey | undefined>((await store('readonly')).get(key))) ?? null,
+    set: async (key, entry) => {
+      await request((await store('readwrite')).put(entry, key));
+    },
+    delete: async (key) => {
+      await request((await store('readwrite')).delete(key));
+    },
+  };
+}
+
+let defaultCache: PublicKeyCache | null = null;
+
+/**
+ * Replace the cache used when a config does not name one (used by the Node entry point)
+ */
+export function setDefaultKeyCache(cache: PublicKeyCache): void {
+  defaultCache = cache;
+}
+
+function getDefaultKeyCache(): PublicKeyCache {
+  if (!defaultCache) {
+    defaultCache = (globalThis as any).indexedDB ? createIndexedDbKeyCache() : createMemoryKeyCache();
+  }
+  return defaultCache;
+}
+
+/**
+ * Download the public key a gateway lists at its keyurl endpoint
+ *
+ * The endpoint answers with the key's download URLs; the key itself is served
+ * as raw bytes and returned hex-encoded like the other sources.
+ */
+async function fetchGatewayPublicKey(gatewayUrl: string): Promise<string> {
+  const keyUrl = new URL('keyurl', gatewayUrl.endsWith('/') ? gatewayUrl : `${gatewayUrl}/`).href;
+  const response = await fetch(keyUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch key URLs from ${keyUrl}: ${response.status} ${response.statusText}`);
+  }
+
+  const body: any = await response.json();
+  const urls: string[] | undefined = body?.response?.fhe_key_info?.[0]?.fhe_public_key?.urls;
+  if (!urls || urls.length === 0) {
+    throw new Error(`Gateway ${keyUrl} did not list a public key`);
+  }
+
+  const keyResponse = await fetch(urls[0]);
+  if (!keyResponse.ok) {
+    throw new Error(`Failed to fetch public key from ${urls[0]}: ${keyResponse.status} ${keyResponse.statusText}`);
+  }
+  return hexlify(new Uint8Array(await keyResponse.arrayBuffer()));
+}
+
+/**
+ * Download the public key from its source
+ */
+export async function fetchPublicKey(source: PublicKeySource, rpcUrl?: string): Promise<string> {
+  switch (source.type) {
+    case 'network': {
+      const url = source.url ?? rpcUrl;
+      if (!url) {
+        throw new Error('Public key source "network" needs an RPC URL');
+      }
+      const fhevmjs = await loadFhevmjs();
+      return await fhevmjs.getPublicKeyFromNetwork!(url);
+    }
+    case 'coprocessor': {
+      const fhevmjs = await loadFhevmjs();
+      const { publicKey } = await fhevmjs.getPublicKeyFromCoprocessor!(source.url);
+      return publicKey;
+    }
+    case 'gateway': {
+      return await fetchGatewayPublicKey(source.url);
+    }
+    case 'url': {
+      const response = await fetch(source.url);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch public key from ${source.url}: ${response.status} ${response.statusText}`);
+      }
+      return (await response.text()).trim();
+    }
+  }
+}
+
+// One fetch per key per process, however many clients ask
+const pending = new Map<string, Promise<string>>();
+
+/**
+ * Get the public key for a config: cache first, then its source
+ *
+ * Returns undefined when the config has neither a key nor a source.
+ */
+export async function loadPublicKey(config: FhevmConfig): Promise<string | undefined> {
+  if (config.publicKey) {
+    return config.publicKey;
+  }
+  if (!config.publicKeySource) {
+    return undefined;
+  }
+
+  const key = `${config.chainId}:${(config.aclAddress ?? '').toLowerCase()}`;
+  let publicKey = pending.get(key);
+
+  if (!publicKey) {
+    publicKey = loadAndCache(key, config, config.publicKeySource).catch((error) => {
+      pending.delete(key);
+      throw error;
+    });
+    pending.set(key, publicKey);
+  }
+
+  return await publicKey;
+}
+
+async function loadAndCache(key: string, config: FhevmConfig, source: PublicKeySource): Promise<string> {
+  const cache = config.publicKeyCache === false ? null : config.publicKeyCache ?? getDefaultKeyCache();
+  const matchesPin = (hash: string) => !config.publicKeyHash || hash === config.publicKeyHash.toLowerCase();
+
+  const cached = await cache?.get(key).catch(() => null);
+  if (cached) {
+    const hash = hashPublicKey(cached.publicKey);
+    if (hash === cached.hash && matchesPin(hash)) {
+      return cached.publicKey;
+    }
+    // Corrupted, tampered with or rotated: drop it and fetch again
+    await cache!.delete(key).catch(() => undefined);
+  }
+
+  const publicKey = await fetchPublicKey(source, config.rpcUrl);
+  const hash = hashPublicKey(publicKey);
+
+  if (!matchesPin(hash)) {
+    throw new Error(`Public key hash ${hash} does not match the expected ${config.publicKeyHash}`);
+  }
+
+  // A cache that cannot be written to should not prevent initialization
+  await cache?.set(key, { publicKey, hash, fetchedAt: Date.now() }).catch(() => undefined);
+  return publicKey;
+}
@@ -0,0 +1,59 @@
+/**
+ * Lazy loading of fhevmjs
+ *
+ * fhevmjs pulls in TFHE and KMS WASM, so it is imported on first use instead
+ * of at module load. This keeps the SDK importable during server-side
+ * rendering; the Node entry point (@fhevm/sdk/node) swaps in a loader that
+ * reads the WASM from disk.
+ */
+
+/**
+ * The parts of the fhevmjs module the SDK uses
+ */
+export interface FhevmjsModule {
+  createInstance(config: Record<string, unknown>): Promise<any>;
+  initFhevm?: () => Promise<boolean>;
+  getPublicKeyFromNetwork?: (url: string) => Promise<string>;
+  getPublicKeyFromCoprocessor?: (url: string) => Promise<{ publicKey: string }>;
+}
+
+/**
+ * Browser loader: dynamic import, then fetch and compile the WASM once
+ */
+async function loadWebFhevmjs(): Promise<FhevmjsModule> {
+  if (typeof (globalThis as any).window === 'undefined') {
+    throw new Error(
+      'fhevmjs can only be loaded in the browser from @fhevm/sdk. ' +
+        'Import from @fhevm/sdk/node on the server, or initialize FHEVM in a client component.'
+    );
+  }
+
+  const fhevmjs: FhevmjsModule = await import('fhevmjs/web');
+  await fhevmjs.initFhevm?.();
+  return fhevmjs;
+}
+
+let loader: () => Promise<FhevmjsModule> = loadWebFhevmjs;
+let loading: Promise<FhevmjsModule> | null = null;
+
+/**
+ * Replace the fhevmjs loader (used by the Node entry point)
+ */
+export function setFhevmjsLoader(nextLoader: () => Promise<FhevmjsModule>): void {
+  loader = nextLoader;
+  loading = null;
+}
+
+/**
+ * Load fhevmjs, sharing one import and WASM initialization between callers
+ */
+export function loadFhevmjs(): Promise<FhevmjsModule> {
+  if (!loading) {
+    loading = loader().catch((error) => {
+      // Allow a retry after a failed download
+      loading = null;
+      throw error;
+    });
+  }
+  return loading;
+}
@@ -0,0 +1,97 @@
+import { Wallet, concat, hexlify, keccak256, toBeHex } from 'ethers';
+import { FhevmClient } from './client';
+import { decryptValue, encryptInput, encryptMultiple } from './encryption';
+import { MockKeyStore, createMockBackend, normalizeHandle } from './mock';
+
+const CONTRACT = '0x1111111111111111111111111111111111111111';
+
+async function createClient(keyStore?: MockKeyStore) {
+  const client = new FhevmClient({ chainId: 31337, backend: createMockBackend(keyStore) });
+  await client.init();
+  return client.getInstance();
+}
+
+describe('mock backend', () => {
+  it('decrypts what it encrypted, for the user and publicly', async () => {
+    const instance = await createClient();
+    const signer = Wallet.createRandom();
+
+    const { handles } = await encryptInput(instance, CONTRACT, signer.address, 42, 'uint32');
+    const handle = hexlify(handles[0]);
+
+    await expect(decryptValue(instance, handle, { contractAddress: CONTRACT, signer })).resolves.toBe(42n);
+    await expect(decryptValue(instance, handle, { contractAddress: CONTRACT, isPublic: true })).resolves.toBe(42n);
+  });
+
+  it('round-trips every value of a multi-value input', async () => {
+    const instance = await createClient();
+    const signer = Wallet.createRandom();
+
+    const { handles, inputProof } = await encryptMultiple(instance, CONTRACT, signer.address, [
+      { value: true, type: 'bool' },
+      { value: 255, type: 'uint8' },
+      { value: 2n ** 64n - 1n, type: 'uint64' },
+    ]);
+
+    expect(handles).toHaveLength(3);
+    // The proof starts with the handle count, followed by one type byte per handle
+    expect(inputProof.slice(0, 10)).toBe('0x03000205');
+
+    // Handles are checked on-chain against keccak256(keccak256(inputProof) || index)
+    handles.forEach((handle, index) => {
+      const expected = keccak256(concat([keccak256(inputProof), toBeHex(index, 1)]));
+      expect(hexlify(handle.slice(0, 29))).toBe(expected.slice(0, 2 + 29 * 2));
+    });
+
+    const values = await Promise.all(
+      handles.map((handle) => decryptValue(instance, hexlify(handle), { contractAddress: CONTRACT, signer }))
+    );
+    expect(values).toEqual([1n, 255n, 2n ** 64n - 1n]);
+  });
+
+  it('encodes the index and type in the handle and is deterministic', async () => {
+    const instance = await createClient();
+    const user = Wallet.createRandom().address;
+
+    const first = await encryptMultiple(instance, CONTRACT, user, [
+      { value: 7, type: 'uint16' },
+      { value: false, type: 'bool' },
+    ]);
+    const second = await encryptMultiple(instance, CONTRACT, user, [
+      { value: 7, type: 'uint16' },
+      { value: false, type: 'bool' },
+    ]);
+
+    expect(Array.from(first.handles[0].slice(29))).toEqual([0, 3, 0]);
+    expect(Array.from(first.handles[1].slice(29))).toEqual([1, 0, 0]);
+    expect(second.inputProof).toBe(first.inputProof);
+  });
+
+  it('shares plaintexts between clients using the same key store', async () => {
+    const keyStore = new MockKeyStore();
+    const encrypting = await createClient(keyStore);
+    const decrypting = await createClient(keyStore);
+    const user = Wallet.createRandom().address;
+
+    const { handles } = await encryptInput(encrypting, CONTRACT, user, 9, 'uint8');
+
+    expect(keyStore.get(handles[0])).toEqual({ value: 9n, type: 'uint8' });
+    await expect(decrypting.publicDecrypt(hexlify(handles[0]))).resolves.toBe(9n);
+  });
+
+  it('survives a JSON round trip of the key store', async () => {
+    const keyStore = new MockKeyStore();
+    const instance = await createClient(keyStore);
+    const { handles } = await encryptInput(instance, CONTRACT, Wallet.createRandom().address, 1000n, 'uint64');
+
+    const restored = MockKeyStore.fromJSON(JSON.parse(JSON.stringify(keyStore.toJSON())));
+
+    expect(restored.get(normalizeHandle(handles[0]))).toEqual({ value: 1000n, type: 'uint64' });
+  });
+
+  it('rejects handles it never encrypted', async () => {
+    const instance = await createClient();
+
+    await expect(instance.publicDecrypt(`0x${'ab'.repeat(32)}`)).rejects.toThrow('Mock key store has no plaintext');
+  });
+});
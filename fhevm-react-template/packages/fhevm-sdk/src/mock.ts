@@ -0,0 +1,302 @@
+/**
+ * Mock FHE backend - deterministic fake ciphertexts for offline development
+ *
+ * Produces handles and input proofs shaped like the real ones and keeps the
+ * plaintexts in an in-memory key store, so encryption and decryption work in
+ * unit tests without a gateway or KMS. Handles are derived from the proof the
+ * way fhevm's MockedPrecompile checks them, so the inputs are also accepted by
+ * contracts on a Hardhat node running the fhevm mock contracts.
+ */
+
+import {
+  AbiCoder,
+  concat,
+  getAddress,
+  getBytes,
+  hexlify,
+  keccak256,
+  randomBytes,
+  toBeHex,
+  toUtf8Bytes,
+} from 'ethers';
+import type { EncryptedInput, EncryptedType, FhevmBackend, FhevmConfig } from './types';
+
+/**
+ * FHE type identifiers encoded in byte 30 of a handle
+ */
+const TYPE_CODES: Record<EncryptedType, number> = {
+  bool: 0,
+  uint8: 2,
+  uint16: 3,
+  uint32: 4,
+  uint64: 5,
+  uint128: 6,
+  address: 7,
+};
+
+const TYPE_BITS: Record<EncryptedType, number> = {
+  bool: 1,
+  uint8: 8,
+  uint16: 16,
+  uint32: 32,
+  uint64: 64,
+  uint128: 128,
+  address: 160,
+};
+
+const HANDLE_VERSION = 0;
+
+/**
+ * Fixed public key reported by mock instances
+ */
+export const MOCK_PUBLIC_KEY = keccak256(toUtf8Bytes('fhevm-sdk-mock-public-key'));
+
+/**
+ * Plaintext entry held by the mock key store
+ */
+export interface MockCiphertext {
+  value: bigint;
+  type: EncryptedType;
+}
+
+/**
+ * Normalize a handle to a 0x-prefixed, 32-byte lowercase hex string
+ */
+export function normalizeHandle(handle: string | bigint | Uint8Array): string {
+  if (typeof handle === 'bigint') {
+    return toBeHex(handle, 32);
+  }
+  if (typeof handle === 'string' && !handle.startsWith('0x')) {
+    return toBeHex(BigInt(handle), 32);
+  }
+  return toBeHex(BigInt(hexlify(handle)), 32);
+}
+
+/**
+ * In-memory store mapping ciphertext handles to plaintexts
+ */
+export class MockKeyStore {
+  private entries = new Map<string, MockCiphertext>();
+
+  /**
+   * Record the plaintext behind a handle
+   */
+  set(handle: string | bigint | Uint8Array, value: bigint | number | boolean, type: EncryptedType = 'uint32'): void {
+    this.entries.set(normalizeHandle(handle), { value: BigInt(value), type });
+  }
+
+  /**
+   * Look up the plaintext behind a handle
+   */
+  get(handle: string | bigint | Uint8Array): MockCiphertext | undefined {
+    return this.entries.get(normalizeHandle(handle));
+  }
+
+  has(handle: string | bigint | Uint8Array): boolean {
+    return this.entries.has(normalizeHandle(handle));
+  }
+
+  delete(handle: string | bigint | Uint8Array): boolean {
+    return this.entries.delete(normalizeHandle(handle));
+  }
+
+  clear(): void {
+    this.entries.clear();
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  /**
+   * Serialize the store (bigints as decimal strings)
+   */
+  toJSON(): Record<string, { value: string; type: EncryptedType }> {
+    const json: Record<string, { value: string; type: EncryptedType }> = {};
+    for (const [handle, entry] of this.entries) {
+      json[handle] = { value: entry.value.toString(), type: entry.type };
+    }
+    return json;
+  }
+
+  /**
+   * Restore a store serialized with toJSON()
+   */
+  static fromJSON(json: Record<string, { value: string; type: EncryptedType }>): MockKeyStore {
+    const store = new MockKeyStore();
+    for (const [handle, entry] of Object.entries(json)) {
+      store.set(handle, BigInt(entry.value), entry.type);
+    }
+    return store;
+  }
+}
+
+/**
+ * Range-check a plaintext the same way fhevmjs does
+ */
+function checkRange(value: number | bigint | boolean | string, type: EncryptedType): bigint {
+  const bits = TYPE_BITS[type];
+  const plaintext = BigInt(value);
+  if (plaintext < 0n || plaintext >= 1n << BigInt(bits)) {
+    throw new Error(`The value must be between 0 and ${(1n << BigInt(bits)) - 1n} for ${type}`);
+  }
+  return plaintext;
+}
+
+/**
+ * Create a mock encrypted input builder bound to a contract and user
+ */
+function createMockEncryptedInput(
+  keyStore: MockKeyStore,
+  chainId: number,
+  contractAddress: string,
+  userAddress: string
+) {
+  const values: MockCiphertext[] = [];
+
+  const builder = {
+    add8(value: number | bigint) {
+      values.push({ value: checkRange(value, 'uint8'), type: 'uint8' });
+      return builder;
+    },
+    add16(value: number | bigint) {
+      values.push({ value: checkRange(value, 'uint16'), type: 'uint16' });
+      return builder;
+    },
+    add32(value: number | bigint) {
+      values.push({ value: checkRange(value, 'uint32'), type: 'uint32' });
+      return builder;
+    },
+    add64(value: number | bigint) {
+      values.push({ value: checkRange(value, 'uint64'), type: 'uint64' });
+      return builder;
+    },
+    add128(value: number | bigint) {
+      values.push({ value: checkRange(value, 'uint128'), type: 'uint128' });
+      return builder;
+    },
+    addBool(value: boolean | number | bigint) {
+      values.push({ value: checkRange(value ? 1 : 0, 'bool'), type: 'bool' });
+      return builder;
+    },
+    addAddress(value: string) {
+      values.push({ value: BigInt(getAddress(value)), type: 'address' });
+      return builder;
+    },
+    getValues(): bigint[] {
+      return values.map((entry) => entry.value);
+    },
+    getBits(): number[] {
+      return values.map((entry) => TYPE_BITS[entry.type]);
+    },
+    resetValues() {
+      values.length = 0;
+      return builder;
+    },
+    encrypt(): EncryptedInput {
+      // Same inputs always give the same handles and proof
+      const seed = keccak256(
+        AbiCoder.defaultAbiCoder().encode(
+          ['uint256', 'address', 'address', 'uint8[]', 'uint256[]'],
+          [
+            chainId,
+            getAddress(contractAddress),
+            getAddress(userAddress),
+            values.map((entry) => TYPE_CODES[entry.type]),
+            values.map((entry) => entry.value),
+          ]
+        )
+      );
+
+      // Laid out like a ciphertext list: count, one type byte per value, then the payload
+      const inputProof = hexlify(
+        concat([toBeHex(values.length, 1), ...values.map((entry) => toBeHex(TYPE_CODES[entry.type], 1)), seed])
+      );
+      const proofHash = keccak256(inputProof);
+
+      // keccak256(keccak256(inputProof) || index), the handle fhevm's MockedPrecompile accepts
+      const handles = values.map((entry, index) => {
+        const handle = getBytes(keccak256(concat([proofHash, toBeHex(index, 1)])));
+        handle[29] = index;
+        handle[30] = TYPE_CODES[entry.type];
+        handle[31] = HANDLE_VERSION;
+        keyStore.set(handle, entry.value, entry.type);
+        return handle;
+      });
+
+      return { handles, inputProof };
+    },
+  };
+
+  return builder;
+}
+
+/**
+ * Create a mock instance exposing the same surface as a fhevmjs instance
+ */
+export function createMockInstance(config: FhevmConfig, keyStore: MockKeyStore = new MockKeyStore()) {
+  const lookup = (handle: string | bigint | Uint8Array): bigint => {
+    const entry = keyStore.get(handle);
+    if (!entry) {
+      throw new Error(`Mock key store has no plaintext for handle ${normalizeHandle(handle)}`);
+    }
+    return entry.value;
+  };
+
+  return {
+    keyStore,
+    createEncryptedInput: (contractAddress: string, userAddress: string) =>
+      createMockEncryptedInput(keyStore, config.chainId, contractAddress, userAddress),
+    publicDecrypt: async (handle: string | bigint) => lookup(handle),
+    reencrypt: async (
+      handle: bigint,
+      _privateKey: string,
+      _publicKey: string,
+      _signature: string,
+      _contractAddress: string,
+      _userAddress: string
+    ) => lookup(handle),
+    generateKeypair: () => ({
+      publicKey: hexlify(randomBytes(32)),
+      privateKey: hexlify(randomBytes(32)),
+    }),
+    createEIP712: (publicKey: string, verifyingContract: string, delegatedAccount?: string) => {
+      const message: { publicKey: string; delegatedAccount?: string } = { publicKey };
+      const reencrypt = [{ name: 'publicKey', type: 'bytes' }];
+      if (delegatedAccount) {
+        message.delegatedAccount = delegatedAccount;
+        reencrypt.push({ name: 'delegatedAccount', type: 'address' });
+      }
+      return {
+        domain: {
+          chainId: config.chainId,
+          name: 'Authorization token',
+          verifyingContract,
+          version: '1',
+        },
+        message,
+        primaryType: 'Reencrypt',
+        types: {
+          EIP712Domain: [
+            { name: 'name', type: 'string' },
+            { name: 'version', type: 'string' },
+            { name: 'chainId', type: 'uint256' },
+            { name: 'verifyingContract', type: 'address' },
+          ],
+          Reencrypt: reencrypt,
+        },
+      };
+    },
+    getPublicKey: () => MOCK_PUBLIC_KEY,
+  };
+}
+
+/**
+ * Create a mock backend, optionally sharing a key store between clients
+ */
+export function createMockBackend(keyStore: MockKeyStore = new MockKeyStore()): FhevmBackend {
+  return {
+    name: 'mock',
+    createInstance: async (config: FhevmConfig) => createMockInstance(config, keyStore),
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * @fhevm/sdk/node - Node.js entry point
+ * Same API as @fhevm/sdk without the React hooks; fhevmjs loads its WASM from
+ * disk and public keys are cached in a directory
+ */
+
+import { createRequire } from 'module';
+import { createFileKeyCache } from './filecache';
+import { setDefaultKeyCache } from './keys';
+import { setFhevmjsLoader } from './loader';
+
+setFhevmjsLoader(async () => {
+  // fhevmjs only publishes its Node build as CommonJS; resolve it from this
+  // file in both the CommonJS and the ES module build
+  const nodeRequire = createRequire(typeof __filename === 'string' ? __filename : import.meta.url);
+  return nodeRequire('fhevmjs/node');
+});
+
+// Persist fetched public keys under ~/.cache/fhevm-sdk (or $FHEVM_CACHE_DIR)
+setDefaultKeyCache(createFileKeyCache());
+
+export * from './core';
+export { createFileKeyCache, getDefaultCacheDir } from './filecache';
@@ -0,0 +1,195 @@
+import { Wallet } from 'ethers';
+import { FhevmClient } from './client';
+import { createMockInstance } from './mock';
+import { PermitCache, getDecryptionPermit, isPermitRejected } from './permit';
+import type { DecryptionPermit, FhevmBackend, FhevmInstance } from './types';
+
+const CONTRACT = '0x1111111111111111111111111111111111111111';
+const OTHER_CONTRACT = '0x2222222222222222222222222222222222222222';
+
+function createInstance(): FhevmInstance {
+  return createMockInstance({ chainId: 31337 }) as unknown as FhevmInstance;
+}
+
+function createSigner() {
+  const signer = Wallet.createRandom();
+  const signTypedData = jest.spyOn(signer, 'signTypedData');
+  return { signer, signTypedData };
+}
+
+function permitFor(userAddress: string, expiresAt: number): DecryptionPermit {
+  return { publicKey: '0x01', privateKey: '0x02', signature: '0x03', contractAddress: CONTRACT, userAddress, expiresAt };
+}
+
+describe('PermitCache', () => {
+  const now = 1_700_000_000;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now * 1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns permits until they expire, whatever the address casing', () => {
+    const cache = new PermitCache();
+    const user = Wallet.createRandom().address;
+    cache.set(permitFor(user, now + 60));
+
+    expect(cache.get(user.toLowerCase(), CONTRACT.toUpperCase().replace('0X', '0x'))).toBeDefined();
+    expect(cache.get(user, OTHER_CONTRACT)).toBeUndefined();
+
+    jest.spyOn(Date, 'now').mockReturnValue((now + 60) * 1000);
+    expect(cache.get(user, CONTRACT)).toBeUndefined();
+  });
+
+  it('does not cache a permit whose request was cleared while signing', async () => {
+    const cache = new PermitCache();
+    const user = Wallet.createRandom().address;
+    let sign!: (permit: DecryptionPermit) => void;
+
+    const pending = cache.getOrCreate(user, CONTRACT, () => new Promise((resolve) => (sign = resolve)));
+    cache.clear();
+    sign(permitFor(user, now + 60));
+
+    await expect(pending).resolves.toMatchObject({ userAddress: user });
+    expect(cache.get(user, CONTRACT)).toBeUndefined();
+  });
+});
+
+describe('getDecryptionPermit', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('signs once and reuses the permit within its lifetime', async () => {
+    const instance = createInstance();
+    const cache = new PermitCache();
+    const { signer, signTypedData } = createSigner();
+
+    const first = await getDecryptionPermit(instance, signer, CONTRACT, cache, 60);
+    const second = await getDecryptionPermit(instance, signer, CONTRACT, cache, 60);
+
+    expect(second).toBe(first);
+    expect(first.userAddress).toBe(signer.address);
+    expect(signTypedData).toHaveBeenCalledTimes(1);
+  });
+
+  it('signs again once the permit has expired', async () => {
+    const instance = createInstance();
+    const cache = new PermitCache();
+    const { signer, signTypedData } = createSigner();
+    const start = Date.now();
+
+    const first = await getDecryptionPermit(instance, signer, CONTRACT, cache, 60);
+    jest.spyOn(Date, 'now').mockReturnValue(start + 61_000);
+    const second = await getDecryptionPermit(instance, signer, CONTRACT, cache, 60);
+
+    expect(second).not.toBe(first);
+    expect(signTypedData).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps one permit per contract', async () => {
+    const instance = createInstance();
+    const cache = new PermitCache();
+    const { signer, signTypedData } = createSigner();
+
+    await getDecryptionPermit(instance, signer, CONTRACT, cache);
+    await getDecryptionPermit(instance, signer, OTHER_CONTRACT, cache);
+
+    expect(signTypedData).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares one signature request between concurrent callers', async () => {
+    const instance = createInstance();
+    const cache = new PermitCache();
+    const { signer, signTypedData } = createSigner();
+
+    const permits = await Promise.all([
+      getDecryptionPermit(instance, signer, CONTRACT, cache),
+      getDecryptionPermit(instance, signer, CONTRACT, cache),
+      getDecryptionPermit(instance, signer, CONTRACT, cache),
+    ]);
+
+    expect(signTypedData).toHaveBeenCalledTimes(1);
+    expect(permits[1]).toBe(permits[0]);
+    expect(permits[2]).toBe(permits[0]);
+  });
+
+  it('lets the next caller retry after a refused signature', async () => {
+    const instance = createInstance();
+    const cache = new PermitCache();
+    const { signer, signTypedData } = createSigner();
+    signTypedData.mockRejectedValueOnce(new Error('user rejected signing'));
+
+    await expect(getDecryptionPermit(instance, signer, CONTRACT, cache)).rejects.toThrow('user rejected');
+    await expect(getDecryptionPermit(instance, signer, CONTRACT, cache)).resolves.toBeDefined();
+    expect(signTypedData).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('isPermitRejected', () => {
+  it('tells permit rejections from transport failures', () => {
+    expect(isPermitRejected(new Error('An error occured during decryption'))).toBe(true);
+    expect(isPermitRejected(new Error('Invalid public or private key'))).toBe(true);
+    expect(isPermitRejected(Object.assign(new Error('Forbidden'), { status: 403 }))).toBe(true);
+    expect(isPermitRejected(new Error("Gateway didn't response correctly"))).toBe(false);
+    expect(isPermitRejected(new Error('User is not authorized to reencrypt this handle!'))).toBe(false);
+  });
+
+  it('does not treat other signature or permit errors as rejections', () => {
+    expect(isPermitRejected(new Error('MetaMask Message Signature: User denied message signature.'))).toBe(false);
+    expect(isPermitRejected(new Error('invalid signature length'))).toBe(false);
+    expect(isPermitRejected(new Error('Permit cache cleared'))).toBe(false);
+  });
+});
+
+describe('FhevmClient.userDecrypt', () => {
+  async function createClient(reencrypt: jest.Mock) {
+    const backend: FhevmBackend = {
+      name: 'test',
+      createInstance: async (config) => ({ ...createMockInstance(config), reencrypt }),
+    };
+    const client = new FhevmClient({ chainId: 31337, backend });
+    await client.init();
+    return client.getInstance();
+  }
+
+  it('keeps the permit after a network error', async () => {
+    const reencrypt = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("Gateway didn't response correctly"))
+      .mockResolvedValueOnce(5n);
+    const instance = await createClient(reencrypt);
+    const { signer, signTypedData } = createSigner();
+
+    await expect(instance.userDecrypt(1n, CONTRACT, signer)).rejects.toThrow('Gateway');
+    await expect(instance.userDecrypt(1n, CONTRACT, signer)).resolves.toBe(5n);
+    expect(signTypedData).toHaveBeenCalledTimes(1);
+  });
+
+  it('signs a new permit after the gateway rejected the old one', async () => {
+    const reencrypt = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('An error occured during decryption'))
+      .mockResolvedValueOnce(5n);
+    const instance = await createClient(reencrypt);
+    const { signer, signTypedData } = createSigner();
+
+    await expect(instance.userDecrypt(1n, CONTRACT, signer)).rejects.toThrow('decryption');
+    await expect(instance.userDecrypt(1n, CONTRACT, signer)).resolves.toBe(5n);
+    expect(signTypedData).toHaveBeenCalledTimes(2);
+  });
+
+  it('signs once for concurrent decryptions', async () => {
+    const reencrypt = jest.fn().mockResolvedValue(1n);
+    const instance = await createClient(reencrypt);
+    const { signer, signTypedData } = createSigner();
+
+    await Promise.all([1n, 2n, 3n].map((handle) => instance.userDecrypt(handle, CONTRACT, signer)));
+
+    expect(signTypedData).toHaveBeenCalledTimes(1);
+    expect(reencrypt).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Decryption permits - signed EIP-712 reencryption authorizations
+ */
+
+import type { Signer } from 'ethers';
+import type { DecryptionPermit, FhevmInstance } from './types';
+
+/**
+ * Default permit lifetime in seconds (24 hours)
+ */
+export const DEFAULT_PERMIT_TTL = 24 * 60 * 60;
+
+/**
+ * Reencryption errors caused by the permit itself, as opposed to the gateway
+ * or the network being unreachable
+ *
+ * fhevmjs reports an unusable keypair as "Invalid public or private key" and
+ * a response the KMS refused to reencrypt for the signature as "An error
+ * occured during decryption". Only those exact messages count; other errors
+ * that happen to mention a signature or a permit leave the permit usable.
+ */
+const PERMIT_ERRORS = [
+  /^Invalid public or private key$/,
+  /^An error occured during decryption$/,
+];
+
+/**
+ * Whether a failed reencryption means the permit was rejected and must be re-signed
+ */
+export function isPermitRejected(error: unknown): boolean {
+  const status = (error as { status?: number } | null)?.status;
+  if (status === 401 || status === 403) {
+    return true;
+  }
+  const message = error instanceof Error ? error.message : String(error);
+  return PERMIT_ERRORS.some((pattern) => pattern.test(message));
+}
+
+/**
+ * Cache of signed permits keyed by (user, contract)
+ */
+export class PermitCache {
+  private permits = new Map<string, DecryptionPermit>();
+  private pending = new Map<string, Promise<DecryptionPermit>>();
+
+  private key(userAddress: string, contractAddress: string): string {
+    return `${userAddress.toLowerCase()}:${contractAddress.toLowerCase()}`;
+  }
+
+  /**
+   * Get a permit that has not yet expired
+   */
+  get(userAddress: string, contractAddress: string): DecryptionPermit | undefined {
+    const key = this.key(userAddress, contractAddress);
+    const permit = this.permits.get(key);
+
+    if (permit && permit.expiresAt <= Math.floor(Date.now() / 1000)) {
+      this.permits.delete(key);
+      return undefined;
+    }
+
+    return permit;
+  }
+
+  set(permit: DecryptionPermit): void {
+    this.permits.set(this.key(permit.userAddress, permit.contractAddress), permit);
+  }
+
+  /**
+   * Get a valid permit, or create one; concurrent callers share a single signature request
+   */
+  async getOrCreate(
+    userAddress: string,
+    contractAddress: string,
+    create: () => Promise<DecryptionPermit>
+  ): Promise<DecryptionPermit> {
+    const cached = this.get(userAddress, contractAddress);
+    if (cached) {
+      return cached;
+    }
+
+    const key = this.key(userAddress, contractAddress);
+    let pending = this.pending.get(key);
+
+    if (!pending) {
+      // A delete() or clear() while the wallet prompt is open discards the result
+      const request: Promise<DecryptionPermit> = create().then(
+        (permit) => {
+          if (this.pending.get(key) === request) {
+            this.pending.delete(key);
+            this.set(permit);
+          }
+          return permit;
+        },
+        (error) => {
+          if (this.pending.get(key) === request) {
+            this.pending.delete(key);
+          }
+          throw error;
+        }
+      );
+      pending = request;
+      this.pending.set(key, pending);
+    }
+
+    return await pending;
+  }
+
+  delete(userAddress: string, contractAddress: string): boolean {
+    const key = this.key(userAddress, contractAddress);
+    const pending = this.pending.delete(key);
+    return this.permits.delete(key) || pending;
+  }
+
+  clear(): void {
+    this.permits.clear();
+    this.pending.clear();
+  }
+}
+
+/**
+ * Generate a keypair and have the signer authorize it for a contract
+ */
+export async function createDecryptionPermit(
+  instance: FhevmInstance,
+  signer: Signer,
+  contractAddress: string,
+  ttl: number = DEFAULT_PERMIT_TTL
+): Promise<DecryptionPermit> {
+  const userAddress = await signer.getAddress();
+  const { publicKey, privateKey } = instance.generateKeypair();
+  const eip712 = instance.createEIP712(publicKey, contractAddress);
+
+  // ethers derives the EIP712Domain type itself
+  const signature = await signer.signTypedData(
+    eip712.domain,
+    { [eip712.primaryType]: eip712.types[eip712.primaryType] },
+    eip712.message
+  );
+
+  return {
+    publicKey,
+    privateKey,
+    signature,
+    contractAddress,
+    userAddress,
+    expiresAt: Math.floor(Date.now() / 1000) + ttl,
+  };
+}
+
+/**
+ * Get a cached permit for (signer, contract), signing a new one if needed
+ */
+export async function getDecryptionPermit(
+  instance: FhevmInstance,
+  signer: Signer,
+  contractAddress: string,
+  cache: PermitCache,
+  ttl: number = DEFAULT_PERMIT_TTL
+): Promise<DecryptionPermit> {
+  const userAddress = await signer.getAddress();
+
+  return await cache.getOrCreate(userAddress, contractAddress, () =>
+    createDecryptionPermit(instance, signer, contractAddress, ttl)
+  );
+}
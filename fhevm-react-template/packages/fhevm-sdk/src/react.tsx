@@ -3,10 +3,23 @@
  * Wagmi-like API for React applications
  */
 
-import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
-import { FhevmClient } from './client';
-import type { FhevmConfig, FhevmInstance, ContractConfig } from './types';
+import React, { createContext, useContext, useEffect, useRef, useState, useCallback, useMemo } from 'react';
+import { FhevmClient, getConfigKey, getFhevmClient } from './client';
+import { deriveResolution, loadResolution, loadResolutions, trackDecryption } from './governance';
+import { WalletManager } from './wallet';
+import type {
+  FhevmConfig,
+  FhevmInstance,
+  ContractConfig,
+  DecryptionState,
+  ResolutionData,
+  TrackDecryptionOptions,
+  UseResolutionsOptions,
+  UseWalletOptions,
+  WalletState,
+} from './types';
 import { Contract } from 'ethers';
+import type { Signer } from 'ethers';
 
 /**
  * Context for FHEVM provider
@@ -43,13 +56,22 @@ export function FhevmProvider({ config, children }: FhevmProviderProps) {
   const [isInitialized, setIsInitialized] = useState(false);
   const [error, setError] = useState<Error | null>(null);
 
+  // Compare configs by value so an inline config object does not re-initialize
+  const configKey = getConfigKey(config);
+
   useEffect(() => {
     let mounted = true;
 
+    // Nothing from the previous config stays visible while the new one initializes
+    setClient(null);
+    setInstance(null);
+    setIsInitialized(false);
+    setError(null);
+
     async function initialize() {
       try {
-        const fhevmClient = new FhevmClient(config);
-        await fhevmClient.init();
+        // Shared per chain config; fhevmjs and its WASM load here, on the client only
+        const fhevmClient = await getFhevmClient(config);
 
         if (mounted) {
           setClient(fhevmClient);
@@ -68,7 +90,7 @@ export function FhevmProvider({ config, children }: FhevmProviderProps) {
     return () => {
       mounted = false;
     };
-  }, [config]);
+  }, [configKey]);
 
   return (
     <FhevmContext.Provider value={{ client, instance, isInitialized, error }}>
@@ -141,9 +163,14 @@ export function useFhevmContract(config: ContractConfig) {
         return await instance.publicDecrypt(handle);
       }
 
-      return await instance.userDecrypt(handle, contractAddress);
+      const signer = config.signerOrProvider as Signer;
+      if (typeof signer.signTypedData !== 'function') {
+        throw new Error('Signer is required for user decryption');
+      }
+
+      return await instance.userDecrypt(handle, contractAddress, signer);
     },
-    [instance]
+    [instance, config.signerOrProvider]
   );
 
   return {
@@ -195,3 +222,283 @@ export function useEncryptedInput(contractAddress: string, userAddress: string)
     error,
   };
 }
+
+/**
+ * Hook to follow a Gateway decryption request (pending → fulfilled | timed-out)
+ */
+export function useDecryptionTracker(
+  contract: Contract | null,
+  requestId: bigint | number | string | null,
+  options: TrackDecryptionOptions = {}
+) {
+  const [state, setState] = useState<DecryptionState | null>(null);
+  const [error, setError] = useState<Error | null>(null);
+  const { resolutionId, pollInterval, fromBlock } = options;
+
+  useEffect(() => {
+    if (!contract || requestId === null) {
+      setState(null);
+      return;
+    }
+
+    let mounted = true;
+    setError(null);
+
+    const tracker = trackDecryption(contract, requestId, { resolutionId, pollInterval, fromBlock });
+    const unsubscribe = tracker.subscribe((next) => {
+      if (mounted) {
+        setState(next);
+      }
+    });
+
+    tracker.result.catch((err) => {
+      if (mounted) {
+        setError(err instanceof Error ? err : new Error('Failed to track decryption'));
+      }
+    });
+
+    return () => {
+      mounted = false;
+      unsubscribe();
+      tracker.stop();
+    };
+  }, [contract, requestId, resolutionId, pollInterval, fromBlock]);
+
+  return {
+    state,
+    status: state ? state.status : 'idle',
+    error,
+  };
+}
+
+/**
+ * Governance events that change what getResolution returns
+ */
+const RESOLUTION_EVENTS = [
+  'ResolutionCreated',
+  'VoteCast',
+  'DecryptionRequested',
+  'ResolutionResolved',
+  'ResolutionClosed',
+];
+
+/**
+ * Hook to load all resolutions of a CorporateGovernance contract and keep them fresh
+ */
+export function useResolutions(contract: Contract | null, options: UseResolutionsOptions = {}) {
+  const { tickInterval = 1000 } = options;
+  const [data, setData] = useState<ResolutionData[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  // Set by the effect below, so a refresh goes through the same event bookkeeping
+  const reload = useRef<(() => Promise<void>) | null>(null);
+
+  const refresh = useCallback(async () => {
+    await reload.current?.();
+  }, []);
+
+  useEffect(() => {
+    if (!contract) {
+      setData([]);
+      return;
+    }
+
+    let mounted = true;
+    // A full read replaces the list, so it must not drop event updates made while it ran:
+    // events seen during a load are fetched again once it settles
+    let generation = 0;
+    let settled = false;
+    const missed = new Set<bigint>();
+    // Latest fetch per resolution, so an older answer cannot overwrite a newer one
+    const fetches = new Map<string, number>();
+
+    async function load() {
+      const current = ++generation;
+      settled = false;
+      // Single fetches already under way predate this read
+      fetches.clear();
+      setLoading(true);
+      setError(null);
+      try {
+        const resolutions = await loadResolutions(contract!);
+        if (mounted && current === generation) {
+          setData(resolutions);
+        }
+      } catch (err) {
+        if (mounted && current === generation) {
+          setError(err instanceof Error ? err : new Error('Failed to load resolutions'));
+        }
+      } finally {
+        if (mounted && current === generation) {
+          settled = true;
+          setLoading(false);
+          missed.forEach((resolutionId) => onResolutionEvent(resolutionId));
+          missed.clear();
+        }
+      }
+    }
+
+    // Reload only the resolution an event refers to
+    async function onResolutionEvent(resolutionId: bigint) {
+      if (!settled) {
+        missed.add(resolutionId);
+        return;
+      }
+
+      const key = resolutionId.toString();
+      const sequence = (fetches.get(key) ?? 0) + 1;
+      fetches.set(key, sequence);
+      try {
+        const resolution = await loadResolution(contract!, resolutionId);
+        if (mounted && fetches.get(key) === sequence) {
+          setData((prev: ResolutionData[]) => {
+            const next = [...prev];
+            next[Number(resolutionId)] = resolution;
+            return next;
+          });
+        }
+      } catch (err) {
+        if (mounted) {
+          setError(err instanceof Error ? err : new Error('Failed to load resolution'));
+        }
+      }
+    }
+
+    RESOLUTION_EVENTS.forEach((event) => contract.on(event, onResolutionEvent));
+    reload.current = load;
+    load();
+
+    return () => {
+      mounted = false;
+      reload.current = null;
+      RESOLUTION_EVENTS.forEach((event) => contract.off(event, onResolutionEvent));
+    };
+  }, [contract]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), tickInterval);
+    return () => clearInterval(timer);
+  }, [tickInterval]);
+
+  const resolutions = useMemo(
+    () => data.filter(Boolean).map((resolution: ResolutionData) => deriveResolution(resolution, now)),
+    [data, now]
+  );
+
+  return {
+    resolutions,
+    loading,
+    error,
+    refresh,
+  };
+}
+
+const DISCONNECTED: WalletState = {
+  status: 'disconnected',
+  account: null,
+  chainId: null,
+  provider: null,
+  signer: null,
+  contracts: {},
+};
+
+/**
+ * Hook to connect a wallet and keep it on the configured chain
+ * Signer and contracts are rebuilt whenever the account or chain changes
+ */
+export function useWallet(options: UseWalletOptions) {
+  const { chain, autoSwitch, contracts } = options;
+  const [manager, setManager] = useState<WalletManager | null>(null);
+  const [state, setState] = useState<WalletState>(DISCONNECTED);
+  const [error, setError] = useState<Error | null>(null);
+
+  // Contracts are usually passed inline, so compare them by value
+  const contractsKey = JSON.stringify(
+    Object.entries(contracts ?? {}).map(([name, { address }]) => [name, address])
+  );
+
+  useEffect(() => {
+    const ethereum = options.ethereum ?? (globalThis as any).ethereum;
+    if (!ethereum) {
+      setError(new Error('No EIP-1193 wallet found. Please install MetaMask.'));
+      return;
+    }
+
+    const walletManager = new WalletManager(ethereum, { chain, autoSwitch });
+    const unsubscribe = walletManager.subscribe(setState);
+    setManager(walletManager);
+    setState(walletManager.getState());
+    setError(null);
+
+    walletManager.restore().catch(() => {
+      // Not yet authorized; wait for connect()
+    });
+
+    return () => {
+      unsubscribe();
+      walletManager.destroy();
+    };
+  }, [options.ethereum, chain.chainId, autoSwitch]);
+
+  // Rebind contracts on the same manager, so a connect() already under way is not lost
+  const registered = useRef<string[]>([]);
+  useEffect(() => {
+    if (!manager) {
+      return;
+    }
+
+    const entries = Object.entries(contracts ?? {});
+    registered.current
+      .filter((name: string) => !entries.some(([entry]) => entry === name))
+      .forEach((name: string) => manager.removeContract(name));
+    entries.forEach(([name, { address, abi }]) => {
+      manager.addContract(name, address, abi);
+    });
+    registered.current = entries.map(([name]) => name);
+  }, [manager, contractsKey]);
+
+  const connect = useCallback(async () => {
+    if (!manager) {
+      throw new Error('Wallet not available');
+    }
+
+    setError(null);
+    try {
+      return await manager.connect();
+    } catch (err) {
+      const error = err instanceof Error ? err : new Error('Failed to connect wallet');
+      setError(error);
+      throw error;
+    }
+  }, [manager]);
+
+  const switchChain = useCallback(async () => {
+    if (!manager) {
+      throw new Error('Wallet not available');
+    }
+
+    setError(null);
+    try {
+      await manager.switchChain();
+    } catch (err) {
+      const error = err instanceof Error ? err : new Error('Failed to switch network');
+      setError(error);
+      throw error;
+    }
+  }, [manager]);
+
+  const disconnect = useCallback(() => {
+    manager?.disconnect();
+  }, [manager]);
+
+  return {
+    ...state,
+    isConnected: state.status === 'connected',
+    error,
+    connect,
+    switchChain,
+    disconnect,
+  };
+}
@@ -0,0 +1,67 @@
+import { TransactionError, sendTransaction } from './transaction';
+import type { TransactionStatus } from './types';
+
+const HASH = '0x' + 'ab'.repeat(32);
+
+function sentTransaction(wait: () => Promise<any>) {
+  return { hash: HASH, wait: jest.fn(wait) } as any;
+}
+
+async function run(send: () => Promise<any>) {
+  const statuses: TransactionStatus[] = [];
+  const result = sendTransaction(send, { onStatus: (status) => statuses.push(status) });
+  const error = await result.then(() => null, (err) => err);
+  return { error, statuses: statuses.map(({ status }) => status), last: statuses[statuses.length - 1] };
+}
+
+describe('sendTransaction', () => {
+  it('reports a wallet rejection as failed, with no transaction hash', async () => {
+    const { error, statuses, last } = await run(async () => {
+      throw Object.assign(new Error('user rejected action'), { code: 'ACTION_REJECTED' });
+    });
+
+    expect(error).toBeInstanceOf(TransactionError);
+    expect(error.code).toBe('USER_REJECTED');
+    expect(statuses).toEqual(['signing', 'failed']);
+    expect(last).toMatchObject({ transactionHash: null });
+  });
+
+  it('reports a failed gas estimate as failed, keeping the revert reason', async () => {
+    const { error, statuses } = await run(async () => {
+      throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', reason: 'Already voted' });
+    });
+
+    expect(error.code).toBe('ALREADY_VOTED');
+    expect(statuses).toEqual(['signing', 'failed']);
+  });
+
+  it('reports a mined failure as reverted', async () => {
+    const tx = sentTransaction(async () => {
+      throw Object.assign(new Error('transaction execution reverted'), { code: 'CALL_EXCEPTION', receipt: { hash: HASH, status: 0 } });
+    });
+    const { error, statuses, last } = await run(async () => tx);
+
+    expect(error.code).toBe('REVERTED');
+    expect(statuses).toEqual(['signing', 'submitted', 'reverted']);
+    expect(last).toMatchObject({ transactionHash: HASH });
+  });
+
+  it('reports a timeout after submission as failed', async () => {
+    const tx = sentTransaction(async () => {
+      throw Object.assign(new Error('timeout'), { code: 'TIMEOUT' });
+    });
+    const { error, statuses, last } = await run(async () => tx);
+
+    expect(error.code).toBe('TIMEOUT');
+    expect(statuses).toEqual(['signing', 'submitted', 'failed']);
+    expect(last).toMatchObject({ transactionHash: HASH });
+  });
+
+  it('resolves with the receipt once mined', async () => {
+    const receipt = { hash: HASH, status: 1 };
+    const tx = sentTransaction(async () => receipt);
+
+    await expect(sendTransaction(async () => tx)).resolves.toBe(receipt);
+    expect(tx.wait).toHaveBeenCalledWith(1, undefined);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Transaction lifecycle helper with normalized errors
+ */
+
+import { AbiCoder, dataSlice } from 'ethers';
+import type { TransactionReceipt, TransactionResponse } from 'ethers';
+import type { SendTransactionOptions, TransactionErrorCode } from './types';
+
+/**
+ * Revert reasons of the governance contracts, by error code
+ */
+export const REVERT_REASONS: Record<string, TransactionErrorCode> = {
+  'Voting period has ended': 'VOTING_ENDED',
+  'Already voted': 'ALREADY_VOTED',
+  'Only active board members can vote': 'NOT_BOARD_MEMBER',
+  'Only active board members can perform this action': 'NOT_BOARD_MEMBER',
+  'Only chairperson can perform this action': 'NOT_CHAIRPERSON',
+  'Quorum cannot exceed total voting power': 'QUORUM_TOO_HIGH',
+  'Quorum must be greater than 0': 'QUORUM_TOO_LOW',
+  'Resolution does not exist': 'RESOLUTION_NOT_FOUND',
+  'Resolution is not active': 'RESOLUTION_CLOSED',
+  'Resolution is already closed': 'RESOLUTION_CLOSED',
+  'Resolution already resolved': 'RESOLUTION_RESOLVED',
+  'Decryption already requested': 'DECRYPTION_ALREADY_REQUESTED',
+  'Decryption not requested': 'DECRYPTION_NOT_REQUESTED',
+  'Member already exists': 'MEMBER_EXISTS',
+  'Member is not active': 'MEMBER_NOT_ACTIVE',
+  'Cannot remove chairperson': 'CANNOT_REMOVE_CHAIRPERSON',
+  'Invalid member address': 'INVALID_ADDRESS',
+  'Voting power must be greater than 0': 'INVALID_VOTING_POWER',
+  'Voting power out of range': 'INVALID_VOTING_POWER',
+  'Invalid string length': 'INVALID_INPUT',
+  'Voting period not ended or not creator': 'VOTING_NOT_ENDED',
+  'Timeout period not reached': 'TIMEOUT_NOT_REACHED',
+  'Only creator or chairperson can handle timeout': 'NOT_CREATOR_OR_CHAIRPERSON',
+  'Request expired': 'REQUEST_EXPIRED',
+  'Invalid nonce': 'INVALID_NONCE',
+  'Invalid signature': 'INVALID_SIGNATURE',
+  'Invalid signature length': 'INVALID_SIGNATURE',
+};
+
+/**
+ * Default English messages; UIs can key their own translations on the code
+ */
+export const TRANSACTION_ERROR_MESSAGES: Record<TransactionErrorCode, string> = {
+  USER_REJECTED: 'Transaction cancelled by user',
+  INSUFFICIENT_FUNDS: 'Insufficient ETH for transaction fees',
+  NONCE_EXPIRED: 'Nonce already used; reset your wallet account or retry',
+  UNDERPRICED: 'Gas price too low to replace a pending transaction',
+  NETWORK_ERROR: 'Network error; check your connection and RPC endpoint',
+  TIMEOUT: 'Timed out waiting for the transaction',
+  REPLACED: 'Transaction was replaced or cancelled in the wallet',
+  REVERTED: 'Transaction reverted',
+  VOTING_ENDED: 'Voting period has ended',
+  ALREADY_VOTED: 'You have already voted on this resolution',
+  NOT_BOARD_MEMBER: 'Only active board members can do this',
+  NOT_CHAIRPERSON: 'Only the chairperson can do this',
+  QUORUM_TOO_HIGH: 'Quorum cannot exceed total voting power',
+  QUORUM_TOO_LOW: 'Quorum must be greater than 0',
+  RESOLUTION_NOT_FOUND: 'Resolution does not exist',
+  RESOLUTION_CLOSED: 'Resolution is closed',
+  RESOLUTION_RESOLVED: 'Resolution is already resolved',
+  DECRYPTION_ALREADY_REQUESTED: 'Decryption has already been requested',
+  DECRYPTION_NOT_REQUESTED: 'Decryption has not been requested',
+  MEMBER_EXISTS: 'Member already exists',
+  MEMBER_NOT_ACTIVE: 'Member is not active',
+  CANNOT_REMOVE_CHAIRPERSON: 'The chairperson cannot be removed',
+  INVALID_ADDRESS: 'Invalid address',
+  INVALID_VOTING_POWER: 'Invalid voting power',
+  INVALID_INPUT: 'Invalid input',
+  VOTING_NOT_ENDED: 'Voting has not ended; only the creator can close it early',
+  TIMEOUT_NOT_REACHED: 'The decryption timeout has not been reached yet',
+  NOT_CREATOR_OR_CHAIRPERSON: 'Only the creator or the chairperson can do this',
+  REQUEST_EXPIRED: 'The signed request has expired',
+  INVALID_NONCE: 'The signed request was already used or is out of order',
+  INVALID_SIGNATURE: 'The signature does not match the request',
+  UNKNOWN: 'Transaction failed',
+};
+
+/**
+ * Error thrown by sendTransaction, carrying a stable code
+ */
+export class TransactionError extends Error {
+  code: TransactionErrorCode;
+  /** Decoded revert reason, if the contract gave one */
+  reason: string | null;
+  transactionHash: string | null;
+  cause: unknown;
+
+  constructor(code: TransactionErrorCode, reason: string | null, cause: unknown, transactionHash: string | null = null) {
+    super(reason ?? TRANSACTION_ERROR_MESSAGES[code]);
+    this.name = 'TransactionError';
+    this.code = code;
+    this.reason = reason;
+    this.cause = cause;
+    this.transactionHash = transactionHash;
+  }
+}
+
+// Error(string) selector
+const ERROR_SELECTOR = '0x08c379a0';
+
+const REASON_PATTERN = /reverted(?: with reason string)?:?\s*'?([^'"\n]+?)'?(?:"|$|,|\n)/;
+
+/**
+ * Dig the revert reason out of an ethers / wallet / node error
+ */
+export function decodeRevertReason(error: any): string | null {
+  for (let current = error, depth = 0; current && depth < 5; current = current.info?.error ?? current.error, depth++) {
+    if (typeof current.reason === 'string' && current.reason) {
+      return current.reason;
+    }
+    if (current.revert?.args?.length) {
+      return String(current.revert.args[0]);
+    }
+
+    const data = typeof current.data === 'string' ? current.data : current.data?.data;
+    if (typeof data === 'string' && data.startsWith(ERROR_SELECTOR)) {
+      try {
+        return AbiCoder.defaultAbiCoder().decode(['string'], dataSlice(data, 4))[0];
+      } catch {
+        // Malformed revert data; keep looking
+      }
+    }
+
+    const match = typeof current.message === 'string' ? current.message.match(REASON_PATTERN) : null;
+    if (match) {
+      return match[1].trim();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map any error raised while sending a transaction to a TransactionError
+ */
+export function normalizeTransactionError(
+  error: any,
+  revertReasons: Record<string, TransactionErrorCode> = REVERT_REASONS
+): TransactionError {
+  if (error instanceof TransactionError) {
+    return error;
+  }
+
+  const hash = error?.receipt?.hash ?? error?.transaction?.hash ?? null;
+  const walletCode = error?.info?.error?.code ?? error?.error?.code;
+
+  if (error?.code === 'ACTION_REJECTED' || walletCode === 4001) {
+    return new TransactionError('USER_REJECTED', null, error, hash);
+  }
+  if (error?.code === 'INSUFFICIENT_FUNDS') {
+    return new TransactionError('INSUFFICIENT_FUNDS', null, error, hash);
+  }
+  if (error?.code === 'NONCE_EXPIRED') {
+    return new TransactionError('NONCE_EXPIRED', null, error, hash);
+  }
+  if (error?.code === 'REPLACEMENT_UNDERPRICED') {
+    return new TransactionError('UNDERPRICED', null, error, hash);
+  }
+  if (error?.code === 'TRANSACTION_REPLACED') {
+    return new TransactionError('REPLACED', null, error, error.replacement?.hash ?? hash);
+  }
+  if (error?.code === 'NETWORK_ERROR' || error?.code === 'SERVER_ERROR') {
+    return new TransactionError('NETWORK_ERROR', null, error, hash);
+  }
+  if (error?.code === 'TIMEOUT') {
+    return new TransactionError('TIMEOUT', null, error, hash);
+  }
+
+  const reason = decodeRevertReason(error);
+  if (reason) {
+    return new TransactionError(revertReasons[reason] ?? 'REVERTED', reason, error, hash);
+  }
+  if (error?.code === 'CALL_EXCEPTION') {
+    return new TransactionError('REVERTED', null, error, hash);
+  }
+
+  return new TransactionError('UNKNOWN', error?.shortMessage ?? error?.message ?? null, error, hash);
+}
+
+/**
+ * Send a transaction and follow it until it is mined
+ *
+ * `send` is whatever submits the transaction, e.g.
+ * `() => contract.castVote(id, handle, proof)`. Progress is reported through
+ * `onStatus` (signing → submitted → mined, or failed / reverted / replaced);
+ * failures are thrown as TransactionError. `reverted` is only reported for a
+ * submitted transaction the chain rejected; a wallet rejection, a failed gas
+ * estimate, a timeout or a network error is `failed`.
+ */
+export async function sendTransaction(
+  send: () => Promise<TransactionResponse>,
+  options: SendTransactionOptions = {}
+): Promise<TransactionReceipt> {
+  const { onStatus, confirmations = 1, timeout, revertReasons } = options;
+  const reasons = revertReasons ? { ...REVERT_REASONS, ...revertReasons } : REVERT_REASONS;
+
+  const fail = (error: unknown, submittedHash: string | null): never => {
+    const normalized = normalizeTransactionError(error, reasons);
+    const reverted = normalized.code === 'REVERTED' || normalized.reason !== null;
+    if (submittedHash && reverted) {
+      onStatus?.({ status: 'reverted', transactionHash: normalized.transactionHash ?? submittedHash, error: normalized });
+    } else {
+      onStatus?.({ status: 'failed', transactionHash: submittedHash, error: normalized });
+    }
+    throw normalized;
+  };
+
+  onStatus?.({ status: 'signing' });
+
+  let tx: TransactionResponse;
+  try {
+    tx = await send();
+  } catch (error) {
+    return fail(error, null);
+  }
+
+  onStatus?.({ status: 'submitted', transactionHash: tx.hash });
+
+  try {
+    const receipt = await tx.wait(confirmations, timeout);
+    if (!receipt) {
+      throw new TransactionError('TIMEOUT', null, null, tx.hash);
+    }
+    onStatus?.({ status: 'mined', transactionHash: receipt.hash, receipt });
+    return receipt;
+  } catch (error: any) {
+    // A sped-up transaction (same data, higher gas) still counts as success
+    if (error?.code === 'TRANSACTION_REPLACED') {
+      onStatus?.({
+        status: 'replaced',
+        transactionHash: tx.hash,
+        replacementHash: error.replacement?.hash ?? null,
+        cancelled: error.reason !== 'repriced',
+      });
+
+      if (error.reason === 'repriced' && error.receipt?.status === 1) {
+        onStatus?.({ status: 'mined', transactionHash: error.receipt.hash, receipt: error.receipt });
+        return error.receipt;
+      }
+    }
+
+    return fail(error, tx.hash);
+  }
+}
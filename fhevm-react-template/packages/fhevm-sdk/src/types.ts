@@ -2,24 +2,46 @@
  * Core types for FHEVM SDK
  */
 
-import type { Contract, Signer, Provider } from 'ethers';
+import type { BrowserProvider, Contract, Signer, Provider, TransactionReceipt } from 'ethers';
 
 /**
  * Configuration for FHEVM client initialization
  */
 export interface FhevmConfig {
-  /** Network chain ID */
+  /** Network chain ID; settings below default to the chain preset for this ID */
   chainId: number;
   /** Network RPC URL */
-  rpcUrl: string;
+  rpcUrl?: string;
   /** ACL contract address (optional) */
   aclAddress?: string;
   /** KMS verifier address (optional) */
   kmsVerifierAddress?: string;
   /** Gateway contract address (optional) */
   gatewayAddress?: string;
-  /** Public key for encryption */
+  /** Gateway relayer URL used for reencryption (optional) */
+  gatewayUrl?: string;
+  /** Public key for encryption; fetched from publicKeySource when omitted */
   publicKey?: string;
+  /** Where to fetch the public key from */
+  publicKeySource?: PublicKeySource;
+  /** Expected keccak256 hash of the public key, checked after every load */
+  publicKeyHash?: string;
+  /** Persistent public key cache; false disables caching */
+  publicKeyCache?: PublicKeyCache | false;
+  /** FHE backend: 'fhevmjs' (default), 'mock' for offline use, or a custom backend */
+  backend?: 'fhevmjs' | 'mock' | FhevmBackend;
+  /** Lifetime of cached decryption permits in seconds (default 24h) */
+  permitTtl?: number;
+}
+
+/**
+ * Pluggable backend that creates the raw FHE instance
+ */
+export interface FhevmBackend {
+  /** Backend name */
+  name: string;
+  /** Create the raw instance for the given configuration */
+  createInstance: (config: FhevmConfig) => Promise<any>;
 }
 
 /**
@@ -31,7 +53,7 @@ export interface FhevmInstance {
   /** Create encrypted input builder */
   createEncryptedInput: (contractAddress: string, userAddress: string) => EncryptedInputBuilder;
   /** Decrypt a value using user's private key (EIP-712) */
-  userDecrypt: (handle: string, contractAddress: string) => Promise<bigint>;
+  userDecrypt: (handle: string | bigint, contractAddress: string, signer: Signer) => Promise<bigint>;
   /** Decrypt a value publicly (no signature required) */
   publicDecrypt: (handle: string) => Promise<bigint>;
   /** Reencrypt a value for viewing */
@@ -43,8 +65,55 @@ export interface FhevmInstance {
     contractAddress: string,
     userAddress: string
   ) => Promise<bigint>;
+  /** Generate a reencryption keypair */
+  generateKeypair: () => { publicKey: string; privateKey: string };
+  /** Build the EIP-712 payload authorizing a reencryption public key */
+  createEIP712: (publicKey: string, contractAddress: string, delegatedAccount?: string) => EIP712;
+}
+
+/**
+ * EIP-712 payload for reencryption authorization
+ */
+export interface EIP712 {
+  domain: {
+    chainId: number;
+    name: string;
+    verifyingContract: string;
+    version: string;
+  };
+  message: {
+    publicKey: string;
+    delegatedAccount?: string;
+  };
+  primaryType: string;
+  types: {
+    [key: string]: Array<{ name: string; type: string }>;
+  };
+}
+
+/**
+ * Signed authorization to reencrypt a contract's values for a user
+ */
+export interface DecryptionPermit {
+  /** Reencryption public key */
+  publicKey: string;
+  /** Reencryption private key (never leaves the client) */
+  privateKey: string;
+  /** EIP-712 signature over the public key */
+  signature: string;
+  /** Contract the permit is valid for */
+  contractAddress: string;
+  /** User who signed the permit */
+  userAddress: string;
+  /** Expiry as a unix timestamp in seconds */
+  expiresAt: number;
 }
 
+/**
+ * Plaintext types that can be encrypted
+ */
+export type EncryptedType = 'uint8' | 'uint16' | 'uint32' | 'uint64' | 'uint128' | 'bool' | 'address';
+
 /**
  * Encrypted input builder interface
  */
@@ -67,6 +136,26 @@ export interface EncryptedInput {
   inputProof: string;
 }
 
+/**
+ * Named plaintext types for batch encryption, e.g. { yes: 'bool', weight: 'uint32' }
+ */
+export type EncryptionSchema = Record<string, EncryptedType>;
+
+/**
+ * Plaintext values matching an encryption schema
+ */
+export type EncryptionValues<S extends EncryptionSchema> = {
+  [K in keyof S]: S[K] extends 'bool' ? boolean : S[K] extends 'address' ? string : number | bigint;
+};
+
+/**
+ * Result of batch encryption: one handle per schema entry and a shared proof
+ */
+export interface BatchEncryptedInput<S extends EncryptionSchema> {
+  handles: Record<keyof S, Uint8Array>;
+  inputProof: string;
+}
+
 /**
  * Options for decryption operations
  */
@@ -107,6 +196,24 @@ export interface DeploymentResult {
   blockNumber: number;
 }
 
+/**
+ * Plaintext argument to be encrypted in place of an einput parameter
+ */
+export interface EncryptedArg {
+  encrypted: true;
+  /** Plaintext type */
+  type: EncryptedType;
+  /** Plaintext value */
+  value: number | bigint | boolean | string;
+}
+
+/**
+ * Contract whose einput methods accept EncryptedArg values
+ */
+export type FhevmContract = Contract & {
+  [method: string]: (...args: any[]) => Promise<any>;
+};
+
 /**
  * Contract call options with encryption
  */
@@ -120,3 +227,262 @@ export interface ContractCallOptions {
   /** Value to send with transaction */
   value?: bigint;
 }
+
+/**
+ * Lifecycle of a Gateway decryption request
+ */
+export type DecryptionState =
+  | {
+      status: 'pending';
+      requestId: bigint;
+      /** Resolution being decrypted (null until looked up) */
+      resolutionId: bigint | null;
+      /** Seconds until handleDecryptionTimeout becomes callable (null until polled) */
+      timeUntilTimeout: number | null;
+    }
+  | {
+      status: 'fulfilled';
+      requestId: bigint;
+      resolutionId: bigint;
+      yesVotes: bigint;
+      noVotes: bigint;
+      passed: boolean;
+      transactionHash: string | null;
+    }
+  | {
+      status: 'timed-out';
+      requestId: bigint;
+      resolutionId: bigint;
+      /** Whether handleDecryptionTimeout has been called on-chain */
+      handled: boolean;
+      transactionHash: string | null;
+    };
+
+/**
+ * Options for trackDecryption
+ */
+export interface TrackDecryptionOptions {
+  /** Resolution ID, if known (skips the DecryptionRequested log lookup) */
+  resolutionId?: bigint | number;
+  /** How often to poll getResolutionStatus, in ms (default 15000) */
+  pollInterval?: number;
+  /** First block to search for past events (default 0) */
+  fromBlock?: number;
+}
+
+/**
+ * Handle returned by trackDecryption; awaitable and subscribable
+ */
+export interface DecryptionTracker extends PromiseLike<DecryptionState> {
+  /** Settles once the request is fulfilled or timed out */
+  result: Promise<DecryptionState>;
+  /** Current state */
+  getState: () => DecryptionState;
+  /** Listen to state changes; called immediately with the current state */
+  subscribe: (listener: (state: DecryptionState) => void) => () => void;
+  /** Stop listening for events and polling; rejects `result` with an AbortError if still pending */
+  stop: () => void;
+}
+
+/**
+ * Resolution as returned by CorporateGovernance.getResolution
+ */
+export interface ResolutionData {
+  id: bigint;
+  title: string;
+  description: string;
+  /** Unix timestamp in seconds */
+  startTime: number;
+  /** Unix timestamp in seconds */
+  endTime: number;
+  active: boolean;
+  creator: string;
+  requiredQuorum: bigint;
+  resolved: boolean;
+  revealedYesVotes: bigint;
+  revealedNoVotes: bigint;
+}
+
+/**
+ * Resolution with fields derived from the current time and revealed tally
+ */
+export interface Resolution extends ResolutionData {
+  /** Seconds left in the voting period (0 once ended) */
+  remainingTime: number;
+  /** Outcome once resolved, null before */
+  passed: boolean | null;
+  /** voting → ended (awaiting close) → decrypting → passed | failed */
+  status: 'voting' | 'ended' | 'decrypting' | 'passed' | 'failed';
+}
+
+/**
+ * Options for useResolutions
+ */
+export interface UseResolutionsOptions {
+  /** How often derived fields (remaining time, status) are recomputed, in ms (default 1000) */
+  tickInterval?: number;
+}
+
+/**
+ * Chain parameters used to switch to (or add) a network in the wallet
+ */
+export interface ChainConfig {
+  chainId: number;
+  chainName: string;
+  rpcUrls: string[];
+  nativeCurrency: { name: string; symbol: string; decimals: number };
+  blockExplorerUrls?: string[];
+}
+
+/**
+ * Minimal EIP-1193 provider (window.ethereum, WalletConnect, ...)
+ */
+export interface Eip1193Provider {
+  request(args: { method: string; params?: unknown[] }): Promise<any>;
+  on?(event: string, listener: (...args: any[]) => void): void;
+  removeListener?(event: string, listener: (...args: any[]) => void): void;
+}
+
+/**
+ * Options for WalletManager
+ */
+export interface WalletManagerOptions {
+  /** Chain the dApp runs on */
+  chain: ChainConfig;
+  /** Switch (or add) the chain on connect (default true) */
+  autoSwitch?: boolean;
+}
+
+/**
+ * Wallet connection state
+ */
+export interface WalletState {
+  status: 'disconnected' | 'connecting' | 'connected' | 'wrong-network';
+  account: string | null;
+  chainId: number | null;
+  provider: BrowserProvider | null;
+  signer: Signer | null;
+  /** Registered contracts bound to the current signer */
+  contracts: Record<string, Contract>;
+}
+
+/**
+ * Options for useWallet
+ */
+export interface UseWalletOptions extends WalletManagerOptions {
+  /** EIP-1193 provider (defaults to window.ethereum) */
+  ethereum?: Eip1193Provider;
+  /** Contracts to rebuild on every account or chain change, by name */
+  contracts?: Record<string, { address: string; abi: any[] }>;
+}
+
+/**
+ * Stable error codes for failed transactions
+ */
+export type TransactionErrorCode =
+  | 'USER_REJECTED'
+  | 'INSUFFICIENT_FUNDS'
+  | 'NONCE_EXPIRED'
+  | 'UNDERPRICED'
+  | 'NETWORK_ERROR'
+  | 'TIMEOUT'
+  | 'REPLACED'
+  | 'REVERTED'
+  | 'VOTING_ENDED'
+  | 'ALREADY_VOTED'
+  | 'NOT_BOARD_MEMBER'
+  | 'NOT_CHAIRPERSON'
+  | 'QUORUM_TOO_HIGH'
+  | 'QUORUM_TOO_LOW'
+  | 'RESOLUTION_NOT_FOUND'
+  | 'RESOLUTION_CLOSED'
+  | 'RESOLUTION_RESOLVED'
+  | 'DECRYPTION_ALREADY_REQUESTED'
+  | 'DECRYPTION_NOT_REQUESTED'
+  | 'MEMBER_EXISTS'
+  | 'MEMBER_NOT_ACTIVE'
+  | 'CANNOT_REMOVE_CHAIRPERSON'
+  | 'INVALID_ADDRESS'
+  | 'INVALID_VOTING_POWER'
+  | 'INVALID_INPUT'
+  | 'VOTING_NOT_ENDED'
+  | 'TIMEOUT_NOT_REACHED'
+  | 'NOT_CREATOR_OR_CHAIRPERSON'
+  | 'REQUEST_EXPIRED'
+  | 'INVALID_NONCE'
+  | 'INVALID_SIGNATURE'
+  | 'UNKNOWN';
+
+/**
+ * Progress of a transaction sent with sendTransaction
+ */
+export type TransactionStatus =
+  | { status: 'signing' }
+  | { status: 'submitted'; transactionHash: string }
+  | { status: 'mined'; transactionHash: string; receipt: TransactionReceipt }
+  | { status: 'replaced'; transactionHash: string; replacementHash: string | null; cancelled: boolean }
+  | { status: 'failed'; transactionHash: string | null; error: Error & { code: TransactionErrorCode } }
+  | { status: 'reverted'; transactionHash: string; error: Error & { code: TransactionErrorCode } };
+
+/**
+ * Options for sendTransaction
+ */
+export interface SendTransactionOptions {
+  /** Called on every status change */
+  onStatus?: (status: TransactionStatus) => void;
+  /** Confirmations to wait for (default 1) */
+  confirmations?: number;
+  /** Give up waiting after this many ms */
+  timeout?: number;
+  /** Extra revert reason → code mappings for other contracts */
+  revertReasons?: Record<string, TransactionErrorCode>;
+}
+
+/**
+ * Source of the network's FHE public key
+ */
+export type PublicKeySource =
+  /** eth_call to the FHE public key precompile through the RPC URL (native FHEVM chains only) */
+  | { type: 'network'; url?: string }
+  /** eth_getPublicFhevmKey on a coprocessor */
+  | { type: 'coprocessor'; url: string }
+  /** Key listed by a gateway's keyurl endpoint (coprocessor chains such as Sepolia) */
+  | { type: 'gateway'; url: string }
+  /** Hex-encoded key served over HTTP */
+  | { type: 'url'; url: string };
+
+/**
+ * Known network settings, looked up by chain ID
+ */
+export interface FhevmChainPreset {
+  /** Preset name, e.g. 'sepolia' */
+  name: string;
+  chainId: number;
+  rpcUrl: string;
+  aclAddress?: string;
+  kmsVerifierAddress?: string;
+  gatewayAddress?: string;
+  gatewayUrl?: string;
+  publicKeySource?: PublicKeySource;
+  /** Backend to use unless the config names one (e.g. 'mock' for Hardhat) */
+  backend?: 'fhevmjs' | 'mock';
+}
+
+/**
+ * Public key as stored in a PublicKeyCache
+ */
+export interface CachedPublicKey {
+  publicKey: string;
+  /** keccak256 of the key, checked when it is read back */
+  hash: string;
+  fetchedAt: number;
+}
+
+/**
+ * Persistent storage for fetched public keys
+ */
+export interface PublicKeyCache {
+  get(key: string): Promise<CachedPublicKey | null>;
+  set(key: string, entry: CachedPublicKey): Promise<void>;
+  delete(key: string): Promise<void>;
+}
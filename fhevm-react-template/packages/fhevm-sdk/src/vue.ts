@@ -0,0 +1,194 @@
+/**
+ * Vue composables for FHEVM
+ * Same API as the React hooks in react.tsx
+ */
+
+import { inject, onScopeDispose, provide, readonly, ref, shallowRef, toValue, watch } from 'vue';
+import type { InjectionKey, MaybeRefOrGetter, Ref, ShallowRef } from 'vue';
+import { Contract } from 'ethers';
+import type { Signer } from 'ethers';
+import { FhevmClient, getConfigKey, getFhevmClient } from './client';
+import type { ContractConfig, FhevmConfig, FhevmInstance } from './types';
+
+/**
+ * State shared by provideFhevm
+ */
+export interface FhevmContext {
+  client: Readonly<ShallowRef<FhevmClient | null>>;
+  instance: Readonly<ShallowRef<FhevmInstance | null>>;
+  isInitialized: Readonly<Ref<boolean>>;
+  error: Readonly<ShallowRef<Error | null>>;
+}
+
+export const FHEVM_KEY: InjectionKey<FhevmContext> = Symbol('fhevm');
+
+/**
+ * Initialize FHEVM and provide it to descendant components
+ * Call from setup() of your root component; re-initializes when a reactive config changes
+ */
+export function provideFhevm(config: MaybeRefOrGetter<FhevmConfig>): FhevmContext {
+  const client = shallowRef<FhevmClient | null>(null);
+  const instance = shallowRef<FhevmInstance | null>(null);
+  const isInitialized = ref(false);
+  const error = shallowRef<Error | null>(null);
+
+  // Ignore results of an init that was superseded or torn down
+  let generation = 0;
+
+  async function initialize(fhevmConfig: FhevmConfig) {
+    const current = ++generation;
+    client.value = null;
+    instance.value = null;
+    isInitialized.value = false;
+    error.value = null;
+
+    try {
+      const fhevmClient = await getFhevmClient(fhevmConfig);
+
+      if (current === generation) {
+        client.value = fhevmClient;
+        instance.value = fhevmClient.getInstance();
+        isInitialized.value = true;
+      }
+    } catch (err) {
+      if (current === generation) {
+        error.value = err instanceof Error ? err : new Error('Failed to initialize FHEVM');
+      }
+    }
+  }
+
+  // Re-initialize only when the settings change, not on every new config object
+  watch(
+    () => getConfigKey(toValue(config)),
+    () => initialize(toValue(config)),
+    { immediate: true }
+  );
+
+  onScopeDispose(() => {
+    generation++;
+  });
+
+  const context: FhevmContext = {
+    client: readonly(client) as FhevmContext['client'],
+    instance: readonly(instance) as FhevmContext['instance'],
+    isInitialized: readonly(isInitialized),
+    error: readonly(error) as FhevmContext['error'],
+  };
+
+  provide(FHEVM_KEY, context);
+  return context;
+}
+
+/**
+ * Composable to access FHEVM instance
+ */
+export function useFhevm(): FhevmContext {
+  const context = inject(FHEVM_KEY, null);
+
+  if (!context) {
+    throw new Error('useFhevm must be used within a component that called provideFhevm');
+  }
+
+  return context;
+}
+
+/**
+ * Composable to interact with FHEVM contracts
+ */
+export function useFhevmContract(config: MaybeRefOrGetter<ContractConfig>) {
+  const { instance, isInitialized } = useFhevm();
+  const contract = shallowRef<Contract | null>(null);
+  const loading = ref(true);
+
+  watch(
+    [() => toValue(config), isInitialized],
+    ([contractConfig, initialized]: [ContractConfig, boolean]) => {
+      if (initialized) {
+        contract.value = new Contract(contractConfig.address, contractConfig.abi, contractConfig.signerOrProvider);
+        loading.value = false;
+      } else {
+        contract.value = null;
+        loading.value = true;
+      }
+    },
+    { immediate: true }
+  );
+
+  onScopeDispose(() => {
+    contract.value?.removeAllListeners();
+  });
+
+  /**
+   * Encrypt input for contract call
+   */
+  function encryptInput(contractAddress: string, userAddress: string) {
+    if (!instance.value) {
+      throw new Error('FHEVM instance not initialized');
+    }
+    return instance.value.createEncryptedInput(contractAddress, userAddress);
+  }
+
+  /**
+   * Decrypt value from contract
+   */
+  async function decrypt(handle: string, contractAddress: string, isPublic = false) {
+    if (!instance.value) {
+      throw new Error('FHEVM instance not initialized');
+    }
+
+    if (isPublic) {
+      return await instance.value.publicDecrypt(handle);
+    }
+
+    const signer = toValue(config).signerOrProvider as Signer;
+    if (typeof signer.signTypedData !== 'function') {
+      throw new Error('Signer is required for user decryption');
+    }
+
+    return await instance.value.userDecrypt(handle, contractAddress, signer);
+  }
+
+  return {
+    contract,
+    loading: readonly(loading),
+    encryptInput,
+    decrypt,
+    instance,
+  };
+}
+
+/**
+ * Composable for encrypted input creation
+ */
+export function useEncryptedInput(contractAddress: MaybeRefOrGetter<string>, userAddress: MaybeRefOrGetter<string>) {
+  const { instance } = useFhevm();
+  const loading = ref(false);
+  const error = shallowRef<Error | null>(null);
+
+  function createInput() {
+    if (!instance.value) {
+      throw new Error('FHEVM instance not initialized');
+    }
+    return instance.value.createEncryptedInput(toValue(contractAddress), toValue(userAddress));
+  }
+
+  async function encrypt(builder: any) {
+    loading.value = true;
+    error.value = null;
+    try {
+      return builder.encrypt();
+    } catch (err) {
+      error.value = err instanceof Error ? err : new Error('Encryption failed');
+      throw error.value;
+    } finally {
+      loading.value = false;
+    }
+  }
+
+  return {
+    createInput,
+    encrypt,
+    loading: readonly(loading),
+    error: readonly(error),
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * Wallet and network management for EIP-1193 providers
+ */
+
+import { BrowserProvider, Contract, toBeHex } from 'ethers';
+import type { ChainConfig, Eip1193Provider, WalletManagerOptions, WalletState } from './types';
+
+/**
+ * Sepolia testnet (FHEVM)
+ */
+export const SEPOLIA_CHAIN: ChainConfig = {
+  chainId: 11155111,
+  chainName: 'Sepolia Test Network',
+  rpcUrls: ['https://sepolia.infura.io/v3/'],
+  nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+  blockExplorerUrls: ['https://sepolia.etherscan.io/'],
+};
+
+/**
+ * Local Hardhat node
+ */
+export const HARDHAT_CHAIN: ChainConfig = {
+  chainId: 31337,
+  chainName: 'Hardhat Local',
+  rpcUrls: ['http://127.0.0.1:8545'],
+  nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+};
+
+/**
+ * EIP-1193 error code for an unknown chain in wallet_switchEthereumChain
+ */
+const UNRECOGNIZED_CHAIN = 4902;
+
+/**
+ * Connects an EIP-1193 provider, keeps it on the configured chain, and
+ * rebuilds the signer and registered contracts when the wallet changes
+ */
+export class WalletManager {
+  private ethereum: Eip1193Provider;
+  private chain: ChainConfig;
+  private autoSwitch: boolean;
+  private contracts = new Map<string, { address: string; abi: any[] }>();
+  private listeners = new Set<(state: WalletState) => void>();
+  private state: WalletState = WalletManager.emptyState();
+
+  constructor(ethereum: Eip1193Provider, options: WalletManagerOptions) {
+    this.ethereum = ethereum;
+    this.chain = options.chain;
+    this.autoSwitch = options.autoSwitch ?? true;
+
+    this.ethereum.on?.('accountsChanged', this.handleAccountsChanged);
+    this.ethereum.on?.('chainChanged', this.handleChainChanged);
+    this.ethereum.on?.('disconnect', this.handleDisconnect);
+  }
+
+  private static emptyState(): WalletState {
+    return {
+      status: 'disconnected',
+      account: null,
+      chainId: null,
+      provider: null,
+      signer: null,
+      contracts: {},
+    };
+  }
+
+  /**
+   * Request accounts, switch to the configured chain and build the signer
+   */
+  async connect(): Promise<WalletState> {
+    this.setState({ ...this.state, status: 'connecting' });
+
+    try {
+      const accounts: string[] = await this.ethereum.request({ method: 'eth_requestAccounts' });
+      if (this.autoSwitch) {
+        await this.switchChain();
+      }
+      await this.rebuild(accounts);
+    } catch (error) {
+      this.setState(WalletManager.emptyState());
+      throw error;
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Pick up an already-authorized account without prompting
+   */
+  async restore(): Promise<WalletState> {
+    const accounts: string[] = await this.ethereum.request({ method: 'eth_accounts' });
+    if (accounts.length > 0) {
+      await this.rebuild(accounts);
+    }
+    return this.state;
+  }
+
+  /**
+   * Forget the connection locally (wallets have no programmatic disconnect)
+   */
+  disconnect(): void {
+    this.setState(WalletManager.emptyState());
+  }
+
+  /**
+   * Switch the wallet to the configured chain, adding it if unknown
+   */
+  async switchChain(): Promise<void> {
+    const chainId = toBeHex(this.chain.chainId);
+    const current: string = await this.ethereum.request({ method: 'eth_chainId' });
+
+    if (Number(current) === this.chain.chainId) {
+      return;
+    }
+
+    try {
+      await this.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+    } catch (error: any) {
+      if (error?.code !== UNRECOGNIZED_CHAIN) {
+        throw error;
+      }
+      await this.ethereum.request({
+        method: 'wallet_addEthereumChain',
+        params: [
+          {
+            chainId,
+            chainName: this.chain.chainName,
+            rpcUrls: this.chain.rpcUrls,
+            nativeCurrency: this.chain.nativeCurrency,
+            blockExplorerUrls: this.chain.blockExplorerUrls,
+          },
+        ],
+      });
+    }
+  }
+
+  /**
+   * Register a contract that is rebuilt with every new signer
+   */
+  addContract(name: string, address: string, abi: any[]): Contract | null {
+    this.contracts.set(name, { address, abi });
+    if (this.state.signer) {
+      this.setState({ ...this.state, contracts: this.buildContracts(this.state.signer) });
+    }
+    return this.state.contracts[name] ?? null;
+  }
+
+  /**
+   * Stop rebuilding a registered contract
+   */
+  removeContract(name: string): void {
+    if (this.contracts.delete(name) && this.state.signer) {
+      this.setState({ ...this.state, contracts: this.buildContracts(this.state.signer) });
+    }
+  }
+
+  getState(): WalletState {
+    return this.state;
+  }
+
+  /**
+   * Listen to state changes; returns an unsubscribe function
+   */
+  subscribe(listener: (state: WalletState) => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Detach from the provider's events
+   */
+  destroy(): void {
+    this.ethereum.removeListener?.('accountsChanged', this.handleAccountsChanged);
+    this.ethereum.removeListener?.('chainChanged', this.handleChainChanged);
+    this.ethereum.removeListener?.('disconnect', this.handleDisconnect);
+    this.listeners.clear();
+  }
+
+  private buildContracts(signer: WalletState['signer']): Record<string, Contract> {
+    const contracts: Record<string, Contract> = {};
+    for (const [name, { address, abi }] of this.contracts) {
+      contracts[name] = new Contract(address, abi, signer);
+    }
+    return contracts;
+  }
+
+  private async rebuild(accounts: string[]): Promise<void> {
+    if (accounts.length === 0) {
+      this.setState(WalletManager.emptyState());
+      return;
+    }
+
+    // ethers providers are bound to one network, so build a fresh one
+    const provider = new BrowserProvider(this.ethereum as any);
+    const network = await provider.getNetwork();
+    const signer = await provider.getSigner(accounts[0]);
+    const chainId = Number(network.chainId);
+
+    this.setState({
+      status: chainId === this.chain.chainId ? 'connected' : 'wrong-network',
+      account: await signer.getAddress(),
+      chainId,
+      provider,
+      signer,
+      contracts: this.buildContracts(signer),
+    });
+  }
+
+  private setState(state: WalletState): void {
+    this.state = state;
+    this.listeners.forEach((listener) => listener(state));
+  }
+
+  private handleAccountsChanged = (accounts: string[]) => {
+    if (this.state.status === 'disconnected') {
+      return;
+    }
+    this.rebuild(accounts).catch(() => this.setState(WalletManager.emptyState()));
+  };
+
+  private handleChainChanged = () => {
+    if (this.state.status === 'disconnected' || !this.state.account) {
+      return;
+    }
+    this.rebuild([this.state.account]).catch(() => this.setState(WalletManager.emptyState()));
+  };
+
+  private handleDisconnect = () => {
+    this.setState(WalletManager.emptyState());
+  };
+}
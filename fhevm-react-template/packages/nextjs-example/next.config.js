@@ -1,6 +1,10 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  experimental: {
+    // Server code loads fhevmjs (and its WASM) through @fhevm/sdk/node at runtime
+    serverComponentsExternalPackages: ['fhevmjs'],
+  },
   webpack: (config) => {
     config.resolve.fallback = {
       ...config.resolve.fallback,
@@ -2,7 +2,7 @@
 
 import { useState, useEffect } from 'react';
 import { Contract, BrowserProvider } from 'ethers';
-import { useFhevm, useFhevmContract } from '@fhevm/sdk';
+import { useFhevm, useFhevmContract, sendTransaction, TransactionError } from '@fhevm/sdk';
 
 // Simple ABI for demonstration
 const VOTING_ABI = [
@@ -67,23 +67,28 @@ export default function VotingApp({ provider, account }: VotingAppProps) {
       const contract = new Contract(contractAddress, VOTING_ABI, signer);
 
       // Submit encrypted vote
-      const tx = await contract.vote(
-        encryptedData.handles[0],
-        encryptedData.inputProof
+      const receipt = await sendTransaction(
+        () => contract.vote(encryptedData.handles[0], encryptedData.inputProof),
+        {
+          onStatus: (update) => {
+            if (update.status === 'submitted') {
+              setStatus({ type: 'info', message: 'Waiting for transaction confirmation...' });
+            }
+          },
+        }
       );
 
-      setStatus({ type: 'info', message: 'Waiting for transaction confirmation...' });
-      await tx.wait();
-
       setStatus({
         type: 'success',
-        message: `Vote cast successfully! Your vote remains encrypted on-chain. Tx: ${tx.hash.slice(0, 10)}...`,
+        message: `Vote cast successfully! Your vote remains encrypted on-chain. Tx: ${receipt.hash.slice(0, 10)}...`,
       });
     } catch (err: any) {
       console.error('Voting error:', err);
       setStatus({
         type: 'error',
-        message: `Failed to cast vote: ${err.message || 'Unknown error'}`,
+        message: err instanceof TransactionError
+          ? `Failed to cast vote: ${err.message} (${err.code})`
+          : `Failed to cast vote: ${err.message || 'Unknown error'}`,
       });
     } finally {
       setIsVoting(false);
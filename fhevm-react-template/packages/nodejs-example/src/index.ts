@@ -6,7 +6,7 @@
  */
 
 import { Command } from 'commander';
-import { createFhevmClient, encryptInput, decryptValue } from '@fhevm/sdk';
+import { createFhevmClient, encryptInput, decryptValue } from '@fhevm/sdk/node';
 import { JsonRpcProvider, Wallet } from 'ethers';
 import dotenv from 'dotenv';
 
@@ -32,8 +32,9 @@ program
 
       const client = await createFhevmClient({
         chainId: parseInt(process.env.CHAIN_ID || '11155111'),
-        rpcUrl: process.env.RPC_URL || 'https://sepolia.infura.io/v3/YOUR_KEY',
-        publicKey: process.env.FHE_PUBLIC_KEY || '',
+        rpcUrl: process.env.RPC_URL || undefined,
+        publicKey: process.env.FHE_PUBLIC_KEY || undefined,
+        backend: (process.env.FHEVM_BACKEND as 'fhevmjs' | 'mock') || undefined,
       });
 
       const instance = client.getInstance();
@@ -70,8 +71,9 @@ program
       console.log('1️⃣  Testing SDK initialization...');
       const client = await createFhevmClient({
         chainId: 11155111,
-        rpcUrl: 'https://sepolia.infura.io/v3/YOUR_KEY',
-        publicKey: process.env.FHE_PUBLIC_KEY || '',
+        rpcUrl: process.env.RPC_URL || undefined,
+        publicKey: process.env.FHE_PUBLIC_KEY || undefined,
+        backend: (process.env.FHEVM_BACKEND as 'fhevmjs' | 'mock') || undefined,
       });
       console.log('   ✅ Client initialized successfully');
       console.log();
@@ -149,9 +151,11 @@ A Node.js CLI demonstrating the @fhevm/sdk package.
 
 🔗 Environment Variables (.env):
 
-   CHAIN_ID=11155111
-   RPC_URL=https://sepolia.infura.io/v3/YOUR_KEY
-   FHE_PUBLIC_KEY=your_public_key
+   CHAIN_ID=11155111             # 11155111 (Sepolia) or 31337 (Hardhat) use built-in presets
+   RPC_URL=https://sepolia.infura.io/v3/YOUR_KEY   # optional with a preset
+   FHE_PUBLIC_KEY=your_public_key                 # optional, fetched and cached otherwise
+   FHEVM_BACKEND=mock            # optional, run offline without a gateway
+   FHEVM_CACHE_DIR=~/.cache/fhevm-sdk             # optional, public key cache
    PRIVATE_KEY=your_private_key
 
 📖 Documentation:
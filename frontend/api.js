@@ -0,0 +1,525 @@
+/**
+ * Governance REST API
+ *
+ *   GET /api/resolutions        All resolutions with their status and revealed tallies
+ *   GET /api/resolutions/:id    One resolution, with its votes when the indexer is used
+ *   GET /api/members            Active board members (?all=1 to include removed ones)
+ *   GET /api/stats              Counts for dashboards
+ *   GET /api/events             Server-sent events stream of new events (see events.js)
+ *   GET|POST /api/relay         Gasless castVote/createResolution for board members (see relay.js)
+ *
+ * Data comes from the indexer database (data/governance-<network>.db, see
+ * scripts/indexer.js) when it exists, otherwise from view calls against the
+ * contract in deployments/addresses.json. Either way it is read at most once
+ * per API_CACHE_TTL seconds and shared by all clients; responses carry an
+ * ETag so unchanged data costs a 304.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createEventStream } = require('./events');
+const { createRelay } = require('./relay');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ADDRESS_BOOK_PATH = path.join(ROOT_DIR, 'deployments', 'addresses.json');
+
+const CONTRACT_ABI = [
+    'function getResolution(uint256 _resolutionId) external view returns (uint256 id, string title, string description, uint256 startTime, uint256 endTime, bool active, address creator, uint256 requiredQuorum, bool resolved, uint256 revealedYesVotes, uint256 revealedNoVotes)',
+    'function getResolutionStatus(uint256 _resolutionId) external view returns (bool decryptionRequested, uint256 decryptionRequestTime, bool resolved, uint256 timeUntilTimeout)',
+    'function getBoardMember(address _member) external view returns (bool isActive, uint256 votingPower, string name, string position)',
+    'function getTotalVotingPower() external view returns (uint256)',
+    'function getResolutionCount() external view returns (uint256)',
+    'function chairperson() external view returns (address)',
+    'event ResolutionCreated(uint256 indexed resolutionId, string title, address creator)',
+    'event VoteCast(uint256 indexed resolutionId, address voter)',
+    'event DecryptionRequested(uint256 indexed resolutionId, uint256 requestId)',
+    'event ResolutionResolved(uint256 indexed resolutionId, uint256 yesVotes, uint256 noVotes, bool passed)',
+    'event DecryptionTimeout(uint256 indexed resolutionId)',
+    'event BoardMemberAdded(address member, string name, uint256 votingPower)',
+    'event BoardMemberRemoved(address member)'
+];
+
+// Events the indexer stores and the /api/events stream pushes
+const GOVERNANCE_EVENTS = [
+    'ResolutionCreated',
+    'VoteCast',
+    'DecryptionRequested',
+    'ResolutionResolved',
+    'DecryptionTimeout',
+    'BoardMemberAdded',
+    'BoardMemberRemoved'
+];
+
+// Blocks per eth_getLogs request when streaming without the indexer
+const LOG_RANGE = 2000;
+
+// Event positions are { blockNumber, logIndex }; this log index stands for "after the whole block"
+const END_OF_BLOCK = Number.MAX_SAFE_INTEGER;
+
+function positionOf(event) {
+    return { blockNumber: event.blockNumber, logIndex: event.logIndex };
+}
+
+function endOfBlock(blockNumber) {
+    return { blockNumber, logIndex: END_OF_BLOCK };
+}
+
+const DEFAULT_RPC_URLS = {
+    localhost: 'http://127.0.0.1:8545',
+    hardhat: 'http://127.0.0.1:8545',
+    sepolia: `https://sepolia.infura.io/v3/${process.env.INFURA_PROJECT_ID}`
+};
+
+// Read the history kept by scripts/indexer.js
+function createIndexerSource(store) {
+    return {
+        name: 'indexer',
+        async load() {
+            const status = store.getStatus();
+            const resolutions = store.listResolutions();
+            const members = store.listMembers({ all: true });
+            const votes = new Map(resolutions.map((resolution) => [resolution.id, store.listVotes(resolution.id)]));
+            const activeMembers = members.filter((member) => member.isActive);
+
+            return {
+                contractAddress: status.contractAddress,
+                blockNumber: status.lastBlock,
+                resolutions,
+                members,
+                votes,
+                totalVotingPower: activeMembers.reduce((total, member) => total + member.votingPower, 0),
+                votesCast: resolutions.reduce((total, resolution) => total + resolution.votesCast, 0)
+            };
+        },
+        async head() {
+            return store.getLastBlock();
+        },
+        async readRollbacks(afterId) {
+            return store.listRollbacks(afterId);
+        },
+        async readEvents(after, limit) {
+            const lastBlock = store.getLastBlock();
+            if (lastBlock === null) {
+                return { events: [], cursor: after };
+            }
+
+            const events = store.listEvents({ after: after || undefined, toBlock: lastBlock, limit });
+            return { events, cursor: events.length === limit ? positionOf(events[events.length - 1]) : endOfBlock(lastBlock) };
+        },
+        close() {
+            store.close();
+        }
+    };
+}
+
+// CorporateGovernance entry of the address book, read on every call so redeploys are picked up
+function readDeployment(network) {
+    const addressBook = JSON.parse(fs.readFileSync(ADDRESS_BOOK_PATH, 'utf8'));
+    const deployment = addressBook[network]?.contracts?.CorporateGovernance;
+    if (!deployment) {
+        throw new Error(`No CorporateGovernance deployment recorded for ${network}`);
+    }
+    return { chainId: addressBook[network].chainId, deployment };
+}
+
+// A known chain skips network detection, which retries forever when the node is down
+function createProvider(rpcUrl, chainId) {
+    const { ethers } = require('ethers');
+    return new ethers.JsonRpcProvider(rpcUrl, chainId || undefined, { staticNetwork: Boolean(chainId) });
+}
+
+// Read state with view calls; members are found from events as the contract cannot list them
+function createContractSource(network, rpcUrl) {
+    const { ethers } = require('ethers');
+    const timestamps = new Map();
+    let provider = null;
+
+    function connect() {
+        const { chainId, deployment } = readDeployment(network);
+        if (!provider) {
+            provider = createProvider(rpcUrl, chainId);
+        }
+        return { deployment, contract: new ethers.Contract(deployment.address, CONTRACT_ABI, provider) };
+    }
+
+    async function getTimestamp(blockNumber) {
+        if (!timestamps.has(blockNumber)) {
+            const block = await provider.getBlock(blockNumber);
+            timestamps.set(blockNumber, block ? block.timestamp : null);
+        }
+        return timestamps.get(blockNumber);
+    }
+
+    async function decodeLog(contract, log) {
+        const parsed = contract.interface.parseLog(log);
+        const args = {};
+        parsed.fragment.inputs.forEach((input, index) => {
+            const value = parsed.args[index];
+            args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+        });
+
+        return {
+            id: `${log.blockNumber}-${log.index}`,
+            name: parsed.name,
+            blockNumber: log.blockNumber,
+            logIndex: log.index,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            timestamp: await getTimestamp(log.blockNumber),
+            resolutionId: args.resolutionId !== undefined ? Number(args.resolutionId) : null,
+            account: args.voter || args.member || null,
+            args
+        };
+    }
+
+    return {
+        name: 'contract',
+        async load() {
+            const { deployment, contract } = connect();
+            const blockNumber = await provider.getBlockNumber();
+            const blockTag = { blockTag: blockNumber };
+            const count = Number(await contract.getResolutionCount(blockTag));
+            const now = Math.floor(Date.now() / 1000);
+            const fromBlock = deployment.blockNumber || 0;
+
+            // handleDecryptionTimeout marks a resolution resolved with no tally; only its event tells it apart
+            const timedOut = new Set();
+            for (const event of await contract.queryFilter(contract.filters.DecryptionTimeout(), fromBlock, blockNumber)) {
+                timedOut.add(Number(event.args.resolutionId));
+            }
+
+            const resolutions = await Promise.all(Array.from({ length: count }, async (_, id) => {
+                const [result, status] = await Promise.all([
+                    contract.getResolution(id, blockTag),
+                    contract.getResolutionStatus(id, blockTag)
+                ]);
+                const [, title, description, startTime, endTime, active, creator, requiredQuorum, resolved, yesVotes, noVotes] = result;
+                const [decryptionRequested, decryptionRequestTime] = status;
+
+                const decided = resolved && !timedOut.has(id);
+
+                let state = 'open';
+                if (decided) {
+                    state = 'resolved';
+                } else if (resolved) {
+                    state = 'timed out';
+                } else if (decryptionRequested) {
+                    state = 'decrypting';
+                } else if (active && Number(endTime) < now) {
+                    state = 'voting ended';
+                }
+
+                return {
+                    id,
+                    title,
+                    description,
+                    creator,
+                    startTime: Number(startTime),
+                    endTime: Number(endTime),
+                    requiredQuorum: Number(requiredQuorum),
+                    status: state,
+                    decryptionRequestedAt: decryptionRequested ? Number(decryptionRequestTime) : null,
+                    yesVotes: decided ? yesVotes.toString() : null,
+                    noVotes: decided ? noVotes.toString() : null,
+                    // Same rule as resolveResolution
+                    passed: decided ? yesVotes > noVotes && yesVotes + noVotes >= requiredQuorum : null
+                };
+            }));
+
+            const addresses = new Set([ethers.getAddress(await contract.chairperson(blockTag))]);
+            for (const filter of [contract.filters.BoardMemberAdded(), contract.filters.BoardMemberRemoved()]) {
+                for (const event of await contract.queryFilter(filter, fromBlock, blockNumber)) {
+                    addresses.add(ethers.getAddress(event.args.member));
+                }
+            }
+
+            const members = await Promise.all([...addresses].map(async (address) => {
+                const [isActive, votingPower, name, position] = await contract.getBoardMember(address, blockTag);
+                return { address, name, position, votingPower: Number(votingPower), isActive };
+            }));
+
+            return {
+                contractAddress: deployment.address,
+                blockNumber,
+                resolutions,
+                members,
+                votes: null,
+                totalVotingPower: Number(await contract.getTotalVotingPower(blockTag)),
+                votesCast: null
+            };
+        },
+        async head() {
+            connect();
+            return provider.getBlockNumber();
+        },
+        // Reorganizations are only tracked by the indexer
+        async readRollbacks() {
+            return [];
+        },
+        // Same shape as the indexer's events, read LOG_RANGE blocks per eth_getLogs request
+        async readEvents(after, limit) {
+            const { deployment, contract } = connect();
+            const latest = await provider.getBlockNumber();
+            const topics = GOVERNANCE_EVENTS.map((name) => contract.interface.getEvent(name).topicHash);
+            const events = [];
+            let cursor = after;
+
+            while (events.length === 0) {
+                let fromBlock = deployment.blockNumber || 0;
+                if (cursor) {
+                    fromBlock = cursor.logIndex === END_OF_BLOCK ? cursor.blockNumber + 1 : cursor.blockNumber;
+                }
+                if (fromBlock > latest) {
+                    break;
+                }
+                const toBlock = Math.min(fromBlock + LOG_RANGE - 1, latest);
+
+                const logs = await provider.getLogs({ address: deployment.address, topics: [topics], fromBlock, toBlock });
+                for (const log of logs) {
+                    if (events.length >= limit) {
+                        break;
+                    }
+                    if (cursor && log.blockNumber === cursor.blockNumber && log.index <= cursor.logIndex) {
+                        continue;
+                    }
+                    events.push(await decodeLog(contract, log));
+                }
+
+                cursor = events.length >= limit ? positionOf(events[events.length - 1]) : endOfBlock(toBlock);
+            }
+            return { events, cursor };
+        },
+        close() {
+            if (provider) {
+                provider.destroy();
+                provider = null;
+            }
+        }
+    };
+}
+
+function sendJson(req, res, status, body, headers = {}) {
+    const data = JSON.stringify(body);
+    const etag = `"${crypto.createHash('sha1').update(data).digest('base64url')}"`;
+
+    if (status === 200 && req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag, ...headers });
+        res.end();
+        return;
+    }
+
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...(status === 200 ? { ETag: etag } : { 'Cache-Control': 'no-store' }),
+        ...headers
+    });
+    res.end(req.method === 'HEAD' ? undefined : data);
+}
+
+/**
+ * Create the request handler for /api/* routes
+ *
+ * @param {object} [options]
+ * @param {string} [options.network] - Network of the deployment and indexer database (default: NETWORK or sepolia)
+ * @param {string} [options.databasePath] - Indexer database (default: GOVERNANCE_DB or data/governance-<network>.db)
+ * @param {string} [options.rpcUrl] - JSON-RPC endpoint when there is no database (default: RPC_URL or the network's default)
+ * @param {number} [options.cacheTtl] - Seconds a read is reused (default: API_CACHE_TTL or 15)
+ * @param {number} [options.eventsPollInterval] - Milliseconds between event stream reads (default: EVENTS_POLL_INTERVAL or 2000)
+ * @param {string} [options.relayerPrivateKey] - Account paying for relayed transactions (default: RELAYER_PRIVATE_KEY, relay disabled without)
+ * @param {string[]} [options.relayAllowlist] - Members the relay pays for (default: comma-separated RELAY_ALLOWLIST, relay disabled without)
+ * @param {number} [options.relayRateLimit] - Relayed transactions per member and window (default: RELAY_RATE_LIMIT or 10)
+ * @param {number} [options.relayRateWindow] - Seconds of the rate limit window (default: RELAY_RATE_WINDOW or 3600)
+ */
+function createApi(options = {}) {
+    const network = options.network || process.env.NETWORK || 'sepolia';
+    const databasePath = options.databasePath || process.env.GOVERNANCE_DB
+        || path.join(ROOT_DIR, 'data', `governance-${network}.db`);
+    const rpcUrl = options.rpcUrl || process.env.RPC_URL || DEFAULT_RPC_URLS[network];
+    const cacheTtl = Number(options.cacheTtl ?? process.env.API_CACHE_TTL ?? 15);
+    const eventsPollInterval = Number(options.eventsPollInterval ?? process.env.EVENTS_POLL_INTERVAL ?? 2000);
+    const relayerPrivateKey = options.relayerPrivateKey || process.env.RELAYER_PRIVATE_KEY;
+    const relayAllowlist = options.relayAllowlist
+        || (process.env.RELAY_ALLOWLIST || '').split(',').map((address) => address.trim()).filter(Boolean);
+    const relayRateLimit = Number(options.relayRateLimit ?? process.env.RELAY_RATE_LIMIT ?? 10);
+    const relayRateWindow = Number(options.relayRateWindow ?? process.env.RELAY_RATE_WINDOW ?? 3600);
+
+    let source = null;
+    let snapshot = null;
+    let expires = 0;
+    let pending = null;
+
+    // The indexer may create its database after the server started
+    function getSource() {
+        if (source && source.name === 'indexer') {
+            return source;
+        }
+        if (fs.existsSync(databasePath)) {
+            // better-sqlite3 comes from this package's dependencies, not the scripts' ones
+            const { GovernanceStore } = require('../scripts/lib/store');
+            const Database = require('better-sqlite3');
+            if (source) {
+                source.close();
+            }
+            source = createIndexerSource(new GovernanceStore(databasePath, { readonly: true, Database }));
+        } else if (!source) {
+            if (!rpcUrl) {
+                throw new Error(`No indexer database at ${databasePath} and no RPC_URL for ${network}`);
+            }
+            source = createContractSource(network, rpcUrl);
+        }
+        return source;
+    }
+
+    // One read per TTL, shared by concurrent requests; a failed refresh keeps serving the last data
+    function getSnapshot() {
+        if (snapshot && Date.now() < expires) {
+            return Promise.resolve(snapshot);
+        }
+        if (!pending) {
+            pending = Promise.resolve()
+                .then(() => {
+                    const current = getSource();
+                    return current.load().then((data) => ({ source: current.name, ...data }));
+                })
+                .then((data) => {
+                    snapshot = data;
+                    expires = Date.now() + cacheTtl * 1000;
+                    return data;
+                })
+                .catch((error) => {
+                    if (!snapshot) {
+                        throw error;
+                    }
+                    console.error(`API refresh failed, serving cached data: ${error.message}`);
+                    expires = Date.now() + cacheTtl * 1000;
+                    return snapshot;
+                })
+                .finally(() => {
+                    pending = null;
+                });
+        }
+        return pending;
+    }
+
+    function envelope(data, body) {
+        return { source: data.source, network, contractAddress: data.contractAddress, ...body };
+    }
+
+    const routes = [
+        [/^\/api\/resolutions\/?$/, (data) => envelope(data, { resolutions: data.resolutions })],
+        [/^\/api\/resolutions\/([^/]+)\/?$/, (data, [id]) => {
+            if (!/^\d+$/.test(id)) {
+                return { status: 400, body: { error: `Invalid resolution ID: ${id}` } };
+            }
+            const resolution = data.resolutions.find((item) => item.id === Number(id));
+            if (!resolution) {
+                return { status: 404, body: { error: `Resolution ${id} not found` } };
+            }
+            return envelope(data, { resolution, votes: data.votes ? data.votes.get(resolution.id) : null });
+        }],
+        [/^\/api\/members\/?$/, (data, params, query) => {
+            const all = query.get('all') === '1' || query.get('all') === 'true';
+            return envelope(data, { members: data.members.filter((member) => member.isActive || all) });
+        }],
+        [/^\/api\/stats\/?$/, (data) => {
+            const count = (status) => data.resolutions.filter((resolution) => resolution.status === status).length;
+            return envelope(data, {
+                stats: {
+                    resolutions: data.resolutions.length,
+                    open: count('open'),
+                    votingEnded: count('voting ended'),
+                    decrypting: count('decrypting'),
+                    resolved: count('resolved'),
+                    timedOut: count('timed out'),
+                    passed: data.resolutions.filter((resolution) => resolution.passed === true).length,
+                    rejected: data.resolutions.filter((resolution) => resolution.passed === false).length,
+                    members: data.members.filter((member) => member.isActive).length,
+                    totalVotingPower: data.totalVotingPower,
+                    votesCast: data.votesCast
+                }
+            });
+        }]
+    ];
+
+    // New events make the cached read stale, so clients reloading on a pushed event see it
+    const handleEvents = createEventStream(getSource, {
+        pollInterval: eventsPollInterval,
+        onEvents: () => {
+            expires = 0;
+        }
+    });
+
+    // Transactions always go to the RPC, also when reads come from the indexer
+    const handleRelay = createRelay({
+        getDeployment: () => readDeployment(network),
+        createProvider: (chainId) => {
+            if (!rpcUrl) {
+                throw new Error(`No RPC_URL for ${network}`);
+            }
+            return createProvider(rpcUrl, chainId);
+        },
+        privateKey: relayerPrivateKey,
+        allowlist: relayAllowlist,
+        rateLimit: relayRateLimit,
+        rateWindow: relayRateWindow
+    });
+
+    async function handleApi(req, res, pathname, query) {
+        if (/^\/api\/relay\/?$/.test(pathname)) {
+            handleRelay(req, res, query);
+            return;
+        }
+        if (/^\/api\/events\/?$/.test(pathname)) {
+            if (req.method !== 'GET') {
+                sendJson(req, res, 405, { error: `${req.method} is not supported` }, { Allow: 'GET' });
+                return;
+            }
+            handleEvents(req, res, query);
+            return;
+        }
+
+        const route = routes.find(([pattern]) => pattern.test(pathname));
+
+        if (!route) {
+            sendJson(req, res, 404, { error: `Unknown API endpoint: ${pathname}` });
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendJson(req, res, 405, { error: `${req.method} is not supported` }, { Allow: 'GET, HEAD' });
+            return;
+        }
+
+        let data;
+        try {
+            data = await getSnapshot();
+        } catch (error) {
+            console.error('API error:', error);
+            sendJson(req, res, 502, { error: 'Could not read governance data' });
+            return;
+        }
+
+        const [pattern, handler] = route;
+        const result = handler(data, pathname.match(pattern).slice(1), query);
+        const { status, body } = result.status ? result : { status: 200, body: result };
+
+        sendJson(req, res, status, body, {
+            'Cache-Control': status === 200 ? `public, max-age=${cacheTtl}` : 'no-store',
+            'X-Governance-Source': data.source,
+            'X-Governance-Block': String(data.blockNumber ?? '')
+        });
+    }
+
+    // Ends event streams and releases the database or RPC connection on shutdown
+    handleApi.close = function close() {
+        handleEvents.close();
+        handleRelay.close();
+        if (source) {
+            source.close();
+            source = null;
+        }
+    };
+
+    return handleApi;
+}
+
+module.exports = { createApi };
@@ -0,0 +1,244 @@
+/**
+ * Server-sent events stream of governance activity
+ *
+ *   GET /api/events
+ *
+ * Pushes ResolutionCreated, VoteCast, DecryptionRequested, ResolutionResolved,
+ * DecryptionTimeout, BoardMemberAdded and BoardMemberRemoved as they are
+ * indexed (or mined, without the indexer). Each message uses the event name as
+ * its type and "<block>-<logIndex>" as its id:
+ *
+ *   const source = new EventSource('/api/events');
+ *   source.addEventListener('VoteCast', (message) => console.log(JSON.parse(message.data)));
+ *
+ * Browsers send the last id back in the Last-Event-ID header when they
+ * reconnect, and the stream resumes right after it. `?lastEventId=<id>` does
+ * the same for clients that cannot set headers, and `?fromBlock=<n>` replays
+ * history from a block. A `reorg` message tells clients to drop events above
+ * its block; they are sent again once re-indexed.
+ */
+
+// Events read per source query
+const BATCH_SIZE = 500;
+
+// Comment line that keeps proxies from closing idle connections
+const HEARTBEAT_INTERVAL = 25000;
+
+const MAX_CLIENTS = 200;
+
+const END_OF_BLOCK = Number.MAX_SAFE_INTEGER;
+
+function isAfter(event, position) {
+    return !position
+        || event.blockNumber > position.blockNumber
+        || (event.blockNumber === position.blockNumber && event.logIndex > position.logIndex);
+}
+
+// Where a client wants to resume from; undefined for live events only
+function parseResumePosition(req, query) {
+    const lastEventId = req.headers['last-event-id'] || query.get('lastEventId');
+    const fromBlock = query.get('fromBlock');
+
+    if (lastEventId) {
+        const match = /^(\d+)-(\d+)$/.exec(lastEventId);
+        if (!match) {
+            throw new Error(`Invalid Last-Event-ID: ${lastEventId} (expected <block>-<logIndex>)`);
+        }
+        return { blockNumber: Number(match[1]), logIndex: Number(match[2]) };
+    }
+    if (fromBlock !== null) {
+        if (!/^\d+$/.test(fromBlock)) {
+            throw new Error(`Invalid fromBlock: ${fromBlock}`);
+        }
+        return { blockNumber: Number(fromBlock), logIndex: -1 };
+    }
+    return undefined;
+}
+
+function writeEvent(client, event) {
+    client.res.write(`id: ${event.id}\nevent: ${event.name}\ndata: ${JSON.stringify(event)}\n\n`);
+    client.position = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+}
+
+/**
+ * Create the handler for /api/events
+ *
+ * One poller reads new events for all connected clients and stops when the
+ * last one disconnects. `close()` on the returned handler ends all streams.
+ *
+ * @param {function} getSource - Returns the current data source (see api.js)
+ * @param {object} [options]
+ * @param {number} [options.pollInterval] - Milliseconds between reads (default: 2000)
+ * @param {function} [options.onEvents] - Called after new events or a rollback were read
+ */
+function createEventStream(getSource, { pollInterval = 2000, onEvents = () => {} } = {}) {
+    const clients = new Set();
+    let position = null;
+    let rollbackId = null;
+    let timer = null;
+    let heartbeat = null;
+    let polling = false;
+
+    async function readAll(after, onEvent) {
+        let cursor = after;
+        for (;;) {
+            const { events, cursor: next } = await getSource().readEvents(cursor, BATCH_SIZE);
+            events.forEach(onEvent);
+            cursor = next;
+            if (events.length < BATCH_SIZE) {
+                return cursor;
+            }
+        }
+    }
+
+    async function poll() {
+        if (polling) {
+            return;
+        }
+        polling = true;
+        try {
+            // The indexer rolled back: have clients drop what came after the rollback block
+            const rollbacks = await getSource().readRollbacks(rollbackId || 0);
+            if (rollbacks.length > 0) {
+                rollbackId = rollbacks[rollbacks.length - 1].id;
+                const blockNumber = Math.min(...rollbacks.map((rollback) => rollback.blockNumber));
+
+                if (position && blockNumber < position.blockNumber) {
+                    for (const client of clients) {
+                        if (client.position && client.position.blockNumber > blockNumber) {
+                            client.position = { blockNumber, logIndex: END_OF_BLOCK };
+                        }
+                        // The id moves Last-Event-ID back, so a reconnect also resumes from the rollback block
+                        const id = client.position ? `id: ${client.position.blockNumber}-${client.position.logIndex}\n` : '';
+                        client.res.write(`${id}event: reorg\ndata: ${JSON.stringify({ blockNumber })}\n\n`);
+                    }
+                    position = { blockNumber, logIndex: END_OF_BLOCK };
+                    onEvents();
+                }
+            }
+
+            let received = 0;
+            position = await readAll(position, (event) => {
+                received++;
+                for (const client of clients) {
+                    if (client.pending) {
+                        client.pending.push(event);
+                    } else if (isAfter(event, client.position)) {
+                        writeEvent(client, event);
+                    }
+                }
+            });
+            if (received > 0) {
+                onEvents();
+            }
+        } catch (error) {
+            console.error(`Event stream: ${error.message}`);
+        } finally {
+            polling = false;
+        }
+    }
+
+    function startPolling() {
+        timer = setInterval(poll, pollInterval);
+        heartbeat = setInterval(() => {
+            for (const client of clients) {
+                client.res.write(': keep-alive\n\n');
+            }
+        }, HEARTBEAT_INTERVAL);
+    }
+
+    function stopPolling() {
+        clearInterval(timer);
+        clearInterval(heartbeat);
+        timer = null;
+        heartbeat = null;
+        // Without listeners nothing is read, so the next client starts from the head again
+        position = null;
+        rollbackId = null;
+    }
+
+    async function handleEvents(req, res, query) {
+        let resumeFrom;
+        try {
+            resumeFrom = parseResumePosition(req, query);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ error: error.message }));
+            return;
+        }
+
+        if (clients.size >= MAX_CLIENTS) {
+            res.writeHead(503, { 'Content-Type': 'application/json; charset=utf-8', 'Retry-After': '30' });
+            res.end(JSON.stringify({ error: 'Too many event stream clients' }));
+            return;
+        }
+
+        // Live clients start at the newest event already read
+        if (!position) {
+            try {
+                const source = getSource();
+                const head = await source.head();
+                const rollbacks = await source.readRollbacks(0);
+                position = head === null ? null : { blockNumber: head, logIndex: END_OF_BLOCK };
+                rollbackId = rollbacks.length > 0 ? rollbacks[rollbacks.length - 1].id : 0;
+            } catch (error) {
+                res.writeHead(502, { 'Content-Type': 'application/json; charset=utf-8' });
+                res.end(JSON.stringify({ error: `Could not read governance events: ${error.message}` }));
+                return;
+            }
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        // Events the poller reads during the replay wait in `pending`
+        const client = { res, position: resumeFrom === undefined ? position : resumeFrom, pending: [] };
+        clients.add(client);
+        req.on('close', () => {
+            clients.delete(client);
+            if (clients.size === 0) {
+                stopPolling();
+            }
+        });
+        if (!timer) {
+            startPolling();
+        }
+
+        // Replay what the client missed, then hand it to the poller
+        try {
+            await readAll(client.position, (event) => {
+                if (clients.has(client) && isAfter(event, client.position)) {
+                    writeEvent(client, event);
+                }
+            });
+        } catch (error) {
+            console.error(`Event stream replay: ${error.message}`);
+            res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+        }
+
+        for (const event of client.pending) {
+            if (isAfter(event, client.position)) {
+                writeEvent(client, event);
+            }
+        }
+        client.pending = null;
+    }
+
+    // End every stream so the server can close; the retry line makes browsers reconnect later
+    handleEvents.close = function close() {
+        for (const client of clients) {
+            client.res.end();
+        }
+        clients.clear();
+        stopPolling();
+    };
+
+    return handleEvents;
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,323 @@
+/**
+ * Meta-transaction relay for board members without ETH
+ *
+ *   GET  /api/relay     Signing domain, types and limits (?account=<address> adds its nonce)
+ *   POST /api/relay     { "request": { from, nonce, deadline, data }, "signature": "0x..." }
+ *
+ * Members sign a ForwardRequest for castVote or createResolution with
+ * eth_signTypedData_v4. The relay checks the signature, that the signer is on
+ * RELAY_ALLOWLIST and an active board member, and their rate limit, then submits
+ * CorporateGovernance.execute() from the RELAYER_PRIVATE_KEY account. The
+ * contract verifies the signature again and runs the call as the signer:
+ *
+ *   const relay = await (await fetch(`/api/relay?account=${account}`)).json();
+ *   const request = { from: account, nonce: relay.nonce, deadline, data };
+ *   const signature = await signer.signTypedData(relay.domain, relay.types, request);
+ *   await fetch('/api/relay', { method: 'POST', body: JSON.stringify({ request, signature }) });
+ *
+ * The contract enrols anyone who creates a resolution or votes, so board
+ * membership alone would let any address spend the relayer's ETH. Encrypted
+ * votes are encrypted for the voter, the same as when they send castVote
+ * themselves.
+ */
+
+const RELAY_ABI = [
+    'function execute((address from, uint256 nonce, uint256 deadline, bytes data) request, bytes signature)',
+    'function nonces(address) view returns (uint256)',
+    'function getBoardMember(address) view returns (bool isActive, uint256 votingPower, string name, string position)',
+    'function castVote(uint256 _resolutionId, bytes32 _encryptedVote, bytes inputProof)',
+    'function createResolution(string _title, string _description, uint256 _requiredQuorum)'
+];
+
+// Calls the relay pays for; everything else members send themselves
+const RELAYED_FUNCTIONS = ['castVote', 'createResolution'];
+
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+        { name: 'data', type: 'bytes' }
+    ]
+};
+
+// Encrypted inputs carry proofs of a few kilobytes
+const MAX_BODY_SIZE = 256 * 1024;
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error(`Request body exceeds ${MAX_BODY_SIZE} bytes`), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function invalid(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// Check the shape of a posted request and decode the call it carries
+function parseSubmission(body) {
+    const { ethers } = require('ethers');
+    let submission;
+    try {
+        submission = JSON.parse(body);
+    } catch (error) {
+        throw invalid('Request body is not valid JSON');
+    }
+
+    const { request, signature } = submission || {};
+    if (!request || typeof request !== 'object') {
+        throw invalid('Missing "request"');
+    }
+    if (typeof request.from !== 'string' || !ethers.isAddress(request.from)) {
+        throw invalid('request.from must be an address');
+    }
+    for (const field of ['nonce', 'deadline']) {
+        if (!/^\d+$/.test(String(request[field]))) {
+            throw invalid(`request.${field} must be a non-negative integer`);
+        }
+    }
+    if (typeof request.data !== 'string' || !ethers.isHexString(request.data)) {
+        throw invalid('request.data must be hex-encoded calldata');
+    }
+    if (typeof signature !== 'string' || !ethers.isHexString(signature, 65)) {
+        throw invalid('signature must be a 65-byte hex string');
+    }
+
+    let call = null;
+    try {
+        call = new ethers.Interface(RELAY_ABI).parseTransaction({ data: request.data });
+    } catch (error) {
+        throw invalid(`request.data could not be decoded: ${error.shortMessage || error.message}`);
+    }
+    if (!call || !RELAYED_FUNCTIONS.includes(call.name)) {
+        throw invalid(`Only ${RELAYED_FUNCTIONS.join(' and ')} can be relayed`);
+    }
+
+    return {
+        request: {
+            from: ethers.getAddress(request.from),
+            nonce: BigInt(request.nonce),
+            deadline: BigInt(request.deadline),
+            data: request.data
+        },
+        signature,
+        call
+    };
+}
+
+// Revert reason of a failed estimate or call; nodes that return no revert data still explain it in the RPC error
+function describeError(error) {
+    return error.reason || error.info?.error?.message || error.shortMessage || error.message;
+}
+
+/**
+ * Create the handler for /api/relay
+ *
+ * Without a private key or an allowlist the relay is disabled and answers 503.
+ *
+ * @param {object} options
+ * @param {function} options.getDeployment - Returns { chainId, deployment } from the address book
+ * @param {function} options.createProvider - Creates a JSON-RPC provider for a chain ID
+ * @param {string} [options.privateKey] - Key of the funded relayer account
+ * @param {string[]} [options.allowlist] - Addresses the relay pays for
+ * @param {number} [options.rateLimit] - Transactions relayed per member and window (default: 10)
+ * @param {number} [options.rateWindow] - Window of the rate limit in seconds (default: 3600)
+ */
+function createRelay({ getDeployment, createProvider, privateKey, allowlist = [], rateLimit = 10, rateWindow = 3600 }) {
+    // Loaded only when enabled, so the server runs without ethers installed
+    const { ethers } = privateKey ? require('ethers') : {};
+    const allowed = new Set(privateKey ? allowlist.map((address) => ethers.getAddress(address)) : []);
+    const recent = new Map();
+    let wallet = null;
+    let queue = Promise.resolve();
+
+    async function connect() {
+        const { chainId, deployment } = getDeployment();
+        if (!wallet) {
+            wallet = new ethers.NonceManager(new ethers.Wallet(privateKey, createProvider(chainId)));
+        }
+        return {
+            contract: new ethers.Contract(deployment.address, RELAY_ABI, wallet),
+            domain: {
+                name: 'CorporateGovernance',
+                version: '1',
+                chainId: chainId || Number((await wallet.provider.getNetwork()).chainId),
+                verifyingContract: deployment.address
+            }
+        };
+    }
+
+    // Relayed times of a member within the window, oldest first
+    function recentRequests(account) {
+        const since = Date.now() - rateWindow * 1000;
+        const times = (recent.get(account) || []).filter((time) => time > since);
+        if (times.length > 0) {
+            recent.set(account, times);
+        } else {
+            recent.delete(account);
+        }
+        return times;
+    }
+
+    function releaseSlot(account, slot) {
+        const times = recentRequests(account);
+        const index = times.indexOf(slot);
+        if (index !== -1) {
+            times.splice(index, 1);
+        }
+        if (times.length === 0) {
+            recent.delete(account);
+        }
+    }
+
+    // One submission at a time keeps the relayer's nonces in order
+    function enqueue(task) {
+        const run = queue.then(task, task);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function describe(res, query) {
+        const { contract, domain } = await connect();
+        const body = {
+            relayer: await wallet.getAddress(),
+            contractAddress: domain.verifyingContract,
+            domain,
+            primaryType: 'ForwardRequest',
+            types: FORWARD_REQUEST_TYPES,
+            functions: RELAYED_FUNCTIONS,
+            rateLimit: { requests: rateLimit, window: rateWindow }
+        };
+
+        const account = query.get('account');
+        if (account) {
+            if (!ethers.isAddress(account)) {
+                throw invalid(`Invalid account: ${account}`);
+            }
+            const address = ethers.getAddress(account);
+            body.account = address;
+            body.allowed = allowed.has(address);
+            body.nonce = (await contract.nonces(address)).toString();
+            body.remaining = Math.max(rateLimit - recentRequests(address).length, 0);
+        }
+        send(res, 200, body);
+    }
+
+    async function relay(req, res) {
+        const { request, signature, call } = parseSubmission(await readBody(req));
+        const { contract, domain } = await connect();
+
+        if (request.deadline <= BigInt(Math.floor(Date.now() / 1000))) {
+            throw invalid('The request has expired');
+        }
+
+        const message = { ...request, nonce: request.nonce.toString(), deadline: request.deadline.toString() };
+        if (ethers.verifyTypedData(domain, FORWARD_REQUEST_TYPES, message, signature) !== request.from) {
+            throw Object.assign(new Error('The signature does not match request.from'), { status: 401 });
+        }
+
+        if (!allowed.has(request.from)) {
+            throw Object.assign(new Error(`${request.from} is not on the relay allowlist`), { status: 403 });
+        }
+
+        // Listed members stop being relayed for once the chairperson removes them
+        const [isActive] = await contract.getBoardMember(request.from);
+        if (!isActive) {
+            throw Object.assign(new Error(`${request.from} is not an active board member`), { status: 403 });
+        }
+
+        const expectedNonce = await contract.nonces(request.from);
+        if (request.nonce !== expectedNonce) {
+            throw Object.assign(new Error(`Nonce ${request.nonce} was already used or skipped; expected ${expectedNonce}`), { status: 409 });
+        }
+
+        // A slot is taken without awaiting in between, so parallel requests cannot overshoot,
+        // and given back if the transaction is not accepted
+        const times = recentRequests(request.from);
+        if (times.length >= rateLimit) {
+            const retryAfter = Math.ceil((times[0] + rateWindow * 1000 - Date.now()) / 1000);
+            throw Object.assign(
+                new Error(`Rate limit of ${rateLimit} relayed transactions per ${rateWindow} seconds reached`),
+                { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+            );
+        }
+        const slot = Date.now();
+        times.push(slot);
+        recent.set(request.from, times);
+
+        // Gas estimation runs the forwarded call, so a reverting vote costs the relayer nothing
+        const tx = await enqueue(async () => {
+            try {
+                return await contract.execute(request, signature);
+            } catch (error) {
+                wallet.reset();
+                releaseSlot(request.from, slot);
+                throw Object.assign(new Error(`Transaction rejected: ${describeError(error)}`), { status: 422 });
+            }
+        });
+
+        send(res, 202, {
+            transactionHash: tx.hash,
+            relayer: tx.from,
+            from: request.from,
+            nonce: request.nonce.toString(),
+            function: call.name
+        });
+    }
+
+    async function handleRelay(req, res, query) {
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            send(res, 405, { error: `${req.method} is not supported` }, { Allow: 'GET, POST' });
+            return;
+        }
+        if (!privateKey) {
+            send(res, 503, { error: 'The relay is disabled: set RELAYER_PRIVATE_KEY on the server' });
+            return;
+        }
+        if (allowed.size === 0) {
+            send(res, 503, { error: 'The relay is disabled: set RELAY_ALLOWLIST to the members it pays for' });
+            return;
+        }
+
+        try {
+            if (req.method === 'GET') {
+                await describe(res, query);
+            } else {
+                await relay(req, res);
+            }
+        } catch (error) {
+            if (!error.status) {
+                console.error(`Relay error: ${error.message}`);
+            }
+            send(res, error.status || 502, { error: error.status ? error.message : `Relay failed: ${describeError(error)}` }, error.headers);
+        }
+    }
+
+    handleRelay.close = function close() {
+        if (wallet) {
+            wallet.provider.destroy();
+            wallet = null;
+        }
+    };
+
+    return handleRelay;
+}
+
+module.exports = { createRelay };
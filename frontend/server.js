@@ -2,34 +2,285 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { parseArgs } = require('util');
+const { createApi } = require('./api');
 
-const PORT = 3014;
+const USAGE = `Usage: node server.js [options]
+
+Options:
+  --port <port>     Port to listen on (default: PORT or 3014)
+  --host <host>     Address to bind (default: HOST or all interfaces)
+  --root <dir>      Directory of static files (default: WEB_ROOT or this directory)
+  -h, --help        Show this help`;
+
+function exitWithUsage(message) {
+    console.error(message);
+    console.error();
+    console.error(USAGE);
+    process.exit(2);
+}
+
+let args;
+try {
+    ({ values: args } = parseArgs({
+        options: {
+            port: { type: 'string' },
+            host: { type: 'string' },
+            root: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        },
+        strict: true
+    }));
+} catch (error) {
+    exitWithUsage(error.message);
+}
+
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+const PORT = Number(args.port || process.env.PORT || 3014);
+const HOST = args.host || process.env.HOST || undefined;
+const WEB_ROOT = path.resolve(args.root || process.env.WEB_ROOT || __dirname);
+
+if (!Number.isInteger(PORT) || PORT < 0 || PORT > 65535) {
+    console.error(`Invalid port: ${args.port || process.env.PORT}`);
+    process.exit(1);
+}
+if (!fs.existsSync(WEB_ROOT) || !fs.statSync(WEB_ROOT).isDirectory()) {
+    console.error(`Web root is not a directory: ${WEB_ROOT}`);
+    process.exit(1);
+}
+
+// Symlinks are resolved before comparing, so the root is too
+const REAL_WEB_ROOT = fs.realpathSync(WEB_ROOT);
+
+// Files kept in the project root rather than the web root
+const PROJECT_FILES = {
+    '/demo.mp4': path.join(__dirname, '..', 'demo.mp4')
+};
+
+// The headers of vercel-with-security.json, plus a policy for the dashboard's
+// inline scripts, onclick handlers and the Tailwind and ethers CDNs
+const SECURITY_HEADERS = {
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'X-XSS-Protection': '1; mode=block',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+    'Content-Security-Policy': [
+        "default-src 'self'",
+        "script-src 'self' 'unsafe-inline' https://cdn.tailwindcss.com https://unpkg.com",
+        "style-src 'self' 'unsafe-inline'",
+        "img-src 'self' data:",
+        "media-src 'self'",
+        "connect-src 'self' https: wss:",
+        "object-src 'none'",
+        "base-uri 'self'",
+        "form-action 'self'",
+        "frame-ancestors 'none'"
+    ].join('; ')
+};
+
+// Smaller files are not worth compressing
+const MIN_COMPRESS_SIZE = 1024;
+
+const COMPRESSIBLE_TYPES = /^(text\/|application\/(json|wasm)|image\/svg\+xml)/;
+
+// Milliseconds open requests get to finish after SIGTERM
+const SHUTDOWN_TIMEOUT = 10000;
+
+const handleApi = createApi();
 
 const mimeTypes = {
-    '.html': 'text/html',
-    '.js': 'text/javascript',
-    '.css': 'text/css',
-    '.json': 'application/json',
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
     '.png': 'image/png',
-    '.jpg': 'image/jpg',
+    '.jpg': 'image/jpeg',
     '.gif': 'image/gif',
     '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
     '.wav': 'audio/wav',
     '.mp4': 'video/mp4',
-    '.woff': 'application/font-woff',
-    '.ttf': 'application/font-ttf',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
     '.eot': 'application/vnd.ms-fontobject',
-    '.otf': 'application/font-otf',
+    '.otf': 'font/otf',
     '.wasm': 'application/wasm'
 };
 
+function sendText(res, status, message, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+    res.end(message);
+}
+
+function isInside(root, filePath) {
+    return filePath === root || filePath.startsWith(root + path.sep);
+}
+
+// Map a URL path into the web root; null for paths that would leave it or name dotfiles
+function resolveStaticPath(pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+    if (decoded.includes('\0') || decoded.split(/[/\\]/).some((segment) => segment.startsWith('.'))) {
+        return null;
+    }
+
+    const filePath = path.resolve(WEB_ROOT, '.' + decoded);
+    return isInside(WEB_ROOT, filePath) ? filePath : null;
+}
+
+// Best encoding the client accepts, or undefined to send the file as is
+function chooseEncoding(req) {
+    const accepted = {};
+    for (const part of (req.headers['accept-encoding'] || '').split(',')) {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const quality = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+        accepted[name] = quality ? Number(quality.slice(2)) : 1;
+    }
+    return ['br', 'gzip'].find((encoding) => accepted[encoding] > 0);
+}
+
+// A single "bytes=" range; null to send the whole file, false when it is past the end
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    if (start > end || start >= size) {
+        return false;
+    }
+    return { start, end };
+}
+
+function send(req, res, ...streams) {
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    pipeline(...streams, res, (err) => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error(`Error sending ${req.url}: ${err.message}`);
+        }
+    });
+}
+
+function sendFile(req, res, filePath, stats) {
+    const contentType = mimeTypes[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    const lastModified = stats.mtime.toUTCString();
+    const headers = { 'Content-Type': contentType, 'Last-Modified': lastModified, 'Accept-Ranges': 'bytes' };
+
+    // Seeking in the demo video; If-Range only allows a range of an unchanged file
+    const ifRange = req.headers['if-range'];
+    if (req.headers.range && (!ifRange || ifRange === lastModified)) {
+        const range = parseRange(req.headers.range, stats.size);
+        if (range === false) {
+            res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stats.size}` });
+            res.end();
+            return;
+        }
+        if (range) {
+            res.writeHead(206, {
+                ...headers,
+                'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+                'Content-Length': range.end - range.start + 1
+            });
+            send(req, res, fs.createReadStream(filePath, range));
+            return;
+        }
+    }
+
+    const compressible = COMPRESSIBLE_TYPES.test(contentType);
+    const encoding = compressible && stats.size >= MIN_COMPRESS_SIZE ? chooseEncoding(req) : undefined;
+    if (compressible) {
+        headers['Vary'] = 'Accept-Encoding';
+    }
+
+    if (!encoding) {
+        res.writeHead(200, { ...headers, 'Content-Length': stats.size });
+        send(req, res, fs.createReadStream(filePath));
+        return;
+    }
+
+    // Compressed on every request, so brotli trades some size for speed
+    const compressor = encoding === 'br'
+        ? zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+        : zlib.createGzip();
+    res.writeHead(200, { ...headers, 'Content-Encoding': encoding });
+    send(req, res, fs.createReadStream(filePath), compressor);
+}
+
+// Regular file at the path, after following symlinks, or null
+async function findFile(filePath, root) {
+    try {
+        const realPath = await fs.promises.realpath(filePath);
+        if (root && !isInside(root, realPath)) {
+            return null;
+        }
+        const stats = await fs.promises.stat(realPath);
+        return stats.isFile() ? { path: realPath, stats } : null;
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+            return null;
+        }
+        throw err;
+    }
+}
+
+async function serveStatic(req, res, pathname) {
+    const projectFile = PROJECT_FILES[pathname];
+    const filePath = projectFile || resolveStaticPath(pathname);
+    if (!filePath) {
+        sendText(res, 404, 'Not found');
+        return;
+    }
+
+    let file = await findFile(filePath, projectFile ? null : REAL_WEB_ROOT);
+
+    // Serve index.html for SPA routing; missing assets stay 404s
+    if (!file && !path.extname(pathname)) {
+        file = await findFile(path.join(REAL_WEB_ROOT, 'index.html'), REAL_WEB_ROOT);
+    }
+    if (!file) {
+        sendText(res, 404, 'Not found');
+        return;
+    }
+
+    sendFile(req, res, file.path, file.stats);
+}
+
 const server = http.createServer((req, res) => {
     console.log(`${req.method} ${req.url}`);
 
+    for (const [name, value] of Object.entries(SECURITY_HEADERS)) {
+        res.setHeader(name, value);
+    }
+
     // Enable CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Governance-Source, X-Governance-Block');
 
     if (req.method === 'OPTIONS') {
         res.writeHead(200);
@@ -38,78 +289,92 @@ const server = http.createServer((req, res) => {
     }
 
     const parsedUrl = url.parse(req.url);
-    let pathname = parsedUrl.pathname;
+    let pathname = parsedUrl.pathname || '/';
+
+    // JSON endpoints backed by the indexer database or cached contract reads
+    if (pathname.startsWith('/api/')) {
+        handleApi(req, res, pathname, new URLSearchParams(parsedUrl.query || ''));
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendText(res, 405, `${req.method} is not supported`, { Allow: 'GET, HEAD, OPTIONS' });
+        return;
+    }
 
     // Default to index.html
     if (pathname === '/') {
         pathname = '/index.html';
     }
 
-    const filePath = path.join(__dirname, pathname);
-    const ext = path.parse(filePath).ext;
-    const mimeType = mimeTypes[ext] || 'text/plain';
-
-    fs.readFile(filePath, (err, data) => {
-        if (err) {
-            if (err.code === 'ENOENT') {
-                // File not found, serve index.html for SPA routing
-                fs.readFile(path.join(__dirname, 'index.html'), (err, data) => {
-                    if (err) {
-                        res.writeHead(500);
-                        res.end('Error loading index.html');
-                    } else {
-                        res.writeHead(200, { 'Content-Type': 'text/html' });
-                        res.end(data);
-                    }
-                });
+    // Deployment addresses are read from the registry in the project root
+    if (pathname === '/deployments/addresses.json') {
+        fs.readFile(path.join(__dirname, '..', 'deployments', 'addresses.json'), (err, data) => {
+            if (err) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'No deployments recorded' }));
             } else {
-                res.writeHead(500);
-                res.end(`Server Error: ${err.code}`);
+                res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+                res.end(data);
             }
+        });
+        return;
+    }
+
+    serveStatic(req, res, pathname).catch((err) => {
+        console.error(`Error serving ${pathname}: ${err.message}`);
+        if (!res.headersSent) {
+            sendText(res, 500, `Server Error: ${err.code || 'unknown'}`);
         } else {
-            res.writeHead(200, { 'Content-Type': mimeType });
-            res.end(data);
+            res.destroy();
         }
     });
 });
 
-server.listen(PORT, () => {
+server.listen(PORT, HOST, () => {
+    const { port } = server.address();
+    const displayHost = !HOST || HOST === '0.0.0.0' || HOST === '::' ? 'localhost' : HOST;
     console.log(`\n===========================================`);
     console.log(`  Board Resolution System Server`);
     console.log(`===========================================`);
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`📱 Frontend available at: http://localhost:${PORT}`);
-    console.log(`🔗 Direct access: http://localhost:${PORT}/index.html`);
+    console.log(`🚀 Server running on port ${port}`);
+    console.log(`📱 Frontend available at: http://${displayHost}:${port}`);
+    console.log(`🔗 Direct access: http://${displayHost}:${port}/index.html`);
+    console.log(`📂 Serving files from: ${WEB_ROOT}`);
     console.log(`🏛️ Board Resolution System - Private Corporate Governance`);
     console.log(`===========================================\n`);
 });
 
 server.on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
-        console.log(`Port ${PORT} is already in use. Trying to kill existing process...`);
-        // Try to kill process using port 3014
-        const { exec } = require('child_process');
-        exec(`netstat -ano | findstr :${PORT}`, (error, stdout) => {
-            if (stdout) {
-                const lines = stdout.split('\n');
-                lines.forEach(line => {
-                    if (line.includes('LISTENING')) {
-                        const pid = line.trim().split(/\s+/).pop();
-                        if (pid && pid !== '0') {
-                            exec(`taskkill /F /PID ${pid}`, (killError) => {
-                                if (!killError) {
-                                    console.log(`Killed process ${pid} using port ${PORT}`);
-                                    setTimeout(() => {
-                                        server.listen(PORT);
-                                    }, 1000);
-                                }
-                            });
-                        }
-                    }
-                });
-            }
-        });
+        console.error(`Port ${PORT} is already in use. Stop the other server or pick another port with --port or PORT.`);
     } else {
         console.error('Server error:', err);
     }
-});
\ No newline at end of file
+    process.exit(1);
+});
+
+// Stop accepting connections, end event streams and let running requests finish
+let shuttingDown = false;
+
+function shutdown(signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    console.log(`\n${signal} received, shutting down...`);
+
+    handleApi.close();
+    server.close(() => {
+        console.log('Server stopped');
+    });
+    server.closeIdleConnections();
+
+    setTimeout(() => {
+        console.log('Closing remaining connections');
+        server.closeAllConnections();
+    }, SHUTDOWN_TIMEOUT).unref();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -11,6 +11,7 @@ module.exports = {
         runs: 1000,
       },
       viaIR: true, // Required for FHEVM contracts
+      evmVersion: "cancun", // The fhevm ACL uses transient storage
     },
   },
   networks: {
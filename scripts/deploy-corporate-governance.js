@@ -1,7 +1,10 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getNetworkName, recordDeployment } = require("./lib/deployments");
 
 async function main() {
-    console.log("Deploying Board Resolution System to Sepolia...");
+    const networkName = getNetworkName(await ethers.provider.getNetwork());
+    console.log(`Deploying Board Resolution System (UltraSimpleVoting) to ${networkName}...`);
 
     // Get the contract factory
     const BoardResolution = await ethers.getContractFactory("UltraSimpleVoting");
@@ -16,7 +19,6 @@ async function main() {
 
     console.log("✅ Board Resolution System deployed successfully!");
     console.log(`📍 Contract Address: ${contractAddress}`);
-    console.log(`🌐 Sepolia Explorer: https://sepolia.etherscan.io/address/${contractAddress}`);
 
     // Get deployment info
     const deployer = await boardResolution.runner.getAddress();
@@ -29,15 +31,17 @@ async function main() {
     console.log(`🗳️  Initial voting power: ${totalVotingPower}`);
     console.log(`📜 Initial resolution count: ${resolutionCount}`);
     
-    // Save deployment info
-    const deploymentInfo = {
-        contractAddress: contractAddress,
-        deployer: deployer,
-        network: "sepolia",
-        timestamp: new Date().toISOString(),
-        txHash: boardResolution.deploymentTransaction()?.hash,
-        blockNumber: boardResolution.deploymentTransaction()?.blockNumber
-    };
+    // Record the deployment in the registry (deployments/<network>.json)
+    const deploymentInfo = await recordDeployment(hre, {
+        contractName: "UltraSimpleVoting",
+        contract: boardResolution,
+        constructorArgs: [],
+    });
+
+    if (deploymentInfo.explorerUrl) {
+        console.log(`🌐 Explorer: ${deploymentInfo.explorerUrl}`);
+    }
+    console.log(`🗂️  Recorded as UltraSimpleVoting v${deploymentInfo.version} in deployments/${networkName}.json`);
 
     console.log("\n=== Deployment Summary ===");
     console.log(JSON.stringify(deploymentInfo, null, 2));
@@ -1,6 +1,7 @@
-const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getNetworkName, recordDeployment } = require("./lib/deployments");
+const { installFhevmMocks } = require("./lib/fhevm");
 
 async function main() {
     console.log("=".repeat(70));
@@ -10,7 +11,7 @@ async function main() {
 
     // Get network information
     const network = await ethers.provider.getNetwork();
-    const networkName = network.name === "unknown" ? "localhost" : network.name;
+    const networkName = getNetworkName(network);
     const chainId = network.chainId;
 
     console.log("Network Information:");
@@ -36,6 +37,12 @@ async function main() {
         throw new Error("Deployer account has no funds. Please fund the account before deploying.");
     }
 
+    // TFHE and Gateway calls need the fhevm system contracts, which a local node lacks
+    if (chainId === 31337n && await installFhevmMocks(hre)) {
+        console.log("Installed the fhevm mock contracts (ACL, TFHE executor, KMS verifier, gateway)");
+        console.log();
+    }
+
     // Get the contract factory
     console.log("Deploying Contract...");
     console.log("-".repeat(70));
@@ -91,20 +98,15 @@ async function main() {
 
     // Generate explorer URLs based on network
     let explorerUrl = "";
-    let apiUrl = "";
 
     if (networkName === "sepolia") {
         explorerUrl = `https://sepolia.etherscan.io/address/${contractAddress}`;
-        apiUrl = "https://api-sepolia.etherscan.io/api";
     } else if (networkName === "mainnet") {
         explorerUrl = `https://etherscan.io/address/${contractAddress}`;
-        apiUrl = "https://api.etherscan.io/api";
     } else if (networkName === "localhost" || networkName === "hardhat") {
         explorerUrl = "N/A (Local Network)";
-        apiUrl = "N/A";
     } else {
         explorerUrl = "N/A";
-        apiUrl = "N/A";
     }
 
     console.log("Explorer Links:");
@@ -117,46 +119,17 @@ async function main() {
     }
     console.log();
 
-    // Prepare deployment info
-    const timestamp = new Date().toISOString();
-    const deploymentInfo = {
+    // Record the deployment in the registry (deployments/<network>.json)
+    const deploymentInfo = await recordDeployment(hre, {
         contractName: "CorporateGovernance",
-        contractAddress: contractAddress,
-        deployer: deployerAddress,
-        deployerBalance: balanceInEth,
-        network: networkName,
-        chainId: chainId.toString(),
-        timestamp: timestamp,
-        txHash: txHash,
-        blockNumber: blockNumber ? blockNumber.toString() : "N/A",
-        explorerUrl: explorerUrl,
-        apiUrl: apiUrl,
-        compiler: {
-            version: "0.8.24",
-            optimizer: true
-        }
-    };
-
-    // Save deployment info to file
-    const deploymentsDir = path.join(__dirname, "..", "deployments");
-
-    // Create deployments directory if it doesn't exist
-    if (!fs.existsSync(deploymentsDir)) {
-        fs.mkdirSync(deploymentsDir, { recursive: true });
-    }
+        contract,
+        constructorArgs: [],
+    });
 
-    // Save as latest deployment for this network
-    const latestFilePath = path.join(deploymentsDir, `latest-${networkName}.json`);
-    fs.writeFileSync(latestFilePath, JSON.stringify(deploymentInfo, null, 2));
-    console.log("Deployment Info Saved:");
+    console.log("Deployment Recorded:");
     console.log("-".repeat(70));
-    console.log(`File: ${latestFilePath}`);
-
-    // Also save with timestamp for history
-    const timestampedFileName = `deployment-${networkName}-${Date.now()}.json`;
-    const timestampedFilePath = path.join(deploymentsDir, timestampedFileName);
-    fs.writeFileSync(timestampedFilePath, JSON.stringify(deploymentInfo, null, 2));
-    console.log(`Archive: ${timestampedFilePath}`);
+    console.log(`Registry: deployments/${networkName}.json (version ${deploymentInfo.version})`);
+    console.log("Address Book: deployments/addresses.json");
     console.log();
 
     // Print summary
@@ -171,13 +144,10 @@ async function main() {
         console.log("Next Steps:");
         console.log("-".repeat(70));
         console.log("1. Verify the contract on Etherscan:");
-        console.log(`   npx hardhat run scripts/verify.js --network ${networkName}`);
+        console.log(`   node scripts/verify.js --network ${networkName}`);
         console.log();
         console.log("2. Interact with the contract:");
-        console.log(`   npx hardhat run scripts/interact.js --network ${networkName}`);
-        console.log();
-        console.log("3. Run simulation:");
-        console.log(`   npx hardhat run scripts/simulate.js --network ${networkName}`);
+        console.log(`   node scripts/interact.js info --network ${networkName}`);
         console.log("=".repeat(70));
     }
 
@@ -0,0 +1,420 @@
+/**
+ * Governance event indexer
+ *
+ * Backfills CorporateGovernance events into a local SQLite database and keeps
+ * following new blocks, so dashboards and reports can query history without
+ * looping view calls:
+ *
+ *   node scripts/indexer.js --network sepolia
+ *
+ * The last indexed block is stored with the data, so a restarted indexer
+ * resumes where it stopped. Block hashes are kept as checkpoints; when the
+ * chain no longer contains an indexed block, everything after the last shared
+ * block is rolled back and indexed again.
+ */
+
+const { parseArgs } = require("util");
+
+const USAGE = `Usage: node scripts/indexer.js [options]
+
+Options:
+  --network <name>         Network from hardhat.config.js (default: HARDHAT_NETWORK or localhost)
+  --contract <address>     Contract address (default: current deployment in deployments/<network>.json)
+  --from-block <n>         First block of a new database (default: deployment block)
+  --db <file>              SQLite database (default: data/governance-<network>.db)
+  --batch-size <n>         Blocks per eth_getLogs request (default: 2000)
+  --confirmations <n>      Stay this many blocks behind the head (default: 0 locally, 5 otherwise)
+  --poll-interval <ms>     Delay between checks for new blocks (default: 4000)
+  --once                   Index up to the current block and exit
+  --reset                  Delete the indexed data and start again
+  -h, --help               Show this help`;
+
+let args;
+try {
+    args = parseArgs({
+        options: {
+            network: { type: "string" },
+            contract: { type: "string" },
+            "from-block": { type: "string" },
+            db: { type: "string" },
+            "batch-size": { type: "string", default: "2000" },
+            confirmations: { type: "string" },
+            "poll-interval": { type: "string", default: "4000" },
+            once: { type: "boolean", default: false },
+            reset: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+        strict: true,
+    });
+} catch (error) {
+    console.error(error.message);
+    console.error();
+    console.error(USAGE);
+    process.exit(2);
+}
+
+if (args.values.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if (args.values.network) {
+    process.env.HARDHAT_NETWORK = args.values.network;
+} else if (!process.env.HARDHAT_NETWORK) {
+    process.env.HARDHAT_NETWORK = "localhost";
+}
+
+const fs = require("fs");
+const { ethers } = require("hardhat");
+const { getDeployment, getNetworkName } = require("./lib/deployments");
+const { GovernanceStore, getDatabasePath } = require("./lib/store");
+const { CHAIRPERSON_DEFAULTS, decodeResolution, getVariant } = require("./lib/variants");
+
+const LOCAL_NETWORKS = ["localhost", "hardhat"];
+const VARIANT = getVariant("CorporateGovernance");
+
+const INDEXED_EVENTS = [
+    "ResolutionCreated",
+    "VoteCast",
+    "DecryptionRequested",
+    "ResolutionResolved",
+    "DecryptionTimeout",
+    "BoardMemberAdded",
+    "BoardMemberRemoved",
+];
+
+// Checkpoints kept for reorg detection; deeper reorgs restart from the first block
+const CHECKPOINT_DEPTH = 256;
+
+function timestamp() {
+    return new Date().toISOString();
+}
+
+function log(message) {
+    console.log(`[${timestamp()}] ${message}`);
+}
+
+function parseCount(value, name) {
+    if (!/^\d+$/.test(String(value))) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return Number(value);
+}
+
+// Helper function to load contract
+async function loadContract(options) {
+    const network = await ethers.provider.getNetwork();
+    const networkName = getNetworkName(network);
+    const deploymentInfo = getDeployment(networkName, "CorporateGovernance");
+
+    if (!options.contract && !deploymentInfo) {
+        throw new Error(
+            `No deployment found for network "${networkName}".\n` +
+            `Please deploy the contract first using: npx hardhat run scripts/deploy.js --network ${networkName}\n` +
+            "or pass the contract address with --contract."
+        );
+    }
+
+    const contractAddress = ethers.getAddress(options.contract || deploymentInfo.address);
+    const contract = await ethers.getContractAt("CorporateGovernance", contractAddress);
+
+    let fromBlock = 0;
+    if (options["from-block"] !== undefined) {
+        fromBlock = parseCount(options["from-block"], "--from-block");
+    } else if (deploymentInfo && deploymentInfo.blockNumber && !options.contract) {
+        fromBlock = Number(deploymentInfo.blockNumber);
+    }
+
+    return { contract, contractAddress, networkName, chainId: network.chainId, fromBlock };
+}
+
+/**
+ * Open the database and check it belongs to this chain and contract
+ */
+function openStore(filePath, { networkName, chainId, contractAddress, fromBlock }, reset) {
+    if (reset) {
+        for (const file of [filePath, `${filePath}-wal`, `${filePath}-shm`]) {
+            fs.rmSync(file, { force: true });
+        }
+    }
+
+    const store = new GovernanceStore(filePath);
+    const storedChain = store.getMeta("chain_id");
+    const storedContract = store.getMeta("contract_address");
+
+    if (storedChain === null) {
+        store.setMeta("network", networkName);
+        store.setMeta("chain_id", chainId);
+        store.setMeta("contract_address", contractAddress);
+        store.setMeta("start_block", fromBlock);
+        return store;
+    }
+
+    if (storedChain !== String(chainId) || storedContract !== contractAddress) {
+        store.close();
+        throw new Error(
+            `${filePath} holds events of ${storedContract} on chain ${storedChain}, not ${contractAddress} on chain ${chainId}.\n` +
+            "Pass another --db, or --reset to start again."
+        );
+    }
+    return store;
+}
+
+// JSON-safe copy of decoded event arguments (uint256 values become strings)
+function serializeArgs(parsed) {
+    const values = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+        const value = parsed.args[index];
+        values[input.name] = typeof value === "bigint" ? value.toString() : value;
+    });
+    return values;
+}
+
+/**
+ * Check the chain still contains the last indexed block
+ *
+ * On a mismatch, walk back through the checkpoints to the newest block the
+ * chain still has and roll the store back to it.
+ */
+async function handleReorg(store, startBlock) {
+    const lastBlock = store.getLastBlock();
+    const checkpoints = store.getCheckpoints(CHECKPOINT_DEPTH);
+
+    if (lastBlock === null || checkpoints.length === 0) {
+        return;
+    }
+
+    const latest = await ethers.provider.getBlock(checkpoints[0].blockNumber);
+    if (latest && latest.hash === checkpoints[0].blockHash) {
+        return;
+    }
+
+    let ancestor = startBlock - 1;
+    for (const checkpoint of checkpoints.slice(1)) {
+        const block = await ethers.provider.getBlock(checkpoint.blockNumber);
+        if (block && block.hash === checkpoint.blockHash) {
+            ancestor = checkpoint.blockNumber;
+            break;
+        }
+    }
+
+    log(`Chain reorganization: block ${checkpoints[0].blockNumber} changed, rolling back to block ${ancestor}`);
+    store.rollback(ancestor);
+}
+
+/**
+ * Fetch and decode the events of a block range
+ */
+async function indexRange(contract, contractAddress, startBlock, fromBlock, toBlock) {
+    const topics = INDEXED_EVENTS.map((name) => contract.interface.getEvent(name).topicHash);
+    const logs = await ethers.provider.getLogs({ address: contractAddress, topics: [topics], fromBlock, toBlock });
+
+    const blocks = new Map();
+    const getBlock = async (blockNumber) => {
+        if (!blocks.has(blockNumber)) {
+            const block = await ethers.provider.getBlock(blockNumber);
+            if (!block) {
+                throw new Error(`Block ${blockNumber} is not available`);
+            }
+            blocks.set(blockNumber, block);
+        }
+        return blocks.get(blockNumber);
+    };
+
+    const batch = { events: [], resolutions: [], memberChanges: [], checkpoints: [], toBlock };
+
+    // The constructor adds the chairperson without an event
+    if (fromBlock === startBlock) {
+        const block = await getBlock(fromBlock);
+        batch.memberChanges.push({
+            blockNumber: fromBlock,
+            logIndex: -1,
+            member: ethers.getAddress(await contract.chairperson({ blockTag: toBlock })),
+            action: "added",
+            name: CHAIRPERSON_DEFAULTS.name,
+            position: CHAIRPERSON_DEFAULTS.position,
+            votingPower: Number(CHAIRPERSON_DEFAULTS.votingPower),
+            transactionHash: null,
+            timestamp: block.timestamp,
+        });
+    }
+
+    for (const entry of logs) {
+        if (entry.removed) {
+            continue;
+        }
+
+        const block = await getBlock(entry.blockNumber);
+        if (block.hash !== entry.blockHash) {
+            throw new Error(`Block ${entry.blockNumber} changed while indexing (chain reorganization)`);
+        }
+
+        const parsed = contract.interface.parseLog(entry);
+        const values = serializeArgs(parsed);
+        const origin = {
+            blockNumber: entry.blockNumber,
+            logIndex: entry.index,
+            transactionHash: entry.transactionHash,
+            timestamp: block.timestamp,
+        };
+
+        const account = values.voter || values.member || null;
+        batch.events.push({
+            ...origin,
+            blockHash: entry.blockHash,
+            name: parsed.name,
+            resolutionId: values.resolutionId !== undefined ? Number(values.resolutionId) : null,
+            account: account ? ethers.getAddress(account) : null,
+            args: values,
+        });
+
+        if (parsed.name === "ResolutionCreated") {
+            // Title, description and times never change after creation
+            const resolution = decodeResolution(VARIANT, await contract.getResolution(values.resolutionId));
+            batch.resolutions.push({
+                id: Number(values.resolutionId),
+                title: resolution.title,
+                description: resolution.description,
+                creator: ethers.getAddress(resolution.creator),
+                startTime: Number(resolution.startTime),
+                endTime: Number(resolution.endTime),
+                requiredQuorum: Number(resolution.requiredQuorum),
+                blockNumber: entry.blockNumber,
+                transactionHash: entry.transactionHash,
+            });
+        } else if (parsed.name === "BoardMemberAdded") {
+            // The event carries no position, so read it as of that block
+            let memberPosition = null;
+            try {
+                [, , , memberPosition] = await contract.getBoardMember(values.member, { blockTag: entry.blockNumber });
+            } catch (error) {
+                // Nodes without archive state cannot answer historical calls
+            }
+
+            batch.memberChanges.push({
+                ...origin,
+                member: ethers.getAddress(values.member),
+                action: "added",
+                name: values.name,
+                position: memberPosition,
+                votingPower: Number(values.votingPower),
+            });
+        } else if (parsed.name === "BoardMemberRemoved") {
+            batch.memberChanges.push({
+                ...origin,
+                member: ethers.getAddress(values.member),
+                action: "removed",
+                name: null,
+                position: null,
+                votingPower: null,
+            });
+        }
+    }
+
+    const last = await getBlock(toBlock);
+    batch.checkpoints.push(...[...blocks.values()].map((block) => ({ blockNumber: block.number, blockHash: block.hash })));
+    if (!blocks.has(toBlock) || last.hash !== blocks.get(toBlock).hash) {
+        batch.checkpoints.push({ blockNumber: toBlock, blockHash: last.hash });
+    }
+    return batch;
+}
+
+async function main() {
+    const options = args.values;
+    const pollInterval = parseCount(options["poll-interval"], "--poll-interval");
+    const batchSize = parseCount(options["batch-size"], "--batch-size");
+
+    if (pollInterval === 0 || batchSize === 0) {
+        throw new Error("--poll-interval and --batch-size must be greater than zero");
+    }
+
+    const target = await loadContract(options);
+    const { contract, contractAddress, networkName } = target;
+    const confirmations = options.confirmations !== undefined
+        ? parseCount(options.confirmations, "--confirmations")
+        : (LOCAL_NETWORKS.includes(networkName) ? 0 : 5);
+
+    const dbPath = options.db || getDatabasePath(networkName);
+    const store = openStore(dbPath, target, options.reset);
+    const startBlock = Number(store.getMeta("start_block"));
+
+    console.log("=".repeat(70));
+    console.log("GOVERNANCE EVENT INDEXER");
+    console.log("=".repeat(70));
+    console.log(`Network: ${networkName}`);
+    console.log(`Contract: ${contractAddress}`);
+    console.log(`Database: ${dbPath}`);
+    if (store.getLastBlock() !== null) {
+        console.log(`Resuming after block: ${store.getLastBlock()}`);
+        if (options["from-block"] !== undefined && Number(options["from-block"]) !== startBlock) {
+            console.log(`(--from-block ignored: this database starts at block ${startBlock}; use --reset to change it)`);
+        }
+    } else {
+        console.log(`Starting at block: ${startBlock}`);
+    }
+    console.log(`Confirmations: ${confirmations}`);
+    console.log("=".repeat(70));
+
+    let stopping = false;
+    const stop = () => {
+        if (!stopping) {
+            log("Stopping indexer...");
+        }
+        stopping = true;
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+
+    try {
+        while (!stopping) {
+            try {
+                await handleReorg(store, startBlock);
+
+                const safeBlock = (await ethers.provider.getBlockNumber()) - confirmations;
+                let lastBlock = store.getLastBlock() ?? startBlock - 1;
+
+                while (!stopping && lastBlock < safeBlock) {
+                    const fromBlock = lastBlock + 1;
+                    const toBlock = Math.min(fromBlock + batchSize - 1, safeBlock);
+                    const batch = await indexRange(contract, contractAddress, startBlock, fromBlock, toBlock);
+
+                    store.saveBatch(batch, CHECKPOINT_DEPTH);
+                    lastBlock = toBlock;
+
+                    if (batch.events.length > 0 || safeBlock - toBlock > 0) {
+                        log(`Blocks ${fromBlock}-${toBlock}: ${batch.events.length} event(s)`);
+                    }
+                }
+            } catch (error) {
+                if (options.once) {
+                    throw error;
+                }
+                // Node hiccups and reorgs during a batch are retried on the next poll
+                log(`${error.shortMessage || error.message} (will retry)`);
+            }
+
+            if (options.once) {
+                break;
+            }
+
+            await new Promise((resolve) => setTimeout(resolve, pollInterval));
+        }
+
+        const status = store.getStatus();
+        log(`Indexed up to block ${status.lastBlock ?? "-"}: ${status.events} event(s) in ${dbPath}`);
+    } finally {
+        store.close();
+    }
+}
+
+main()
+    .then(() => process.exit())
+    .catch((error) => {
+        console.error();
+        console.error("=".repeat(70));
+        console.error("INDEXER ERROR");
+        console.error("=".repeat(70));
+        console.error(error.message);
+        console.error("=".repeat(70));
+        process.exit(1);
+    });
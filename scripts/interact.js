@@ -1,356 +1,839 @@
-const { ethers } = require("hardhat");
+/**
+ * Corporate Governance command-line tool
+ *
+ * Non-interactive replacement for the old readline menu, so board operations
+ * can be scripted from cron jobs and pipelines:
+ *
+ *   node scripts/interact.js <group> <command> [arguments] [options]
+ *
+ * Run with --help for the full list of commands.
+ */
+
 const fs = require("fs");
-const path = require("path");
-const readline = require("readline");
-
-// Helper function to get user input
-function askQuestion(query) {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-    });
+const { parseArgs } = require("util");
+
+const USAGE = `Usage: node scripts/interact.js <group> <command> [arguments] [options]
+
+Commands:
+  info                                   Contract and deployment information
+  members list [--all]                   List board members (--all includes removed ones)
+  members show <address>                 Show one board member
+  members add <address> --name <name> --position <position> --power <n>
+                                         Add a board member or update an existing one
+  members remove <address>               Remove a board member (chairperson only)
+  resolutions list                       List all resolutions
+  resolutions show <id>                  Show one resolution with its decryption status
+  resolutions create --title <title> --description <text> --quorum <n>
+                                         Create a resolution
+  resolutions close <id>                 Close voting and request decryption of the tally
+  resolutions timeout <id>               Finalize a resolution whose decryption timed out
+  vote cast <id> <yes|no> [--backend <mock|fhevmjs>]
+                                         Encrypt a vote and submit it with castVote
+  vote status <id> [--voter <address>]   Check whether an account has voted
+  roster export [--output <file>] [--format <csv|json>]
+                                         Write the active board as a CSV or JSON roster
+  roster diff <file> [--keep-missing]    Compare a roster with the board and list the transactions needed
+  roster apply <file> [--dry-run] [--keep-missing]
+                                         Add, update and remove members to match a roster
+
+Options:
+  --network <name>      Network from hardhat.config.js (default: HARDHAT_NETWORK or localhost)
+  --contract <address>  Contract address (default: current deployment in deployments/<network>.json)
+  --account <index>     Signer account index (default: 0)
+  --from-block <n>      First block to scan for member events (default: deployment block)
+  --format <csv|json>   Roster format (default: from the file extension, csv for standard output)
+  --keep-missing        Keep active members that are not in the roster instead of removing them
+  --dry-run             Print the planned roster transactions without sending them
+  --json                Print machine-readable JSON instead of text
+  -h, --help            Show this help
+
+Exit codes: 0 on success, 1 when a call or transaction fails, 2 on invalid usage.`;
+
+const OPTIONS = {
+    network: { type: "string" },
+    contract: { type: "string" },
+    account: { type: "string" },
+    "from-block": { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+    all: { type: "boolean", default: false },
+    name: { type: "string" },
+    position: { type: "string" },
+    power: { type: "string" },
+    title: { type: "string" },
+    description: { type: "string" },
+    quorum: { type: "string" },
+    voter: { type: "string" },
+    backend: { type: "string" },
+    output: { type: "string" },
+    format: { type: "string" },
+    "keep-missing": { type: "boolean", default: false },
+    "dry-run": { type: "boolean", default: false },
+};
+
+// Raised for bad arguments, reported with the usage text and exit code 2
+class UsageError extends Error {}
+
+// Hardhat reads the network at load time, so arguments are parsed first
+let args;
+try {
+    args = parseArgs({ options: OPTIONS, allowPositionals: true, strict: true });
+} catch (error) {
+    console.error(error.message);
+    console.error();
+    console.error(USAGE);
+    process.exit(2);
+}
+
+if (args.values.help || args.positionals.length === 0) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if (args.values.network) {
+    process.env.HARDHAT_NETWORK = args.values.network;
+} else if (!process.env.HARDHAT_NETWORK) {
+    process.env.HARDHAT_NETWORK = "localhost";
+}
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createFhevm, encryptVote } = require("./lib/fhevm");
+const { getDeployment, getNetworkName } = require("./lib/deployments");
+const roster = require("./lib/roster");
+
+// Serialize bigint values returned by ethers
+function toJson(value) {
+    return JSON.stringify(value, (key, val) => (typeof val === "bigint" ? val.toString() : val), 2);
+}
+
+function formatTime(timestamp) {
+    return new Date(Number(timestamp) * 1000).toLocaleString();
+}
 
-    return new Promise(resolve => rl.question(query, ans => {
-        rl.close();
-        resolve(ans);
-    }));
+// Helper functions to validate arguments
+function requireArg(value, name) {
+    if (value === undefined || value === "") {
+        throw new UsageError(`Missing required ${name}`);
+    }
+    return value;
+}
+
+function parseAddress(value, name) {
+    requireArg(value, name);
+    if (!ethers.isAddress(value)) {
+        throw new UsageError(`Invalid ${name}: ${value}`);
+    }
+    return ethers.getAddress(value);
+}
+
+function parseInteger(value, name) {
+    requireArg(value, name);
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Invalid ${name}: ${value} (expected a non-negative integer)`);
+    }
+    return BigInt(value);
 }
 
 // Helper function to load contract
-async function loadContract() {
+async function loadContract(options) {
     const network = await ethers.provider.getNetwork();
-    const networkName = network.name === "unknown" ? "localhost" : network.name;
-
-    const deploymentsDir = path.join(__dirname, "..", "deployments");
-    const deploymentFilePath = path.join(deploymentsDir, `latest-${networkName}.json`);
+    const networkName = getNetworkName(network);
+    const deploymentInfo = getDeployment(networkName, "CorporateGovernance");
 
-    if (!fs.existsSync(deploymentFilePath)) {
+    if (!deploymentInfo && !options.contract) {
         throw new Error(
             `No deployment found for network "${networkName}".\n` +
-            `Please deploy the contract first using: npx hardhat run scripts/deploy.js --network ${networkName}`
+            `Please deploy the contract first using: npx hardhat run scripts/deploy.js --network ${networkName}\n` +
+            "or pass the contract address with --contract."
         );
     }
 
-    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFilePath, "utf8"));
+    const contractAddress = options.contract
+        ? parseAddress(options.contract, "--contract")
+        : deploymentInfo.address;
+
+    // Deployment details only describe the registered contract, not an override
+    const deployment = deploymentInfo && deploymentInfo.address === contractAddress ? deploymentInfo : null;
+
+    const signers = await ethers.getSigners();
+    const accountIndex = options.account !== undefined ? Number(parseInteger(options.account, "--account")) : 0;
+    const signer = signers[accountIndex];
+
     const CorporateGovernance = await ethers.getContractFactory("CorporateGovernance");
-    const contract = CorporateGovernance.attach(deploymentInfo.contractAddress);
-
-    return { contract, deploymentInfo, networkName };
-}
-
-// Menu options
-async function displayMenu() {
-    console.log();
-    console.log("=".repeat(70));
-    console.log("CORPORATE GOVERNANCE - INTERACTION MENU");
-    console.log("=".repeat(70));
-    console.log();
-    console.log("1. View Board Member Info");
-    console.log("2. View Total Voting Power");
-    console.log("3. List All Resolutions");
-    console.log("4. View Specific Resolution");
-    console.log("5. Add Board Member");
-    console.log("6. Create Resolution");
-    console.log("7. View Contract Info");
-    console.log("0. Exit");
-    console.log();
-    console.log("=".repeat(70));
-
-    const choice = await askQuestion("Enter your choice: ");
-    return choice.trim();
-}
-
-// 1. View Board Member Info
-async function viewBoardMemberInfo(contract) {
-    console.log();
-    console.log("-".repeat(70));
-    const address = await askQuestion("Enter board member address: ");
+    const contract = CorporateGovernance.attach(contractAddress).connect(signer || ethers.provider);
 
-    try {
-        const [isActive, votingPower, name, position] = await contract.getBoardMember(address);
-
-        console.log();
-        console.log("Board Member Information:");
-        console.log("-".repeat(70));
-        console.log(`Address: ${address}`);
-        console.log(`Name: ${name}`);
-        console.log(`Position: ${position}`);
-        console.log(`Active: ${isActive}`);
-        console.log(`Voting Power: ${votingPower}`);
-        console.log("-".repeat(70));
-    } catch (error) {
-        console.error("Error fetching board member info:", error.message);
-    }
+    return { contract, contractAddress, deploymentInfo: deployment, networkName, chainId: network.chainId, signer, accountIndex };
 }
 
-// 2. View Total Voting Power
-async function viewTotalVotingPower(contract) {
-    try {
-        const totalVotingPower = await contract.getTotalVotingPower();
-        console.log();
-        console.log("-".repeat(70));
-        console.log(`Total Voting Power: ${totalVotingPower}`);
-        console.log("-".repeat(70));
-    } catch (error) {
-        console.error("Error fetching total voting power:", error.message);
+function requireSigner(context) {
+    if (!context.signer) {
+        throw new Error(
+            `No account at index ${context.accountIndex} for network "${context.networkName}". ` +
+            "Check the accounts configured in hardhat.config.js."
+        );
     }
+    return context.signer;
 }
 
-// 3. List All Resolutions
-async function listAllResolutions(contract) {
-    try {
-        const resolutionCount = await contract.getResolutionCount();
-        console.log();
-        console.log("-".repeat(70));
-        console.log(`Total Resolutions: ${resolutionCount}`);
-        console.log("-".repeat(70));
-
-        if (resolutionCount === 0n) {
-            console.log("No resolutions have been created yet.");
-            return;
+// Send a transaction and wait for it, returning the receipt and parsed events
+async function sendTransaction(context, method, ...params) {
+    const signer = requireSigner(context);
+    const { contract } = context;
+
+    if (!context.json) {
+        console.log(`Submitting ${method} from ${await signer.getAddress()}...`);
+    }
+
+    const tx = await contract[method](...params);
+
+    if (!context.json) {
+        console.log(`Transaction hash: ${tx.hash}`);
+        console.log("Waiting for confirmation...");
+    }
+
+    const receipt = await tx.wait();
+
+    const events = [];
+    for (const log of receipt.logs) {
+        try {
+            const parsed = contract.interface.parseLog(log);
+            if (parsed) {
+                events.push(parsed);
+            }
+        } catch {
+            // Log from another contract (e.g. the gateway)
         }
+    }
 
-        for (let i = 0; i < resolutionCount; i++) {
-            const [id, title, description, startTime, endTime, active, creator, requiredQuorum] =
-                await contract.getResolution(i);
+    return {
+        receipt,
+        events,
+        transaction: {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+            from: receipt.from,
+        },
+    };
+}
 
-            console.log();
-            console.log(`Resolution #${id}:`);
-            console.log(`  Title: ${title}`);
-            console.log(`  Description: ${description}`);
-            console.log(`  Creator: ${creator}`);
-            console.log(`  Active: ${active}`);
-            console.log(`  Start Time: ${new Date(Number(startTime) * 1000).toLocaleString()}`);
-            console.log(`  End Time: ${new Date(Number(endTime) * 1000).toLocaleString()}`);
-            console.log(`  Required Quorum: ${requiredQuorum}`);
+async function fetchMember(contract, address) {
+    const [isActive, votingPower, name, position] = await contract.getBoardMember(address);
+    return { address, name, position, isActive, votingPower };
+}
+
+async function fetchResolution(contract, resolutionId) {
+    const [id, title, description, startTime, endTime, active, creator, requiredQuorum, resolved, yesVotes, noVotes] =
+        await contract.getResolution(resolutionId);
+
+    const resolution = {
+        id,
+        title,
+        description,
+        creator,
+        active,
+        startTime,
+        endTime,
+        requiredQuorum,
+        resolved,
+        yesVotes: resolved ? yesVotes : null,
+        noVotes: resolved ? noVotes : null,
+    };
+
+    resolution.passed = resolved ? yesVotes > noVotes && yesVotes + noVotes >= requiredQuorum : null;
+    return resolution;
+}
+
+function printMember(member) {
+    console.log(`Address: ${member.address}`);
+    console.log(`Name: ${member.name}`);
+    console.log(`Position: ${member.position}`);
+    console.log(`Active: ${member.isActive}`);
+    console.log(`Voting Power: ${member.votingPower}`);
+}
+
+function printResolution(resolution, indent = "") {
+    console.log(`${indent}Title: ${resolution.title}`);
+    console.log(`${indent}Description: ${resolution.description}`);
+    console.log(`${indent}Creator: ${resolution.creator}`);
+    console.log(`${indent}Active: ${resolution.active}`);
+    console.log(`${indent}Start Time: ${formatTime(resolution.startTime)}`);
+    console.log(`${indent}End Time: ${formatTime(resolution.endTime)}`);
+    console.log(`${indent}Required Quorum: ${resolution.requiredQuorum}`);
+    console.log(`${indent}Resolved: ${resolution.resolved}`);
+    if (resolution.resolved) {
+        console.log(`${indent}Result: ${resolution.yesVotes} yes / ${resolution.noVotes} no - ${resolution.passed ? "PASSED" : "REJECTED"}`);
+    }
+}
+
+function printTransaction(transaction) {
+    console.log(`Transaction: ${transaction.hash}`);
+    console.log(`Block: ${transaction.blockNumber}`);
+    console.log(`Gas Used: ${transaction.gasUsed}`);
+}
+
+// info
+async function showInfo(context) {
+    const { contract, deploymentInfo } = context;
+    const chairperson = await contract.chairperson();
+    const totalVotingPower = await contract.getTotalVotingPower();
+    const resolutionCount = await contract.getResolutionCount();
+
+    const result = {
+        network: context.networkName,
+        chainId: context.chainId,
+        contractAddress: context.contractAddress,
+        deployment: deploymentInfo,
+        chairperson,
+        totalVotingPower,
+        resolutionCount,
+    };
+
+    return {
+        result,
+        print() {
+            console.log("=".repeat(70));
+            console.log("CONTRACT INFORMATION");
+            console.log("=".repeat(70));
+            console.log(`Contract Address: ${context.contractAddress}`);
+            console.log(`Network: ${context.networkName}`);
+            console.log(`Chain ID: ${context.chainId}`);
+            if (deploymentInfo) {
+                console.log(`Version: ${deploymentInfo.version}`);
+                console.log(`Deployed: ${deploymentInfo.timestamp}`);
+                console.log(`Deployer: ${deploymentInfo.deployer}`);
+                console.log(`Commit: ${deploymentInfo.gitCommit || "unknown"}`);
+                if (deploymentInfo.explorerUrl) {
+                    console.log(`Explorer: ${deploymentInfo.explorerUrl}`);
+                }
+            }
             console.log("-".repeat(70));
-        }
-    } catch (error) {
-        console.error("Error listing resolutions:", error.message);
+            console.log(`Chairperson: ${chairperson}`);
+            console.log(`Total Voting Power: ${totalVotingPower}`);
+            console.log(`Resolution Count: ${resolutionCount}`);
+            console.log("=".repeat(70));
+        },
+    };
+}
+
+// Every account that has been a board member, including removed ones
+async function discoverMembers(context, options) {
+    const { contract, deploymentInfo } = context;
+
+    // The contract has no member enumeration, so members are discovered from events
+    let fromBlock = 0;
+    if (options["from-block"] !== undefined) {
+        fromBlock = Number(parseInteger(options["from-block"], "--from-block"));
+    } else if (deploymentInfo && deploymentInfo.blockNumber) {
+        fromBlock = Number(deploymentInfo.blockNumber);
+    }
+
+    const added = await contract.queryFilter(contract.filters.BoardMemberAdded(), fromBlock);
+    const removed = await contract.queryFilter(contract.filters.BoardMemberRemoved(), fromBlock);
+
+    // The chairperson is added in the constructor without an event
+    const addresses = new Set([ethers.getAddress(await contract.chairperson())]);
+    for (const event of [...added, ...removed]) {
+        addresses.add(ethers.getAddress(event.args.member));
+    }
+
+    const members = [];
+    for (const address of addresses) {
+        members.push(await fetchMember(contract, address));
     }
+    return members;
 }
 
-// 4. View Specific Resolution
-async function viewResolution(contract) {
-    console.log();
-    console.log("-".repeat(70));
-    const resolutionId = await askQuestion("Enter resolution ID: ");
+// members list
+async function listMembers(context, options) {
+    const members = (await discoverMembers(context, options)).filter((member) => member.isActive || options.all);
 
-    try {
-        const [id, title, description, startTime, endTime, active, creator, requiredQuorum] =
-            await contract.getResolution(resolutionId);
-
-        console.log();
-        console.log("Resolution Details:");
-        console.log("-".repeat(70));
-        console.log(`ID: ${id}`);
-        console.log(`Title: ${title}`);
-        console.log(`Description: ${description}`);
-        console.log(`Creator: ${creator}`);
-        console.log(`Active: ${active}`);
-        console.log(`Start Time: ${new Date(Number(startTime) * 1000).toLocaleString()}`);
-        console.log(`End Time: ${new Date(Number(endTime) * 1000).toLocaleString()}`);
-        console.log(`Required Quorum: ${requiredQuorum}`);
-        console.log("-".repeat(70));
-    } catch (error) {
-        console.error("Error fetching resolution:", error.message);
+    return {
+        result: { members },
+        print() {
+            console.log("-".repeat(70));
+            console.log(`Board Members: ${members.length}`);
+            console.log("-".repeat(70));
+            for (const member of members) {
+                const status = member.isActive ? "" : " (removed)";
+                console.log(`${member.address}  ${member.name}, ${member.position} - power ${member.votingPower}${status}`);
+            }
+            console.log("-".repeat(70));
+        },
+    };
+}
+
+// members show
+async function showMember(context, options, [address]) {
+    const member = await fetchMember(context.contract, parseAddress(address, "member address"));
+
+    return {
+        result: member,
+        print() {
+            console.log("Board Member Information:");
+            console.log("-".repeat(70));
+            printMember(member);
+            console.log("-".repeat(70));
+        },
+    };
+}
+
+// members add
+async function addMember(context, options, [address]) {
+    const member = parseAddress(address, "member address");
+    const name = requireArg(options.name, "--name");
+    const position = requireArg(options.position, "--position");
+    const votingPower = parseInteger(options.power, "--power");
+
+    const { transaction } = await sendTransaction(context, "addBoardMember", member, name, position, votingPower);
+    const result = { member: await fetchMember(context.contract, member), transaction };
+
+    return {
+        result,
+        print() {
+            console.log();
+            console.log("Board member added successfully!");
+            console.log("-".repeat(70));
+            printMember(result.member);
+            printTransaction(transaction);
+            console.log("-".repeat(70));
+        },
+    };
+}
+
+// members remove
+async function removeMember(context, options, [address]) {
+    const member = parseAddress(address, "member address");
+    const { transaction } = await sendTransaction(context, "removeBoardMember", member);
+
+    return {
+        result: { member, transaction },
+        print() {
+            console.log();
+            console.log("Board member removed successfully!");
+            console.log("-".repeat(70));
+            console.log(`Address: ${member}`);
+            printTransaction(transaction);
+            console.log("-".repeat(70));
+        },
+    };
+}
+
+// resolutions list
+async function listResolutions(context) {
+    const { contract } = context;
+    const resolutionCount = await contract.getResolutionCount();
+
+    const resolutions = [];
+    for (let i = 0n; i < resolutionCount; i++) {
+        resolutions.push(await fetchResolution(contract, i));
     }
+
+    return {
+        result: { resolutions },
+        print() {
+            console.log("-".repeat(70));
+            console.log(`Total Resolutions: ${resolutionCount}`);
+            console.log("-".repeat(70));
+
+            if (resolutions.length === 0) {
+                console.log("No resolutions have been created yet.");
+                return;
+            }
+
+            for (const resolution of resolutions) {
+                console.log();
+                console.log(`Resolution #${resolution.id}:`);
+                printResolution(resolution, "  ");
+                console.log("-".repeat(70));
+            }
+        },
+    };
 }
 
-// 5. Add Board Member
-async function addBoardMember(contract, signer) {
-    console.log();
-    console.log("-".repeat(70));
-    console.log("Add New Board Member");
-    console.log("-".repeat(70));
+// resolutions show
+async function showResolution(context, options, [id]) {
+    const { contract } = context;
+    const resolutionId = parseInteger(id, "resolution ID");
+    const resolution = await fetchResolution(contract, resolutionId);
+    const [decryptionRequested, decryptionRequestTime, , timeUntilTimeout] =
+        await contract.getResolutionStatus(resolutionId);
+
+    resolution.decryption = {
+        requested: decryptionRequested,
+        requestTime: decryptionRequested ? decryptionRequestTime : null,
+        timeUntilTimeout,
+    };
+
+    return {
+        result: resolution,
+        print() {
+            console.log("Resolution Details:");
+            console.log("-".repeat(70));
+            console.log(`ID: ${resolution.id}`);
+            printResolution(resolution);
+            console.log(`Decryption Requested: ${decryptionRequested}`);
+            if (decryptionRequested && !resolution.resolved) {
+                console.log(`Requested At: ${formatTime(decryptionRequestTime)}`);
+                console.log(
+                    timeUntilTimeout > 0n
+                        ? `Timeout In: ${timeUntilTimeout} seconds`
+                        : "Timeout reached - run: resolutions timeout " + resolution.id
+                );
+            }
+            console.log("-".repeat(70));
+        },
+    };
+}
 
-    const address = await askQuestion("Enter member address: ");
-    const name = await askQuestion("Enter member name: ");
-    const position = await askQuestion("Enter member position: ");
-    const votingPower = await askQuestion("Enter voting power: ");
+// resolutions create
+async function createResolution(context, options) {
+    const title = requireArg(options.title, "--title");
+    const description = requireArg(options.description, "--description");
+    const requiredQuorum = parseInteger(options.quorum, "--quorum");
 
-    console.log();
-    console.log("Submitting transaction...");
+    const { events, transaction } = await sendTransaction(context, "createResolution", title, description, requiredQuorum);
+    const created = events.find((event) => event.name === "ResolutionCreated");
+    const resolutionId = created ? created.args.resolutionId : null;
 
-    try {
-        const tx = await contract.connect(signer).addBoardMember(
-            address,
-            name,
-            position,
-            votingPower
-        );
+    return {
+        result: { resolutionId, title, description, requiredQuorum, transaction },
+        print() {
+            console.log();
+            console.log("Resolution created successfully!");
+            console.log("-".repeat(70));
+            console.log(`Resolution ID: ${resolutionId ?? "N/A"}`);
+            console.log(`Title: ${title}`);
+            console.log(`Description: ${description}`);
+            console.log(`Required Quorum: ${requiredQuorum}`);
+            printTransaction(transaction);
+            console.log("-".repeat(70));
+        },
+    };
+}
 
-        console.log(`Transaction hash: ${tx.hash}`);
-        console.log("Waiting for confirmation...");
+// resolutions close
+async function closeResolution(context, options, [id]) {
+    const resolutionId = parseInteger(id, "resolution ID");
+    const { events, transaction } = await sendTransaction(context, "closeResolution", resolutionId);
+    const requested = events.find((event) => event.name === "DecryptionRequested");
+    const requestId = requested ? requested.args.requestId : null;
+
+    return {
+        result: { resolutionId, decryptionRequestId: requestId, transaction },
+        print() {
+            console.log();
+            console.log("Resolution closed, decryption of the tally requested.");
+            console.log("-".repeat(70));
+            console.log(`Resolution ID: ${resolutionId}`);
+            console.log(`Decryption Request ID: ${requestId ?? "N/A"}`);
+            printTransaction(transaction);
+            console.log("-".repeat(70));
+        },
+    };
+}
+
+// resolutions timeout
+async function timeoutResolution(context, options, [id]) {
+    const resolutionId = parseInteger(id, "resolution ID");
+    const { transaction } = await sendTransaction(context, "handleDecryptionTimeout", resolutionId);
+
+    return {
+        result: { resolutionId, transaction },
+        print() {
+            console.log();
+            console.log("Decryption timeout handled, resolution finalized as rejected.");
+            console.log("-".repeat(70));
+            console.log(`Resolution ID: ${resolutionId}`);
+            printTransaction(transaction);
+            console.log("-".repeat(70));
+        },
+    };
+}
+
+// vote cast
+async function castVote(context, options, [id, choice]) {
+    const resolutionId = parseInteger(id, "resolution ID");
+    const vote = requireArg(choice, "vote (yes or no)").toLowerCase();
+    if (vote !== "yes" && vote !== "no") {
+        throw new UsageError(`Invalid vote: ${choice} (expected yes or no)`);
+    }
+    if (options.backend !== undefined && !["mock", "fhevmjs"].includes(options.backend)) {
+        throw new UsageError(`Invalid --backend: ${options.backend} (expected mock or fhevmjs)`);
+    }
+
+    const voter = await requireSigner(context).getAddress();
 
-        await tx.wait();
+    // Mock backend on a local Hardhat node, fhevmjs and the gateway on Sepolia (SDK chain presets)
+    if (!context.json) {
+        console.log("Encrypting vote...");
+    }
+    const fhevm = await createFhevm(hre.network, context.chainId, options.backend);
+    const { handle, inputProof } = await encryptVote(fhevm, context.contractAddress, voter, vote === "yes");
+
+    const { events, transaction } = await sendTransaction(context, "castVote", resolutionId, handle, inputProof);
+    if (!events.some((event) => event.name === "VoteCast")) {
+        throw new Error(`Transaction ${transaction.hash} was mined without a VoteCast event`);
+    }
+
+    // The vote itself stays private: only the ciphertext handle is reported
+    const result = { resolutionId, voter, encryptedVote: handle, transaction };
+
+    return {
+        result,
+        print() {
+            console.log();
+            console.log("Encrypted vote cast successfully!");
+            console.log("-".repeat(70));
+            console.log(`Resolution ID: ${resolutionId}`);
+            console.log(`Voter: ${voter}`);
+            console.log(`Encrypted Vote: ${handle}`);
+            printTransaction(transaction);
+            console.log("-".repeat(70));
+        },
+    };
+}
 
-        console.log();
-        console.log("Board member added successfully!");
-        console.log("-".repeat(70));
-        console.log(`Address: ${address}`);
-        console.log(`Name: ${name}`);
-        console.log(`Position: ${position}`);
-        console.log(`Voting Power: ${votingPower}`);
-        console.log("-".repeat(70));
+// vote status
+async function voteStatus(context, options, [id]) {
+    const resolutionId = parseInteger(id, "resolution ID");
+    const voter = options.voter
+        ? parseAddress(options.voter, "--voter")
+        : await requireSigner(context).getAddress();
+    const voted = await context.contract.hasVoted(resolutionId, voter);
+
+    return {
+        result: { resolutionId, voter, hasVoted: voted },
+        print() {
+            console.log(`${voter} has ${voted ? "" : "not "}voted on resolution #${resolutionId}`);
+        },
+    };
+}
+
+// Roster file format, from --format or the file extension
+function resolveRosterFormat(filePath, format) {
+    try {
+        return roster.detectFormat(filePath, format);
     } catch (error) {
-        console.error("Error adding board member:", error.message);
+        throw new UsageError(error.message);
     }
 }
 
-// 6. Create Resolution
-async function createResolution(contract, signer) {
-    console.log();
+function formatCallArgument(value) {
+    return typeof value === "string" && !ethers.isAddress(value) ? JSON.stringify(value) : String(value);
+}
+
+// Compare a roster file with the board and work out the transactions needed
+async function planRoster(context, options, file) {
+    const filePath = requireArg(file, "roster file");
+    const format = resolveRosterFormat(filePath, options.format);
+    if (!fs.existsSync(filePath)) {
+        throw new UsageError(`Roster file not found: ${filePath}`);
+    }
+
+    const entries = roster.parseRoster(fs.readFileSync(filePath, "utf8"), format);
+    const current = await discoverMembers(context, options);
+    const chairperson = ethers.getAddress(await context.contract.chairperson());
+    const diff = roster.diffRoster(current, entries, { chairperson, keepMissing: options["keep-missing"] });
+
+    return { diff, chairperson, transactions: roster.planTransactions(diff) };
+}
+
+function printRosterPlan(diff, transactions) {
     console.log("-".repeat(70));
-    console.log("Create New Resolution");
+    console.log(
+        `Roster: ${diff.add.length} to add, ${diff.update.length} to update, ` +
+        `${diff.remove.length} to remove, ${diff.unchanged.length} unchanged`
+    );
+    if (diff.kept.length > 0) {
+        console.log(`Not in the roster but kept: ${diff.kept.map((member) => member.address).join(", ")}`);
+    }
     console.log("-".repeat(70));
 
-    const title = await askQuestion("Enter resolution title: ");
-    const description = await askQuestion("Enter resolution description: ");
-    const requiredQuorum = await askQuestion("Enter required quorum: ");
-
-    console.log();
-    console.log("Submitting transaction...");
+    for (const warning of diff.warnings) {
+        console.log(`Warning: ${warning}`);
+    }
 
-    try {
-        const tx = await contract.connect(signer).createResolution(
-            title,
-            description,
-            requiredQuorum
-        );
+    if (transactions.length === 0) {
+        console.log("The board already matches the roster.");
+    }
+    transactions.forEach((planned, index) => {
+        console.log(`${index + 1}. ${planned.summary}`);
+        console.log(`   ${planned.method}(${planned.args.map(formatCallArgument).join(", ")})`);
+    });
+    console.log("-".repeat(70));
+}
 
-        console.log(`Transaction hash: ${tx.hash}`);
-        console.log("Waiting for confirmation...");
+// roster export
+async function exportRoster(context, options) {
+    const format = resolveRosterFormat(options.output, options.output ? options.format : options.format || "csv");
+    const members = (await discoverMembers(context, options)).filter((member) => member.isActive);
+    const text = roster.formatRoster(members, format);
 
-        const receipt = await tx.wait();
+    if (options.output) {
+        fs.writeFileSync(options.output, text);
+    }
 
-        // Find the ResolutionCreated event
-        const event = receipt.logs.find(log => {
-            try {
-                const parsed = contract.interface.parseLog(log);
-                return parsed.name === "ResolutionCreated";
-            } catch {
-                return false;
+    return {
+        result: { members, format, output: options.output || null },
+        print() {
+            if (options.output) {
+                console.log(`Exported ${members.length} board member(s) to ${options.output}`);
+            } else {
+                process.stdout.write(text);
             }
-        });
+        },
+    };
+}
 
-        let resolutionId = "N/A";
-        if (event) {
-            const parsed = contract.interface.parseLog(event);
-            resolutionId = parsed.args[0].toString();
-        }
+// roster diff
+async function diffRoster(context, options, [file]) {
+    const { diff, transactions } = await planRoster(context, options, file);
 
-        console.log();
-        console.log("Resolution created successfully!");
-        console.log("-".repeat(70));
-        console.log(`Resolution ID: ${resolutionId}`);
-        console.log(`Title: ${title}`);
-        console.log(`Description: ${description}`);
-        console.log(`Required Quorum: ${requiredQuorum}`);
-        console.log("-".repeat(70));
-    } catch (error) {
-        console.error("Error creating resolution:", error.message);
+    return {
+        result: { ...diff, transactions },
+        print() {
+            printRosterPlan(diff, transactions);
+        },
+    };
+}
+
+// roster apply
+async function applyRoster(context, options, [file]) {
+    const { diff, chairperson, transactions } = await planRoster(context, options, file);
+
+    if (options["dry-run"] || transactions.length === 0) {
+        return {
+            result: { dryRun: options["dry-run"], ...diff, transactions },
+            print() {
+                if (options["dry-run"]) {
+                    console.log("Dry run: no transactions sent.");
+                }
+                printRosterPlan(diff, transactions);
+            },
+        };
     }
+
+    const signer = requireSigner(context);
+    if (diff.remove.length > 0 && ethers.getAddress(await signer.getAddress()) !== chairperson) {
+        throw new Error(
+            `Only the chairperson (${chairperson}) can remove board members. ` +
+            "Use --account to sign as the chairperson, or --keep-missing to skip removals."
+        );
+    }
+
+    // Keep going after a failure so one bad row does not hold up the rest of the roster
+    const applied = [];
+    for (const planned of transactions) {
+        try {
+            const { transaction } = await sendTransaction(context, planned.method, ...planned.args);
+            applied.push({ ...planned, transaction });
+        } catch (error) {
+            applied.push({ ...planned, error: error.reason || error.shortMessage || error.message });
+        }
+    }
+
+    const failed = applied.filter((item) => item.error);
+
+    return {
+        result: { dryRun: false, ...diff, transactions: applied },
+        failed: failed.length > 0,
+        print() {
+            console.log();
+            console.log(`Applied ${applied.length - failed.length} of ${applied.length} roster transaction(s)`);
+            console.log("-".repeat(70));
+            for (const item of applied) {
+                console.log(`${item.error ? "FAILED" : "OK"}  ${item.summary}`);
+                console.log(`   ${item.error || `Transaction: ${item.transaction.hash}`}`);
+            }
+            for (const warning of diff.warnings) {
+                console.log(`Warning: ${warning}`);
+            }
+            console.log("-".repeat(70));
+        },
+    };
 }
 
-// 7. View Contract Info
-async function viewContractInfo(contract, deploymentInfo) {
-    try {
-        const chairperson = await contract.chairperson();
-        const totalVotingPower = await contract.getTotalVotingPower();
-        const resolutionCount = await contract.getResolutionCount();
-
-        console.log();
-        console.log("=".repeat(70));
-        console.log("CONTRACT INFORMATION");
-        console.log("=".repeat(70));
-        console.log();
-        console.log("Deployment Info:");
-        console.log("-".repeat(70));
-        console.log(`Contract Address: ${deploymentInfo.contractAddress}`);
-        console.log(`Network: ${deploymentInfo.network}`);
-        console.log(`Chain ID: ${deploymentInfo.chainId}`);
-        console.log(`Deployed: ${deploymentInfo.timestamp}`);
-        console.log(`Deployer: ${deploymentInfo.deployer}`);
-        console.log(`Explorer: ${deploymentInfo.explorerUrl}`);
-        console.log();
-        console.log("Current State:");
-        console.log("-".repeat(70));
-        console.log(`Chairperson: ${chairperson}`);
-        console.log(`Total Voting Power: ${totalVotingPower}`);
-        console.log(`Resolution Count: ${resolutionCount}`);
-        console.log("=".repeat(70));
-    } catch (error) {
-        console.error("Error fetching contract info:", error.message);
+const COMMANDS = {
+    info: showInfo,
+    members: {
+        list: listMembers,
+        show: showMember,
+        add: addMember,
+        remove: removeMember,
+    },
+    resolutions: {
+        list: listResolutions,
+        show: showResolution,
+        create: createResolution,
+        close: closeResolution,
+        timeout: timeoutResolution,
+    },
+    vote: {
+        cast: castVote,
+        status: voteStatus,
+    },
+    roster: {
+        export: exportRoster,
+        diff: diffRoster,
+        apply: applyRoster,
+    },
+};
+
+function resolveCommand(positionals) {
+    const [group, name, ...rest] = positionals;
+    const entry = COMMANDS[group];
+
+    if (typeof entry === "function") {
+        return { handler: entry, rest: positionals.slice(1) };
+    }
+    if (!entry) {
+        throw new UsageError(group ? `Unknown command: ${group}` : "No command given");
     }
+    if (!entry[name]) {
+        throw new UsageError(
+            `${name ? `Unknown command: ${group} ${name}` : `Missing command for ${group}`}. ` +
+            `Available: ${Object.keys(entry).join(", ")}`
+        );
+    }
+    return { handler: entry[name], rest };
 }
 
 // Main function
 async function main() {
-    console.log();
-    console.log("=".repeat(70));
-    console.log("CORPORATE GOVERNANCE - CONTRACT INTERACTION");
-    console.log("=".repeat(70));
-    console.log();
-
-    // Load contract
-    console.log("Loading contract...");
-    const { contract, deploymentInfo, networkName } = await loadContract();
-    console.log(`Connected to contract on ${networkName}: ${deploymentInfo.contractAddress}`);
-
-    // Get signer
-    const [signer] = await ethers.getSigners();
-    const signerAddress = await signer.getAddress();
-    console.log(`Using account: ${signerAddress}`);
-
-    let exit = false;
-
-    while (!exit) {
-        const choice = await displayMenu();
-
-        switch (choice) {
-            case "1":
-                await viewBoardMemberInfo(contract);
-                break;
-            case "2":
-                await viewTotalVotingPower(contract);
-                break;
-            case "3":
-                await listAllResolutions(contract);
-                break;
-            case "4":
-                await viewResolution(contract);
-                break;
-            case "5":
-                await addBoardMember(contract, signer);
-                break;
-            case "6":
-                await createResolution(contract, signer);
-                break;
-            case "7":
-                await viewContractInfo(contract, deploymentInfo);
-                break;
-            case "0":
-                exit = true;
-                console.log();
-                console.log("Goodbye!");
-                console.log("=".repeat(70));
-                break;
-            default:
-                console.log();
-                console.log("Invalid choice. Please try again.");
-        }
+    const { values: options, positionals } = args;
+    const { handler, rest } = resolveCommand(positionals);
+    const context = { ...(await loadContract(options)), json: options.json };
+    const output = await handler(context, options, rest);
+
+    if (options.json) {
+        console.log(toJson(output.result));
+    } else {
+        output.print();
     }
+    return output;
 }
 
 main()
-    .then(() => process.exit(0))
+    .then((output) => process.exit(output.failed ? 1 : 0))
     .catch((error) => {
-        console.error();
-        console.error("=".repeat(70));
-        console.error("INTERACTION ERROR");
-        console.error("=".repeat(70));
-        console.error(error);
-        console.error("=".repeat(70));
-        process.exit(1);
+        const usage = error instanceof UsageError;
+        const message = error.reason || error.shortMessage || error.message;
+
+        if (args.values.json) {
+            console.error(toJson({ error: { message, code: error.code || (usage ? "USAGE" : undefined) } }));
+        } else if (usage) {
+            console.error(message);
+            console.error();
+            console.error(USAGE);
+        } else {
+            console.error();
+            console.error("=".repeat(70));
+            console.error("INTERACTION ERROR");
+            console.error("=".repeat(70));
+            console.error(message);
+            console.error("=".repeat(70));
+        }
+        process.exit(usage ? 2 : 1);
     });
@@ -0,0 +1,284 @@
+/**
+ * Plaintext side of the fhevm mocks (Hardhat only)
+ *
+ * The mocked FHE precompile derives every result handle from its operation
+ * and operands and computes nothing. To make those handles decryptable, the
+ * calls a transaction made to the precompile are read from its trace and
+ * replayed on the plaintexts of their operands, and each result is recorded
+ * in the mock key store under the handle the precompile returned. Encrypted
+ * inputs start the chain: their plaintexts are put in the key store by the
+ * SDK's mock backend when they are encrypted.
+ */
+
+const { Interface, getAddress, keccak256, solidityPacked, toBeHex } = require("ethers");
+const { FHE_LIBRARY_ADDRESS } = require("./fhevm");
+
+// Functions of fhevm/lib/FhevmLib.sol, in the order of MockedPrecompile.Operators
+const BINARY_OPERATORS = [
+    "fheAdd", "fheSub", "fheMul", "fheDiv", "fheRem", "fheBitAnd", "fheBitOr", "fheBitXor",
+    "fheShl", "fheShr", "fheRotl", "fheRotr", "fheEq", "fheNe", "fheGe", "fheGt", "fheLe", "fheLt",
+    "fheMin", "fheMax",
+];
+const OPERATORS = [
+    ...BINARY_OPERATORS,
+    "fheNeg", "fheNot", "verifyCiphertext", "cast", "trivialEncrypt", "fheIfThenElse", "fheRand", "fheRandBounded",
+];
+
+const FHE_LIBRARY = new Interface([
+    ...BINARY_OPERATORS.map((name) => `function ${name}(uint256 lhs, uint256 rhs, bytes1 scalarByte)`),
+    "function fheNeg(uint256 ct)",
+    "function fheNot(uint256 ct)",
+    "function verifyCiphertext(bytes32 inputHandle, address callerAddress, address contractAddress, bytes inputProof, bytes1 inputType)",
+    "function cast(uint256 ct, bytes1 toType)",
+    "function trivialEncrypt(uint256 ct, bytes1 toType)",
+    "function fheIfThenElse(uint256 control, uint256 ifTrue, uint256 ifFalse)",
+]);
+
+// Comparisons return an ebool whatever the operand type
+const COMPARISONS = ["fheEq", "fheNe", "fheGe", "fheGt", "fheLe", "fheLt"];
+
+// fhevm type codes the SDK can decrypt (mock.ts TYPE_CODES)
+const TYPES = {
+    0: { name: "bool", bits: 1n },
+    2: { name: "uint8", bits: 8n },
+    3: { name: "uint16", bits: 16n },
+    4: { name: "uint32", bits: 32n },
+    5: { name: "uint64", bits: 64n },
+    6: { name: "uint128", bits: 128n },
+    7: { name: "address", bits: 160n },
+};
+
+const CALL_OPCODES = ["CALL", "STATICCALL"];
+
+function typeOf(handle) {
+    return Number((BigInt(handle) >> 8n) & 0xffn);
+}
+
+// Second-to-last byte carries the type, the last one the handle version (0)
+function appendType(hash, type) {
+    return (BigInt(hash) & ~0xffffn) | (BigInt(type) << 8n);
+}
+
+// Result handle computed by MockedPrecompile for a decoded call
+function resultHandle(call) {
+    const op = OPERATORS.indexOf(call.name);
+    const args = call.args;
+
+    switch (call.name) {
+    case "fheNeg":
+    case "fheNot":
+        return appendType(keccak256(solidityPacked(["uint8", "uint256"], [op, args.ct])), typeOf(args.ct));
+    case "verifyCiphertext":
+        return BigInt(args.inputHandle);
+    case "cast":
+    case "trivialEncrypt":
+        return appendType(
+            keccak256(solidityPacked(["uint8", "uint256", "bytes1"], [op, args.ct, args.toType])),
+            Number(args.toType)
+        );
+    case "fheIfThenElse":
+        return appendType(
+            keccak256(solidityPacked(["uint8", "uint256", "uint256", "uint256"], [op, args.control, args.ifTrue, args.ifFalse])),
+            typeOf(args.ifTrue)
+        );
+    default: {
+        const scalar = toBeHex(Number(args.scalarByte) & 1, 1);
+        const hash = keccak256(solidityPacked(["uint8", "uint256", "uint256", "bytes1"], [op, args.lhs, args.rhs, scalar]));
+        return appendType(hash, COMPARISONS.includes(call.name) ? 0 : typeOf(args.lhs));
+    }
+    }
+}
+
+// Plaintext of a call's result from the plaintexts of its operands, or undefined if one is unknown
+function evaluate(call, keyStore) {
+    const args = call.args;
+    const plaintext = (handle) => keyStore.get(toBeHex(handle, 32))?.value;
+    const wrap = (value, type) => {
+        const mask = (1n << TYPES[type].bits) - 1n;
+        return ((value % (mask + 1n)) + (mask + 1n)) & mask;
+    };
+
+    switch (call.name) {
+    case "verifyCiphertext":
+        return plaintext(args.inputHandle);
+    case "trivialEncrypt":
+        return wrap(args.ct, Number(args.toType));
+    case "cast": {
+        const value = plaintext(args.ct);
+        return value === undefined ? undefined : wrap(value, Number(args.toType));
+    }
+    case "fheNeg":
+    case "fheNot": {
+        const value = plaintext(args.ct);
+        if (value === undefined) {
+            return undefined;
+        }
+        const type = typeOf(args.ct);
+        return call.name === "fheNeg" ? wrap(-value, type) : wrap(~value, type);
+    }
+    case "fheIfThenElse": {
+        const control = plaintext(args.control);
+        return control === undefined ? undefined : plaintext(control !== 0n ? args.ifTrue : args.ifFalse);
+    }
+    default: {
+        const lhs = plaintext(args.lhs);
+        const rhs = (Number(args.scalarByte) & 1) === 1 ? args.rhs : plaintext(args.rhs);
+        if (lhs === undefined || rhs === undefined) {
+            return undefined;
+        }
+        const type = typeOf(args.lhs);
+        const bits = TYPES[type].bits;
+        const shift = rhs % bits;
+        const rotate = (value, by) => wrap((value << by) | (value >> (bits - by)), type);
+
+        switch (call.name) {
+        case "fheAdd": return wrap(lhs + rhs, type);
+        case "fheSub": return wrap(lhs - rhs, type);
+        case "fheMul": return wrap(lhs * rhs, type);
+        case "fheDiv": return lhs / rhs;
+        case "fheRem": return lhs % rhs;
+        case "fheBitAnd": return lhs & rhs;
+        case "fheBitOr": return lhs | rhs;
+        case "fheBitXor": return lhs ^ rhs;
+        case "fheShl": return wrap(lhs << shift, type);
+        case "fheShr": return lhs >> shift;
+        case "fheRotl": return rotate(lhs, shift);
+        case "fheRotr": return rotate(lhs, (bits - shift) % bits);
+        case "fheEq": return lhs === rhs ? 1n : 0n;
+        case "fheNe": return lhs !== rhs ? 1n : 0n;
+        case "fheGe": return lhs >= rhs ? 1n : 0n;
+        case "fheGt": return lhs > rhs ? 1n : 0n;
+        case "fheLe": return lhs <= rhs ? 1n : 0n;
+        case "fheLt": return lhs < rhs ? 1n : 0n;
+        case "fheMin": return lhs < rhs ? lhs : rhs;
+        case "fheMax": return lhs > rhs ? lhs : rhs;
+        default: return undefined;
+        }
+    }
+    }
+}
+
+// Bytes [offset, offset + length) of the memory of a trace step
+function readMemory(memory, offset, length) {
+    const hex = memory.join("").replace(/0x/g, "");
+    return `0x${hex.slice(offset * 2, (offset + length) * 2).padEnd(length * 2, "0")}`;
+}
+
+/**
+ * Decode the calls a transaction made to the mocked FHE precompile
+ *
+ * Uses the default Hardhat tracer. CALL takes a value argument that
+ * STATICCALL does not, so the calldata location is read from different
+ * stack slots (the stack lists the top entry last).
+ *
+ * @returns {Promise<Array<{ name: string, args: object }>>} Calls in execution order
+ */
+async function traceFheCalls(provider, txHash) {
+    const trace = await provider.send("debug_traceTransaction", [txHash, { disableStorage: true }]);
+    const library = getAddress(FHE_LIBRARY_ADDRESS);
+    const calls = [];
+
+    for (const step of trace.structLogs) {
+        if (!CALL_OPCODES.includes(step.op)) {
+            continue;
+        }
+
+        const stack = step.stack.map((entry) => BigInt(entry.startsWith("0x") ? entry : `0x${entry}`));
+        const at = (depth) => stack[stack.length - 1 - depth];
+        if (getAddress(toBeHex(at(1) & ((1n << 160n) - 1n), 20)) !== library) {
+            continue;
+        }
+
+        const argsAt = step.op === "CALL" ? 3 : 2;
+        const data = readMemory(step.memory || [], Number(at(argsAt)), Number(at(argsAt + 1)));
+        const call = FHE_LIBRARY.parseTransaction({ data });
+        if (!call) {
+            throw new Error(`Unsupported FHE operation ${data.slice(0, 10)} in transaction ${txHash}`);
+        }
+        calls.push(call);
+    }
+
+    return calls;
+}
+
+/**
+ * Record the plaintexts of the ciphertexts a transaction computed
+ *
+ * @returns {Promise<{ recorded: number, unknown: number }>} Results added to the key store, and
+ *          results whose operands have no plaintext (such as inputs encrypted elsewhere)
+ */
+async function recordCiphertexts(provider, txHash, keyStore) {
+    let recorded = 0;
+    let unknown = 0;
+
+    for (const call of await traceFheCalls(provider, txHash)) {
+        const handle = toBeHex(resultHandle(call), 32);
+        const type = TYPES[typeOf(handle)];
+        if (!type || keyStore.has(handle)) {
+            continue;
+        }
+
+        const value = evaluate(call, keyStore);
+        if (value === undefined) {
+            unknown++;
+            continue;
+        }
+        keyStore.set(handle, value, type.name);
+        recorded++;
+    }
+
+    return { recorded, unknown };
+}
+
+/**
+ * Create a mock coprocessor for the transactions of one contract
+ *
+ * Every transaction that emitted a log from the contract is traced once, in
+ * block order; one with unknown operands is traced again on the next sync,
+ * as its inputs may reach the key store later.
+ */
+function createMockCoprocessor(provider, contractAddress, fromBlock = 0) {
+    const done = new Set();
+
+    async function sync(keyStore, toBlock) {
+        const logs = await provider.getLogs({ address: contractAddress, fromBlock, toBlock });
+        const hashes = [...new Set(logs.map((log) => log.transactionHash))];
+
+        for (const hash of hashes) {
+            if (done.has(hash)) {
+                continue;
+            }
+            const { unknown } = await recordCiphertexts(provider, hash, keyStore);
+            if (unknown === 0) {
+                done.add(hash);
+            }
+        }
+    }
+
+    /**
+     * Decrypt ciphertext handles through the key store
+     *
+     * @returns {Promise<bigint[]>}
+     */
+    async function decrypt(keyStore, handles, toBlock) {
+        await sync(keyStore, toBlock);
+
+        return handles.map((handle) => {
+            const entry = keyStore.get(toBeHex(handle, 32));
+            if (!entry) {
+                throw new Error(
+                    `No plaintext for ciphertext ${toBeHex(handle, 32)}. ` +
+                    "Only ciphertexts computed from inputs encrypted with the mock backend can be decrypted locally."
+                );
+            }
+            return entry.value;
+        });
+    }
+
+    return { sync, decrypt };
+}
+
+module.exports = {
+    recordCiphertexts,
+    createMockCoprocessor,
+};
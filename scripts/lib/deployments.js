@@ -0,0 +1,286 @@
+/**
+ * Deployment registry
+ *
+ * Every deployment is recorded per network in deployments/<network>.json,
+ * keeping the full history of each contract:
+ *
+ *   {
+ *     "network": "sepolia",
+ *     "chainId": "11155111",
+ *     "contracts": {
+ *       "CorporateGovernance": [{ "version": 1, "address": "0x...", ... }]
+ *     }
+ *   }
+ *
+ * The last entry of a contract is its current deployment. Current addresses
+ * of all networks are also written to deployments/addresses.json, which the
+ * frontends fetch instead of hardcoding addresses.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { keccak256, toUtf8Bytes } = require("ethers");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const ADDRESS_BOOK_PATH = path.join(DEPLOYMENTS_DIR, "addresses.json");
+
+// Other files kept in deployments/ (legacy deploy.js output, mock key stores)
+const NON_REGISTRY_PREFIXES = ["latest-", "deployment-", "mock-keystore-"];
+
+const EXPLORERS = {
+    sepolia: "https://sepolia.etherscan.io",
+    mainnet: "https://etherscan.io",
+};
+
+/**
+ * Name deployments are filed under for a provider network
+ */
+function getNetworkName(network) {
+    return network.name === "unknown" ? "localhost" : network.name;
+}
+
+function registryPath(networkName) {
+    return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+function getExplorerUrl(networkName, address) {
+    return EXPLORERS[networkName] ? `${EXPLORERS[networkName]}/address/${address}` : null;
+}
+
+function getTransactionUrl(networkName, txHash) {
+    return EXPLORERS[networkName] ? `${EXPLORERS[networkName]}/tx/${txHash}` : null;
+}
+
+/**
+ * Read the registry of a network (empty if nothing was deployed yet)
+ */
+function readRegistry(networkName) {
+    const filePath = registryPath(networkName);
+
+    if (!fs.existsSync(filePath)) {
+        return { network: networkName, chainId: null, contracts: {} };
+    }
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function writeRegistry(registry) {
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(registryPath(registry.network), JSON.stringify(registry, null, 2) + "\n");
+    writeAddressBook();
+}
+
+// Deployments written by deploy.js before the registry existed
+function readLegacyDeployment(networkName, contractName) {
+    const filePath = path.join(DEPLOYMENTS_DIR, `latest-${networkName}.json`);
+
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const legacy = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if ((legacy.contractName || "CorporateGovernance") !== contractName) {
+        return null;
+    }
+
+    return {
+        contractName,
+        version: 0,
+        address: legacy.contractAddress,
+        network: networkName,
+        chainId: legacy.chainId,
+        deployer: legacy.deployer,
+        txHash: legacy.txHash,
+        blockNumber: /^\d+$/.test(String(legacy.blockNumber)) ? Number(legacy.blockNumber) : null,
+        timestamp: legacy.timestamp,
+        explorerUrl: getExplorerUrl(networkName, legacy.contractAddress),
+    };
+}
+
+/**
+ * Add a deployment record to a network's history
+ *
+ * @param {string} networkName - Network the contract was deployed to
+ * @param {object} record - Deployment details; contractName and address are required
+ * @returns {object} The stored record, with its version number
+ */
+function addDeployment(networkName, record) {
+    if (!record.contractName || !record.address) {
+        throw new Error("A deployment record needs a contractName and an address");
+    }
+
+    const registry = readRegistry(networkName);
+    const history = registry.contracts[record.contractName] || [];
+
+    if (record.chainId !== undefined && record.chainId !== null) {
+        registry.chainId = String(record.chainId);
+    }
+
+    const stored = {
+        ...record,
+        version: history.length + 1,
+        network: networkName,
+        chainId: registry.chainId,
+        explorerUrl: record.explorerUrl || getExplorerUrl(networkName, record.address),
+    };
+
+    registry.contracts[record.contractName] = [...history, stored];
+    writeRegistry(registry);
+    return stored;
+}
+
+/**
+ * Current (or a specific version of a) deployment of a contract on a network
+ *
+ * @returns {object|null}
+ */
+function getDeployment(networkName, contractName = "CorporateGovernance", version) {
+    const history = getDeploymentHistory(networkName, contractName);
+
+    if (version !== undefined) {
+        return history.find((record) => record.version === Number(version)) || null;
+    }
+    return history.length > 0 ? history[history.length - 1] : readLegacyDeployment(networkName, contractName);
+}
+
+/**
+ * Every recorded deployment of a contract on a network, oldest first
+ */
+function getDeploymentHistory(networkName, contractName) {
+    return readRegistry(networkName).contracts[contractName] || [];
+}
+
+/**
+ * Current deployment of every contract on a network
+ */
+function listDeployments(networkName) {
+    const { contracts } = readRegistry(networkName);
+    return Object.values(contracts).map((history) => history[history.length - 1]);
+}
+
+/**
+ * Networks that have a registry file
+ */
+function listNetworks() {
+    if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(DEPLOYMENTS_DIR)
+        .filter((file) => file.endsWith(".json") && file !== "addresses.json")
+        .filter((file) => !NON_REGISTRY_PREFIXES.some((prefix) => file.startsWith(prefix)))
+        .map((file) => file.slice(0, -".json".length))
+        .sort();
+}
+
+/**
+ * Write the current address of every contract on every network for the frontends
+ */
+function writeAddressBook() {
+    const book = {};
+
+    for (const networkName of listNetworks()) {
+        const registry = readRegistry(networkName);
+        const contracts = {};
+
+        for (const [contractName, history] of Object.entries(registry.contracts)) {
+            const current = history[history.length - 1];
+            contracts[contractName] = {
+                address: current.address,
+                version: current.version,
+                abiHash: current.abiHash || null,
+                blockNumber: current.blockNumber ?? null,
+            };
+        }
+
+        book[networkName] = { chainId: registry.chainId ? Number(registry.chainId) : null, contracts };
+    }
+
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(ADDRESS_BOOK_PATH, JSON.stringify(book, null, 2) + "\n");
+    return book;
+}
+
+/**
+ * Hash of a contract ABI, to tell whether a deployment matches the current source
+ */
+function hashAbi(abi) {
+    return keccak256(toUtf8Bytes(JSON.stringify(abi)));
+}
+
+// Commit the deployment was made from, and whether the tree had local changes
+function getGitInfo() {
+    try {
+        const options = { cwd: path.join(__dirname, "..", ".."), stdio: ["ignore", "pipe", "ignore"] };
+        const commit = execSync("git rev-parse HEAD", options).toString().trim();
+        const dirty = execSync("git status --porcelain", options).toString().trim().length > 0;
+        return { gitCommit: commit, gitDirty: dirty };
+    } catch {
+        return { gitCommit: null, gitDirty: null };
+    }
+}
+
+/**
+ * Record a contract deployed with Hardhat
+ *
+ * Reads the ABI and compiler settings from the Hardhat artifacts.
+ *
+ * @param {object} hre - Hardhat runtime environment
+ * @param {object} options
+ * @param {string} options.contractName - Artifact name, e.g. "CorporateGovernance"
+ * @param {object} options.contract - Deployed ethers contract
+ * @param {Array} [options.constructorArgs] - Arguments passed to deploy()
+ * @param {object} [options.metadata] - Extra fields stored with the record
+ * @returns {Promise<object>} The stored record
+ */
+async function recordDeployment(hre, { contractName, contract, constructorArgs = [], metadata = {} }) {
+    const network = await hre.ethers.provider.getNetwork();
+    const networkName = getNetworkName(network);
+
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+    const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+    const settings = buildInfo ? buildInfo.input.settings : {};
+
+    const deployTx = contract.deploymentTransaction();
+    const receipt = deployTx ? await deployTx.wait() : null;
+
+    return addDeployment(networkName, {
+        contractName,
+        address: await contract.getAddress(),
+        chainId: network.chainId.toString(),
+        deployer: deployTx ? deployTx.from : null,
+        txHash: deployTx ? deployTx.hash : null,
+        blockNumber: receipt ? receipt.blockNumber : null,
+        timestamp: new Date().toISOString(),
+        sourceName: artifact.sourceName,
+        abiHash: hashAbi(artifact.abi),
+        bytecodeHash: keccak256(artifact.deployedBytecode),
+        compiler: {
+            version: buildInfo ? buildInfo.solcLongVersion : null,
+            optimizer: settings.optimizer || null,
+            viaIR: Boolean(settings.viaIR),
+            evmVersion: settings.evmVersion || null,
+        },
+        constructorArgs: constructorArgs.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)),
+        ...getGitInfo(),
+        ...metadata,
+    });
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    getNetworkName,
+    getExplorerUrl,
+    getTransactionUrl,
+    readRegistry,
+    addDeployment,
+    recordDeployment,
+    getDeployment,
+    getDeploymentHistory,
+    listDeployments,
+    listNetworks,
+    writeAddressBook,
+    hashAbi,
+    getGitInfo,
+};
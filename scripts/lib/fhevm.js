@@ -0,0 +1,195 @@
+/**
+ * FHEVM SDK access for the Hardhat scripts
+ *
+ * Scripts use the Node entry point of the SDK in
+ * fhevm-react-template/packages/fhevm-sdk. Settings come from the SDK chain
+ * presets: the mock backend on a local Hardhat node, fhevmjs and the Zama
+ * gateway on Sepolia. Mock plaintexts are kept in
+ * deployments/mock-keystore-<chainId>.json so the local relayer can decrypt.
+ *
+ * A local node also needs the fhevm system contracts (ACL, TFHE executor,
+ * KMS verifier, gateway and the mocked FHE precompile), which
+ * installFhevmMocks() puts at the addresses the fhevm library expects.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { hexlify } = require("ethers");
+
+const SDK_DIR = path.join(__dirname, "..", "..", "fhevm-react-template", "packages", "fhevm-sdk");
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// Addresses compiled into fhevm 0.5 (lib/*Address.sol, gateway/lib/PredeployAddress.sol)
+const ACL_ADDRESS = "0x2Fb4341027eb1d2aD8B5D9708187df8633cAFA92";
+const TFHE_EXECUTOR_ADDRESS = "0x05fD9B5EFE0a996095f42Ed7e77c390810CF660c";
+const KMS_VERIFIER_ADDRESS = "0x12B064FB845C1cc05e9493856a1D637a73e944bE";
+const GATEWAY_CONTRACT_ADDRESS = "0xc8c9303Cd7F337fab769686B593B87DC3403E0ce";
+const FHE_LIBRARY_ADDRESS = "0x000000000000000000000000000000000000005d";
+
+let sdk = null;
+
+// Load @fhevm/sdk/node, preferring an installed package over the workspace build
+function loadSdk() {
+    if (sdk) {
+        return sdk;
+    }
+
+    for (const request of ["@fhevm/sdk/node", path.join(SDK_DIR, "dist", "node.js")]) {
+        try {
+            sdk = require(request);
+            return sdk;
+        } catch (error) {
+            if (error.code !== "MODULE_NOT_FOUND" || !error.message.includes(request)) {
+                throw error;
+            }
+        }
+    }
+
+    throw new Error(
+        "The FHEVM SDK is not built.\n" +
+        "Build it first: cd fhevm-react-template/packages/fhevm-sdk && npm install && npm run build"
+    );
+}
+
+// Plaintexts behind mock ciphertexts, shared with the local relayer
+function mockKeyStorePath(chainId) {
+    return path.join(DEPLOYMENTS_DIR, `mock-keystore-${chainId}.json`);
+}
+
+/**
+ * Load the mock key store for a chain (empty if nothing was encrypted yet)
+ */
+function loadMockKeyStore(chainId) {
+    const { MockKeyStore } = loadSdk();
+    const filePath = mockKeyStorePath(chainId);
+
+    if (!fs.existsSync(filePath)) {
+        return new MockKeyStore();
+    }
+    return MockKeyStore.fromJSON(JSON.parse(fs.readFileSync(filePath, "utf8")));
+}
+
+/**
+ * Persist a mock key store, keeping entries written by other processes
+ */
+function saveMockKeyStore(chainId, keyStore) {
+    const filePath = mockKeyStorePath(chainId);
+    const existing = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : {};
+
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ ...existing, ...keyStore.toJSON() }, null, 2));
+}
+
+/**
+ * Create an initialized SDK client for the current Hardhat network
+ *
+ * @param {object} network - Hardhat network (hre.network)
+ * @param {bigint|number} chainId - Chain ID reported by the provider
+ * @param {string} [backend] - "mock" or "fhevmjs" (default: FHEVM_BACKEND, then the chain preset)
+ * @returns {Promise<{ client: object, chainId: number, backend: string, keyStore: object|null }>}
+ */
+async function createFhevm(network, chainId, backend) {
+    const { createFhevmClient, createMockBackend, resolveChainConfig } = loadSdk();
+
+    const config = resolveChainConfig({
+        chainId: Number(chainId),
+        rpcUrl: network.config.url || undefined,
+        backend: backend || process.env.FHEVM_BACKEND || undefined,
+    });
+
+    // Mock ciphertexts are only decryptable by processes that share the key store
+    let keyStore = null;
+    if (config.backend === "mock") {
+        keyStore = loadMockKeyStore(config.chainId);
+        config.backend = createMockBackend(keyStore);
+    }
+
+    return {
+        client: await createFhevmClient(config),
+        chainId: config.chainId,
+        backend: keyStore ? "mock" : "fhevmjs",
+        keyStore,
+    };
+}
+
+/**
+ * Install the fhevm mock contracts on a local Hardhat node
+ *
+ * Each contract is deployed normally, then its runtime code (immutables
+ * included) is copied to the fixed address the fhevm library calls. Storage
+ * is not copied, which the mocks do not need: the gateway callback is sent by
+ * impersonating the gateway contract, not by a registered relayer.
+ * Does nothing if the mocks are already installed.
+ *
+ * @param {object} hre - Hardhat runtime environment
+ * @returns {Promise<boolean>} Whether the mocks were installed by this call
+ */
+async function installFhevmMocks(hre) {
+    const { ethers } = hre;
+    const { chainId } = await ethers.provider.getNetwork();
+
+    if (chainId !== 31337n) {
+        throw new Error(`The fhevm mock contracts are for a local Hardhat node, not chain ${chainId}`);
+    }
+    if ((await ethers.provider.getCode(ACL_ADDRESS)) !== "0x") {
+        return false;
+    }
+
+    const [deployer] = await ethers.getSigners();
+    const mocks = [
+        { name: "fhevm/lib/ACL.sol:ACL", address: ACL_ADDRESS, args: [TFHE_EXECUTOR_ADDRESS] },
+        { name: "fhevm/lib/TFHEExecutor.sol:TFHEExecutor", address: TFHE_EXECUTOR_ADDRESS, args: [] },
+        { name: "fhevm/lib/KMSVerifier.sol:KMSVerifier", address: KMS_VERIFIER_ADDRESS, args: [] },
+        {
+            name: "fhevm/gateway/GatewayContract.sol:GatewayContract",
+            address: GATEWAY_CONTRACT_ADDRESS,
+            args: [await deployer.getAddress(), KMS_VERIFIER_ADDRESS],
+        },
+        { name: "fhevm/lib/MockedPrecompile.sol:MockedPrecompile", address: FHE_LIBRARY_ADDRESS, args: [] },
+    ];
+
+    for (const mock of mocks) {
+        const factory = await ethers.getContractFactory(mock.name, deployer);
+        const deployed = await factory.deploy(...mock.args);
+        await deployed.waitForDeployment();
+
+        const code = await ethers.provider.getCode(await deployed.getAddress());
+        await ethers.provider.send("hardhat_setCode", [mock.address, code]);
+    }
+
+    return true;
+}
+
+/**
+ * Encrypt a yes/no vote for castVote(resolutionId, einput, inputProof)
+ *
+ * @returns {Promise<{ handle: string, inputProof: string }>}
+ */
+async function encryptVote(fhevm, contractAddress, voterAddress, support) {
+    const { encryptInput } = loadSdk();
+
+    const { handles, inputProof } = await encryptInput(
+        fhevm.client.getInstance(),
+        contractAddress,
+        voterAddress,
+        support,
+        "bool"
+    );
+
+    if (fhevm.keyStore) {
+        saveMockKeyStore(fhevm.chainId, fhevm.keyStore);
+    }
+
+    return { handle: hexlify(handles[0]), inputProof: hexlify(inputProof) };
+}
+
+module.exports = {
+    GATEWAY_CONTRACT_ADDRESS,
+    FHE_LIBRARY_ADDRESS,
+    loadSdk,
+    installFhevmMocks,
+    createFhevm,
+    encryptVote,
+    loadMockKeyStore,
+    saveMockKeyStore,
+};
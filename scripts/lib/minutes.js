@@ -0,0 +1,341 @@
+/**
+ * Board minutes
+ *
+ * Assembles the record of each resolution from the governance store filled by
+ * scripts/indexer.js: metadata, voters, decryption and revealed tallies. Each
+ * step links to the transaction that proves it. Rendered as Markdown, HTML or
+ * print HTML (A4, one resolution per page) for saving as PDF.
+ */
+
+const { getExplorerUrl, getTransactionUrl } = require("./deployments");
+
+const FORMATS = ["md", "html", "print"];
+
+const STATUS_LABELS = {
+    "open": "Open for voting",
+    "voting ended": "Voting ended, not closed",
+    "decrypting": "Closed, awaiting decryption",
+    "resolved": "Resolved",
+    "timed out": "Decryption timed out",
+};
+
+function formatTime(seconds) {
+    if (seconds === null || seconds === undefined) {
+        return "-";
+    }
+    return new Date(seconds * 1000).toISOString().replace("T", " ").replace(/\.\d+Z$/, " UTC");
+}
+
+function shortHash(hash) {
+    return `${hash.slice(0, 10)}...${hash.slice(-8)}`;
+}
+
+/**
+ * Collect the minutes of resolutions from the store
+ *
+ * @param {GovernanceStore} store
+ * @param {object} [options]
+ * @param {number[]} [options.resolutionIds] - Resolutions to include (default: all)
+ */
+function buildMinutes(store, { resolutionIds } = {}) {
+    const status = store.getStatus();
+    const networkName = status.network;
+    const names = new Map(store.listMembers({ all: true }).map((member) => [member.address, member.name]));
+    const evidence = (label, transactionHash, timestamp) => ({
+        label,
+        transactionHash,
+        timestamp,
+        url: getTransactionUrl(networkName, transactionHash),
+    });
+
+    let resolutions = store.listResolutions();
+    if (resolutionIds && resolutionIds.length > 0) {
+        const missing = resolutionIds.filter((id) => !resolutions.some((resolution) => resolution.id === id));
+        if (missing.length > 0) {
+            throw new Error(`Resolution(s) not in the database: ${missing.join(", ")}. Is the indexer up to date?`);
+        }
+        resolutions = resolutions.filter((resolution) => resolutionIds.includes(resolution.id));
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        network: networkName,
+        chainId: status.chainId,
+        contractAddress: status.contractAddress,
+        contractUrl: getExplorerUrl(networkName, status.contractAddress),
+        indexedThrough: status.lastBlock,
+        indexedAt: status.updatedAt,
+        resolutions: resolutions.map((resolution) => {
+            const votes = store.listVotes(resolution.id);
+            const voters = new Map();
+
+            // Members may vote more than once; each ballot adds their voting power again
+            for (const vote of votes) {
+                const voter = voters.get(vote.voter) || { address: vote.voter, name: names.get(vote.voter) || null, ballots: [] };
+                voter.ballots.push({ ...vote, url: getTransactionUrl(networkName, vote.transactionHash) });
+                voters.set(vote.voter, voter);
+            }
+
+            const timeline = [evidence("Resolution created", resolution.transactionHash, resolution.startTime)];
+            for (const vote of votes) {
+                timeline.push(evidence(`Vote cast by ${names.get(vote.voter) || vote.voter}`, vote.transactionHash, vote.timestamp));
+            }
+            if (resolution.decryptionRequestTransaction) {
+                timeline.push(evidence("Voting closed, decryption requested", resolution.decryptionRequestTransaction, resolution.decryptionRequestedAt));
+            }
+            if (resolution.resolveTransaction) {
+                timeline.push(evidence("Tally revealed", resolution.resolveTransaction, resolution.resolvedAt));
+            }
+            if (resolution.timeoutTransaction) {
+                timeline.push(evidence("Decryption timed out", resolution.timeoutTransaction, resolution.timedOutAt));
+            }
+
+            const totalVotes = resolution.yesVotes !== null ? Number(resolution.yesVotes) + Number(resolution.noVotes) : null;
+
+            return {
+                ...resolution,
+                creatorName: names.get(resolution.creator) || null,
+                statusLabel: STATUS_LABELS[resolution.status] || resolution.status,
+                quorumReached: totalVotes !== null ? totalVotes >= resolution.requiredQuorum : null,
+                voters: [...voters.values()],
+                timeline,
+            };
+        }),
+    };
+}
+
+function describeOutcome(resolution) {
+    if (resolution.passed === null) {
+        return "-";
+    }
+    const quorum = resolution.quorumReached ? "quorum reached" : "quorum not reached";
+    return `${resolution.passed ? "Passed" : "Rejected"} (${quorum})`;
+}
+
+function describeMember(name, address) {
+    return name ? `${name} (${address})` : address;
+}
+
+// Rows of the summary table of a resolution, shared by all formats
+function summaryRows(resolution) {
+    return [
+        ["Status", resolution.statusLabel],
+        ["Created by", describeMember(resolution.creatorName, resolution.creator)],
+        ["Voting opened", formatTime(resolution.startTime)],
+        ["Voting closes", formatTime(resolution.endTime)],
+        ["Required quorum", String(resolution.requiredQuorum)],
+        ["Ballots cast", `${resolution.votesCast} from ${resolution.voters.length} member(s)`],
+        ["Decryption requested", resolution.decryptionRequestedAt !== null
+            ? `${formatTime(resolution.decryptionRequestedAt)} (request ${resolution.decryptionRequestId})`
+            : "-"],
+        ["Tally revealed", formatTime(resolution.resolvedAt)],
+        ["Yes votes", resolution.yesVotes ?? "-"],
+        ["No votes", resolution.noVotes ?? "-"],
+        ["Outcome", resolution.timedOutAt !== null ? "Not decided (decryption timed out)" : describeOutcome(resolution)],
+    ];
+}
+
+function headerRows(minutes) {
+    return [
+        ["Network", `${minutes.network} (chain ${minutes.chainId})`],
+        ["Contract", minutes.contractAddress],
+        ["Indexed through block", `${minutes.indexedThrough ?? "-"}${minutes.indexedAt ? ` (${minutes.indexedAt})` : ""}`],
+        ["Generated", minutes.generatedAt],
+    ];
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function markdownLink(text, url) {
+    return url ? `[${text}](${url})` : `\`${text}\``;
+}
+
+function markdownTable(header, rows) {
+    return [
+        `| ${header.join(" | ")} |`,
+        `| ${header.map(() => "---").join(" | ")} |`,
+        ...rows.map((row) => `| ${row.join(" | ")} |`),
+    ].join("\n");
+}
+
+/**
+ * Render minutes as Markdown
+ */
+function renderMarkdown(minutes) {
+    const lines = [
+        "# Board Minutes - Corporate Governance",
+        "",
+        markdownTable(["", ""], headerRows(minutes).map(([label, value]) => [
+            `**${label}**`,
+            label === "Contract" && minutes.contractUrl ? markdownLink(value, minutes.contractUrl) : escapeMarkdown(value),
+        ])),
+    ];
+
+    if (minutes.resolutions.length === 0) {
+        lines.push("", "No resolutions recorded.");
+    }
+
+    for (const resolution of minutes.resolutions) {
+        lines.push(
+            "",
+            `## Resolution #${resolution.id}: ${escapeMarkdown(resolution.title)}`,
+            "",
+            ...resolution.description.split(/\r?\n/).map((line) => `> ${line}`),
+            "",
+            markdownTable(["Field", "Value"], summaryRows(resolution).map(([label, value]) => [label, escapeMarkdown(value)])),
+            "",
+            "### Voters",
+            ""
+        );
+
+        if (resolution.voters.length === 0) {
+            lines.push("No votes were cast.");
+        } else {
+            lines.push(markdownTable(["Member", "Address", "Ballots", "Transactions"], resolution.voters.map((voter) => [
+                escapeMarkdown(voter.name || "-"),
+                `\`${voter.address}\``,
+                String(voter.ballots.length),
+                voter.ballots.map((ballot) => markdownLink(shortHash(ballot.transactionHash), ballot.url)).join(", "),
+            ])));
+        }
+
+        lines.push(
+            "",
+            "### Evidence",
+            "",
+            markdownTable(["Event", "Time", "Transaction"], resolution.timeline.map((entry) => [
+                escapeMarkdown(entry.label),
+                formatTime(entry.timestamp),
+                markdownLink(entry.transactionHash, entry.url),
+            ]))
+        );
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function htmlLink(text, url) {
+    return url ? `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>` : `<code>${escapeHtml(text)}</code>`;
+}
+
+function htmlTable(header, rows) {
+    const head = header ? `<thead><tr>${header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join("")}</tr></thead>` : "";
+    const body = rows.map((row) => `<tr>${row.map((cell, index) => (header || index > 0 ? `<td>${cell}</td>` : `<th>${cell}</th>`)).join("")}</tr>`);
+    return `<table>${head}<tbody>\n${body.join("\n")}\n</tbody></table>`;
+}
+
+const SCREEN_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2937; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+h1 { border-bottom: 2px solid #4f46e5; padding-bottom: 0.5rem; }
+h2 { margin-top: 2.5rem; color: #4f46e5; }
+table { border-collapse: collapse; width: 100%; margin: 1rem 0; font-size: 0.9rem; }
+th, td { border: 1px solid #e5e7eb; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+thead th, tbody th { background: #f9fafb; }
+blockquote { margin: 1rem 0; padding: 0.5rem 1rem; border-left: 4px solid #c7d2fe; background: #f5f7ff; white-space: pre-wrap; }
+code, a { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.85em; word-break: break-all; }`;
+
+const PRINT_STYLE = `
+@page { size: A4; margin: 18mm 15mm; }
+body { font-family: Georgia, "Times New Roman", serif; color: #000; font-size: 10.5pt; line-height: 1.4; margin: 0; }
+h1 { font-size: 18pt; border-bottom: 1.5pt solid #000; padding-bottom: 4pt; }
+h2 { font-size: 14pt; margin-top: 0; }
+h3 { font-size: 11.5pt; }
+.resolution { break-before: page; page-break-before: always; }
+table { border-collapse: collapse; width: 100%; margin: 6pt 0; font-size: 9pt; }
+tr { break-inside: avoid; page-break-inside: avoid; }
+th, td { border: 0.5pt solid #000; padding: 3pt 5pt; text-align: left; vertical-align: top; }
+blockquote { margin: 6pt 0; padding-left: 8pt; border-left: 1.5pt solid #000; white-space: pre-wrap; }
+code, a { font-family: "Courier New", monospace; font-size: 8pt; color: #000; text-decoration: none; word-break: break-all; }
+.signatures { margin-top: 24pt; display: flex; gap: 24pt; }
+.signatures div { flex: 1; border-top: 0.5pt solid #000; padding-top: 3pt; font-size: 9pt; }`;
+
+/**
+ * Render minutes as a standalone HTML page
+ *
+ * @param {object} minutes - From buildMinutes
+ * @param {object} [options]
+ * @param {boolean} [options.print] - Print layout: A4 pages, one resolution per page, signature lines
+ */
+function renderHtml(minutes, { print = false } = {}) {
+    const sections = minutes.resolutions.map((resolution) => {
+        const voters = resolution.voters.length === 0
+            ? "<p>No votes were cast.</p>"
+            : htmlTable(["Member", "Address", "Ballots", "Transactions"], resolution.voters.map((voter) => [
+                escapeHtml(voter.name || "-"),
+                `<code>${escapeHtml(voter.address)}</code>`,
+                String(voter.ballots.length),
+                voter.ballots.map((ballot) => htmlLink(shortHash(ballot.transactionHash), ballot.url)).join("<br>"),
+            ]));
+
+        return `<section class="resolution">
+<h2>Resolution #${resolution.id}: ${escapeHtml(resolution.title)}</h2>
+<blockquote>${escapeHtml(resolution.description)}</blockquote>
+${htmlTable(null, summaryRows(resolution).map(([label, value]) => [escapeHtml(label), escapeHtml(value)]))}
+<h3>Voters</h3>
+${voters}
+<h3>Evidence</h3>
+${htmlTable(["Event", "Time", "Transaction"], resolution.timeline.map((entry) => [
+        escapeHtml(entry.label),
+        escapeHtml(formatTime(entry.timestamp)),
+        htmlLink(entry.transactionHash, entry.url),
+    ]))}
+${print ? "<div class=\"signatures\"><div>Chairperson</div><div>Secretary</div><div>Date</div></div>" : ""}
+</section>`;
+    });
+
+    const header = htmlTable(null, headerRows(minutes).map(([label, value]) => [
+        escapeHtml(label),
+        label === "Contract" ? htmlLink(value, minutes.contractUrl) : escapeHtml(value),
+    ]));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Board Minutes - ${escapeHtml(minutes.network)}</title>
+<style>${print ? PRINT_STYLE : SCREEN_STYLE}
+</style>
+</head>
+<body>
+<h1>Board Minutes - Corporate Governance</h1>
+${header}
+${sections.length > 0 ? sections.join("\n") : "<p>No resolutions recorded.</p>"}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render minutes in one of FORMATS
+ */
+function renderMinutes(minutes, format) {
+    switch (format) {
+        case "md":
+            return renderMarkdown(minutes);
+        case "html":
+            return renderHtml(minutes);
+        case "print":
+            return renderHtml(minutes, { print: true });
+        default:
+            throw new Error(`Unknown report format "${format}" (expected ${FORMATS.join(", ")})`);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    buildMinutes,
+    renderMarkdown,
+    renderHtml,
+    renderMinutes,
+};
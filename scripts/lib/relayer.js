@@ -0,0 +1,70 @@
+/**
+ * Local stand-in for the gateway relayer (Hardhat only)
+ *
+ * On Sepolia the Zama gateway decrypts the tallies requested by
+ * closeResolution and calls resolveResolution. Locally the ciphertexts named
+ * in the gateway's EventDecryption log are decrypted through the mock key
+ * store, after the mock coprocessor (./coprocessor) has replayed the
+ * contract's FHE operations on plaintexts, and the callback is sent from the
+ * impersonated gateway contract. The values are the contract's own
+ * encrypted yesVotes/noVotes, not a recount of the votes.
+ */
+
+const { ethers } = require("hardhat");
+const { GATEWAY_CONTRACT_ADDRESS } = require("./fhevm");
+
+// Emitted by the fhevm GatewayContract for every requestDecryption call
+const GATEWAY_EVENTS = new ethers.Interface([
+    "event EventDecryption(uint256 indexed requestID, uint256[] cts, address contractCaller, bytes4 callbackSelector, uint256 msgValue, uint256 maxTimestamp, bool passSignaturesToCaller)",
+]);
+const EVENT_DECRYPTION_TOPIC = GATEWAY_EVENTS.getEvent("EventDecryption").topicHash;
+
+/**
+ * Find the gateway request made in a transaction
+ *
+ * Reads the EventDecryption log of the gateway contract (the ACL logs its own
+ * AllowedForDecryption event in the same transaction). GATEWAY_CONTRACT_ADDRESS
+ * restricts the search to one gateway.
+ *
+ * @returns {{ gatewayAddress: string, requestId: bigint, handles: bigint[] }}
+ */
+function findDecryptionRequest(receipt) {
+    const gateway = process.env.GATEWAY_CONTRACT_ADDRESS
+        ? ethers.getAddress(process.env.GATEWAY_CONTRACT_ADDRESS)
+        : null;
+    const log = receipt.logs.find((entry) =>
+        entry.topics[0] === EVENT_DECRYPTION_TOPIC && (!gateway || ethers.getAddress(entry.address) === gateway)
+    );
+
+    if (!log) {
+        throw new Error(
+            `No gateway EventDecryption log in transaction ${receipt.hash}. ` +
+            `Install the fhevm mocks (gateway at ${GATEWAY_CONTRACT_ADDRESS}) or set GATEWAY_CONTRACT_ADDRESS.`
+        );
+    }
+
+    const { args } = GATEWAY_EVENTS.parseLog(log);
+    return { gatewayAddress: ethers.getAddress(log.address), requestId: args.requestID, handles: [...args.cts] };
+}
+
+/**
+ * Deliver decrypted values to resolveResolution as the gateway
+ *
+ * @returns {Promise<object>} Transaction receipt
+ */
+async function fulfilDecryption(contract, gatewayAddress, requestId, values) {
+    await ethers.provider.send("hardhat_setBalance", [gatewayAddress, "0x56BC75E2D63100000"]);
+    const gateway = await ethers.getImpersonatedSigner(gatewayAddress);
+
+    try {
+        const tx = await contract.connect(gateway).resolveResolution(requestId, values);
+        return await tx.wait();
+    } finally {
+        await ethers.provider.send("hardhat_stopImpersonatingAccount", [gatewayAddress]);
+    }
+}
+
+module.exports = {
+    findDecryptionRequest,
+    fulfilDecryption,
+};
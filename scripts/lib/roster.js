@@ -0,0 +1,313 @@
+/**
+ * Board roster files
+ *
+ * A roster lists the board as the corporate secretary keeps it, one member per
+ * row: address, name, position and voting power. CSV files need a header row;
+ * JSON files hold an array of members or { "members": [...] }, the shape
+ * `interact.js members list --json` prints.
+ */
+
+const path = require("path");
+const { isAddress, getAddress, toUtf8Bytes } = require("ethers");
+const { getVariant } = require("./variants");
+
+const COLUMNS = ["address", "name", "position", "votingPower"];
+
+// Header spellings accepted for each column, compared without case, spaces or punctuation
+const HEADER_ALIASES = {
+    address: "address",
+    wallet: "address",
+    name: "name",
+    position: "position",
+    title: "position",
+    votingpower: "votingPower",
+    power: "votingPower",
+    votes: "votingPower",
+};
+
+// CorporateGovernance rejects longer strings and larger voting power
+const { maxVotingPower, maxStringLength } = getVariant("CorporateGovernance");
+
+/**
+ * Pick the roster format from an explicit --format or the file extension
+ */
+function detectFormat(filePath, format) {
+    if (format) {
+        if (format !== "csv" && format !== "json") {
+            throw new Error(`Unknown roster format "${format}" (expected csv or json)`);
+        }
+        return format;
+    }
+
+    const extension = path.extname(filePath || "").toLowerCase();
+    if (extension === ".csv" || extension === ".json") {
+        return extension.slice(1);
+    }
+    throw new Error(`Cannot tell the roster format of ${filePath}; use a .csv or .json file or pass --format`);
+}
+
+// Split CSV text into rows of cells, honouring quoted fields; rows remember their line
+function parseCsv(text) {
+    const rows = [];
+    let cells = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        cells.push(field);
+        if (cells.some((cell) => cell.trim() !== "")) {
+            rows.push({ line: rowLine, cells });
+        }
+        cells = [];
+        field = "";
+        rowLine = line;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === "\"" && text[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                if (char === "\n") {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === "\"") {
+            quoted = true;
+        } else if (char === ",") {
+            cells.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            line++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+    }
+    endRow();
+    return rows;
+}
+
+function readCsvRoster(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.cells.map((cell) => HEADER_ALIASES[cell.toLowerCase().replace(/[^a-z]/g, "")] || null);
+    const missing = COLUMNS.filter((column) => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`Roster header is missing column(s): ${missing.join(", ")}`);
+    }
+
+    return rows.map(({ line, cells }) => {
+        const entry = { source: `line ${line}` };
+        columns.forEach((column, index) => {
+            if (column) {
+                entry[column] = (cells[index] || "").trim();
+            }
+        });
+        return entry;
+    });
+}
+
+function readJsonRoster(text) {
+    const data = JSON.parse(text);
+    const members = Array.isArray(data) ? data : data && data.members;
+
+    if (!Array.isArray(members)) {
+        throw new Error("JSON roster must be an array of members or an object with a \"members\" array");
+    }
+
+    return members.map((member, index) => ({
+        source: `entry ${index + 1}`,
+        address: member.address,
+        name: member.name,
+        position: member.position,
+        votingPower: member.votingPower ?? member.power,
+    }));
+}
+
+/**
+ * Parse and validate a roster file
+ *
+ * Every problem is collected so the whole file can be fixed in one go.
+ *
+ * @param {string} text - File contents
+ * @param {"csv"|"json"} format
+ * @returns {Array<{address: string, name: string, position: string, votingPower: bigint}>}
+ */
+function parseRoster(text, format) {
+    const content = text.replace(/^\uFEFF/, "");
+    const entries = format === "json" ? readJsonRoster(content) : readCsvRoster(content);
+    const errors = [];
+    const seen = new Map();
+    const members = [];
+
+    for (const entry of entries) {
+        const problems = [];
+        const address = typeof entry.address === "string" ? entry.address.trim() : "";
+
+        if (!isAddress(address)) {
+            problems.push(`invalid address "${entry.address ?? ""}"`);
+        } else if (seen.has(getAddress(address))) {
+            problems.push(`duplicate of ${seen.get(getAddress(address))}`);
+        } else {
+            seen.set(getAddress(address), entry.source);
+        }
+
+        for (const field of ["name", "position"]) {
+            const value = typeof entry[field] === "string" ? entry[field].trim() : "";
+            const length = toUtf8Bytes(value).length;
+            if (length === 0 || length > maxStringLength) {
+                problems.push(`${field} must be 1-${maxStringLength} bytes`);
+            }
+        }
+
+        const power = String(entry.votingPower ?? "").trim();
+        if (!/^\d+$/.test(power) || BigInt(power) < 1n || BigInt(power) > BigInt(maxVotingPower)) {
+            problems.push(`voting power must be an integer from 1 to ${maxVotingPower} (got "${power}")`);
+        }
+
+        if (problems.length > 0) {
+            errors.push(`${entry.source}: ${problems.join("; ")}`);
+            continue;
+        }
+
+        members.push({
+            address: getAddress(address),
+            name: entry.name.trim(),
+            position: entry.position.trim(),
+            votingPower: BigInt(power),
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid roster:\n  ${errors.join("\n  ")}`);
+    }
+    return members;
+}
+
+function escapeCsv(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Write members out as a roster file
+ */
+function formatRoster(members, format) {
+    const rows = members.map((member) => ({
+        address: member.address,
+        name: member.name,
+        position: member.position,
+        votingPower: member.votingPower.toString(),
+    }));
+
+    if (format === "json") {
+        return JSON.stringify({ members: rows }, null, 2) + "\n";
+    }
+    return [COLUMNS, ...rows.map((row) => COLUMNS.map((column) => row[column]))]
+        .map((cells) => cells.map(escapeCsv).join(","))
+        .join("\n") + "\n";
+}
+
+/**
+ * Compare a roster with the members on chain
+ *
+ * @param {Array} current - Members found on chain, including removed ones
+ * @param {Array} roster - Parsed roster
+ * @param {object} options
+ * @param {string} options.chairperson - Chairperson address, which cannot be removed
+ * @param {boolean} [options.keepMissing] - Keep active members that are not in the roster
+ * @returns {{add: Array, update: Array, remove: Array, unchanged: Array, kept: Array, warnings: string[]}}
+ */
+function diffRoster(current, roster, { chairperson, keepMissing = false }) {
+    const onChain = new Map(current.map((member) => [member.address, member]));
+    const listed = new Set(roster.map((member) => member.address));
+    const diff = { add: [], update: [], remove: [], unchanged: [], kept: [], warnings: [] };
+
+    for (const entry of roster) {
+        const member = onChain.get(entry.address);
+
+        if (!member || !member.isActive) {
+            diff.add.push({ ...entry, previouslyRemoved: Boolean(member) });
+            continue;
+        }
+
+        const changes = ["name", "position", "votingPower"]
+            .filter((field) => member[field] !== entry[field])
+            .map((field) => ({ field, from: member[field], to: entry[field] }));
+
+        if (changes.length > 0) {
+            diff.update.push({ ...entry, changes });
+        } else {
+            diff.unchanged.push(entry);
+        }
+    }
+
+    for (const member of current) {
+        if (!member.isActive || listed.has(member.address)) {
+            continue;
+        }
+        if (member.address === chairperson) {
+            diff.warnings.push(`Chairperson ${member.address} is not in the roster; the chairperson cannot be removed`);
+            diff.kept.push(member);
+        } else if (keepMissing) {
+            diff.kept.push(member);
+        } else {
+            diff.remove.push(member);
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Transactions that bring the chain in line with a roster diff
+ *
+ * Adds and updates go first, so the board never shrinks before new members are in.
+ */
+function planTransactions(diff) {
+    return [
+        ...diff.add.map((member) => ({
+            method: "addBoardMember",
+            args: [member.address, member.name, member.position, member.votingPower],
+            summary: `${member.previouslyRemoved ? "Re-add" : "Add"} ${member.name} (${member.address})`,
+        })),
+        ...diff.update.map((member) => ({
+            method: "addBoardMember",
+            args: [member.address, member.name, member.position, member.votingPower],
+            summary: `Update ${member.name} (${member.address}): ${member.changes.map((change) => `${change.field} ${change.from} -> ${change.to}`).join(", ")}`,
+        })),
+        ...diff.remove.map((member) => ({
+            method: "removeBoardMember",
+            args: [member.address],
+            summary: `Remove ${member.name} (${member.address})`,
+        })),
+    ];
+}
+
+module.exports = {
+    COLUMNS,
+    detectFormat,
+    parseRoster,
+    formatRoster,
+    diffRoster,
+    planTransactions,
+};
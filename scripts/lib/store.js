@@ -0,0 +1,432 @@
+/**
+ * Governance history store
+ *
+ * SQLite database that scripts/indexer.js fills from CorporateGovernance
+ * events, so dashboards and reports can query history without looping view
+ * calls. Raw events are kept in `events`; resolution metadata and member
+ * changes are stored next to them. Every row carries its block number, so a
+ * chain reorganization is undone by deleting everything above the last block
+ * both chains share.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = path.join(__dirname, "..", "..", "data");
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+-- Hashes of indexed blocks, compared with the chain to detect reorganizations
+CREATE TABLE IF NOT EXISTS checkpoints (
+    block_number INTEGER PRIMARY KEY,
+    block_hash TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    resolution_id INTEGER,
+    account TEXT,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_name ON events (name);
+CREATE INDEX IF NOT EXISTS events_resolution ON events (resolution_id);
+CREATE INDEX IF NOT EXISTS events_account ON events (account);
+
+CREATE TABLE IF NOT EXISTS resolutions (
+    id INTEGER PRIMARY KEY,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL,
+    creator TEXT NOT NULL,
+    start_time INTEGER NOT NULL,
+    end_time INTEGER NOT NULL,
+    required_quorum INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL
+);
+
+-- BoardMemberAdded (also sent for updates) and BoardMemberRemoved, plus the
+-- chairperson the constructor adds without an event (log_index -1)
+CREATE TABLE IF NOT EXISTS member_changes (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    member TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('added', 'removed')),
+    name TEXT,
+    position TEXT,
+    voting_power INTEGER,
+    transaction_hash TEXT,
+    timestamp INTEGER,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS member_changes_member ON member_changes (member);
+
+-- Rollbacks done for reorganizations, so event streams can tell their clients
+CREATE TABLE IF NOT EXISTS rollbacks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+);
+`;
+
+// Tables whose rows are tied to a block and rolled back on reorganizations
+const BLOCK_TABLES = ["events", "resolutions", "member_changes", "checkpoints"];
+
+/**
+ * Default database file for a network
+ */
+function getDatabasePath(networkName) {
+    return path.join(DATA_DIR, `governance-${networkName}.db`);
+}
+
+function toEvent(row) {
+    return {
+        id: `${row.block_number}-${row.log_index}`,
+        name: row.name,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        blockHash: row.block_hash,
+        transactionHash: row.transaction_hash,
+        timestamp: row.timestamp,
+        resolutionId: row.resolution_id,
+        account: row.account,
+        args: JSON.parse(row.args),
+    };
+}
+
+function toResolution(row, now) {
+    const requested = row.decryption_args ? JSON.parse(row.decryption_args) : null;
+    const result = row.result_args ? JSON.parse(row.result_args) : null;
+
+    let status = "open";
+    if (result) {
+        status = "resolved";
+    } else if (row.timed_out_at !== null) {
+        status = "timed out";
+    } else if (requested) {
+        status = "decrypting";
+    } else if (row.end_time < now) {
+        status = "voting ended";
+    }
+
+    return {
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        creator: row.creator,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        requiredQuorum: row.required_quorum,
+        blockNumber: row.block_number,
+        transactionHash: row.transaction_hash,
+        status,
+        votesCast: row.votes_cast,
+        voters: row.voters,
+        decryptionRequestId: requested ? requested.requestId : null,
+        decryptionRequestedAt: row.decryption_requested_at,
+        decryptionRequestTransaction: row.decryption_request_transaction,
+        yesVotes: result ? result.yesVotes : null,
+        noVotes: result ? result.noVotes : null,
+        passed: result ? result.passed : null,
+        resolvedAt: row.resolved_at,
+        resolveTransaction: row.resolve_transaction,
+        timedOutAt: row.timed_out_at,
+        timeoutTransaction: row.timeout_transaction,
+    };
+}
+
+const RESOLUTION_QUERY = `
+SELECT r.*,
+    (SELECT COUNT(*) FROM events v WHERE v.name = 'VoteCast' AND v.resolution_id = r.id) AS votes_cast,
+    (SELECT COUNT(DISTINCT v.account) FROM events v WHERE v.name = 'VoteCast' AND v.resolution_id = r.id) AS voters,
+    dr.args AS decryption_args,
+    dr.timestamp AS decryption_requested_at,
+    dr.transaction_hash AS decryption_request_transaction,
+    rr.args AS result_args,
+    rr.timestamp AS resolved_at,
+    rr.transaction_hash AS resolve_transaction,
+    dt.timestamp AS timed_out_at,
+    dt.transaction_hash AS timeout_transaction
+FROM resolutions r
+LEFT JOIN events dr ON dr.name = 'DecryptionRequested' AND dr.resolution_id = r.id
+LEFT JOIN events rr ON rr.name = 'ResolutionResolved' AND rr.resolution_id = r.id
+LEFT JOIN events dt ON dt.name = 'DecryptionTimeout' AND dt.resolution_id = r.id`;
+
+class GovernanceStore {
+    /**
+     * @param {string} filePath - SQLite database file, created if missing
+     * @param {object} [options]
+     * @param {boolean} [options.readonly] - Open an existing database for queries only
+     * @param {function} [options.Database] - better-sqlite3 as resolved by the caller's package
+     *                                        (default: the one installed for the scripts)
+     */
+    constructor(filePath, { readonly = false, Database = require("better-sqlite3") } = {}) {
+        if (readonly && !fs.existsSync(filePath)) {
+            throw new Error(`No governance database at ${filePath}. Run scripts/indexer.js first.`);
+        }
+        if (!readonly) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+
+        this.filePath = filePath;
+        this.db = new Database(filePath, { readonly });
+
+        if (!readonly) {
+            // Let readers (dashboards, the API server) query while the indexer writes
+            this.db.pragma("journal_mode = WAL");
+            this.db.exec(SCHEMA);
+        }
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    getMeta(key) {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+        return row ? row.value : null;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)").run(key, String(value));
+    }
+
+    /**
+     * Last block indexed, or null for a new database
+     */
+    getLastBlock() {
+        const value = this.getMeta("last_block");
+        return value === null ? null : Number(value);
+    }
+
+    /**
+     * Indexed block hashes, newest first
+     */
+    getCheckpoints(limit = 256) {
+        return this.db
+            .prepare("SELECT block_number AS blockNumber, block_hash AS blockHash FROM checkpoints ORDER BY block_number DESC LIMIT ?")
+            .all(limit);
+    }
+
+    /**
+     * Store the events of a block range and move the cursor to its last block
+     *
+     * @param {object} batch
+     * @param {Array} batch.events - Decoded events
+     * @param {Array} batch.resolutions - Metadata of resolutions created in the range
+     * @param {Array} batch.memberChanges - Member additions, updates and removals
+     * @param {Array} batch.checkpoints - Block hashes to remember, including the last block
+     * @param {number} batch.toBlock - Last block of the range
+     * @param {number} [keepCheckpoints] - How many checkpoints to keep for reorg detection
+     */
+    saveBatch({ events, resolutions, memberChanges, checkpoints, toBlock }, keepCheckpoints = 256) {
+        const insertEvent = this.db.prepare(`
+            INSERT OR REPLACE INTO events
+                (block_number, log_index, block_hash, transaction_hash, timestamp, name, resolution_id, account, args)
+            VALUES (@blockNumber, @logIndex, @blockHash, @transactionHash, @timestamp, @name, @resolutionId, @account, @args)`);
+        const insertResolution = this.db.prepare(`
+            INSERT OR REPLACE INTO resolutions
+                (id, title, description, creator, start_time, end_time, required_quorum, block_number, transaction_hash)
+            VALUES (@id, @title, @description, @creator, @startTime, @endTime, @requiredQuorum, @blockNumber, @transactionHash)`);
+        const insertMemberChange = this.db.prepare(`
+            INSERT OR REPLACE INTO member_changes
+                (block_number, log_index, member, action, name, position, voting_power, transaction_hash, timestamp)
+            VALUES (@blockNumber, @logIndex, @member, @action, @name, @position, @votingPower, @transactionHash, @timestamp)`);
+        const insertCheckpoint = this.db.prepare("INSERT OR REPLACE INTO checkpoints (block_number, block_hash) VALUES (?, ?)");
+
+        this.db.transaction(() => {
+            for (const event of events) {
+                insertEvent.run({ ...event, args: JSON.stringify(event.args) });
+            }
+            for (const resolution of resolutions) {
+                insertResolution.run(resolution);
+            }
+            for (const change of memberChanges) {
+                insertMemberChange.run(change);
+            }
+            for (const checkpoint of checkpoints) {
+                insertCheckpoint.run(checkpoint.blockNumber, checkpoint.blockHash);
+            }
+            this.db
+                .prepare("DELETE FROM checkpoints WHERE block_number NOT IN (SELECT block_number FROM checkpoints ORDER BY block_number DESC LIMIT ?)")
+                .run(keepCheckpoints);
+            this.setMeta("last_block", toBlock);
+            this.setMeta("updated_at", new Date().toISOString());
+        })();
+    }
+
+    /**
+     * Forget everything after a block, e.g. the last block shared with a reorganized chain
+     */
+    rollback(blockNumber) {
+        this.db.transaction(() => {
+            for (const table of BLOCK_TABLES) {
+                this.db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(blockNumber);
+            }
+            this.db
+                .prepare("INSERT INTO rollbacks (block_number, created_at) VALUES (?, ?)")
+                .run(blockNumber, new Date().toISOString());
+            this.setMeta("last_block", blockNumber);
+        })();
+    }
+
+    /**
+     * Rollbacks recorded after the given one, oldest first
+     */
+    listRollbacks(afterId = 0) {
+        return this.db
+            .prepare("SELECT id, block_number AS blockNumber, created_at AS createdAt FROM rollbacks WHERE id > ? ORDER BY id")
+            .all(afterId);
+    }
+
+    /**
+     * Indexer position and the contract the database belongs to
+     */
+    getStatus() {
+        const rows = this.db.prepare("SELECT key, value FROM meta").all();
+        const meta = Object.fromEntries(rows.map((row) => [row.key, row.value]));
+        const { count } = this.db.prepare("SELECT COUNT(*) AS count FROM events").get();
+
+        return {
+            network: meta.network || null,
+            chainId: meta.chain_id || null,
+            contractAddress: meta.contract_address || null,
+            startBlock: meta.start_block !== undefined ? Number(meta.start_block) : null,
+            lastBlock: meta.last_block !== undefined ? Number(meta.last_block) : null,
+            updatedAt: meta.updated_at || null,
+            events: count,
+        };
+    }
+
+    /**
+     * Resolutions with their votes, decryption and result
+     */
+    listResolutions() {
+        const now = Math.floor(Date.now() / 1000);
+        return this.db.prepare(`${RESOLUTION_QUERY} ORDER BY r.id`).all().map((row) => toResolution(row, now));
+    }
+
+    getResolution(resolutionId) {
+        const row = this.db.prepare(`${RESOLUTION_QUERY} WHERE r.id = ?`).get(resolutionId);
+        return row ? toResolution(row, Math.floor(Date.now() / 1000)) : null;
+    }
+
+    /**
+     * VoteCast events of a resolution, oldest first (a member may vote more than once)
+     */
+    listVotes(resolutionId) {
+        return this.db
+            .prepare(`
+                SELECT account AS voter, block_number AS blockNumber, transaction_hash AS transactionHash, timestamp
+                FROM events WHERE name = 'VoteCast' AND resolution_id = ?
+                ORDER BY block_number, log_index`)
+            .all(resolutionId);
+    }
+
+    /**
+     * Current board, replayed from member changes
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.all] - Include removed members
+     */
+    listMembers({ all = false } = {}) {
+        const members = new Map();
+        const changes = this.db.prepare("SELECT * FROM member_changes ORDER BY block_number, log_index").all();
+
+        for (const change of changes) {
+            const member = members.get(change.member) || { address: change.member, since: change.timestamp };
+
+            if (change.action === "added") {
+                if (!member.isActive) {
+                    member.since = change.timestamp;
+                }
+                member.isActive = true;
+                member.name = change.name;
+                member.position = change.position ?? member.position ?? null;
+                member.votingPower = change.voting_power;
+            } else {
+                member.isActive = false;
+                member.removedAt = change.timestamp;
+            }
+            members.set(change.member, member);
+        }
+
+        return [...members.values()].filter((member) => member.isActive || all);
+    }
+
+    /**
+     * Member additions, updates and removals of one account, oldest first
+     */
+    getMemberHistory(address) {
+        return this.db
+            .prepare(`
+                SELECT block_number AS blockNumber, action, name, position, voting_power AS votingPower,
+                    transaction_hash AS transactionHash, timestamp
+                FROM member_changes WHERE member = ? ORDER BY block_number, log_index`)
+            .all(address);
+    }
+
+    /**
+     * Raw events, oldest first
+     *
+     * @param {object} [filter]
+     * @param {string} [filter.name] - Event name
+     * @param {number} [filter.resolutionId]
+     * @param {string} [filter.account] - Voter or member address
+     * @param {number} [filter.fromBlock]
+     * @param {number} [filter.toBlock]
+     * @param {{blockNumber: number, logIndex: number}} [filter.after] - Only events after this position
+     * @param {number} [filter.limit]
+     */
+    listEvents({ name, resolutionId, account, fromBlock, toBlock, after, limit = 1000 } = {}) {
+        const conditions = [];
+        const params = {};
+
+        if (name !== undefined) {
+            conditions.push("name = @name");
+            params.name = name;
+        }
+        if (resolutionId !== undefined) {
+            conditions.push("resolution_id = @resolutionId");
+            params.resolutionId = resolutionId;
+        }
+        if (account !== undefined) {
+            conditions.push("account = @account");
+            params.account = account;
+        }
+        if (fromBlock !== undefined) {
+            conditions.push("block_number >= @fromBlock");
+            params.fromBlock = fromBlock;
+        }
+        if (toBlock !== undefined) {
+            conditions.push("block_number <= @toBlock");
+            params.toBlock = toBlock;
+        }
+        if (after !== undefined) {
+            conditions.push("(block_number > @afterBlock OR (block_number = @afterBlock AND log_index > @afterLogIndex))");
+            params.afterBlock = after.blockNumber;
+            params.afterLogIndex = after.logIndex;
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+        return this.db
+            .prepare(`SELECT * FROM events ${where} ORDER BY block_number, log_index LIMIT @limit`)
+            .all({ ...params, limit })
+            .map(toEvent);
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    GovernanceStore,
+    getDatabasePath,
+};
@@ -0,0 +1,118 @@
+/**
+ * Governance contract variants
+ *
+ * The repository ships four versions of the board resolution contract. They
+ * share the getBoardMember/getResolution getters, but differ in the events
+ * they emit, who may add members and how vote tallies are stored:
+ *
+ *   UltraSimpleVoting          no access control, members only in MemberAdded events,
+ *                              getResolution returns placeholders
+ *   SimpleBoardResolution      chairperson adds members once, plaintext tallies
+ *   SimpleCorporateGovernance  anyone adds or updates members, plaintext tallies
+ *   CorporateGovernance        encrypted (euint32) tallies revealed by the gateway
+ */
+
+const VARIANTS = {
+    UltraSimpleVoting: {
+        memberEvents: ["MemberAdded"],
+        hasChairperson: false,
+        chairpersonAddsMembers: false,
+        updatesMembers: true,
+        storesPositions: false,
+        storesResolutions: false,
+        tallies: "plaintext",
+        maxVotingPower: null,
+        maxStringLength: null,
+    },
+    SimpleBoardResolution: {
+        memberEvents: ["BoardMemberAdded"],
+        hasChairperson: true,
+        chairpersonAddsMembers: true,
+        updatesMembers: false,
+        storesPositions: true,
+        storesResolutions: true,
+        tallies: "plaintext",
+        maxVotingPower: null,
+        maxStringLength: null,
+    },
+    SimpleCorporateGovernance: {
+        memberEvents: ["BoardMemberAdded"],
+        hasChairperson: true,
+        chairpersonAddsMembers: false,
+        updatesMembers: true,
+        storesPositions: true,
+        storesResolutions: true,
+        tallies: "plaintext",
+        maxVotingPower: null,
+        maxStringLength: null,
+    },
+    CorporateGovernance: {
+        memberEvents: ["BoardMemberAdded", "BoardMemberRemoved"],
+        hasChairperson: true,
+        chairpersonAddsMembers: false,
+        updatesMembers: true,
+        storesPositions: true,
+        storesResolutions: true,
+        tallies: "encrypted",
+        maxVotingPower: 1000,
+        maxStringLength: 1000,
+    },
+};
+
+// Member set up by the constructor of variants with a chairperson
+const CHAIRPERSON_DEFAULTS = { name: "Chairperson", position: "Chairman", votingPower: 1n };
+
+// Position getBoardMember reports for variants that do not store one
+const PLACEHOLDER_POSITION = "Board Member";
+
+const VARIANT_NAMES = Object.keys(VARIANTS);
+
+/**
+ * Look up a variant by contract name
+ *
+ * @param {string} contractName - One of VARIANT_NAMES
+ * @returns {object}
+ */
+function getVariant(contractName) {
+    const variant = VARIANTS[contractName];
+
+    if (!variant) {
+        throw new Error(`Unknown contract variant "${contractName}". Expected one of: ${VARIANT_NAMES.join(", ")}`);
+    }
+    return { contractName, ...variant };
+}
+
+/**
+ * Decode a getResolution result, whose tail differs between variants
+ */
+function decodeResolution(variant, result) {
+    const resolution = {
+        id: result[0],
+        title: result[1],
+        description: result[2],
+        startTime: result[3],
+        endTime: result[4],
+        active: result[5],
+        creator: result[6],
+        requiredQuorum: result[7],
+    };
+
+    if (variant.tallies === "encrypted") {
+        return {
+            ...resolution,
+            resolved: result[8],
+            revealedYesVotes: result[9],
+            revealedNoVotes: result[10],
+        };
+    }
+    return { ...resolution, yesVotes: result[8], noVotes: result[9] };
+}
+
+module.exports = {
+    VARIANTS,
+    VARIANT_NAMES,
+    CHAIRPERSON_DEFAULTS,
+    PLACEHOLDER_POSITION,
+    getVariant,
+    decodeResolution,
+};
@@ -0,0 +1,552 @@
+/**
+ * Migrate board members between governance contract variants
+ *
+ * Reads the members (getBoardMember and member events) and resolution
+ * metadata (getResolution) of an existing deployment, deploys the target
+ * contract and replays addBoardMember for every active member:
+ *
+ *   node scripts/migrate.js --from <variant> --to <variant> [options]
+ *
+ * Votes cannot be moved: they were cast by the members themselves and, for
+ * CorporateGovernance, are encrypted under the old contract. The report lists
+ * what was carried over, what changed on the way and what was left behind.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { VARIANT_NAMES, CHAIRPERSON_DEFAULTS, PLACEHOLDER_POSITION, getVariant, decodeResolution } = require("./lib/variants");
+
+const USAGE = `Usage: node scripts/migrate.js --from <variant> --to <variant> [options]
+
+Variants: ${VARIANT_NAMES.join(", ")}
+
+Options:
+  --from <variant>      Contract variant of the existing deployment
+  --to <variant>        Contract variant to deploy
+  --network <name>      Network from hardhat.config.js (default: HARDHAT_NETWORK or localhost)
+  --source <address>    Existing contract (default: current <from> deployment in deployments/<network>.json)
+  --from-block <n>      First block to scan for member events (default: deployment block)
+  --account <index>     Deployer account index (default: 0)
+  --dry-run             Read the source and report the plan without sending transactions
+  --report <path>       Report file (default: deployments/migrations/<network>-<from>-to-<to>-<time>.json)
+  --json                Print the report as JSON instead of text
+  -h, --help            Show this help
+
+Exit codes: 0 on success, 1 when a transaction fails or the new contract does not
+match the plan, 2 on invalid usage.`;
+
+const OPTIONS = {
+    from: { type: "string" },
+    to: { type: "string" },
+    network: { type: "string" },
+    source: { type: "string" },
+    "from-block": { type: "string" },
+    account: { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    report: { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+};
+
+// Raised for bad arguments, reported with the usage text and exit code 2
+class UsageError extends Error {}
+
+function exitWithUsage(message) {
+    console.error(message);
+    console.error();
+    console.error(USAGE);
+    process.exit(2);
+}
+
+// Hardhat reads the network at load time, so arguments are parsed first
+let args;
+try {
+    args = parseArgs({ options: OPTIONS, allowPositionals: false, strict: true });
+} catch (error) {
+    exitWithUsage(error.message);
+}
+
+const options = args.values;
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+for (const name of ["from", "to"]) {
+    if (!options[name]) {
+        exitWithUsage(`Missing required --${name}`);
+    }
+    if (!VARIANT_NAMES.includes(options[name])) {
+        exitWithUsage(`Unknown contract variant for --${name}: ${options[name]}`);
+    }
+}
+
+if (options.network) {
+    process.env.HARDHAT_NETWORK = options.network;
+} else if (!process.env.HARDHAT_NETWORK) {
+    process.env.HARDHAT_NETWORK = "localhost";
+}
+
+const hre = require("hardhat");
+const { ethers } = hre;
+const { DEPLOYMENTS_DIR, getDeployment, getNetworkName, recordDeployment } = require("./lib/deployments");
+
+const MEMBER_FIELDS = ["name", "position", "votingPower"];
+
+// Serialize bigint values returned by ethers
+function toJson(value) {
+    return JSON.stringify(value, (key, val) => (typeof val === "bigint" ? val.toString() : val), 2);
+}
+
+function log(message = "") {
+    if (!options.json) {
+        console.log(message);
+    }
+}
+
+function parseInteger(value, name) {
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Invalid ${name}: ${value} (expected a non-negative integer)`);
+    }
+    return Number(value);
+}
+
+// Helper function to load the contract being migrated from
+async function loadSource(variant, networkName) {
+    const deploymentInfo = getDeployment(networkName, variant.contractName);
+
+    if (!deploymentInfo && !options.source) {
+        throw new Error(
+            `No ${variant.contractName} deployment found for network "${networkName}".\n` +
+            "Pass the contract address with --source."
+        );
+    }
+
+    let address = deploymentInfo ? deploymentInfo.address : null;
+    if (options.source) {
+        if (!ethers.isAddress(options.source)) {
+            throw new UsageError(`Invalid --source: ${options.source}`);
+        }
+        address = ethers.getAddress(options.source);
+    }
+
+    if ((await ethers.provider.getCode(address)) === "0x") {
+        throw new Error(`No contract deployed at ${address} on ${networkName}`);
+    }
+
+    // Deployment details only describe the registered contract, not an override
+    const deployment = deploymentInfo && deploymentInfo.address === address ? deploymentInfo : null;
+
+    let fromBlock = 0;
+    if (options["from-block"] !== undefined) {
+        fromBlock = parseInteger(options["from-block"], "--from-block");
+    } else if (deployment && deployment.blockNumber) {
+        fromBlock = Number(deployment.blockNumber);
+    }
+
+    const contract = await ethers.getContractAt(variant.contractName, address);
+    return { contract, address, deployment, fromBlock };
+}
+
+async function fetchMember(contract, address) {
+    const [isActive, votingPower, name, position] = await contract.getBoardMember(address);
+    return { address, isActive, votingPower, name, position };
+}
+
+async function readMembers(variant, contract, fromBlock) {
+    // No variant can enumerate its members, so they are discovered from events
+    const addresses = new Set();
+
+    // The chairperson is added in the constructor without an event
+    if (variant.hasChairperson) {
+        addresses.add(ethers.getAddress(await contract.chairperson()));
+    }
+
+    for (const eventName of variant.memberEvents) {
+        const events = await contract.queryFilter(contract.filters[eventName](), fromBlock);
+        for (const event of events) {
+            addresses.add(ethers.getAddress(event.args.member));
+        }
+    }
+
+    const members = [];
+    for (const address of addresses) {
+        members.push(await fetchMember(contract, address));
+    }
+    return members;
+}
+
+async function readResolutions(variant, contract) {
+    const count = await contract.getResolutionCount();
+    const resolutions = [];
+
+    for (let id = 0n; id < count; id++) {
+        const resolution = decodeResolution(variant, await contract.getResolution(id));
+
+        // UltraSimpleVoting answers getResolution with placeholders apart from the tallies
+        resolutions.push(variant.storesResolutions
+            ? resolution
+            : { id, yesVotes: resolution.yesVotes, noVotes: resolution.noVotes });
+    }
+    return resolutions;
+}
+
+// Why a member cannot be written to the target contract as it is, if at all
+function checkTargetLimits(target, member) {
+    if (member.votingPower === 0n && target.contractName !== "UltraSimpleVoting") {
+        return `${target.contractName} requires a voting power above 0`;
+    }
+    if (target.maxVotingPower !== null && member.votingPower > BigInt(target.maxVotingPower)) {
+        return `voting power ${member.votingPower} exceeds the ${target.contractName} limit of ${target.maxVotingPower}`;
+    }
+    if (target.maxStringLength !== null) {
+        for (const field of ["name", "position"]) {
+            const length = ethers.toUtf8Bytes(member[field]).length;
+            if (length === 0 || length > target.maxStringLength) {
+                return `${field} must be 1-${target.maxStringLength} bytes for ${target.contractName}`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Decide what happens to one source member and the state expected afterwards
+ */
+function planMember(target, member, deployer) {
+    const entry = {
+        address: member.address,
+        source: { name: member.name, position: member.position, votingPower: member.votingPower },
+        action: "none",
+        expected: null,
+        reason: null,
+    };
+
+    if (!member.isActive) {
+        entry.reason = "removed from the source contract";
+        return entry;
+    }
+
+    const problem = checkTargetLimits(target, member);
+
+    // The target constructor has already registered the deployer as chairperson
+    if (member.address === deployer && target.hasChairperson) {
+        if (!target.updatesMembers || problem) {
+            entry.expected = { ...CHAIRPERSON_DEFAULTS };
+            entry.reason = target.updatesMembers
+                ? `${problem}; kept the chairperson defaults set by the constructor`
+                : `kept the chairperson defaults set by the constructor; ${target.contractName} cannot update existing members`;
+            return entry;
+        }
+    } else if (problem) {
+        entry.reason = problem;
+        return entry;
+    }
+
+    entry.action = "add";
+    entry.expected = {
+        name: member.name,
+        position: target.storesPositions ? member.position : PLACEHOLDER_POSITION,
+        votingPower: member.votingPower,
+    };
+    if (!target.storesPositions && member.position !== PLACEHOLDER_POSITION) {
+        entry.reason = `${target.contractName} does not store positions`;
+    }
+    return entry;
+}
+
+function diffMember(before, after) {
+    return MEMBER_FIELDS
+        .filter((field) => before[field] !== after[field])
+        .map((field) => ({ field, source: before[field], target: after[field] }));
+}
+
+function resolutionReason(variant, resolution) {
+    if (!variant.storesResolutions) {
+        return `${variant.contractName} stores only vote totals; title, description and dates are unknown`;
+    }
+    if (variant.tallies === "encrypted") {
+        return resolution.resolved
+            ? "encrypted tallies cannot be moved to a new contract; the revealed result is kept in this report"
+            : "encrypted tallies cannot be decrypted or re-encrypted for a new contract";
+    }
+    return "votes were cast by the members and cannot be replayed by the deployer";
+}
+
+// Deploy the target contract and replay addBoardMember for the planned members
+async function executePlan(target, plan, signer, sourceInfo) {
+    log(`Deploying ${target.contractName}...`);
+    const factory = await ethers.getContractFactory(target.contractName, signer);
+    const contract = await factory.deploy();
+    await contract.waitForDeployment();
+
+    const record = await recordDeployment(hre, {
+        contractName: target.contractName,
+        contract,
+        constructorArgs: [],
+        metadata: { migratedFrom: sourceInfo },
+    });
+    log(`Deployed at ${record.address} (version ${record.version})`);
+
+    for (const entry of plan.filter((item) => item.action === "add")) {
+        const { name, position, votingPower } = entry.expected;
+        try {
+            const tx = await contract.addBoardMember(entry.address, name, position, votingPower);
+            const receipt = await tx.wait();
+            entry.txHash = receipt.hash;
+            log(`  Added ${entry.address} (${name}) - ${receipt.hash}`);
+        } catch (error) {
+            entry.error = error.reason || error.shortMessage || error.message;
+            log(`  Failed to add ${entry.address}: ${entry.error}`);
+        }
+    }
+
+    return { contract, record };
+}
+
+function buildMemberReport(plan, actualMembers) {
+    const members = { carried: [], changed: [], notCarried: [], failed: [] };
+
+    for (const entry of plan) {
+        const summary = { address: entry.address, ...entry.source };
+
+        if (entry.error) {
+            members.failed.push({ ...summary, reason: entry.error });
+            continue;
+        }
+        if (!entry.expected) {
+            members.notCarried.push({ ...summary, reason: entry.reason });
+            continue;
+        }
+
+        // After a real run, compare the new contract with the plan before reporting it
+        const actual = actualMembers ? actualMembers.get(entry.address) : null;
+        if (actual && (!actual.isActive || diffMember(entry.expected, actual).length > 0)) {
+            members.failed.push({
+                ...summary,
+                reason: "the new contract does not match the plan",
+                differences: diffMember(entry.source, actual),
+            });
+            continue;
+        }
+
+        const differences = diffMember(entry.source, entry.expected);
+        const item = { ...summary, txHash: entry.txHash || null };
+        if (differences.length > 0) {
+            members.changed.push({ ...item, differences, reason: entry.reason });
+        } else {
+            members.carried.push(item);
+        }
+    }
+    return members;
+}
+
+function writeReport(report, networkName) {
+    const stamp = report.timestamp.replace(/[:.]/g, "-");
+    const reportPath = options.report
+        ? path.resolve(options.report)
+        : path.join(DEPLOYMENTS_DIR, "migrations", `${networkName}-${report.source.contractName}-to-${report.target.contractName}-${stamp}.json`);
+
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, toJson(report) + "\n");
+    return reportPath;
+}
+
+function printMembers(title, members, describe) {
+    console.log(`${title}: ${members.length}`);
+    for (const member of members) {
+        console.log(`  ${member.address}  ${describe(member)}`);
+    }
+    console.log();
+}
+
+function printReport(report, reportPath) {
+    const { source, target, members, resolutions } = report;
+    const formatChange = (change) => `${change.field} ${JSON.stringify(String(change.source))} -> ${JSON.stringify(String(change.target))}`;
+
+    console.log();
+    console.log("=".repeat(70));
+    console.log(`GOVERNANCE MIGRATION${report.dryRun ? " (DRY RUN)" : ""}`);
+    console.log("=".repeat(70));
+    console.log(`Network: ${report.network} (chain ${report.chainId})`);
+    console.log(`Source: ${source.contractName} at ${source.address}${source.version ? ` (v${source.version})` : ""}`);
+    console.log(target.address
+        ? `Target: ${target.contractName} at ${target.address} (v${target.version})`
+        : `Target: ${target.contractName} (not deployed)`);
+    console.log(`Active voting power: ${source.activeVotingPower} -> ${target.activeVotingPower}`);
+    console.log("-".repeat(70));
+
+    printMembers("Members carried over", members.carried,
+        (member) => `${member.name}, ${member.position} - power ${member.votingPower}`);
+    printMembers("Members changed", members.changed,
+        (member) => `${member.name}: ${member.differences.map(formatChange).join(", ")} (${member.reason})`);
+    printMembers("Members not carried over", members.notCarried,
+        (member) => `${member.name} - ${member.reason}`);
+    if (members.failed.length > 0) {
+        printMembers("Members FAILED", members.failed, (member) => `${member.name} - ${member.reason}`);
+    }
+    if (members.targetOnly.length > 0) {
+        printMembers("Members only in the new contract", members.targetOnly,
+            (member) => `${member.name}, ${member.position} - power ${member.votingPower} (${member.reason})`);
+    }
+
+    console.log(`Resolutions not carried over: ${resolutions.notCarried.length}`);
+    for (const resolution of resolutions.notCarried) {
+        const title = resolution.title !== undefined ? ` ${resolution.title}` : "";
+        console.log(`  #${resolution.id}${title} - ${resolution.reason}`);
+    }
+    console.log();
+
+    if (report.notes.length > 0) {
+        console.log("Notes:");
+        for (const note of report.notes) {
+            console.log(`  - ${note}`);
+        }
+        console.log();
+    }
+
+    console.log(reportPath ? `Report: ${path.relative(process.cwd(), reportPath)}` : "Report not written (dry run; pass --report to save it)");
+    console.log("=".repeat(70));
+}
+
+async function main() {
+    const sourceVariant = getVariant(options.from);
+    const targetVariant = getVariant(options.to);
+
+    const network = await ethers.provider.getNetwork();
+    const networkName = getNetworkName(network);
+
+    const signers = await ethers.getSigners();
+    const accountIndex = options.account !== undefined ? parseInteger(options.account, "--account") : 0;
+    const signer = signers[accountIndex];
+    if (!signer) {
+        throw new UsageError(`No account at index ${accountIndex} for network "${networkName}"`);
+    }
+    const deployer = ethers.getAddress(await signer.getAddress());
+
+    const source = await loadSource(sourceVariant, networkName);
+    log(`Reading ${sourceVariant.contractName} at ${source.address} (events from block ${source.fromBlock})...`);
+
+    const sourceMembers = await readMembers(sourceVariant, source.contract, source.fromBlock);
+    const sourceResolutions = await readResolutions(sourceVariant, source.contract);
+    const sourceChairperson = sourceVariant.hasChairperson ? ethers.getAddress(await source.contract.chairperson()) : null;
+    log(`Found ${sourceMembers.length} member(s) and ${sourceResolutions.length} resolution(s)`);
+
+    const plan = sourceMembers.map((member) => planMember(targetVariant, member, deployer));
+
+    let deployed = null;
+    let actualMembers = null;
+    if (!options["dry-run"]) {
+        deployed = await executePlan(targetVariant, plan, signer, {
+            contractName: sourceVariant.contractName,
+            address: source.address,
+            version: source.deployment ? source.deployment.version : null,
+        });
+
+        actualMembers = new Map();
+        for (const entry of plan) {
+            actualMembers.set(entry.address, await fetchMember(deployed.contract, entry.address));
+        }
+    }
+
+    const members = buildMemberReport(plan, actualMembers);
+
+    // The target constructor registers the deployer even if it was not a source member
+    members.targetOnly = [];
+    if (targetVariant.hasChairperson && !sourceMembers.some((member) => member.isActive && member.address === deployer)) {
+        members.targetOnly.push({
+            address: deployer,
+            ...CHAIRPERSON_DEFAULTS,
+            reason: `added as chairperson by the ${targetVariant.contractName} constructor`,
+        });
+    }
+
+    const notes = [];
+    if (targetVariant.hasChairperson && sourceChairperson && sourceChairperson !== deployer) {
+        notes.push(`Chairperson changes from ${sourceChairperson} to the deployer ${deployer}.`);
+    }
+    if (!sourceVariant.hasChairperson && targetVariant.hasChairperson) {
+        notes.push(`${sourceVariant.contractName} has no chairperson; the deployer ${deployer} becomes chairperson.`);
+    }
+    if (sourceResolutions.length > 0) {
+        notes.push("Resolution IDs restart at 0 on the new contract; past resolutions are kept in this report only.");
+    }
+    notes.push("Voting records (hasVoted) are not carried over.");
+    if (targetVariant.contractName === "UltraSimpleVoting") {
+        notes.push("UltraSimpleVoting has no access control: anyone can add members and vote.");
+    }
+
+    // Active voting power before and after, counting the deployer added by the constructor
+    const activeSourcePower = sourceMembers
+        .filter((member) => member.isActive)
+        .reduce((total, member) => total + member.votingPower, 0n);
+    const activeTargetPower = plan.reduce((total, entry) => {
+        if (actualMembers) {
+            const actual = actualMembers.get(entry.address);
+            return actual.isActive ? total + actual.votingPower : total;
+        }
+        return entry.expected && !entry.error ? total + entry.expected.votingPower : total;
+    }, members.targetOnly.reduce((total, member) => total + member.votingPower, 0n));
+
+    const report = {
+        network: networkName,
+        chainId: network.chainId.toString(),
+        timestamp: new Date().toISOString(),
+        dryRun: options["dry-run"],
+        source: {
+            contractName: sourceVariant.contractName,
+            address: source.address,
+            version: source.deployment ? source.deployment.version : null,
+            chairperson: sourceChairperson,
+            activeVotingPower: activeSourcePower,
+        },
+        target: {
+            contractName: targetVariant.contractName,
+            address: deployed ? deployed.record.address : null,
+            version: deployed ? deployed.record.version : null,
+            chairperson: targetVariant.hasChairperson ? deployer : null,
+            activeVotingPower: activeTargetPower,
+        },
+        members,
+        resolutions: {
+            notCarried: sourceResolutions.map((resolution) => ({
+                ...resolution,
+                reason: resolutionReason(sourceVariant, resolution),
+            })),
+        },
+        notes,
+    };
+
+    const reportPath = options["dry-run"] && !options.report ? null : writeReport(report, networkName);
+
+    if (options.json) {
+        console.log(toJson(report));
+    } else {
+        printReport(report, reportPath);
+    }
+
+    return members.failed.length === 0;
+}
+
+main()
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+        const usage = error instanceof UsageError;
+        const message = error.reason || error.shortMessage || error.message;
+
+        if (options.json) {
+            console.error(toJson({ error: { message, code: error.code || (usage ? "USAGE" : undefined) } }));
+        } else if (usage) {
+            exitWithUsage(message);
+        } else {
+            console.error();
+            console.error("=".repeat(70));
+            console.error("MIGRATION ERROR");
+            console.error("=".repeat(70));
+            console.error(message);
+            console.error("=".repeat(70));
+        }
+        process.exit(usage ? 2 : 1);
+    });
@@ -0,0 +1,145 @@
+/**
+ * Deployment registry command-line tool
+ *
+ *   node scripts/registry.js list [--network <name>]
+ *   node scripts/registry.js show <contract> --network <name> [--history]
+ *   node scripts/registry.js import <contract> <address> --network <name> [--chain-id <id>]
+ *
+ * Works offline: nothing here needs Hardhat or an RPC connection.
+ */
+
+const { parseArgs } = require("util");
+const { isAddress, getAddress } = require("ethers");
+const registry = require("./lib/deployments");
+
+const USAGE = `Usage: node scripts/registry.js <command> [arguments] [options]
+
+Commands:
+  list                             Current deployments (all networks unless --network is given)
+  show <contract>                  Current deployment of a contract (--history for all versions)
+  import <contract> <address>      Record a deployment made outside deploy.js
+  address-book                     Rewrite deployments/addresses.json for the frontends
+
+Options:
+  --network <name>       Network name as in hardhat.config.js
+  --chain-id <id>        Chain ID for import (default: known for sepolia, mainnet and localhost)
+  --tx <hash>            Deployment transaction hash for import
+  --block <n>            Deployment block number for import
+  --history              Show every recorded version
+  --json                 Print machine-readable JSON instead of text
+  -h, --help             Show this help`;
+
+const KNOWN_CHAIN_IDS = {
+    mainnet: 1,
+    sepolia: 11155111,
+    localhost: 31337,
+    hardhat: 31337,
+};
+
+function formatRecord(record) {
+    return [
+        `${record.contractName} v${record.version} on ${record.network}`,
+        `  Address: ${record.address}`,
+        `  Deployed: ${record.timestamp || "unknown"}${record.deployer ? ` by ${record.deployer}` : ""}`,
+        `  Block: ${record.blockNumber ?? "unknown"}`,
+        `  Commit: ${record.gitCommit ? record.gitCommit.slice(0, 10) + (record.gitDirty ? " (with local changes)" : "") : "unknown"}`,
+        `  ABI Hash: ${record.abiHash || "unknown"}`,
+        `  Compiler: ${record.compiler && record.compiler.version ? record.compiler.version : "unknown"}`,
+        record.imported ? "  Imported: yes" : null,
+    ].filter(Boolean).join("\n");
+}
+
+function main() {
+    const { values: options, positionals } = parseArgs({
+        options: {
+            network: { type: "string" },
+            "chain-id": { type: "string" },
+            tx: { type: "string" },
+            block: { type: "string" },
+            history: { type: "boolean", default: false },
+            json: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+        allowPositionals: true,
+        strict: true,
+    });
+
+    const [command, ...rest] = positionals;
+    const print = (value, text) => console.log(options.json ? JSON.stringify(value, null, 2) : text());
+
+    if (options.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    switch (command) {
+        case "list": {
+            const networks = options.network ? [options.network] : registry.listNetworks();
+            const records = networks.flatMap((network) => registry.listDeployments(network));
+            print(records, () => (records.length > 0 ? records.map(formatRecord).join("\n\n") : "No deployments recorded."));
+            return;
+        }
+
+        case "show": {
+            const [contractName] = rest;
+            if (!contractName || !options.network) {
+                throw new Error("show needs a contract name and --network");
+            }
+
+            const records = options.history
+                ? registry.getDeploymentHistory(options.network, contractName)
+                : [registry.getDeployment(options.network, contractName)].filter(Boolean);
+
+            if (records.length === 0) {
+                throw new Error(`No deployment of ${contractName} recorded on ${options.network}`);
+            }
+            print(options.history ? records : records[0], () => records.map(formatRecord).join("\n\n"));
+            return;
+        }
+
+        case "import": {
+            const [contractName, address] = rest;
+            if (!contractName || !address || !options.network) {
+                throw new Error("import needs a contract name, an address and --network");
+            }
+            if (!isAddress(address)) {
+                throw new Error(`Invalid address: ${address}`);
+            }
+
+            const chainId = options["chain-id"] || KNOWN_CHAIN_IDS[options.network];
+            if (!chainId) {
+                throw new Error(`Unknown chain ID for network "${options.network}". Pass --chain-id.`);
+            }
+
+            // The ABI hash, compiler settings and source commit are unknown for deployments
+            // made elsewhere; the local checkout says nothing about them
+            const record = registry.addDeployment(options.network, {
+                contractName,
+                address: getAddress(address),
+                chainId: String(chainId),
+                txHash: options.tx || null,
+                blockNumber: options.block !== undefined ? Number(options.block) : null,
+                timestamp: new Date().toISOString(),
+                imported: true,
+            });
+            print(record, () => `Recorded:\n${formatRecord(record)}`);
+            return;
+        }
+
+        case "address-book": {
+            const book = registry.writeAddressBook();
+            print(book, () => `Wrote deployments/addresses.json (${Object.keys(book).length} network(s))`);
+            return;
+        }
+
+        default:
+            throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
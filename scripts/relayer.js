@@ -0,0 +1,217 @@
+/**
+ * Local gateway relayer for Hardhat networks
+ *
+ * Watches CorporateGovernance for DecryptionRequested events, decrypts the
+ * tallies the gateway was asked for through the mock key store (replaying the
+ * contract's FHE operations on plaintexts, see lib/coprocessor.js), and calls
+ * resolveResolution as the gateway, so closing a resolution completes
+ * offline just like on Sepolia:
+ *
+ *   node scripts/relayer.js --network localhost
+ *
+ * Requests that were missed while the relayer was down are picked up on start.
+ */
+
+const { parseArgs } = require("util");
+
+const USAGE = `Usage: node scripts/relayer.js [options]
+
+Options:
+  --network <name>         Hardhat network to watch (default: HARDHAT_NETWORK or localhost)
+  --contract <address>     Contract address (default: current deployment in deployments/<network>.json)
+  --from-block <n>         First block to scan for requests (default: deployment block)
+  --poll-interval <ms>     Delay between checks for new blocks (default: 2000)
+  --once                   Fulfil pending requests and exit
+  -h, --help               Show this help`;
+
+let args;
+try {
+    args = parseArgs({
+        options: {
+            network: { type: "string" },
+            contract: { type: "string" },
+            "from-block": { type: "string" },
+            "poll-interval": { type: "string", default: "2000" },
+            once: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false },
+        },
+        strict: true,
+    });
+} catch (error) {
+    console.error(error.message);
+    console.error();
+    console.error(USAGE);
+    process.exit(2);
+}
+
+if (args.values.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if (args.values.network) {
+    process.env.HARDHAT_NETWORK = args.values.network;
+} else if (!process.env.HARDHAT_NETWORK) {
+    process.env.HARDHAT_NETWORK = "localhost";
+}
+
+const { ethers } = require("hardhat");
+const { getDeployment, getNetworkName } = require("./lib/deployments");
+const { loadMockKeyStore, saveMockKeyStore } = require("./lib/fhevm");
+const { createMockCoprocessor } = require("./lib/coprocessor");
+const { findDecryptionRequest, fulfilDecryption } = require("./lib/relayer");
+
+function timestamp() {
+    return new Date().toISOString();
+}
+
+function log(message) {
+    console.log(`[${timestamp()}] ${message}`);
+}
+
+// Helper function to load contract
+async function loadContract(options) {
+    const network = await ethers.provider.getNetwork();
+    const networkName = getNetworkName(network);
+
+    if (network.chainId !== 31337n) {
+        throw new Error(
+            `The local relayer only runs against a Hardhat node (chain 31337), not chain ${network.chainId}.\n` +
+            "On Sepolia decryption requests are fulfilled by the Zama gateway."
+        );
+    }
+
+    const deploymentInfo = getDeployment(networkName, "CorporateGovernance");
+
+    if (!options.contract && !deploymentInfo) {
+        throw new Error(
+            `No deployment found for network "${networkName}".\n` +
+            `Please deploy the contract first using: npx hardhat run scripts/deploy.js --network ${networkName}\n` +
+            "or pass the contract address with --contract."
+        );
+    }
+
+    const contractAddress = options.contract || deploymentInfo.address;
+    const contract = await ethers.getContractAt("CorporateGovernance", contractAddress);
+
+    let fromBlock = 0;
+    if (options["from-block"] !== undefined) {
+        if (!/^\d+$/.test(options["from-block"])) {
+            throw new Error(`Invalid --from-block: ${options["from-block"]}`);
+        }
+        fromBlock = Number(options["from-block"]);
+    } else if (deploymentInfo && deploymentInfo.blockNumber && !options.contract) {
+        fromBlock = Number(deploymentInfo.blockNumber);
+    }
+
+    return { contract, contractAddress, networkName, chainId: network.chainId, fromBlock };
+}
+
+// Fulfil one decryption request unless the resolution is already settled
+async function handleRequest(contract, coprocessor, chainId, event) {
+    const { resolutionId, requestId } = event.args;
+    const [, , resolved] = await contract.getResolutionStatus(resolutionId);
+
+    if (resolved) {
+        return;
+    }
+
+    // Re-read the key store: votes may have been cast since the last request
+    const keyStore = loadMockKeyStore(chainId);
+    const receipt = await ethers.provider.getTransactionReceipt(event.transactionHash);
+    const { gatewayAddress, handles } = findDecryptionRequest(receipt);
+    const values = await coprocessor.decrypt(keyStore, handles, receipt.blockNumber);
+    saveMockKeyStore(chainId, keyStore);
+
+    log(`Request ${requestId}: resolution #${resolutionId}, decrypted tally ${values[0]} yes / ${values[1]} no`);
+
+    const callback = await fulfilDecryption(contract, gatewayAddress, requestId, values);
+    log(`Request ${requestId}: resolveResolution sent as gateway ${gatewayAddress} - ${callback.hash}`);
+}
+
+async function main() {
+    const options = args.values;
+    const pollInterval = Number(options["poll-interval"]);
+
+    if (!Number.isInteger(pollInterval) || pollInterval <= 0) {
+        throw new Error(`Invalid --poll-interval: ${options["poll-interval"]}`);
+    }
+
+    const { contract, contractAddress, networkName, chainId, fromBlock } = await loadContract(options);
+    const coprocessor = createMockCoprocessor(ethers.provider, contractAddress, fromBlock);
+
+    console.log("=".repeat(70));
+    console.log("LOCAL GATEWAY RELAYER");
+    console.log("=".repeat(70));
+    console.log(`Network: ${networkName}`);
+    console.log(`Contract: ${contractAddress}`);
+    console.log(`Scanning from block: ${fromBlock}`);
+    console.log("=".repeat(70));
+
+    // Requests that failed (e.g. a vote not in the key store yet) are retried every poll
+    const pending = new Map();
+    const failures = new Map();
+    let nextBlock = fromBlock;
+    let stopping = false;
+
+    const stop = () => {
+        if (!stopping) {
+            log("Stopping relayer...");
+        }
+        stopping = true;
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+
+    while (!stopping) {
+        const latestBlock = await ethers.provider.getBlockNumber();
+
+        if (latestBlock >= nextBlock) {
+            const events = await contract.queryFilter(contract.filters.DecryptionRequested(), nextBlock, latestBlock);
+            for (const event of events) {
+                pending.set(event.args.requestId.toString(), event);
+            }
+            nextBlock = latestBlock + 1;
+        }
+
+        for (const [requestId, event] of pending) {
+            try {
+                await handleRequest(contract, coprocessor, chainId, event);
+                pending.delete(requestId);
+                failures.delete(requestId);
+            } catch (error) {
+                const message = error.reason || error.shortMessage || error.message;
+                // Log each distinct failure once instead of on every poll
+                if (failures.get(requestId) !== message) {
+                    log(`Request ${requestId}: ${message} (will retry)`);
+                    failures.set(requestId, message);
+                }
+            }
+        }
+
+        if (options.once) {
+            break;
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    }
+
+    if (pending.size > 0) {
+        log(`${pending.size} request(s) left unfulfilled`);
+        if (options.once) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+main()
+    .then(() => process.exit())
+    .catch((error) => {
+        console.error();
+        console.error("=".repeat(70));
+        console.error("RELAYER ERROR");
+        console.error("=".repeat(70));
+        console.error(error.message);
+        console.error("=".repeat(70));
+        process.exit(1);
+    });
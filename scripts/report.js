@@ -0,0 +1,98 @@
+/**
+ * Board minutes and audit report
+ *
+ *   node scripts/report.js --network sepolia --output minutes.md
+ *   node scripts/report.js --network sepolia --resolution 3 --format print --output minutes-3.html
+ *
+ * Reads the database kept by scripts/indexer.js, so it works offline: run the
+ * indexer (with --once) first to bring it up to date.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { GovernanceStore, getDatabasePath } = require("./lib/store");
+const { FORMATS, buildMinutes, renderMinutes } = require("./lib/minutes");
+
+const USAGE = `Usage: node scripts/report.js [options]
+
+Options:
+  --network <name>       Network the indexer ran against (default: HARDHAT_NETWORK or localhost)
+  --db <file>            Indexer database (default: data/governance-<network>.db)
+  --resolution <id>      Resolution to include, may be repeated (default: all)
+  --format <format>      md, html or print (A4 print layout for saving as PDF)
+                         (default: from the --output extension, otherwise md)
+  --output <file>        Write the report to a file instead of stdout
+  -h, --help             Show this help`;
+
+const EXTENSION_FORMATS = {
+    ".md": "md",
+    ".markdown": "md",
+    ".html": "html",
+    ".htm": "html",
+};
+
+function main() {
+    const { values: options } = parseArgs({
+        options: {
+            network: { type: "string" },
+            db: { type: "string" },
+            resolution: { type: "string", multiple: true },
+            format: { type: "string" },
+            output: { type: "string" },
+            help: { type: "boolean", short: "h", default: false },
+        },
+        strict: true,
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const networkName = options.network || process.env.HARDHAT_NETWORK || "localhost";
+    const format = options.format
+        || (options.output && EXTENSION_FORMATS[path.extname(options.output).toLowerCase()])
+        || "md";
+
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}". Expected one of: ${FORMATS.join(", ")}`);
+    }
+
+    const resolutionIds = (options.resolution || []).map((id) => {
+        if (!/^\d+$/.test(id)) {
+            throw new Error(`Invalid resolution ID: ${id}`);
+        }
+        return Number(id);
+    });
+
+    const store = new GovernanceStore(options.db || getDatabasePath(networkName), { readonly: true });
+    let report;
+    let count;
+    try {
+        const minutes = buildMinutes(store, { resolutionIds });
+        count = minutes.resolutions.length;
+        report = renderMinutes(minutes, format);
+    } finally {
+        store.close();
+    }
+
+    if (!options.output) {
+        process.stdout.write(report);
+        return;
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    fs.writeFileSync(options.output, report);
+    console.log(`Wrote minutes of ${count} resolution(s) to ${options.output}`);
+    if (format === "print") {
+        console.log("Open it in a browser and print to PDF.");
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
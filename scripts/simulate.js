@@ -1,27 +1,56 @@
-const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const hre = require("hardhat");
+const { ethers, network: hardhatNetwork } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getDeployment, getNetworkName } = require("./lib/deployments");
+const { createFhevm, encryptVote, installFhevmMocks } = require("./lib/fhevm");
+const { createMockCoprocessor } = require("./lib/coprocessor");
+const { findDecryptionRequest, fulfilDecryption } = require("./lib/relayer");
 
 // Helper function to load contract
 async function loadContract() {
     const network = await ethers.provider.getNetwork();
-    const networkName = network.name === "unknown" ? "localhost" : network.name;
-
-    const deploymentsDir = path.join(__dirname, "..", "deployments");
-    const deploymentFilePath = path.join(deploymentsDir, `latest-${networkName}.json`);
+    const networkName = getNetworkName(network);
+    const deploymentInfo = getDeployment(networkName, "CorporateGovernance");
+
+    // The in-process Hardhat network starts empty on every run, so its contract is not recorded
+    if (!deploymentInfo && hardhatNetwork.name === "hardhat") {
+        const CorporateGovernance = await ethers.getContractFactory("CorporateGovernance");
+        const contract = await CorporateGovernance.deploy();
+        await contract.waitForDeployment();
+        const deployTx = contract.deploymentTransaction();
+        const localDeployment = {
+            address: await contract.getAddress(),
+            blockNumber: (await deployTx.wait()).blockNumber,
+        };
+        return { contract, deploymentInfo: localDeployment, networkName: hardhatNetwork.name, chainId: network.chainId };
+    }
 
-    if (!fs.existsSync(deploymentFilePath)) {
+    if (!deploymentInfo) {
         throw new Error(
             `No deployment found for network "${networkName}".\n` +
             `Please deploy the contract first using: npx hardhat run scripts/deploy.js --network ${networkName}`
         );
     }
 
-    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFilePath, "utf8"));
     const CorporateGovernance = await ethers.getContractFactory("CorporateGovernance");
-    const contract = CorporateGovernance.attach(deploymentInfo.contractAddress);
+    const contract = CorporateGovernance.attach(deploymentInfo.address);
 
-    return { contract, deploymentInfo, networkName };
+    return { contract, deploymentInfo, networkName, chainId: network.chainId };
+}
+
+// Helper function to find an event in a transaction receipt
+function findEvent(contract, receipt, name) {
+    for (const log of receipt.logs) {
+        try {
+            const parsed = contract.interface.parseLog(log);
+            if (parsed && parsed.name === name) {
+                return parsed;
+            }
+        } catch {
+            // Log from another contract (e.g. the gateway)
+        }
+    }
+    return null;
 }
 
 // Helper function to wait
@@ -38,8 +67,27 @@ async function main() {
 
     // Load contract
     console.log("Loading contract...");
-    const { contract, deploymentInfo, networkName } = await loadContract();
-    console.log(`Connected to contract on ${networkName}: ${deploymentInfo.contractAddress}`);
+    const { contract, deploymentInfo, networkName, chainId } = await loadContract();
+    console.log(`Connected to contract on ${networkName}: ${deploymentInfo.address}`);
+
+    // Time travel and the stand-in relayer need a Hardhat node
+    if (chainId !== 31337n) {
+        throw new Error(
+            `The simulation runs on a local Hardhat node (chain 31337), not chain ${chainId}.\n` +
+            "Run it with: npx hardhat run scripts/simulate.js --network localhost"
+        );
+    }
+
+    // No-op when deploy.js already installed them on this node
+    if (await installFhevmMocks(hre)) {
+        console.log("Installed the fhevm mock contracts (ACL, TFHE executor, KMS verifier, gateway)");
+    }
+
+    const fhevm = await createFhevm(hardhatNetwork, chainId);
+    const contractAddress = await contract.getAddress();
+    // Plaintexts of the contract's ciphertexts for the local gateway stand-in
+    const coprocessor = createMockCoprocessor(ethers.provider, contractAddress, Number(deploymentInfo.blockNumber) || 0);
+    console.log(`FHE backend: ${fhevm.backend}`);
     console.log();
 
     // Get signers
@@ -76,23 +124,19 @@ async function main() {
         { signer: member4, name: "David Brown", position: "General Counsel", votingPower: 2 }
     ];
 
+    // Every later step depends on the board, so any failure ends the simulation
     for (const member of boardMembers) {
         console.log(`Adding: ${member.name} (${member.position})`);
-        try {
-            const tx = await contract.connect(chairperson).addBoardMember(
-                await member.signer.getAddress(),
-                member.name,
-                member.position,
-                member.votingPower
-            );
-            console.log(`  Transaction: ${tx.hash}`);
-            await tx.wait();
-            console.log(`  Status: Success`);
-            console.log();
-        } catch (error) {
-            console.error(`  Error: ${error.message}`);
-            console.log();
-        }
+        const tx = await contract.connect(chairperson).addBoardMember(
+            await member.signer.getAddress(),
+            member.name,
+            member.position,
+            member.votingPower
+        );
+        console.log(`  Transaction: ${tx.hash}`);
+        await tx.wait();
+        console.log(`  Status: Success`);
+        console.log();
     }
 
     // Check total voting power
@@ -140,38 +184,24 @@ async function main() {
         console.log(`  Required Quorum: ${res.quorum}`);
         console.log(`  Creator: ${await res.creator.getAddress()}`);
 
-        try {
-            const tx = await contract.connect(res.creator).createResolution(
-                res.title,
-                res.description,
-                res.quorum
-            );
-            console.log(`  Transaction: ${tx.hash}`);
+        const tx = await contract.connect(res.creator).createResolution(
+            res.title,
+            res.description,
+            res.quorum
+        );
+        console.log(`  Transaction: ${tx.hash}`);
 
-            const receipt = await tx.wait();
+        const receipt = await tx.wait();
+        const created = findEvent(contract, receipt, "ResolutionCreated");
 
-            // Find the ResolutionCreated event
-            const event = receipt.logs.find(log => {
-                try {
-                    const parsed = contract.interface.parseLog(log);
-                    return parsed.name === "ResolutionCreated";
-                } catch {
-                    return false;
-                }
-            });
-
-            if (event) {
-                const parsed = contract.interface.parseLog(event);
-                const resolutionId = parsed.args[0].toString();
-                createdResolutionIds.push(resolutionId);
-                console.log(`  Resolution ID: ${resolutionId}`);
-                console.log(`  Status: Success`);
-            } else {
-                console.log(`  Status: Success (ID not found in events)`);
-            }
-        } catch (error) {
-            console.error(`  Error: ${error.message}`);
+        if (!created) {
+            throw new Error(`Resolution "${res.title}" was mined without a ResolutionCreated event`);
         }
+
+        const resolutionId = created.args.resolutionId.toString();
+        createdResolutionIds.push(resolutionId);
+        console.log(`  Resolution ID: ${resolutionId}`);
+        console.log(`  Status: Success`);
         console.log();
     }
 
@@ -190,140 +220,209 @@ async function main() {
     console.log();
 
     for (let i = 0; i < resolutionCount; i++) {
-        try {
-            const [id, title, description, startTime, endTime, active, creator, requiredQuorum] =
-                await contract.getResolution(i);
-
-            console.log(`Resolution #${id}:`);
-            console.log(`  Title: ${title}`);
-            console.log(`  Description: ${description}`);
-            console.log(`  Creator: ${creator}`);
-            console.log(`  Active: ${active}`);
-            console.log(`  Start: ${new Date(Number(startTime) * 1000).toLocaleString()}`);
-            console.log(`  End: ${new Date(Number(endTime) * 1000).toLocaleString()}`);
-            console.log(`  Required Quorum: ${requiredQuorum}`);
-            console.log("-".repeat(70));
-        } catch (error) {
-            console.error(`Error fetching resolution ${i}:`, error.message);
-        }
+        const [id, title, description, startTime, endTime, active, creator, requiredQuorum] =
+            await contract.getResolution(i);
+
+        console.log(`Resolution #${id}:`);
+        console.log(`  Title: ${title}`);
+        console.log(`  Description: ${description}`);
+        console.log(`  Creator: ${creator}`);
+        console.log(`  Active: ${active}`);
+        console.log(`  Start: ${new Date(Number(startTime) * 1000).toLocaleString()}`);
+        console.log(`  End: ${new Date(Number(endTime) * 1000).toLocaleString()}`);
+        console.log(`  Required Quorum: ${requiredQuorum}`);
+        console.log("-".repeat(70));
     }
     console.log();
 
     await sleep(1000);
 
-    // STEP 4: Simulate Voting (Note: This requires FHE setup)
+    // STEP 4: Cast Encrypted Votes
     console.log("=".repeat(70));
-    console.log("STEP 4: SIMULATING VOTES");
+    console.log("STEP 4: CASTING ENCRYPTED VOTES");
     console.log("=".repeat(70));
     console.log();
-    console.log("NOTE: Encrypted voting requires FHE (Fully Homomorphic Encryption) setup.");
-    console.log("This simulation will demonstrate the vote casting interface.");
-    console.log("For actual encrypted voting, you need:");
-    console.log("  1. FHEVM-compatible network (e.g., Zama's testnet)");
-    console.log("  2. FHE encryption setup");
-    console.log("  3. Proper encryption keys");
+    console.log("Each vote is encrypted with the FHEVM SDK and submitted with castVote.");
+    console.log("The contract only ever sees ciphertexts; tallies stay encrypted until closing.");
     console.log();
-    console.log("Voting Pattern (if FHE was enabled):");
-    console.log("-".repeat(70));
+
+    const voters = {
+        "Chairperson": { signer: chairperson, power: 1 },
+        "Alice (CFO)": { signer: member1, power: 3 },
+        "Bob (CTO)": { signer: member2, power: 3 },
+        "Carol (COO)": { signer: member3, power: 2 },
+        "David (Legal)": { signer: member4, power: 2 },
+    };
 
     const votingScenarios = [
         {
-            resolutionId: 0,
             title: "Annual Budget 2024",
             votes: [
-                { voter: "Chairperson", vote: "YES", power: 1 },
-                { voter: "Alice (CFO)", vote: "YES", power: 3 },
-                { voter: "Bob (CTO)", vote: "YES", power: 3 },
-                { voter: "Carol (COO)", vote: "NO", power: 2 },
+                { voter: "Chairperson", vote: "YES" },
+                { voter: "Alice (CFO)", vote: "YES" },
+                { voter: "Bob (CTO)", vote: "YES" },
+                { voter: "Carol (COO)", vote: "NO" },
             ]
         },
         {
-            resolutionId: 1,
             title: "European Expansion",
             votes: [
-                { voter: "Chairperson", vote: "YES", power: 1 },
-                { voter: "Alice (CFO)", vote: "YES", power: 3 },
-                { voter: "Bob (CTO)", vote: "NO", power: 3 },
-                { voter: "Carol (COO)", vote: "YES", power: 2 },
-                { voter: "David (Legal)", vote: "NO", power: 2 },
+                { voter: "Chairperson", vote: "YES" },
+                { voter: "Alice (CFO)", vote: "YES" },
+                { voter: "Bob (CTO)", vote: "NO" },
+                { voter: "Carol (COO)", vote: "YES" },
+                { voter: "David (Legal)", vote: "NO" },
             ]
         },
         {
-            resolutionId: 2,
             title: "Executive Compensation",
             votes: [
-                { voter: "Chairperson", vote: "YES", power: 1 },
-                { voter: "Alice (CFO)", vote: "YES", power: 3 },
-                { voter: "Bob (CTO)", vote: "YES", power: 3 },
-                { voter: "Carol (COO)", vote: "YES", power: 2 },
-                { voter: "David (Legal)", vote: "YES", power: 2 },
+                { voter: "Chairperson", vote: "YES" },
+                { voter: "Alice (CFO)", vote: "YES" },
+                { voter: "Bob (CTO)", vote: "YES" },
+                { voter: "Carol (COO)", vote: "YES" },
+                { voter: "David (Legal)", vote: "YES" },
             ]
         }
     ];
 
+    // Expected tallies come from the plan alone: each planned vote times the voter's power
     for (const scenario of votingScenarios) {
-        console.log(`Resolution #${scenario.resolutionId}: ${scenario.title}`);
-
-        let yesTotal = 0;
-        let noTotal = 0;
-
+        scenario.expectedYes = 0;
+        scenario.expectedNo = 0;
         for (const vote of scenario.votes) {
-            console.log(`  ${vote.voter}: ${vote.vote} (Power: ${vote.power})`);
             if (vote.vote === "YES") {
-                yesTotal += vote.power;
+                scenario.expectedYes += voters[vote.voter].power;
             } else {
-                noTotal += vote.power;
+                scenario.expectedNo += voters[vote.voter].power;
             }
         }
+    }
 
-        console.log(`  ---`);
-        console.log(`  Total YES: ${yesTotal}`);
-        console.log(`  Total NO: ${noTotal}`);
-        console.log(`  Result: ${yesTotal > noTotal ? "PASSED" : "FAILED"}`);
+    for (let i = 0; i < votingScenarios.length; i++) {
+        const scenario = votingScenarios[i];
+        scenario.resolutionId = createdResolutionIds[i];
+
+        console.log(`Resolution #${scenario.resolutionId}: ${scenario.title}`);
+
+        for (const vote of scenario.votes) {
+            const { signer, power } = voters[vote.voter];
+            const { handle, inputProof } = await encryptVote(
+                fhevm,
+                contractAddress,
+                await signer.getAddress(),
+                vote.vote === "YES"
+            );
+
+            const tx = await contract.connect(signer).castVote(scenario.resolutionId, handle, inputProof);
+            const receipt = await tx.wait();
+
+            if (!findEvent(contract, receipt, "VoteCast")) {
+                throw new Error(`Vote by ${vote.voter} was mined without a VoteCast event`);
+            }
+
+            console.log(`  ${vote.voter}: ${vote.vote} (Power: ${power}) - ${tx.hash}`);
+        }
         console.log("-".repeat(70));
     }
     console.log();
 
-    console.log("In production with FHE:");
-    console.log("- Votes would be encrypted on-chain");
-    console.log("- Only aggregated results visible after resolution closes");
-    console.log("- Individual votes remain private");
-    console.log("- Decryption happens through FHE Gateway");
+    // STEP 5: Close Resolutions and Reveal Results
+    console.log("=".repeat(70));
+    console.log("STEP 5: CLOSING RESOLUTIONS AND REVEALING RESULTS");
+    console.log("=".repeat(70));
     console.log();
 
-    await sleep(1000);
+    const votingDuration = await contract.VOTING_DURATION();
+    await time.increase(votingDuration + 1n);
+    console.log(`Advanced time by ${votingDuration} seconds - voting periods have ended.`);
+    console.log();
+
+    // The last resolution is left without a gateway response for step 6
+    const revealedScenarios = votingScenarios.slice(0, -1);
+    const timeoutScenario = votingScenarios[votingScenarios.length - 1];
+    const results = [];
+
+    for (const scenario of revealedScenarios) {
+        console.log(`Resolution #${scenario.resolutionId}: ${scenario.title}`);
+
+        const tx = await contract.connect(chairperson).closeResolution(scenario.resolutionId);
+        const receipt = await tx.wait();
+        const requested = findEvent(contract, receipt, "DecryptionRequested");
+        if (!requested) {
+            throw new Error(`Closing resolution #${scenario.resolutionId} did not request decryption`);
+        }
+        const requestId = requested.args.requestId;
+        console.log(`  Closed: ${tx.hash}`);
+        console.log(`  Decryption Request ID: ${requestId}`);
+
+        // Local stand-in relayer: decrypt the requested tally and call back as the gateway
+        const { gatewayAddress, handles } = findDecryptionRequest(receipt);
+        const values = await coprocessor.decrypt(fhevm.keyStore, handles, receipt.blockNumber);
+        const callback = await fulfilDecryption(contract, gatewayAddress, requestId, values);
+        const resolved = findEvent(contract, callback, "ResolutionResolved");
+        if (!resolved) {
+            throw new Error(`Gateway callback ${callback.hash} did not resolve resolution #${scenario.resolutionId}`);
+        }
+        console.log(`  Gateway Callback: ${callback.hash}`);
+
+        // The tally stored by resolveResolution, not the values the relayer sent
+        const [, , , , , , , , stored, yesVotes, noVotes] = await contract.getResolution(scenario.resolutionId);
+        if (!stored) {
+            throw new Error(`Resolution #${scenario.resolutionId} is not resolved after the gateway callback`);
+        }
+        const { passed } = resolved.args;
+        const matches = Number(yesVotes) === scenario.expectedYes && Number(noVotes) === scenario.expectedNo;
+
+        console.log(`  ---`);
+        console.log(`  Revealed YES: ${yesVotes}`);
+        console.log(`  Revealed NO: ${noVotes}`);
+        console.log(`  Expected: ${scenario.expectedYes} YES / ${scenario.expectedNo} NO ${matches ? "(match)" : "(MISMATCH)"}`);
+        console.log(`  Result: ${passed ? "PASSED" : "FAILED"}`);
+        console.log("-".repeat(70));
 
-    // STEP 5: Close Resolutions (if possible)
+        results.push({ scenario, passed, matches });
+    }
+    console.log();
+
+    // STEP 6: Decryption Timeout
     console.log("=".repeat(70));
-    console.log("STEP 5: CLOSING RESOLUTIONS");
+    console.log("STEP 6: HANDLING A DECRYPTION TIMEOUT");
     console.log("=".repeat(70));
     console.log();
-    console.log("NOTE: Resolutions can only be closed after voting period ends");
-    console.log("or by the resolution creator.");
-    console.log();
-    console.log("To close a resolution in production:");
-    console.log("  1. Wait for voting period to end (7 days by default)");
-    console.log("  2. Call closeResolution(resolutionId)");
-    console.log("  3. Results will be decrypted via FHE Gateway");
+
+    const creator = resolutions[votingScenarios.indexOf(timeoutScenario)].creator;
+    console.log(`Resolution #${timeoutScenario.resolutionId}: ${timeoutScenario.title}`);
+
+    const closeTx = await contract.connect(creator).closeResolution(timeoutScenario.resolutionId);
+    await closeTx.wait();
+    console.log(`  Closed: ${closeTx.hash}`);
+    console.log(`  The gateway never answers this request.`);
+
+    const decryptionTimeout = await contract.DECRYPTION_TIMEOUT();
+    await time.increase(decryptionTimeout);
+    console.log(`  Advanced time by ${decryptionTimeout} seconds.`);
+
+    const timeoutTx = await contract.connect(creator).handleDecryptionTimeout(timeoutScenario.resolutionId);
+    const timeoutReceipt = await timeoutTx.wait();
+    const timedOut = findEvent(contract, timeoutReceipt, "DecryptionTimeout");
+    const [, , , , , active, , , resolved, yesVotes, noVotes] =
+        await contract.getResolution(timeoutScenario.resolutionId);
+
+    console.log(`  handleDecryptionTimeout: ${timeoutTx.hash}`);
+    console.log(`  DecryptionTimeout Event: ${timedOut ? "emitted" : "missing"}`);
+    console.log(`  Active: ${active}, Resolved: ${resolved}`);
+    console.log(`  Recorded Tally: ${yesVotes} YES / ${noVotes} NO`);
+    console.log(`  Result: FAILED (decryption timed out)`);
+    console.log("-".repeat(70));
     console.log();
 
-    // Try to close as creator (should work)
-    if (createdResolutionIds.length > 0) {
-        const resId = createdResolutionIds[0];
-        console.log(`Attempting to close Resolution #${resId} as creator...`);
-        try {
-            const tx = await contract.connect(chairperson).closeResolution(resId);
-            console.log(`  Transaction: ${tx.hash}`);
-            await tx.wait();
-            console.log(`  Status: Success`);
-            console.log(`  Resolution closed successfully`);
-        } catch (error) {
-            console.log(`  Note: ${error.message}`);
-            console.log(`  This is expected if FHE Gateway is not available`);
-        }
+    // A run that settled fewer resolutions than planned must not pass as complete
+    const settled = results.length + (timedOut && resolved ? 1 : 0);
+    if (settled !== resolutions.length) {
+        throw new Error(`Only ${settled} of ${resolutions.length} resolutions were settled`);
     }
 
-    console.log();
     console.log("=".repeat(70));
     console.log("SIMULATION COMPLETE");
     console.log("=".repeat(70));
@@ -332,21 +431,21 @@ async function main() {
     // Final Summary
     console.log("Summary:");
     console.log("-".repeat(70));
-    console.log(`Contract Address: ${deploymentInfo.contractAddress}`);
+    console.log(`Contract Address: ${deploymentInfo.address}`);
     console.log(`Network: ${networkName}`);
     console.log(`Total Board Members: 5 (including chairperson)`);
     console.log(`Total Voting Power: ${totalVotingPower}`);
-    console.log(`Resolutions Created: ${resolutionCount}`);
+    console.log(`Resolutions Created: ${createdResolutionIds.length}`);
+    for (const { scenario, passed, matches } of results) {
+        console.log(`  #${scenario.resolutionId} ${scenario.title}: ${passed ? "PASSED" : "FAILED"}${matches ? "" : " (tally mismatch)"}`);
+    }
+    console.log(`  #${timeoutScenario.resolutionId} ${timeoutScenario.title}: FAILED (decryption timeout)`);
     console.log("-".repeat(70));
     console.log();
 
-    console.log("Next Steps:");
-    console.log("-".repeat(70));
-    console.log("1. For encrypted voting, deploy to FHE-compatible network");
-    console.log("2. Use interact.js to manually interact with the contract");
-    console.log("3. Wait for voting periods to expire to close resolutions");
-    console.log("4. View results after decryption");
-    console.log("=".repeat(70));
+    if (results.some((result) => !result.matches)) {
+        throw new Error("Revealed tallies do not match the votes cast");
+    }
 }
 
 main()
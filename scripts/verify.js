@@ -1,6 +1,235 @@
-const { run } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+/**
+ * Verify registered deployments
+ *
+ *   node scripts/verify.js [--network <name>] [--contract <name> ...] [--dry-run]
+ *
+ * Verifies the current deployment of every contract recorded for the network
+ * in deployments/<network>.json on Etherscan, using the source file and
+ * constructor arguments stored with each record. With --dry-run, and always
+ * on local networks, the compiled bytecode is compared with the on-chain code
+ * instead, without contacting Etherscan.
+ */
+
+const { parseArgs } = require("util");
+
+const USAGE = `Usage: node scripts/verify.js [options]
+
+Options:
+  --network <name>        Network from hardhat.config.js (default: HARDHAT_NETWORK or localhost)
+  --contract <name>       Contract to verify, may be repeated (default: every contract in the registry)
+  --version <n>           Registry version to verify instead of the current one (needs a single --contract)
+  --dry-run               Compare compiled and on-chain bytecode instead of submitting to Etherscan
+  --retries <n>           Attempts per contract on rate limits and unindexed contracts (default: 5)
+  --retry-delay <ms>      Delay before the first retry, doubled on each attempt (default: 5000)
+  -h, --help              Show this help
+
+Exit codes: 0 when every contract is verified or matches, 1 otherwise, 2 on invalid usage.`;
+
+const OPTIONS = {
+    network: { type: "string" },
+    contract: { type: "string", multiple: true },
+    version: { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    retries: { type: "string", default: "5" },
+    "retry-delay": { type: "string", default: "5000" },
+    help: { type: "boolean", short: "h", default: false },
+};
+
+function exitWithUsage(message) {
+    console.error(message);
+    console.error();
+    console.error(USAGE);
+    process.exit(2);
+}
+
+// Hardhat reads the network at load time, so arguments are parsed first
+let args;
+try {
+    args = parseArgs({ options: OPTIONS, allowPositionals: false, strict: true });
+} catch (error) {
+    exitWithUsage(error.message);
+}
+
+const options = args.values;
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+for (const name of ["version", "retries", "retry-delay"]) {
+    if (options[name] !== undefined && !/^\d+$/.test(options[name])) {
+        exitWithUsage(`Invalid --${name}: ${options[name]} (expected a non-negative integer)`);
+    }
+}
+
+if (options.version !== undefined && (!options.contract || options.contract.length !== 1)) {
+    exitWithUsage("--version needs exactly one --contract");
+}
+
+if (options.network) {
+    process.env.HARDHAT_NETWORK = options.network;
+} else if (!process.env.HARDHAT_NETWORK) {
+    process.env.HARDHAT_NETWORK = "localhost";
+}
+
+const hre = require("hardhat");
+const { ethers, run } = hre;
+const { getDeployment, getNetworkName, listDeployments } = require("./lib/deployments");
+
+const LOCAL_NETWORKS = ["localhost", "hardhat"];
+
+// Etherscan answers that are worth waiting for
+const RETRYABLE_ERRORS = [
+    /rate limit/i,
+    /too many requests/i,
+    /does not have bytecode/i,
+    /unable to locate contract ?code/i,
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Registry records to verify: the selected contracts, or everything on the network
+function selectDeployments(networkName) {
+    if (options.contract) {
+        return options.contract.map((contractName) => {
+            const record = getDeployment(networkName, contractName, options.version);
+            if (!record) {
+                const version = options.version !== undefined ? ` version ${options.version}` : "";
+                throw new Error(`No ${contractName}${version} deployment recorded for network "${networkName}"`);
+            }
+            return record;
+        });
+    }
+
+    const records = listDeployments(networkName);
+
+    // Deployments written before the registry existed
+    if (records.length === 0) {
+        const legacy = getDeployment(networkName, "CorporateGovernance");
+        return legacy ? [legacy] : [];
+    }
+    return records;
+}
+
+// Imported records do not know their source file, so take it from the artifact
+async function resolveFullyQualifiedName(record) {
+    const sourceName = record.sourceName || (await hre.artifacts.readArtifact(record.contractName)).sourceName;
+    return `${sourceName}:${record.contractName}`;
+}
+
+/**
+ * Remove the CBOR metadata Solidity appends to runtime code
+ *
+ * Its length is stored in the last two bytes. The metadata hash changes with
+ * comments and file paths, so code can match apart from it.
+ */
+function stripMetadata(bytecode) {
+    const code = ethers.getBytes(bytecode);
+    if (code.length < 2) {
+        return code;
+    }
+
+    const metadataLength = (code[code.length - 2] << 8) + code[code.length - 1];
+    return metadataLength + 2 <= code.length ? code.slice(0, code.length - metadataLength - 2) : code;
+}
+
+// Zero the immutable slots, which are only filled in at deployment
+function maskImmutables(code, immutableReferences) {
+    const masked = Uint8Array.from(code);
+    for (const references of Object.values(immutableReferences || {})) {
+        for (const { start, length } of references) {
+            masked.fill(0, start, start + length);
+        }
+    }
+    return masked;
+}
+
+/**
+ * Compare the compiled runtime code of a record with the code at its address
+ */
+async function compareBytecode(record, fullyQualifiedName) {
+    const artifact = await hre.artifacts.readArtifact(fullyQualifiedName);
+    const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+    const output = buildInfo ? buildInfo.output.contracts[artifact.sourceName][artifact.contractName] : null;
+    const immutableReferences = output ? output.evm.deployedBytecode.immutableReferences : {};
+
+    const onchain = await ethers.provider.getCode(record.address);
+    if (onchain === "0x") {
+        return { status: "failed", detail: `no code at ${record.address}` };
+    }
+
+    const compiled = maskImmutables(ethers.getBytes(artifact.deployedBytecode), immutableReferences);
+    const deployed = maskImmutables(ethers.getBytes(onchain), immutableReferences);
+    const notes = [];
+
+    if (record.bytecodeHash && record.bytecodeHash !== ethers.keccak256(artifact.deployedBytecode)) {
+        notes.push("artifact changed since deployment");
+    }
+
+    if (ethers.hexlify(compiled) === ethers.hexlify(deployed)) {
+        return { status: "match", detail: ["runtime code matches", ...notes].join("; ") };
+    }
+    if (ethers.hexlify(stripMetadata(compiled)) === ethers.hexlify(stripMetadata(deployed))) {
+        return { status: "match", detail: ["runtime code matches apart from the metadata hash", ...notes].join("; ") };
+    }
+    return {
+        status: "failed",
+        detail: [`runtime code differs (compiled ${compiled.length} bytes, on-chain ${deployed.length} bytes)`, ...notes].join("; "),
+    };
+}
+
+/**
+ * Submit a record to Etherscan, retrying on rate limits and unindexed contracts
+ */
+async function verifyOnEtherscan(record, fullyQualifiedName) {
+    const attempts = Number(options.retries) || 1;
+    let delay = Number(options["retry-delay"]);
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await run("verify:verify", {
+                address: record.address,
+                constructorArguments: record.constructorArgs || [],
+                contract: fullyQualifiedName,
+            });
+            return { status: "verified", detail: record.explorerUrl || "" };
+        } catch (error) {
+            if (/already verified/i.test(error.message)) {
+                return { status: "already verified", detail: record.explorerUrl || "" };
+            }
+
+            const retryable = RETRYABLE_ERRORS.some((pattern) => pattern.test(error.message));
+            if (!retryable || attempt >= attempts) {
+                return { status: "failed", detail: error.message };
+            }
+
+            console.log(`  Attempt ${attempt}/${attempts} failed: ${error.message.split("\n")[0]}`);
+            console.log(`  Retrying in ${delay / 1000}s...`);
+            await sleep(delay);
+            delay *= 2;
+        }
+    }
+}
+
+function printFailureHelp(results) {
+    const messages = results.filter((result) => result.status === "failed").map((result) => result.detail).join("\n");
+
+    console.error();
+    console.error("Common issues:");
+    if (/api key/i.test(messages)) {
+        console.error("- Etherscan API key is missing or invalid. Set ETHERSCAN_API_KEY in your .env file");
+        console.error("  (get one from https://etherscan.io/myapikey)");
+    }
+    if (/does not have bytecode|no code at/i.test(messages)) {
+        console.error("- The address does not contain a deployed contract. Check the registry and the network");
+    }
+    if (/differs/i.test(messages)) {
+        console.error("- The sources changed since deployment. Check out the recorded commit and recompile");
+    }
+    console.error("- Wait a few minutes after deployment before verifying");
+    console.error("- Verify you're using the correct network");
+}
 
 async function main() {
     console.log("=".repeat(70));
@@ -10,110 +239,70 @@ async function main() {
 
     // Get network information
     const network = await ethers.provider.getNetwork();
-    const networkName = network.name === "unknown" ? "localhost" : network.name;
+    const networkName = getNetworkName(network);
+    const local = LOCAL_NETWORKS.includes(networkName);
+    const dryRun = options["dry-run"] || local;
 
     console.log(`Network: ${networkName}`);
-    console.log();
-
-    // Check if verification is supported for this network
-    if (networkName === "localhost" || networkName === "hardhat") {
-        console.log("Contract verification is not available for local networks.");
-        console.log("Deploy to a public testnet (e.g., Sepolia) to verify contracts.");
-        return;
+    if (local && !options["dry-run"]) {
+        console.log("Etherscan is not available for local networks; comparing bytecode instead.");
+    } else if (dryRun) {
+        console.log("Dry run: comparing bytecode, Etherscan is not contacted.");
     }
+    console.log();
 
-    // Load deployment info
-    const deploymentsDir = path.join(__dirname, "..", "deployments");
-    const deploymentFilePath = path.join(deploymentsDir, `latest-${networkName}.json`);
-
-    if (!fs.existsSync(deploymentFilePath)) {
+    const records = selectDeployments(networkName);
+    if (records.length === 0) {
         throw new Error(
-            `No deployment found for network "${networkName}".\n` +
-            `Expected file: ${deploymentFilePath}\n` +
+            `No deployments recorded for network "${networkName}" in deployments/${networkName}.json\n` +
             `Please deploy the contract first using: npx hardhat run scripts/deploy.js --network ${networkName}`
         );
     }
 
-    console.log("Loading Deployment Info...");
-    console.log("-".repeat(70));
-    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFilePath, "utf8"));
-
-    console.log(`Contract: ${deploymentInfo.contractName}`);
-    console.log(`Address: ${deploymentInfo.contractAddress}`);
-    console.log(`Network: ${deploymentInfo.network}`);
-    console.log(`Deployed: ${deploymentInfo.timestamp}`);
-    console.log();
+    if (dryRun) {
+        await run("compile", { quiet: true });
+    }
 
-    // Verify the contract
-    console.log("Verifying Contract on Etherscan...");
-    console.log("-".repeat(70));
+    const results = [];
+    for (const record of records) {
+        console.log(`${record.contractName} v${record.version} at ${record.address}`);
+        console.log("-".repeat(70));
+        console.log(`Deployed: ${record.timestamp || "unknown"}`);
+        if (record.gitCommit) {
+            console.log(`Commit: ${record.gitCommit}${record.gitDirty ? " (with local changes)" : ""}`);
+        }
+        if (record.constructorArgs && record.constructorArgs.length > 0) {
+            console.log(`Constructor arguments: ${JSON.stringify(record.constructorArgs)}`);
+        }
 
-    try {
-        await run("verify:verify", {
-            address: deploymentInfo.contractAddress,
-            constructorArguments: [], // CorporateGovernance has no constructor arguments
-            contract: "contracts/CorporateGovernance.sol:CorporateGovernance"
-        });
+        let result;
+        try {
+            const fullyQualifiedName = await resolveFullyQualifiedName(record);
+            result = dryRun
+                ? await compareBytecode(record, fullyQualifiedName)
+                : await verifyOnEtherscan(record, fullyQualifiedName);
+        } catch (error) {
+            result = { status: "failed", detail: error.message };
+        }
 
+        console.log(`Result: ${result.status}${result.detail ? ` - ${result.detail}` : ""}`);
         console.log();
-        console.log("=".repeat(70));
-        console.log("VERIFICATION SUCCESSFUL");
-        console.log("=".repeat(70));
-        console.log();
-        console.log(`Contract verified successfully!`);
-        console.log(`View on Etherscan: ${deploymentInfo.explorerUrl}`);
-        console.log("=".repeat(70));
-
-    } catch (error) {
-        // Handle common verification errors gracefully
-        if (error.message.includes("Already Verified")) {
-            console.log();
-            console.log("=".repeat(70));
-            console.log("ALREADY VERIFIED");
-            console.log("=".repeat(70));
-            console.log();
-            console.log("This contract has already been verified on Etherscan.");
-            console.log(`View on Etherscan: ${deploymentInfo.explorerUrl}`);
-            console.log("=".repeat(70));
-        } else if (error.message.includes("API key")) {
-            console.error();
-            console.error("=".repeat(70));
-            console.error("VERIFICATION FAILED - API KEY MISSING");
-            console.error("=".repeat(70));
-            console.error();
-            console.error("Etherscan API key is missing or invalid.");
-            console.error("Please set ETHERSCAN_API_KEY in your .env file.");
-            console.error();
-            console.error("Get your API key from:");
-            console.error("https://etherscan.io/myapikey");
-            console.error("=".repeat(70));
-            process.exit(1);
-        } else if (error.message.includes("does not have bytecode")) {
-            console.error();
-            console.error("=".repeat(70));
-            console.error("VERIFICATION FAILED - INVALID CONTRACT");
-            console.error("=".repeat(70));
-            console.error();
-            console.error("The address does not contain a deployed contract.");
-            console.error("Please check the contract address and network.");
-            console.error("=".repeat(70));
-            process.exit(1);
-        } else {
-            console.error();
-            console.error("=".repeat(70));
-            console.error("VERIFICATION FAILED");
-            console.error("=".repeat(70));
-            console.error();
-            console.error(error.message);
-            console.error();
-            console.error("Common issues:");
-            console.error("1. Make sure ETHERSCAN_API_KEY is set in .env");
-            console.error("2. Wait a few minutes after deployment before verifying");
-            console.error("3. Check that the contract was deployed successfully");
-            console.error("4. Verify you're using the correct network");
-            console.error("=".repeat(70));
-            process.exit(1);
-        }
+        results.push({ contractName: record.contractName, version: record.version, address: record.address, ...result });
+    }
+
+    const failed = results.filter((result) => result.status === "failed");
+
+    console.log("=".repeat(70));
+    console.log(failed.length === 0 ? "VERIFICATION SUCCESSFUL" : "VERIFICATION FAILED");
+    console.log("=".repeat(70));
+    for (const result of results) {
+        console.log(`${result.contractName.padEnd(28)} v${String(result.version).padEnd(4)} ${result.status}`);
+    }
+    console.log("=".repeat(70));
+
+    if (failed.length > 0) {
+        printFailureHelp(results);
+        process.exit(1);
     }
 }
 
@@ -124,7 +313,7 @@ main()
         console.error("=".repeat(70));
         console.error("VERIFICATION ERROR");
         console.error("=".repeat(70));
-        console.error(error);
+        console.error(error.message);
         console.error("=".repeat(70));
         process.exit(1);
     });
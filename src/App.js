@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
+import { SEPOLIA_CHAIN, normalizeTransactionError, sendTransaction, useWallet } from '@fhevm/sdk';
 import './App.css';
 
-// Contract configuration
-const CONTRACT_ADDRESS = "0x7eA6E43F5131c69536fd97e9Ea267eA14B20061b"; // Privacy Asset Trading Contract
+// Contract configuration - the address comes from the deployment registry's address book
+const DEPLOYMENT_NETWORK = 'sepolia';
+const CONTRACT_NAME = 'PrivacyAssetTrading';
 const CONTRACT_ABI = [
   "function placeOrder(string memory pair, bool isLong, uint32 amount, uint32 price) external returns (uint256)",
   "function quickBuy(string memory pair, uint32 amount) external returns (uint256)",
@@ -19,10 +21,48 @@ const CONTRACT_ABI = [
   "event QuickTradeExecuted(address indexed trader, string pair, bool isLong)"
 ];
 
+// Trading contract reverts; everything else is mapped by the SDK
+const TRADING_REVERT_REASONS = {
+  'Amount must be positive': 'INVALID_INPUT'
+};
+
+// Shown while sendTransaction waits for the wallet and the chain
+const reportProgress = (setMessage) => ({ status }) => {
+  if (status === 'submitted') {
+    setMessage('Transaction sent! Waiting for confirmation...');
+  }
+};
+
+// Friendly message for a failed trade, keyed on the SDK's error codes
+const describeTradeError = (error, prefix) => {
+  const { code, message } = normalizeTransactionError(error, TRADING_REVERT_REASONS);
+  if (code === 'INVALID_INPUT') {
+    return `❌ Error: ${message}. Please check your input.`;
+  }
+  if (code === 'REVERTED' || code === 'UNKNOWN') {
+    return `❌ ${prefix}: ${message}`;
+  }
+  return `❌ ${message}.`;
+};
+
+// Look up the current contract address in deployments/addresses.json
+const loadContractAddress = async () => {
+  const response = await fetch('/deployments/addresses.json', { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error('Address book not found - deploy the contract or run: node scripts/registry.js address-book');
+  }
+
+  const book = await response.json();
+  const entry = book[DEPLOYMENT_NETWORK]?.contracts?.[CONTRACT_NAME];
+  if (!entry) {
+    throw new Error(`No ${CONTRACT_NAME} deployment recorded for ${DEPLOYMENT_NETWORK}`);
+  }
+  return entry.address;
+};
+
 function App() {
   // State variables
-  const [account, setAccount] = useState('');
-  const [contract, setContract] = useState(null);
+  const [contractAddress, setContractAddress] = useState('');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('Connect wallet to start private trading on Sepolia!');
   const [selectedPair, setSelectedPair] = useState('BTC/ETH');
@@ -34,6 +74,14 @@ function App() {
 
   const availablePairs = ['BTC/ETH', 'ETH/USDT', 'BTC/USDT'];
 
+  // WalletManager switches to Sepolia (adding it if needed) and rebuilds the contract on account or chain changes
+  const wallet = useWallet({
+    chain: SEPOLIA_CHAIN,
+    contracts: contractAddress ? { trading: { address: contractAddress, abi: CONTRACT_ABI } } : {}
+  });
+  const account = wallet.isConnected ? wallet.account : '';
+  const contract = wallet.isConnected ? wallet.contracts.trading ?? null : null;
+
   // Connect wallet
   const connectWallet = async () => {
     try {
@@ -45,49 +93,14 @@ function App() {
       setLoading(true);
       setMessage('Connecting to MetaMask...');
 
-      const accounts = await window.ethereum.request({
-        method: 'eth_requestAccounts'
-      });
-
-      // Check/switch to Sepolia network
-      const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-      if (chainId !== '0xaa36a7') { // Sepolia chain ID
-        try {
-          await window.ethereum.request({
-            method: 'wallet_switchEthereumChain',
-            params: [{ chainId: '0xaa36a7' }],
-          });
-        } catch (switchError) {
-          if (switchError.code === 4902) {
-            await window.ethereum.request({
-              method: 'wallet_addEthereumChain',
-              params: [{
-                chainId: '0xaa36a7',
-                chainName: 'Sepolia Test Network',
-                rpcUrls: ['https://sepolia.infura.io/v3/'],
-                nativeCurrency: {
-                  name: 'ETH',
-                  symbol: 'ETH',
-                  decimals: 18
-                },
-                blockExplorerUrls: ['https://sepolia.etherscan.io/']
-              }]
-            });
-          }
-        }
+      if (!contractAddress) {
+        setContractAddress(await loadContractAddress());
       }
+      await wallet.connect();
 
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const contractInstance = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
-
-      setAccount(accounts[0]);
-      setContract(contractInstance);
+      // Trading data loads once the contract is bound to the signer
       setMessage('Connected to Sepolia! Ready for private trading ✅');
       
-      // Load trading data
-      await loadTradingData(contractInstance, accounts[0]);
-      
     } catch (error) {
       console.error('Wallet connection failed:', error);
       setMessage('Wallet connection failed ❌');
@@ -192,15 +205,10 @@ function App() {
         price: finalPrice
       });
       
-      const tx = await contract.placeOrder(
-        selectedPair,
-        isLong,
-        finalAmount,
-        finalPrice
+      await sendTransaction(
+        () => contract.placeOrder(selectedPair, isLong, finalAmount, finalPrice),
+        { onStatus: reportProgress(setMessage), revertReasons: TRADING_REVERT_REASONS }
       );
-      setMessage('Transaction sent! Waiting for confirmation...');
-      
-      await tx.wait();
       
       setMessage(`${isLong ? 'Buy' : 'Sell'} order placed successfully! 🎯`);
       setTradeAmount('');
@@ -209,17 +217,7 @@ function App() {
       
     } catch (error) {
       console.error('Place order failed:', error);
-      
-      // Better error messages
-      if (error.message.includes('Amount must be positive')) {
-        setMessage('❌ Error: Amount must be positive. Please check your input.');
-      } else if (error.message.includes('user rejected')) {
-        setMessage('❌ Transaction cancelled by user.');
-      } else if (error.message.includes('insufficient funds')) {
-        setMessage('❌ Insufficient ETH for transaction fees.');
-      } else {
-        setMessage(`❌ Transaction failed: ${error.reason || error.message}`);
-      }
+      setMessage(describeTradeError(error, 'Transaction failed'));
     } finally {
       setLoading(false);
     }
@@ -264,13 +262,10 @@ function App() {
         amount: finalAmount
       });
       
-      const tx = isLong 
-        ? await contract.quickBuy(selectedPair, finalAmount)
-        : await contract.quickSell(selectedPair, finalAmount);
-      
-      setMessage('Transaction sent! Waiting for confirmation...');
-      
-      await tx.wait();
+      await sendTransaction(
+        () => (isLong ? contract.quickBuy(selectedPair, finalAmount) : contract.quickSell(selectedPair, finalAmount)),
+        { onStatus: reportProgress(setMessage), revertReasons: TRADING_REVERT_REASONS }
+      );
       
       setMessage(`${isLong ? 'Quick buy' : 'Quick sell'} executed successfully! ⚡`);
       setTradeAmount('');
@@ -278,25 +273,23 @@ function App() {
       
     } catch (error) {
       console.error('Quick trade failed:', error);
-      
-      // Better error messages
-      if (error.message.includes('Amount must be positive')) {
-        setMessage('❌ Error: Amount must be positive. Please check your input.');
-      } else if (error.message.includes('user rejected')) {
-        setMessage('❌ Transaction cancelled by user.');
-      } else if (error.message.includes('insufficient funds')) {
-        setMessage('❌ Insufficient ETH for transaction fees.');
-      } else {
-        setMessage(`❌ Quick trade failed: ${error.reason || error.message}`);
-      }
+      setMessage(describeTradeError(error, 'Quick trade failed'));
     } finally {
       setLoading(false);
     }
   };
 
-  // Auto-refresh data
+  // Resolve the contract address up front so the Etherscan link works before connecting
+  useEffect(() => {
+    loadContractAddress()
+      .then(setContractAddress)
+      .catch((error) => console.error('Contract address lookup failed:', error));
+  }, []);
+
+  // Load data on connect, then auto-refresh
   useEffect(() => {
     if (contract && account) {
+      loadTradingData(contract, account);
       const interval = setInterval(() => {
         loadTradingData(contract, account);
       }, 10000); // Refresh every 10 seconds
@@ -327,7 +320,7 @@ function App() {
                 borderRadius: '8px' 
               }}>
                 <p><strong>✅ CONNECTED TO SEPOLIA</strong></p>
-                <p>Contract: <span style={{color: '#00ff00'}}>{CONTRACT_ADDRESS}</span></p>
+                <p>Contract: <span style={{color: '#00ff00'}}>{contractAddress}</span></p>
                 <p>Wallet: <span style={{color: '#00ff00'}}>{account?.slice(0,6)}...{account?.slice(-4)}</span></p>
               </div>
             )}
@@ -492,7 +485,7 @@ function App() {
             )}
             
             <div className="action-buttons">
-              <button className="btn-primary glow-effect" onClick={() => window.open(`https://sepolia.etherscan.io/address/${CONTRACT_ADDRESS}`, '_blank')}>
+              <button className="btn-primary glow-effect" onClick={() => window.open(`https://sepolia.etherscan.io/address/${contractAddress}`, '_blank')}>
                 View Contract on Etherscan
               </button>
               {!account ? (
@@ -0,0 +1,165 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { expect } = require("chai");
+const { GovernanceStore } = require("../../scripts/lib/store");
+const { createApi } = require("../../frontend/api");
+
+const CHAIRPERSON = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const NOW = Math.floor(Date.now() / 1000);
+
+// One resolution in every state the indexer tells apart
+const RESOLUTIONS = [
+    { endTime: NOW - 600, events: [["VoteCast", { voter: CHAIRPERSON }], ["DecryptionRequested", { requestId: "1" }], ["ResolutionResolved", { yesVotes: "10", noVotes: "0", passed: true }]] },
+    { endTime: NOW - 600, events: [["DecryptionRequested", { requestId: "2" }], ["ResolutionResolved", { yesVotes: "0", noVotes: "0", passed: false }]] },
+    { endTime: NOW - 600, events: [["DecryptionRequested", { requestId: "3" }], ["DecryptionTimeout", {}]] },
+    { endTime: NOW - 600, events: [["VoteCast", { voter: CHAIRPERSON }], ["DecryptionRequested", { requestId: "4" }]] },
+    { endTime: NOW + 600, events: [] },
+    { endTime: NOW - 600, events: [] },
+];
+
+function seed(databasePath) {
+    const store = new GovernanceStore(databasePath);
+    const batch = { events: [], resolutions: [], memberChanges: [], checkpoints: [], toBlock: 1 };
+    const entry = (name, args) => ({
+        blockNumber: 1,
+        logIndex: batch.events.length,
+        blockHash: `0x${"1".repeat(64)}`,
+        transactionHash: `0x${String(batch.events.length).padStart(64, "0")}`,
+        timestamp: NOW - 1000,
+        name,
+        resolutionId: Number(args.resolutionId),
+        account: args.voter || null,
+        args,
+    });
+
+    RESOLUTIONS.forEach(({ endTime, events }, id) => {
+        batch.resolutions.push({
+            id,
+            title: `Resolution ${id}`,
+            description: "",
+            creator: CHAIRPERSON,
+            startTime: NOW - 1000,
+            endTime,
+            requiredQuorum: 1,
+            blockNumber: 1,
+            transactionHash: `0x${"2".repeat(64)}`,
+        });
+        batch.events.push(entry("ResolutionCreated", { resolutionId: String(id), creator: CHAIRPERSON }));
+        for (const [name, args] of events) {
+            batch.events.push(entry(name, { resolutionId: String(id), ...args }));
+        }
+    });
+    batch.memberChanges.push({
+        blockNumber: 1,
+        logIndex: -1,
+        member: CHAIRPERSON,
+        action: "added",
+        name: "Chairperson",
+        position: "Chair",
+        votingPower: 10,
+        transactionHash: null,
+        timestamp: NOW - 1000,
+    });
+    batch.checkpoints.push({ blockNumber: 1, blockHash: `0x${"1".repeat(64)}` });
+
+    store.saveBatch(batch);
+    store.close();
+}
+
+// Serve the API the way server.js mounts it
+async function listen(handleApi) {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        handleApi(req, res, url.pathname, url.searchParams);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe("Governance REST API", function () {
+    let dir;
+    let handleApi;
+    let server;
+    let baseUrl;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "governance-api-"));
+    });
+
+    afterEach(async function () {
+        if (server) {
+            await new Promise((resolve) => server.close(resolve));
+            server = null;
+        }
+        if (handleApi) {
+            handleApi.close();
+            handleApi = null;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function start(options) {
+        handleApi = createApi({ network: "testing", rpcUrl: "", cacheTtl: 0, ...options });
+        ({ server, baseUrl } = await listen(handleApi));
+    }
+
+    describe("with the indexer database", function () {
+        beforeEach(async function () {
+            const databasePath = path.join(dir, "governance.db");
+            seed(databasePath);
+            await start({ databasePath });
+        });
+
+        it("counts resolutions by status in /api/stats", async function () {
+            const response = await fetch(`${baseUrl}/api/stats`);
+
+            expect(response.status).to.equal(200);
+            expect(response.headers.get("x-governance-source")).to.equal("indexer");
+            expect((await response.json()).stats).to.deep.equal({
+                resolutions: 6,
+                open: 1,
+                votingEnded: 1,
+                decrypting: 1,
+                resolved: 2,
+                timedOut: 1,
+                passed: 1,
+                rejected: 1,
+                members: 1,
+                totalVotingPower: 10,
+                votesCast: 2,
+            });
+        });
+
+        it("lists each resolution with its status", async function () {
+            const { resolutions } = await (await fetch(`${baseUrl}/api/resolutions`)).json();
+
+            expect(resolutions.map((resolution) => resolution.status)).to.deep.equal([
+                "resolved", "resolved", "timed out", "decrypting", "open", "voting ended",
+            ]);
+        });
+
+        it("answers 400 for a malformed ID and 404 for an unknown one", async function () {
+            expect((await fetch(`${baseUrl}/api/resolutions/abc`)).status).to.equal(400);
+            expect((await fetch(`${baseUrl}/api/resolutions/99`)).status).to.equal(404);
+        });
+    });
+
+    it("logs read failures and answers 502 without their details", async function () {
+        const logged = [];
+        const consoleError = console.error;
+        console.error = (...args) => logged.push(args);
+        try {
+            await start({ databasePath: path.join(dir, "missing.db") });
+            const response = await fetch(`${baseUrl}/api/stats`);
+
+            expect(response.status).to.equal(502);
+            expect(await response.json()).to.deep.equal({ error: "Could not read governance data" });
+            expect(logged).to.have.lengthOf(1);
+            expect(logged[0][1].message).to.include("missing.db");
+        } finally {
+            console.error = consoleError;
+        }
+    });
+});
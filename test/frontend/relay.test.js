@@ -0,0 +1,212 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { createRelay } = require("../../frontend/relay");
+
+const CHAIN_ID = 31337;
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const GOVERNANCE = new ethers.Interface([
+    "function execute((address from, uint256 nonce, uint256 deadline, bytes data) request, bytes signature)",
+    "function nonces(address) view returns (uint256)",
+    "function getBoardMember(address) view returns (bool isActive, uint256 votingPower, string name, string position)",
+    "function castVote(uint256 _resolutionId, bytes32 _encryptedVote, bytes inputProof)",
+    "function addBoardMember(address _member, string _name, string _position, uint256 _votingPower)",
+]);
+
+// Answers the JSON-RPC calls the relay makes from an in-memory contract state
+class FakeChain extends ethers.JsonRpcProvider {
+    constructor() {
+        super("http://127.0.0.1:1", CHAIN_ID, { staticNetwork: true, batchMaxCount: 1 });
+        this.members = new Set();
+        this.nonces = new Map();
+        this.revertReason = null;
+        this.sent = [];
+    }
+
+    async getFeeData() {
+        return new ethers.FeeData(null, 2n, 1n);
+    }
+
+    async _send(payload) {
+        const { id, method, params } = payload;
+        try {
+            return [{ id, result: this.answer(method, params) }];
+        } catch (error) {
+            return [{ id, error: { code: 3, message: error.message } }];
+        }
+    }
+
+    answer(method, params) {
+        switch (method) {
+        case "eth_call": {
+            const call = GOVERNANCE.parseTransaction({ data: params[0].data });
+            const [account] = call.args;
+            const result = call.name === "nonces"
+                ? [this.nonces.get(account) || 0n]
+                : [this.members.has(account), 1n, "Member", "Director"];
+            return GOVERNANCE.encodeFunctionResult(call.name, result);
+        }
+        case "eth_estimateGas":
+            if (this.revertReason) {
+                throw new Error(`execution reverted: ${this.revertReason}`);
+            }
+            return "0x30000";
+        case "eth_blockNumber":
+            return ethers.toQuantity(this.sent.length + 1);
+        case "eth_getTransactionCount":
+            return ethers.toQuantity(this.sent.length);
+        case "eth_sendRawTransaction": {
+            const tx = ethers.Transaction.from(params[0]);
+            const [request] = GOVERNANCE.parseTransaction({ data: tx.data }).args;
+            this.nonces.set(request.from, request.nonce + 1n);
+            this.sent.push(tx);
+            return tx.hash;
+        }
+        default:
+            throw new Error(`Unexpected ${method}`);
+        }
+    }
+}
+
+async function listen(handleRelay) {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        handleRelay(req, res, url.searchParams);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}/api/relay` };
+}
+
+describe("Meta-transaction relay", function () {
+    const relayer = ethers.Wallet.createRandom();
+    const member = ethers.Wallet.createRandom();
+    let chain;
+    let handleRelay;
+    let server;
+    let url;
+
+    async function start(options = {}) {
+        chain = new FakeChain();
+        chain.members.add(member.address);
+        handleRelay = createRelay({
+            getDeployment: () => ({ chainId: CHAIN_ID, deployment: { address: CONTRACT } }),
+            createProvider: () => chain,
+            privateKey: relayer.privateKey,
+            allowlist: [member.address],
+            ...options,
+        });
+        ({ server, url } = await listen(handleRelay));
+    }
+
+    afterEach(async function () {
+        if (server) {
+            await new Promise((resolve) => server.close(resolve));
+            server = null;
+        }
+        if (handleRelay) {
+            handleRelay.close();
+            handleRelay = null;
+        }
+    });
+
+    // Sign a castVote request the way the frontend does, from the relay's own description
+    async function signVote(signer, overrides = {}) {
+        const { domain, types, nonce } = await (await fetch(`${url}?account=${signer.address}`)).json();
+        const request = {
+            from: signer.address,
+            nonce,
+            deadline: String(Math.floor(Date.now() / 1000) + 600),
+            data: GOVERNANCE.encodeFunctionData("castVote", [0, ethers.ZeroHash, "0x1234"]),
+            ...overrides,
+        };
+        return { request, signature: await signer.signTypedData(domain, types, request) };
+    }
+
+    async function submit(body) {
+        const response = await fetch(url, { method: "POST", body: typeof body === "string" ? body : JSON.stringify(body) });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    it("answers 503 without a private key or an allowlist", async function () {
+        await start({ privateKey: undefined });
+        expect((await submit({})).status).to.equal(503);
+        await new Promise((resolve) => server.close(resolve));
+
+        await start({ allowlist: [] });
+        expect((await submit({})).body.error).to.include("RELAY_ALLOWLIST");
+    });
+
+    it("relays a signed vote and advances the member's nonce", async function () {
+        await start();
+
+        const { status, body } = await submit(await signVote(member));
+
+        expect(status).to.equal(202);
+        expect(body).to.include({ from: member.address, nonce: "0", function: "castVote", transactionHash: chain.sent[0].hash });
+        expect(chain.nonces.get(member.address)).to.equal(1n);
+    });
+
+    it("rejects malformed bodies and calls it does not pay for", async function () {
+        await start();
+
+        expect(await submit("{")).to.deep.include({ status: 400, body: { error: "Request body is not valid JSON" } });
+        const unrelayed = await signVote(member, {
+            data: GOVERNANCE.encodeFunctionData("addBoardMember", [member.address, "Member", "Director", 1]),
+        });
+        expect((await submit(unrelayed)).body.error).to.equal("Only castVote and createResolution can be relayed");
+    });
+
+    it("rejects a signature from another account, and signers off the allowlist", async function () {
+        await start();
+        const outsider = ethers.Wallet.createRandom();
+        chain.members.add(outsider.address);
+
+        const forged = await signVote(outsider, { from: member.address });
+        expect((await submit(forged)).status).to.equal(401);
+
+        const { status, body } = await submit(await signVote(outsider));
+        expect(status).to.equal(403);
+        expect(body.error).to.equal(`${outsider.address} is not on the relay allowlist`);
+        expect(chain.sent).to.be.empty;
+    });
+
+    it("rejects listed members who were removed from the board", async function () {
+        await start();
+        chain.members.delete(member.address);
+
+        const { status, body } = await submit(await signVote(member));
+
+        expect(status).to.equal(403);
+        expect(body.error).to.equal(`${member.address} is not an active board member`);
+    });
+
+    it("rejects a nonce that was already used", async function () {
+        await start();
+        const vote = await signVote(member);
+        expect((await submit(vote)).status).to.equal(202);
+
+        const { status, body } = await submit(vote);
+
+        expect(status).to.equal(409);
+        expect(body.error).to.equal("Nonce 0 was already used or skipped; expected 1");
+    });
+
+    it("counts only submitted transactions against the rate limit", async function () {
+        await start({ rateLimit: 1 });
+        chain.revertReason = "Already voted";
+
+        const rejected = await submit(await signVote(member));
+        expect(rejected).to.deep.include({ status: 422 });
+        expect(rejected.body.error).to.include("Already voted");
+
+        chain.revertReason = null;
+        const otherVote = await signVote(member, {
+            data: GOVERNANCE.encodeFunctionData("castVote", [1, ethers.ZeroHash, "0x1234"]),
+        });
+        expect((await submit(otherVote)).status).to.equal(202);
+
+        const limited = await submit(await signVote(member));
+        expect(limited.status).to.equal(429);
+        expect(Number(limited.headers.get("retry-after"))).to.be.within(3599, 3600);
+    });
+});
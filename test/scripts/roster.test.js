@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { Wallet } = require("ethers");
+const { detectFormat, diffRoster, formatRoster, parseRoster, planTransactions } = require("../../scripts/lib/roster");
+
+const address = () => Wallet.createRandom().address;
+
+describe("Board roster files", function () {
+    describe("parseRoster", function () {
+        it("reads CSV with header aliases, quoted fields and a byte order mark", function () {
+            const alice = address();
+            const bob = address();
+            const text = "\uFEFFWallet,Name,Title,Voting Power\r\n" +
+                `${alice.toLowerCase()},"Smith, Alice",CEO,10\r\n` +
+                `${bob}," Bob ""B"" Jones ",CFO,1000\r\n\r\n`;
+
+            expect(parseRoster(text, "csv")).to.deep.equal([
+                { address: alice, name: "Smith, Alice", position: "CEO", votingPower: 10n },
+                { address: bob, name: "Bob \"B\" Jones", position: "CFO", votingPower: 1000n },
+            ]);
+        });
+
+        it("reads JSON arrays and the members list printed by the CLI", function () {
+            const alice = address();
+            const member = { address: alice, name: "Alice", position: "CEO", power: 3 };
+            const expected = [{ address: alice, name: "Alice", position: "CEO", votingPower: 3n }];
+
+            expect(parseRoster(JSON.stringify([member]), "json")).to.deep.equal(expected);
+            expect(parseRoster(JSON.stringify({ members: [member] }), "json")).to.deep.equal(expected);
+        });
+
+        it("reports every invalid row with its line", function () {
+            const alice = address();
+            const text = "address,name,position,votingPower\n" +
+                `${alice},Alice,CEO,10\n` +
+                "0x1234,Bob,CFO,5\n" +
+                `${alice.toLowerCase()},Alice again,CEO,10\n` +
+                `${address()},,CTO,1001\n`;
+
+            expect(() => parseRoster(text, "csv")).to.throw(
+                "Invalid roster:\n" +
+                "  line 3: invalid address \"0x1234\"\n" +
+                "  line 4: duplicate of line 2\n" +
+                "  line 5: name must be 1-1000 bytes; voting power must be an integer from 1 to 1000 (got \"1001\")"
+            );
+        });
+
+        it("rejects a header without the required columns and an unterminated quote", function () {
+            expect(() => parseRoster("address,name\n", "csv")).to.throw("missing column(s): position, votingPower");
+            expect(() => parseRoster("address,name,position,votingPower\n\"0x1,A,B,1\n", "csv"))
+                .to.throw("Unterminated quoted field starting on line 2");
+        });
+
+        it("reads back what formatRoster writes", function () {
+            const members = [{ address: address(), name: "Smith, \"Al\"", position: "CEO", votingPower: 7n }];
+
+            expect(parseRoster(formatRoster(members, "csv"), "csv")).to.deep.equal(members);
+            expect(parseRoster(formatRoster(members, "json"), "json")).to.deep.equal(members);
+        });
+    });
+
+    describe("detectFormat", function () {
+        it("prefers --format over the file extension", function () {
+            expect(detectFormat("board.CSV")).to.equal("csv");
+            expect(detectFormat("board.txt", "json")).to.equal("json");
+            expect(() => detectFormat("board.txt")).to.throw("Cannot tell the roster format");
+            expect(() => detectFormat("board.csv", "xml")).to.throw("Unknown roster format \"xml\"");
+        });
+    });
+
+    describe("diffRoster", function () {
+        const chairperson = address();
+        const member = (fields) => ({ name: "Member", position: "Director", votingPower: 1n, isActive: true, ...fields });
+
+        it("sorts roster entries into adds, updates and unchanged members", function () {
+            const chair = member({ address: chairperson });
+            const kept = member({ address: address() });
+            const changed = member({ address: address(), votingPower: 2n });
+            const removed = member({ address: address(), isActive: false });
+            const newcomer = member({ address: address() });
+
+            const diff = diffRoster([chair, kept, changed, removed], [
+                chair,
+                kept,
+                { ...changed, votingPower: 5n, position: "Chair of audit" },
+                removed,
+                newcomer,
+            ], { chairperson });
+
+            expect(diff.unchanged.map((entry) => entry.address)).to.deep.equal([chairperson, kept.address]);
+            expect(diff.update.map((entry) => entry.changes)).to.deep.equal([[
+                { field: "position", from: "Director", to: "Chair of audit" },
+                { field: "votingPower", from: 2n, to: 5n },
+            ]]);
+            expect(diff.add.map((entry) => [entry.address, entry.previouslyRemoved])).to.deep.equal([
+                [removed.address, true],
+                [newcomer.address, false],
+            ]);
+            expect(diff.remove).to.be.empty;
+        });
+
+        it("removes active members missing from the roster, except the chairperson", function () {
+            const chair = member({ address: chairperson });
+            const leaving = member({ address: address() });
+            const gone = member({ address: address(), isActive: false });
+
+            const diff = diffRoster([chair, leaving, gone], [], { chairperson });
+
+            expect(diff.remove).to.deep.equal([leaving]);
+            expect(diff.kept).to.deep.equal([chair]);
+            expect(diff.warnings).to.deep.equal([
+                `Chairperson ${chairperson} is not in the roster; the chairperson cannot be removed`,
+            ]);
+        });
+
+        it("keeps missing members with keepMissing", function () {
+            const leaving = member({ address: address() });
+
+            const diff = diffRoster([leaving], [], { chairperson, keepMissing: true });
+
+            expect(diff.remove).to.be.empty;
+            expect(diff.kept).to.deep.equal([leaving]);
+        });
+    });
+
+    describe("planTransactions", function () {
+        it("adds and updates members before removing any", function () {
+            const plan = planTransactions({
+                add: [{ address: "0xA", name: "A", position: "CEO", votingPower: 1n, previouslyRemoved: true }],
+                update: [{ address: "0xB", name: "B", position: "CFO", votingPower: 2n, changes: [{ field: "votingPower", from: 1n, to: 2n }] }],
+                remove: [{ address: "0xC", name: "C" }],
+            });
+
+            expect(plan.map(({ method, summary }) => [method, summary])).to.deep.equal([
+                ["addBoardMember", "Re-add A (0xA)"],
+                ["addBoardMember", "Update B (0xB): votingPower 1 -> 2"],
+                ["removeBoardMember", "Remove C (0xC)"],
+            ]);
+        });
+    });
+});
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { GovernanceStore } = require("../../scripts/lib/store");
+
+const CREATOR = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const VOTER = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+const hash = (blockNumber, fork = "a") => `0x${fork}${String(blockNumber).padStart(63, "0")}`;
+
+function event(blockNumber, logIndex, name, args, fork) {
+    return {
+        blockNumber,
+        logIndex,
+        blockHash: hash(blockNumber, fork),
+        transactionHash: hash(blockNumber * 100 + logIndex, "f"),
+        timestamp: 1_700_000_000 + blockNumber,
+        name,
+        resolutionId: args.resolutionId !== undefined ? Number(args.resolutionId) : null,
+        account: args.voter || args.member || null,
+        args,
+    };
+}
+
+function batch(toBlock, events, { resolutions = [], memberChanges = [], fork } = {}) {
+    const blocks = [...new Set([...events.map((entry) => entry.blockNumber), toBlock])];
+    return {
+        events,
+        resolutions,
+        memberChanges,
+        checkpoints: blocks.map((blockNumber) => ({ blockNumber, blockHash: hash(blockNumber, fork) })),
+        toBlock,
+    };
+}
+
+describe("GovernanceStore", function () {
+    let dir;
+    let store;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "governance-store-"));
+        store = new GovernanceStore(path.join(dir, "governance.db"));
+
+        // Resolution 0 is created in block 10, voted on in 11, closed in 12 and resolved in 13
+        store.saveBatch(batch(10, [event(10, 0, "ResolutionCreated", { resolutionId: "0", creator: CREATOR })], {
+            resolutions: [{
+                id: 0,
+                title: "Budget",
+                description: "Approve the budget",
+                creator: CREATOR,
+                startTime: 1_700_000_010,
+                endTime: 1_700_000_500,
+                requiredQuorum: 1,
+                blockNumber: 10,
+                transactionHash: hash(1000, "f"),
+            }],
+            memberChanges: [{
+                blockNumber: 10,
+                logIndex: -1,
+                member: CREATOR,
+                action: "added",
+                name: "Chairperson",
+                position: "Chair",
+                votingPower: 10,
+                transactionHash: null,
+                timestamp: 1_700_000_010,
+            }],
+        }));
+        store.saveBatch(batch(11, [event(11, 0, "VoteCast", { resolutionId: "0", voter: VOTER })]));
+        store.saveBatch(batch(12, [event(12, 0, "DecryptionRequested", { resolutionId: "0", requestId: "7" })]));
+        store.saveBatch(batch(13, [
+            event(13, 0, "ResolutionResolved", { resolutionId: "0", yesVotes: "10", noVotes: "0", passed: true }),
+        ]));
+    });
+
+    afterEach(function () {
+        store.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("derives resolution status from the indexed events", function () {
+        const [resolution] = store.listResolutions();
+
+        expect(resolution).to.include({ status: "resolved", votesCast: 1, voters: 1, passed: true, decryptionRequestId: "7" });
+        expect(store.getLastBlock()).to.equal(13);
+        expect(store.getCheckpoints().map((checkpoint) => checkpoint.blockNumber)).to.deep.equal([13, 12, 11, 10]);
+    });
+
+    it("rolls back everything after the common ancestor of a reorganization", function () {
+        store.rollback(11);
+
+        const [resolution] = store.listResolutions();
+        expect(resolution).to.include({ status: "voting ended", votesCast: 1, passed: null, decryptionRequestId: null });
+        expect(store.getLastBlock()).to.equal(11);
+        expect(store.getCheckpoints().map((checkpoint) => checkpoint.blockNumber)).to.deep.equal([11, 10]);
+        expect(store.listEvents().map((entry) => entry.name)).to.deep.equal(["ResolutionCreated", "VoteCast"]);
+        expect(store.listRollbacks().map((rollback) => rollback.blockNumber)).to.deep.equal([11]);
+    });
+
+    it("indexes the new branch after a rollback", function () {
+        store.rollback(11);
+        store.saveBatch(batch(14, [
+            event(12, 0, "DecryptionRequested", { resolutionId: "0", requestId: "8" }, "b"),
+            event(14, 0, "DecryptionTimeout", { resolutionId: "0" }, "b"),
+        ], { fork: "b" }));
+
+        const [resolution] = store.listResolutions();
+        expect(resolution).to.include({ status: "timed out", passed: null, decryptionRequestId: "8" });
+        expect(store.getCheckpoints()[0]).to.deep.equal({ blockNumber: 14, blockHash: hash(14, "b") });
+    });
+
+    it("keeps members added before the ancestor and drops later ones", function () {
+        store.saveBatch(batch(15, [event(15, 0, "BoardMemberAdded", { member: VOTER, name: "Voter", votingPower: "5" })], {
+            memberChanges: [{
+                blockNumber: 15,
+                logIndex: 0,
+                member: VOTER,
+                action: "added",
+                name: "Voter",
+                position: null,
+                votingPower: 5,
+                transactionHash: hash(1500, "f"),
+                timestamp: 1_700_000_015,
+            }],
+        }));
+        expect(store.listMembers().map((member) => member.address)).to.have.members([CREATOR, VOTER]);
+
+        store.rollback(13);
+
+        expect(store.listMembers().map((member) => member.address)).to.deep.equal([CREATOR]);
+    });
+
+    it("lists the rollbacks after the last one a reader has seen", function () {
+        store.rollback(12);
+        store.rollback(11);
+
+        const [first, second] = store.listRollbacks();
+        expect(store.listRollbacks(first.id)).to.deep.equal([second]);
+        expect(store.listRollbacks(second.id)).to.be.empty;
+    });
+});